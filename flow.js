@@ -2,7 +2,17 @@
 // Modular conversation flow system for Assure Fix Plumbing
 const { validateAndCorrectInput, getQuickResponse } = require('./modules/inputValidation');
 const { detectEmergency } = require('./modules/issueClassification');
-const { stateMachine, transitionTo, addToHistory, resetStateMachine, setCallerPhoneNumber } = require('./modules/stateMachine');
+const {
+  createSession,
+  getSession,
+  getOrCreateSession,
+  attachStreamSid,
+  endSession,
+  resetSession,
+  transitionTo,
+  addToHistory,
+  setCallerPhoneNumber
+} = require('./modules/stateMachine');
 const { 
   handleStart, 
   askNextQuestion, 
@@ -12,6 +22,15 @@ const {
 const enhancedBookingFlow = require('./modules/enhancedBookingFlow');
 const travelOptimization = require('./modules/travelOptimization');
 const { notifyError } = require('./notifications');
+const { getTransferReason, requestTransfer, recordFailure } = require('./modules/transfer');
+const { finalizeCallRecord } = require('./modules/callRecords');
+const { handleAfterHours, getAfterHoursGreeting } = require('./modules/afterHours');
+const { handleReminderConversation, getReminderGreeting } = require('./modules/reminderCalls');
+const { getTenant, runAsTenant } = require('./modules/tenants');
+const { handleCancellation } = require('./modules/cancellation');
+const { handleReschedule } = require('./modules/rescheduling');
+const { handleStatusInquiry } = require('./modules/bookingStatus');
+const { getReturningCallerGreeting } = require('./modules/callerLookup');
 
 /**
  * Check if input is a simple greeting or response vs complex issue description
@@ -63,18 +82,29 @@ const botAnalytics = {
 /**
  * Main conversation handler - processes all customer inputs
  * Follows the structured flow: Start → Issue Detection → Technical Diagnosis → Booking → Confirmation
+ * options.source is 'speech' (default), 'dtmf', 'sms' or 'chat'; options.operator is set when the caller pressed 0
  */
-async function handleInput(input, confidence = 1.0) {
+function handleInput(session, input, confidence = 1.0, options = {}) {
+  // The calendar, CRM, confirmation email and LLM prompt all follow the business this customer reached
+  return runAsTenant(getTenant(session), () => handleTurn(session, input, confidence, options));
+}
+
+async function handleTurn(session, input, confidence, options) {
   console.log('🎯 === CONVERSATION FLOW START ===');
   console.log('📞 Input:', input);
   console.log('🎚️ Confidence:', confidence);
-  console.log('🔄 Current State:', stateMachine.currentState);
-  console.log('📊 Client Data:', Object.keys(stateMachine.clientData));
+  console.log('🔄 Current State:', session.currentState);
+  console.log('📊 Client Data:', Object.keys(session.clientData));
+  
+  // Keypad, SMS and chat input is exactly what the customer typed - handlers skip speech correction on it
+  const fromKeypad = options.source === 'dtmf';
+  const typed = fromKeypad || options.source === 'sms' || options.source === 'chat';
+  session.lastInputSource = options.source || 'speech';
   
   // STEP 1: Enhanced speech recognition with context
-  if (input && typeof input === 'string') {
+  if (input && typeof input === 'string' && !typed) {
     const { enhanceSpeechRecognition, getConversationContext } = require('./modules/speechRecognitionEnhancer');
-    const context = getConversationContext(stateMachine);
+    const context = getConversationContext(session);
     input = enhanceSpeechRecognition(input, context);
     console.log('✅ Enhanced input:', input);
   }
@@ -82,59 +112,92 @@ async function handleInput(input, confidence = 1.0) {
   // STEP 2: Confidence and completeness check
   if (!input || input.trim().length === 0 || confidence < 0.3) {
     if (confidence < 0.3) {
+      recordFailure(session);
       return "Sorry, I didn't quite catch that. Could you please speak a bit more clearly?";
     }
     return "Go on...";
   }
   
   // STEP 3: Quick response check for simple greetings only (not complex issue descriptions)
-  const quickResponse = getQuickResponse(input);
-  if (quickResponse && stateMachine.currentState === 'start' && isSimpleGreetingOrResponse(input)) {
+  const quickResponse = getQuickResponse(input, getTenant(session));
+  if (quickResponse && !fromKeypad && session.currentState === 'start' && !session.askedAboutUpcomingBooking &&
+      isSimpleGreetingOrResponse(input)) {
     console.log('⚡ Using quick response for simple greeting');
-    transitionTo('general', 'quick response triggered');
-    addToHistory('user', input);
-    addToHistory('assistant', quickResponse);
+    transitionTo(session, 'general', 'quick response triggered');
+    addToHistory(session, 'user', input);
+    addToHistory(session, 'assistant', quickResponse);
     return quickResponse;
   }
   
   // STEP 4: Handle incomplete sentences
-  if (input.endsWith(',') || input.endsWith(' the') || input.endsWith(' a') || 
-      input.endsWith(' an') || input.endsWith(' to') || input.endsWith(' for')) {
+  if (!typed && (input.endsWith(',') || input.endsWith(' the') || input.endsWith(' a') || 
+      input.endsWith(' an') || input.endsWith(' to') || input.endsWith(' for'))) {
     return "Go on, I'm listening...";
   }
   
   // STEP 5: Store user input for context
-  addToHistory('user', input);
+  addToHistory(session, 'user', input);
   
   try {
     let response;
     
     // PRIORITY 1: Handle pending termination
-    if (stateMachine.pendingTermination) {
+    if (session.pendingTermination) {
       console.log('🔚 Processing call termination');
-      return await terminateCall(input);
+      return await terminateCall(session, input);
     }
     
-    // PRIORITY 2: Handle confirmation flows
-    if (stateMachine.awaitingConfirmation) {
+    // PRIORITY 2: Keypad 0 always asks for a person - even mid-confirmation, where it would otherwise read as "no"
+    if (options.operator) {
+      response = requestTransfer(session, 'caller_request');
+      addToHistory(session, 'assistant', response);
+      return response;
+    }
+    
+    // PRIORITY 3: Handle confirmation flows
+    if (session.awaitingConfirmation) {
       console.log('⏳ Processing detail confirmation');
-      return await handleDetailConfirmation(input);
+      return await handleDetailConfirmation(session, input);
+    }
+    
+    // PRIORITY 4: After hours we only take messages or put emergencies through to the on-call plumber
+    if (session.currentState === 'after_hours') {
+      response = await handleAfterHours(session, input);
+      addToHistory(session, 'assistant', response);
+      return response;
     }
     
-    // PRIORITY 3: Emergency detection (highest priority) - but not if booking is complete
-    if (detectEmergency(input) && stateMachine.currentState !== 'urgent_booking' && stateMachine.currentState !== 'booking_complete') {
+    // Outbound reminder calls only confirm, reschedule or cancel the existing appointment
+    if (session.currentState === 'reminder') {
+      response = await handleReminderConversation(session, input);
+      addToHistory(session, 'assistant', response);
+      return response;
+    }
+    
+    // PRIORITY 5: Hand over to a person on request, for serious emergencies, or after repeated failures
+    const transferReason = getTransferReason(session, input);
+    if (transferReason) {
+      const transferResponse = requestTransfer(session, transferReason);
+      if (transferResponse) {
+        addToHistory(session, 'assistant', transferResponse);
+        return transferResponse;
+      }
+    }
+    
+    // PRIORITY 6: Emergency detection (highest priority) - but not if booking is complete
+    if (detectEmergency(input) && session.currentState !== 'urgent_booking' && session.currentState !== 'booking_complete') {
       console.log('🚨 EMERGENCY DETECTED - redirecting to urgent flow');
-      stateMachine.urgent = true;
-      stateMachine.safetyConcern = true;
-      transitionTo('urgent_booking', 'emergency detected');
+      session.urgent = true;
+      session.safetyConcern = true;
+      transitionTo(session, 'urgent_booking', 'emergency detected');
       const { handleUrgentBooking } = require('./modules/conversationHandlers');
-      response = await handleUrgentBooking(input);
+      response = await handleUrgentBooking(session, input);
     }
-    // PRIORITY 4: Main conversation flow router
+    // PRIORITY 7: Main conversation flow router
     else {
-      switch (stateMachine.currentState) {
+      switch (session.currentState) {
         case 'start':
-          response = await handleStart(input);
+          response = await handleStart(session, input);
           break;
           
         // Issue diagnosis states
@@ -146,91 +209,103 @@ async function handleInput(input, confidence = 1.0) {
         case 'roof leak':
         case 'new install/quote':
         case 'other':
-          response = await askNextQuestion(input);
+          response = await askNextQuestion(session, input);
           break;
           
         // Booking flow states
         case 'ask_booking':
           const { handleBookingRequest } = require('./modules/enhancedBookingFlow');
-          response = await handleBookingRequest(input);
+          response = await handleBookingRequest(session, input);
           break;
           
         case 'collect_details':
           const { handleDetailCollection } = require('./modules/enhancedBookingFlow');
-          response = await handleDetailCollection(input);
+          response = await handleDetailCollection(session, input);
           break;
           
         case 'book_appointment':
           const { proceedToBooking } = require('./modules/enhancedBookingFlow');
-          response = await proceedToBooking();
+          response = await proceedToBooking(session);
           break;
           
         case 'confirm_slot':
-          response = await confirmSlot(input);
+          response = await confirmSlot(session, input);
           break;
           
         case 'collect_special_instructions':
-          response = await collectSpecialInstructions(input);
+          response = await collectSpecialInstructions(session, input);
           break;
           
         case 'collect_time_preference':
-          response = await collectTimePreference(input);
+          response = await collectTimePreference(session, input);
           break;
           
         case 'confirm_time_slot':
-          response = await confirmTimeSlot(input);
+          response = await confirmTimeSlot(session, input);
           break;
           
         // CRITICAL FIX: Add missing manual_scheduling state handler
         case 'manual_scheduling':
-          response = await handleManualScheduling(input);
+          response = await handleManualScheduling(session, input);
           break;
           
         // Post-booking states
         case 'booking_complete':
-          response = await handleBookingComplete(input);
+          response = await handleBookingComplete(session, input);
+          break;
+          
+        case 'cancel_appointment':
+          response = await handleCancellation(session, input);
+          break;
+          
+        case 'reschedule_appointment':
+          response = await handleReschedule(session, input);
+          break;
+          
+        case 'booking_status':
+          response = await handleStatusInquiry(session, input);
           break;
           
         // Emergency and general handling
         case 'urgent_booking':
           const { handleUrgentBooking } = require('./modules/conversationHandlers');
-          response = await handleUrgentBooking(input);
+          response = await handleUrgentBooking(session, input);
           break;
           
         case 'general':
-          response = await handleGeneralQuery(input);
+          response = await handleGeneralQuery(session, input);
           break;
           
         default:
           console.log('❓ Unknown state, attempting recovery...');
-          response = await handleUnknownState(input);
+          response = await handleUnknownState(session, input);
           break;
       }
     }
     
     // STEP 6: Store assistant response and update analytics
     if (response) {
-      addToHistory('assistant', response);
+      addToHistory(session, 'assistant', response);
       updateAnalytics(input, response);
     }
     
     console.log('🎯 === CONVERSATION FLOW END ===');
     console.log('💬 Response:', response);
-    console.log('🔄 New State:', stateMachine.currentState);
-    console.log('📏 Conversation Length:', stateMachine.conversationHistory.length);
+    console.log('🔄 New State:', session.currentState);
+    console.log('📏 Conversation Length:', session.conversationHistory.length);
     
     return response;
     
   } catch (error) {
     console.error('🚨 HandleInput error:', error);
-    return await handleErrorWithRecovery(input, error);
+    return await handleErrorWithRecovery(session, input, error);
   }
 }
 
 /**
  * Handle unknown state with intelligent recovery
  */
-async function handleUnknownState(input) {
+async function handleUnknownState(session, input) {
   console.log('🔧 Analyzing input for intelligent state recovery...');
   
   try {
@@ -240,40 +315,40 @@ async function handleUnknownState(input) {
     // Route based on detected intent
     if (analysis.issue?.includes('toilet')) {
       console.log('🚽 Toilet issue detected');
-      stateMachine.issueType = 'toilet';
-      transitionTo('toilet', 'recovery - toilet detected');
-      stateMachine.questionIndex = 0;
-      return await askNextQuestion('');
+      session.issueType = 'toilet';
+      transitionTo(session, 'toilet', 'recovery - toilet detected');
+      session.questionIndex = 0;
+      return await askNextQuestion(session, '');
     }
     
     if (analysis.issue?.includes('sink') || analysis.issue?.includes('tap') || analysis.issue?.includes('faucet')) {
       console.log('🚿 Sink/tap issue detected');
-      stateMachine.issueType = 'sink/tap';
-      transitionTo('sink/tap', 'recovery - sink/tap detected');
-      stateMachine.questionIndex = 0;
-      return await askNextQuestion('');
+      session.issueType = 'sink/tap';
+      transitionTo(session, 'sink/tap', 'recovery - sink/tap detected');
+      session.questionIndex = 0;
+      return await askNextQuestion(session, '');
     }
     
     if (analysis.issue?.includes('water')) {
       console.log('🔥 Hot water issue detected');
-      stateMachine.issueType = 'hot water system';
-      transitionTo('hot water system', 'recovery - hot water detected');
-      stateMachine.questionIndex = 0;
-      return await askNextQuestion('');
+      session.issueType = 'hot water system';
+      transitionTo(session, 'hot water system', 'recovery - hot water detected');
+      session.questionIndex = 0;
+      return await askNextQuestion(session, '');
     }
     
     if (analysis.issue?.includes('leak')) {
       console.log('💧 Leak/burst issue detected');
-      stateMachine.issueType = 'burst/leak';
-      transitionTo('burst/leak', 'recovery - leak detected');
-      stateMachine.questionIndex = 0;
-      return await askNextQuestion('');
+      session.issueType = 'burst/leak';
+      transitionTo(session, 'burst/leak', 'recovery - leak detected');
+      session.questionIndex = 0;
+      return await askNextQuestion(session, '');
     }
     
     // Fallback to general handling
     console.log('🔄 Routing to general handling');
-    transitionTo('general', 'recovery fallback');
-    return await handleGeneralQuery(input);
+    transitionTo(session, 'general', 'recovery fallback');
+    return await handleGeneralQuery(session, input);
     
   } catch (recoveryError) {
     console.error('Recovery analysis failed:', recoveryError);
@@ -282,28 +357,28 @@ async function handleUnknownState(input) {
     const lowerInput = input.toLowerCase();
     
     if (lowerInput.includes('toilet') || lowerInput.includes('bathroom')) {
-      transitionTo('toilet', 'pattern match - toilet');
+      transitionTo(session, 'toilet', 'pattern match - toilet');
       return "I understand you have a toilet issue. What's happening with your toilet?";
     }
     
     if (lowerInput.includes('sink') || lowerInput.includes('tap') || lowerInput.includes('faucet')) {
-      transitionTo('sink/tap', 'pattern match - sink/tap');
+      transitionTo(session, 'sink/tap', 'pattern match - sink/tap');
       return "I see you have a sink or tap issue. What's the problem - is it leaking, blocked, or no water coming out?";
     }
     
     if (lowerInput.includes('hot water') || lowerInput.includes('water heater')) {
-      transitionTo('hot water system', 'pattern match - hot water');
+      transitionTo(session, 'hot water system', 'pattern match - hot water');
       return "I see you have a hot water issue. Do you have any hot water at all?";
     }
     
     if (lowerInput.includes('book') || lowerInput.includes('appointment')) {
       const { handleBookingRequest } = require('./modules/enhancedBookingFlow');
-      transitionTo('ask_booking', 'pattern match - booking');
+      transitionTo(session, 'ask_booking', 'pattern match - booking');
       return "I'd be happy to help you book an appointment. Could you first tell me what plumbing issue you need assistance with?";
     }
     
     // Ultimate fallback
-    transitionTo('general', 'ultimate fallback');
+    transitionTo(session, 'general', 'ultimate fallback');
     return "I'm here to help with your plumbing needs. Could you tell me what issue you're experiencing?";
   }
 }
@@ -311,24 +386,24 @@ async function handleUnknownState(input) {
 /**
  * Handle detail confirmation flows
  */
-async function handleDetailConfirmation(input) {
+async function handleDetailConfirmation(session, input) {
   const lowerInput = input.toLowerCase();
   
   if (lowerInput.includes('yes') || lowerInput.includes('correct') || lowerInput.includes('right')) {
-    stateMachine.awaitingConfirmation = false;
+    session.awaitingConfirmation = false;
     
-    if (stateMachine.pendingConfirmation) {
-      const { detail, value } = stateMachine.pendingConfirmation;
-      stateMachine.clientData[detail] = value;
-      stateMachine.pendingConfirmation = null;
+    if (session.pendingConfirmation) {
+      const { detail, value } = session.pendingConfirmation;
+      session.clientData[detail] = value;
+      session.pendingConfirmation = null;
       
       // Continue with next step
       const { handleDetailCollection } = require('./modules/enhancedBookingFlow');
-      return await handleDetailCollection('');
+      return await handleDetailCollection(session, '');
     }
   } else {
-    stateMachine.awaitingConfirmation = false;
-    stateMachine.pendingConfirmation = null;
+    session.awaitingConfirmation = false;
+    session.pendingConfirmation = null;
     return "No problem, let's try that again. What's the correct information?";
   }
 }
@@ -336,40 +411,62 @@ async function handleDetailConfirmation(input) {
 /**
  * Handle call termination
  */
-async function terminateCall(input) {
+async function terminateCall(session, input) {
   console.log('🔚 Terminating call...');
   
-  const { reason, shouldClose } = stateMachine.pendingTermination;
+  const { reason, shouldClose } = session.pendingTermination;
   
   if (shouldClose) {
     // Track conversation success
-    trackConversationSuccess(stateMachine.appointmentBooked);
+    trackConversationSuccess(session.appointmentBooked);
+    
+    // Save the call's outcome before the reset wipes it
+    session.callEndReason = reason;
+    finalizeCallRecord(session, reason);
     
-    // Reset state machine for next call
-    resetStateMachine();
+    // Reset the session now the call is wrapping up
+    resetSession(session);
     
-    return "Thank you for calling Assure Fix Plumbing. Have a great day!";
+    return `Thank you for calling ${getTenant(session).businessName}. Have a great day!`;
   }
   
   return "Is there anything else I can help you with today?";
 }
 
+/**
+ * Opening line for a call - reminder and after-hours calls have their own, and callers we recognise are greeted by name
+ */
+function getGreeting(session) {
+  if (session.reminder) return getReminderGreeting(session);
+  if (session.afterHours) return getAfterHoursGreeting(session);
+  return getReturningCallerGreeting(session) || getTenant(session).greeting;
+}
+
 /**
  * Error handling with recovery
  */
-async function handleErrorWithRecovery(input, error) {
+async function handleErrorWithRecovery(session, input, error) {
   console.error('🚨 Error in conversation flow:', error);
   
   await notifyError(error, 'handleInput', {
     input,
-    state: stateMachine.currentState,
-    clientData: stateMachine.clientData
+    state: session.currentState,
+    clientData: session.clientData
   });
   
+  // Too many failures - get a person on the line instead
+  recordFailure(session);
+  if (getTransferReason(session, '') === 'repeated_failures') {
+    const transferResponse = requestTransfer(session, 'repeated_failures');
+    if (transferResponse) {
+      return transferResponse;
+    }
+  }
+  
   // Attempt graceful recovery
-  if (stateMachine.currentState === 'start') {
+  if (session.currentState === 'start') {
     return "I'm having a technical issue. Let me help you with your plumbing needs. What issue are you experiencing?";
-  } else if (stateMachine.appointmentBooked) {
+  } else if (session.appointmentBooked) {
     return "I experienced a brief technical issue, but your appointment is confirmed. Is there anything else I can help you with?";
   } else {
     return "I apologize for the technical issue. Let me try to help you again. What plumbing issue do you need assistance with?";
@@ -406,38 +503,39 @@ function trackConversationSuccess(successful) {
 /**
  * Handle timeout scenarios
  */
-async function handleTimeout() {
+async function handleTimeout(session) {
   console.log('⏰ Handling conversation timeout');
+  const { businessName } = getTenant(session);
   
-  if (stateMachine.appointmentBooked) {
-    return "Your appointment is confirmed. You'll receive an email confirmation shortly. Thank you for choosing Assure Fix Plumbing!";
-  } else if (Object.keys(stateMachine.clientData).length > 0) {
+  if (session.appointmentBooked) {
+    return `Your appointment is confirmed. You'll receive an email confirmation shortly. Thank you for choosing ${businessName}!`;
+  } else if (Object.keys(session.clientData).length > 0) {
     return "I notice we were in the middle of scheduling your appointment. Someone will call you back within the hour to complete your booking. Thank you for your patience.";
   } else {
-    return "Thank you for calling Assure Fix Plumbing. Please call back anytime for your plumbing needs!";
+    return `Thank you for calling ${businessName}. Please call back anytime for your plumbing needs!`;
   }
 }
 
 /**
  * Collect time preference from customer - ENHANCED TO PREVENT LOOPS
  */
-async function collectTimePreference(input) {
+async function collectTimePreference(session, input) {
   console.log('⏰ Collecting time preference:', input);
   
   // Store the time preference
-  if (!stateMachine.customerData) stateMachine.customerData = {};
-  stateMachine.customerData.timePreference = input;
+  if (!session.customerData) session.customerData = {};
+  session.customerData.timePreference = input;
   
-  console.log('⏰ Time preference recorded:', stateMachine.customerData.timePreference);
+  console.log('⏰ Time preference recorded:', session.customerData.timePreference);
   
   // CRITICAL FIX: Track previously offered slots to avoid repetition
-  if (!stateMachine.offeredSlots) stateMachine.offeredSlots = [];
+  if (!session.offeredSlots) session.offeredSlots = [];
   
   // Find available slots based on customer preference
   const { findAvailableSlots } = require('./modules/timePreferenceHandler');
   
   try {
-    const result = await findAvailableSlots(input, stateMachine.customerData);
+    const result = await findAvailableSlots(input, session.customerData);
     
     // Check if we need clarification first
     if (result.needsClarification) {
@@ -446,6 +544,7 @@ async function collectTimePreference(input) {
     }
     
     const availableSlots = result.slots || result; // Handle both new and old format
+    session.slotOptions = availableSlots || [];
     
     // CRITICAL FIX: Handle specific time requests with clear availability communication
     if (result.requestedSpecificTime && availableSlots && availableSlots.length > 0) {
@@ -459,8 +558,8 @@ async function collectTimePreference(input) {
       if (exactTimeSlot) {
         console.log(`✅ Exact requested time ${result.requestedSpecificTime.hour}:${result.requestedSpecificTime.minute.toString().padStart(2, '0')} is available`);
         // Proceed with exact time
-        stateMachine.recommendedSlot = exactTimeSlot;
-        transitionTo('confirm_time_slot');
+        session.recommendedSlot = exactTimeSlot;
+        transitionTo(session, 'confirm_time_slot');
         
         const exactTime = new Date(exactTimeSlot.start).toLocaleString('en-AU', {
           weekday: 'long',
@@ -502,9 +601,9 @@ async function collectTimePreference(input) {
       
       for (const slot of availableSlots) {
         const slotKey = `${slot.start}_${slot.end}`;
-        if (!stateMachine.offeredSlots.includes(slotKey)) {
+        if (!session.offeredSlots.includes(slotKey)) {
           recommendedSlot = slot;
-          stateMachine.offeredSlots.push(slotKey);
+          session.offeredSlots.push(slotKey);
           break;
         }
       }
@@ -512,15 +611,15 @@ async function collectTimePreference(input) {
       // If all slots have been offered, reset and offer the first one
       if (!recommendedSlot && availableSlots.length > 0) {
         console.log('🔄 All slots previously offered, resetting and offering alternatives');
-        stateMachine.offeredSlots = [];
+        session.offeredSlots = [];
         recommendedSlot = availableSlots[0];
-        stateMachine.offeredSlots.push(`${recommendedSlot.start}_${recommendedSlot.end}`);
+        session.offeredSlots.push(`${recommendedSlot.start}_${recommendedSlot.end}`);
       }
       
       if (recommendedSlot) {
         // Store the recommended slot for confirmation
-        stateMachine.recommendedSlot = recommendedSlot;
-        transitionTo('confirm_time_slot');
+        session.recommendedSlot = recommendedSlot;
+        transitionTo(session, 'confirm_time_slot');
         
         const appointmentTime = new Date(recommendedSlot.start).toLocaleString('en-AU', {
           weekday: 'long',
@@ -534,9 +633,9 @@ async function collectTimePreference(input) {
         });
         
         // CRITICAL FIX: Enhanced response variations with multiple options for same day requests
-        if (stateMachine.offeredSlots.length === 1) {
+        if (session.offeredSlots.length === 1) {
           return `Perfect! Based on your preference, the earliest available time is ${appointmentTime}. Does that work for you, or would you prefer a different time?`;
-        } else if (stateMachine.offeredSlots.length === 2) {
+        } else if (session.offeredSlots.length === 2) {
           return `How about ${appointmentTime}? Would this time be better for you?`;
         } else if (input && input.toLowerCase().includes('more option') && input.toLowerCase().includes('today')) {
           // Special handling for "more options for today" requests
@@ -586,21 +685,21 @@ async function collectTimePreference(input) {
             hour12: true
           });
           
-          transitionTo('confirm_time_slot');
-          stateMachine.proposedSlot = earliestTomorrow;
+          transitionTo(session, 'confirm_time_slot');
+          session.proposedSlot = earliestTomorrow;
           return `Unfortunately, we're fully booked today ${preference.timeOfDay || ''}. However, I have ${tomorrowTime} available tomorrow. Would this work for you?`;
         }
       }
       
       // If no alternatives, go to manual scheduling
-      transitionTo('manual_scheduling');
+      transitionTo(session, 'manual_scheduling');
       return "I understand you need an appointment urgently. Let me check our emergency availability or connect you with our scheduler who can find you the earliest possible appointment. What's your preferred time range?";
     }
     
   } catch (error) {
     console.error('Error finding available slots:', error);
     // Fallback to manual scheduling
-    transitionTo('manual_scheduling');
+    transitionTo(session, 'manual_scheduling');
     return "Let me check our schedule manually. What specific day and time would work best for you, and I'll see what we have available?";
   }
 }
@@ -608,7 +707,7 @@ async function collectTimePreference(input) {
 /**
  * Confirm time slot with customer
  */
-async function confirmTimeSlot(input) {
+async function confirmTimeSlot(session, input) {
   console.log('✅ Confirming time slot:', input);
   
   const confirmationWords = ['yes', 'yeah', 'okay', 'ok', 'sure', 'perfect', 'good', 'fine', 'works', 'confirm', 'alright', 'great', 'sounds good'];
@@ -628,10 +727,10 @@ async function confirmTimeSlot(input) {
     console.log('🔍 Customer requesting more options, showing additional slots');
     
     // Get the last time preference context to show more options for same preference
-    const lastPreference = stateMachine.timePreference || 'I would prefer a different time';
+    const lastPreference = session.timePreference || 'I would prefer a different time';
     
-    transitionTo('collect_time_preference');
-    return await collectTimePreference(lastPreference + ' - show me more options');
+    transitionTo(session, 'collect_time_preference');
+    return await collectTimePreference(session, lastPreference + ' - show me more options');
   }
   
   // CRITICAL FIX: Check if customer is giving a new time preference instead of confirming/rejecting
@@ -647,8 +746,8 @@ async function confirmTimeSlot(input) {
   // If they're giving a new preference, treat it as such rather than rejection
   if (isGivingNewPreference && !confirmationWords.some(word => inputLower.includes(word))) {
     console.log('🔄 Customer provided new time preference, redirecting to time collection');
-    transitionTo('collect_time_preference');
-    return await collectTimePreference(input);
+    transitionTo(session, 'collect_time_preference');
+    return await collectTimePreference(session, input);
   }
   
   // CRITICAL FIX: Better confirmation detection
@@ -667,11 +766,11 @@ async function confirmTimeSlot(input) {
     console.log('✅ Customer CONFIRMED the time slot');
     // Customer confirmed the time, proceed to booking
     const { proceedToBookingWithSlot } = require('./modules/enhancedBookingFlow');
-    return await proceedToBookingWithSlot(stateMachine.recommendedSlot);
+    return await proceedToBookingWithSlot(session, session.recommendedSlot);
   } else if (isRejecting) {
     console.log('❌ Customer REJECTED the time slot');
     // Customer explicitly rejected, offer alternatives
-    transitionTo('collect_time_preference');
+    transitionTo(session, 'collect_time_preference');
     
     // Provide specific options to avoid looping
     return "I understand that time doesn't work for you. Let me offer some alternatives:\n" +
@@ -688,12 +787,12 @@ async function confirmTimeSlot(input) {
 /**
  * Collect special instructions from customer - CONVERSATIONAL VERSION WITH ADDRESS COMPLETION CHECK
  */
-async function collectSpecialInstructions(input) {
+async function collectSpecialInstructions(session, input) {
   console.log('📝 Collecting special instructions:', input);
   
   // CRITICAL FIX: Only check for address completion if input actually looks like address completion
   // Don't treat special instructions like access codes as address completion
-  const currentData = stateMachine.customerData || {};
+  const currentData = session.customerData || {};
   
   // Check if this is actually special instructions (access codes, gate info, etc.)
   const specialInstructionPatterns = [
@@ -727,15 +826,15 @@ async function collectSpecialInstructions(input) {
         
         // Complete the address
         const { extractDataFromInput } = require('./modules/conversationalAI');
-        const extractedData = extractDataFromInput(input, currentData);
+        const extractedData = extractDataFromInput(session, input, currentData);
         
         if (extractedData.address) {
           const { updateCustomerData } = require('./modules/stateMachine');
-          updateCustomerData(extractedData);
+          updateCustomerData(session, extractedData);
           console.log('🏠 Address completed:', extractedData.address);
           
           // Continue with actual special instructions
-          transitionTo('collect_special_instructions');
+          transitionTo(session, 'collect_special_instructions');
           return "Got it! Do you have any special instructions for our plumber, such as gate access codes or specific areas to focus on?";
         }
       }
@@ -743,32 +842,32 @@ async function collectSpecialInstructions(input) {
   }
   
   // Check if we already have special instructions and are now collecting time preference
-  if (stateMachine.customerData?.specialInstructions && 
-      stateMachine.customerData.specialInstructions !== 'Standard plumbing service - no special requirements') {
+  if (session.customerData?.specialInstructions && 
+      session.customerData.specialInstructions !== 'Standard plumbing service - no special requirements') {
     console.log('📝 Special instructions already collected, treating input as time preference');
-    return await collectTimePreference(input);
+    return await collectTimePreference(session, input);
   }
   
   // Store the instructions with conversational acknowledgment
-  if (!stateMachine.customerData) stateMachine.customerData = {};
+  if (!session.customerData) session.customerData = {};
   
   let response = '';
   
   if (input.toLowerCase().includes('no') || input.toLowerCase().includes('nothing') || input.toLowerCase().includes('none')) {
-    stateMachine.customerData.specialInstructions = 'Standard plumbing service - no special requirements';
+    session.customerData.specialInstructions = 'Standard plumbing service - no special requirements';
     response = 'Perfect! ';
   } else {
-    stateMachine.customerData.specialInstructions = input;
+    session.customerData.specialInstructions = input;
     response = 'Thanks for those details! ';
   }
   
-  console.log('📝 Special instructions recorded:', stateMachine.customerData.specialInstructions);
+  console.log('📝 Special instructions recorded:', session.customerData.specialInstructions);
   
   // Conversational transition to time preference
-  const transitionSuccess = transitionTo('collect_time_preference');
+  const transitionSuccess = transitionTo(session, 'collect_time_preference');
   if (!transitionSuccess) {
     console.error('❌ Failed to transition to collect_time_preference, forcing state change');
-    stateMachine.currentState = 'collect_time_preference';
+    session.currentState = 'collect_time_preference';
   }
   
   response += "Now, what time would work best for you? We have availability today, tomorrow, or later this week. Would you prefer a morning or afternoon appointment?";
@@ -778,14 +877,14 @@ async function collectSpecialInstructions(input) {
 /**
  * Confirm appointment slot with customer
  */
-async function confirmSlot(input) {
+async function confirmSlot(session, input) {
   console.log('✅ Confirming appointment slot:', input);
   
   if (input.toLowerCase().includes('yes') || input.toLowerCase().includes('confirm')) {
-    transitionTo('collect_special_instructions');
+    transitionTo(session, 'collect_special_instructions');
     return "Excellent! Your appointment is confirmed. Do you have any special instructions for our plumber, such as gate access codes or specific areas to focus on?";
   } else {
-    transitionTo('book_appointment');
+    transitionTo(session, 'book_appointment');
     return "No problem, let me find another time that works better for you. What day and time would you prefer?";
   }
 }
@@ -825,7 +924,7 @@ async function sendConfirmationEmail(clientData, appointmentData, appointmentId)
 /**
  * CRITICAL FIX: Handle manual scheduling state
  */
-async function handleManualScheduling(input) {
+async function handleManualScheduling(session, input) {
   console.log('✅ Handling manual scheduling:', input);
   
   const lowerInput = input.toLowerCase();
@@ -836,7 +935,7 @@ async function handleManualScheduling(input) {
     
     // Customer confirmed the appointment details
     const { createFinalBooking } = require('./modules/enhancedBookingFlow');
-    const customerData = stateMachine.customerData || {};
+    const customerData = session.customerData || {};
     
     try {
       // Create the appointment with the manually scheduled time
@@ -847,7 +946,7 @@ async function handleManualScheduling(input) {
       });
       
       if (bookingResult.success) {
-        transitionTo('booking_complete');
+        transitionTo(session, 'booking_complete');
         return `Perfect! Your appointment is confirmed for today at 2:00 PM. Our technician will be there to help with your ${customerData.issueType || 'plumbing issue'}. You'll receive a confirmation email shortly.`;
       } else {
         return "I'm having trouble finalizing your booking. Let me transfer you to our booking team who can complete this for you right away.";
@@ -863,34 +962,38 @@ async function handleManualScheduling(input) {
       lowerInput.includes('afternoon') || lowerInput.includes('evening') || /\d+\s*(am|pm|:\d+)/.test(lowerInput)) {
     
     // Customer provided new time preference
-    transitionTo('collect_time_preference');
-    return collectTimePreference(input);
+    transitionTo(session, 'collect_time_preference');
+    return collectTimePreference(session, input);
   }
   
   // General response for manual scheduling
   const { getResponse } = require('./modules/conversationHandlers');
-  return await getResponse(`Manual scheduling request: ${input}. Customer data: ${JSON.stringify(stateMachine.customerData || {})}`);
+  return await getResponse(`Manual scheduling request: ${input}. Customer data: ${JSON.stringify(session.customerData || {})}`);
 }
 
 // Export main functions and utilities
 module.exports = { 
   handleInput,
+  getGreeting,
   handleTimeout,
   verifyEmailConfirmation,
   sendConfirmationEmail,
   terminateCall,
   setCallerPhoneNumber,
   
-  // State management
-  getStateMachine: () => stateMachine,
-  resetStateMachine,
+  // Session management
+  createSession,
+  getSession,
+  getOrCreateSession,
+  attachStreamSid,
+  endSession,
+  resetSession,
   
   // Analytics
   getBotAnalytics: () => ({ ...botAnalytics }),
   getConversationInsights: () => ({ ...conversationInsights }),
   
   // Legacy compatibility functions
-  stateMachine, // For backward compatibility
   calculateTravelTime: require('./modules/travelOptimization').calculateTravelTime,
   calculateEmailTravelTime: require('./modules/travelOptimization').estimateBrisbaneTravelTime,
   generatePhoneBasedReference: require('./modules/enhancedBookingFlow').generateAppointmentReference,
@@ -1,4 +1,6 @@
 const axios = require('axios');
+// Each brand has its own CRM location - see modules/tenants.js
+const { getActiveTenant } = require('./modules/tenants');
 
 // Token management
 let currentAccessToken = process.env.GHL_ACCESS_TOKEN;
@@ -75,8 +77,8 @@ async function createOrUpdateContact(contactData) {
     const response = await axios({
       method: contactData.id ? 'PUT' : 'POST',
       url: contactData.id
-        ? `https://rest.gohighlevel.com/v1/contacts/${contactData.id}?locationId=${process.env.GHL_LOCATION_ID}`
-        : `https://rest.gohighlevel.com/v1/contacts?locationId=${process.env.GHL_LOCATION_ID}`,
+        ? `https://rest.gohighlevel.com/v1/contacts/${contactData.id}?locationId=${getActiveTenant().crmLocationId}`
+        : `https://rest.gohighlevel.com/v1/contacts?locationId=${getActiveTenant().crmLocationId}`,
       data: contactData,
       headers: {
         Authorization: `Bearer ${token}`,
@@ -105,8 +107,8 @@ async function createOrUpdateContact(contactData) {
         const retryResponse = await axios({
           method: contactData.id ? 'PUT' : 'POST',
           url: contactData.id
-            ? `https://rest.gohighlevel.com/v1/contacts/${contactData.id}?locationId=${process.env.GHL_LOCATION_ID}`
-            : `https://rest.gohighlevel.com/v1/contacts?locationId=${process.env.GHL_LOCATION_ID}`,
+            ? `https://rest.gohighlevel.com/v1/contacts/${contactData.id}?locationId=${getActiveTenant().crmLocationId}`
+            : `https://rest.gohighlevel.com/v1/contacts?locationId=${getActiveTenant().crmLocationId}`,
           data: contactData,
           headers: {
             Authorization: `Bearer ${newToken}`,
@@ -135,10 +137,34 @@ async function createOrUpdateContact(contactData) {
   }
 }
 
+/**
+ * Find a contact by phone number in the active tenant's location - resolves the contact, or null if there isn't one.
+ * Pass a timeout (ms) when a caller is waiting on the answer.
+ */
+async function findContactByPhone(phone, { timeout } = {}) {
+  try {
+    const token = await getValidGhlToken();
+    const response = await axios.get(
+      `https://rest.gohighlevel.com/v1/contacts/lookup?phone=${encodeURIComponent(phone)}&locationId=${getActiveTenant().crmLocationId}`,
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+        timeout,
+      }
+    );
+    return response.data.contacts?.[0] || null;
+  } catch (error) {
+    // GHL answers a lookup with no match as a 404/422 rather than an empty list
+    if ([404, 422].includes(error.response?.status)) return null;
+    throw error;
+  }
+}
+
 async function checkAppointmentAvailability(start, end) {
   try {
     const response = await axios.get(
-      `https://rest.gohighlevel.com/v1/appointments?locationId=${process.env.GHL_LOCATION_ID}&start=${start.toISOString()}&end=${end.toISOString()}`,
+      `https://rest.gohighlevel.com/v1/appointments?locationId=${getActiveTenant().crmLocationId}&start=${start.toISOString()}&end=${end.toISOString()}`,
       {
         headers: {
           Authorization: `Bearer ${process.env.GHL_API_KEY}`,
@@ -159,7 +185,7 @@ async function bookAppointment(contactId, slot) {
       startTime: slot.start.toISOString(),
       endTime: slot.end.toISOString(),
       title: 'Plumbing Appointment',
-      locationId: process.env.GHL_LOCATION_ID,
+      locationId: getActiveTenant().crmLocationId,
     };
     const response = await axios.post(
       `https://rest.gohighlevel.com/v1/appointments`,
@@ -180,6 +206,7 @@ async function bookAppointment(contactId, slot) {
 
 module.exports = { 
   createOrUpdateContact, 
+  findContactByPhone,
   checkAppointmentAvailability, 
   bookAppointment,
   refreshGhlToken,
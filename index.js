@@ -3,9 +3,40 @@ require('dotenv').config();
 const express = require('express');
 const { VoiceResponse } = require('twilio').twiml;
 const WebSocket = require('ws');
-const { createClient, LiveTranscriptionEvents, LiveTTSEvents } = require('@deepgram/sdk');
-const { handleInput, stateMachine, terminateCall, setCallerPhoneNumber, resetStateMachine } = require('./flow');
+const {
+  handleInput,
+  getGreeting,
+  terminateCall,
+  setCallerPhoneNumber,
+  getOrCreateSession,
+  attachStreamSid,
+  endSession
+} = require('./flow');
 const { sendBookingConfirmationEmail } = require('./professional-email-service');
+const { shouldBargeIn } = require('./modules/bargeIn');
+const { executeTransfer, buildWhisperTwiml, buildDialStatusTwiml, handleTransferMessage } = require('./modules/transfer');
+const { handleVoice, handleSpeech, handleCallStatus, endGatherCall } = require('./twilio');
+const { getTransportForNumber, switchToGather } = require('./modules/voiceTransport');
+const { createSttStream } = require('./modules/speechToText');
+const { synthesize, synthesizeBuffer, toFrames, getTtsMetrics, warmPhraseCache } = require('./modules/textToSpeech');
+const { loadPhraseManifest, getPhraseCacheStats } = require('./modules/phraseCache');
+const { issueQuestions } = require('./modules/issueClassification');
+const { validateTwilioWebhook, createStreamToken, verifyStreamToken } = require('./modules/twilioAuth');
+const { isShuttingDown, trackPendingWork, buildShutdownTwiml, installShutdownHandlers } = require('./modules/shutdown');
+const { startReminderScheduler, stopReminderScheduler, getActiveReminder, isAnsweringMachine, leaveReminderVoicemail, handleReminderCallStatus } = require('./modules/reminderCalls');
+const { isAfterHours, getAfterHoursMode, buildAfterHoursTwiml, buildAfterHoursRouteTwiml, handleVoicemailRecorded, handleVoicemailTranscription } = require('./modules/afterHours');
+const { INTER_DIGIT_TIMEOUT_MS, handleKeypress, flushKeypadBuffer } = require('./modules/keypadInput');
+const { startCallRecord, recordCallerUtterance, recordBotReply, finalizeCallRecord, getCallRecord, listCallRecords, flushCallRecords } = require('./modules/callRecords');
+const { createPlaybackTracker, estimatePlaybackMs, sendMark, handleMarkEvent, settleAllMarks, waitForIdle } = require('./modules/playbackTracker');
+const { createReplyStream } = require('./modules/replyStreaming');
+const { FILLER_PHRASES, startFiller } = require('./modules/fillerAudio');
+const { getNoInputTimeoutMs, handleNoInput, resetNoInput } = require('./modules/silencePolicy');
+const { handleIncomingSms } = require('./modules/smsChannel');
+const { isChatUpgrade, handleChatUpgrade } = require('./modules/webChat');
+const { resolveTenant, getTenant, getTenantById, getDefaultTenant, listTenants, runAsTenant } = require('./modules/tenants');
+const { startCallerLookup } = require('./modules/callerLookup');
+const { TECHNICIAN_STATUSES, updateTechnicianStatus } = require('./modules/bookingStatus');
+const { extractReferenceDigits } = require('./modules/appointmentLookup');
 const { OpenAI } = require('openai');
 const path = require('path');
 const { OAuth2Client } = require('google-auth-library');
@@ -32,18 +63,30 @@ oauth2Client.setCredentials({
   refresh_token: process.env.GOOGLE_REFRESH_TOKEN
 });
 
+// Media streams must present their token within this long of connecting
+const STREAM_AUTH_TIMEOUT_MS = 10000;
+// Calls move to the Gather transport if Deepgram hasn't connected by then
+const STT_OPEN_TIMEOUT_MS = 5000;
+
 // Express setup
 const app = express();
 const server = require('http').createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ noServer: true });
+// /chat is the website widget (see modules/webChat.js) - every other upgrade is a Twilio media stream
+server.on('upgrade', (req, socket, head) => {
+  if (isChatUpgrade(req)) {
+    return handleChatUpgrade(req, socket, head);
+  }
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    wss.emit('connection', ws, req);
+  });
+});
 app.enable('trust proxy');
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(express.urlencoded({ extended: true }));
 // Parse JSON bodies for test and diagnostics endpoints
 app.use(express.json());
 
-// Deepgram client
-const deepgram = createClient(process.env.DEEPGRAM_API_KEY);
 // OpenAI client (used inside flow.js)
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
@@ -51,29 +94,167 @@ const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 // —————————
 // 1) Twilio /voice endpoint → start media stream
 // —————————
-app.post('/voice', (req, res) => {
-  const twiml = new VoiceResponse();
-  
+app.post('/voice', validateTwilioWebhook, (req, res) => {
   // Capture caller information
   const from = req.body.From;
   const to = req.body.To;
   const callSid = req.body.CallSid;
   
-  console.log('Incoming call:', { from, to, callSid });
+  // The number they dialled decides which business answers
+  const tenant = resolveTenant(to);
+  console.log('Incoming call:', { from, to, callSid, tenant: tenant.id });
+  
+  // Restarting - don't start a conversation we can't finish
+  if (isShuttingDown()) {
+    console.log('🛑 Turning away call during shutdown:', callSid);
+    return res.type('text/xml').send(buildShutdownTwiml(tenant));
+  }
   
-  // Store caller info in stateMachine for later use
+  // Each call gets its own session, looked up again by CallSid when the media stream starts
+  const session = getOrCreateSession(callSid, { tenantId: tenant.id });
   if (from) {
-    stateMachine.clientData.phone = from;
-    setCallerPhoneNumber(from);
+    setCallerPhoneNumber(session, from);
+    // Runs alongside the call connecting - the greeting uses it only if it's already back
+    startCallerLookup(session);
+  }
+  // Needed later to build absolute callback URLs when redirecting the call
+  session.baseUrl = process.env.APP_URL || `https://${req.headers.host}`;
+  startCallRecord(session, { from, to });
+  
+  // Outside business hours: plain voicemail, or Robyn takes a message over the media stream
+  if (isAfterHours(tenant)) {
+    console.log('🌙 After-hours call:', callSid);
+    if (getAfterHoursMode() === 'voicemail') {
+      return res.type('text/xml').send(buildAfterHoursTwiml(session.baseUrl, tenant));
+    }
+    session.afterHours = true;
+    session.currentState = 'after_hours';
   }
   
+  connectCall(req, res, session, to);
+});
+
+// —————————
+// Gather transport: Twilio does the speech recognition (see twilio.js, modules/voiceTransport.js)
+// —————————
+app.post('/speech', validateTwilioWebhook, handleSpeech);
+app.post('/voice/status', validateTwilioWebhook, handleCallStatus);
+
+/**
+ * Start the conversation on the transport configured for our number
+ */
+function connectCall(req, res, session, ourNumber) {
+  session.transport = getTransportForNumber(ourNumber);
+  if (session.transport === 'gather') {
+    console.log('📞 Using Gather transport for call', session.callSid);
+    return handleVoice(req, res);
+  }
+  res.type('text/xml').send(buildMediaStreamTwiml(req, session));
+}
+
+/**
+ * TwiML that connects a call to the /media WebSocket for the given session
+ */
+function buildMediaStreamTwiml(req, session) {
+  const twiml = new VoiceResponse();
   const connect = twiml.connect();
-  connect.stream({
+  const stream = connect.stream({
     url: `wss://${req.headers.host}/media`,
     name: 'voiceStream',
   });
+  stream.parameter({ name: 'callSid', value: session.callSid });
+  // Twilio drops query strings from stream URLs, so the token travels as a custom parameter
+  stream.parameter({ name: 'token', value: createStreamToken(session.callSid) });
   twiml.pause({ length: 1 });
-  res.type('text/xml').send(twiml.toString());
+  return twiml.toString();
+}
+
+// —————————
+// Inbound texts run the same booking flow (see modules/smsChannel.js)
+// —————————
+app.post('/sms', validateTwilioWebhook, handleIncomingSms);
+
+// —————————
+// Outbound reminder calls (see modules/reminderCalls.js)
+// —————————
+app.post('/reminder/voice', validateTwilioWebhook, async (req, res) => {
+  const { CallSid, To, From, AnsweredBy } = req.body;
+  const reminder = getActiveReminder(CallSid);
+
+  if (!reminder) {
+    console.warn('⚠️ Reminder webhook for unknown call:', CallSid);
+    const twiml = new VoiceResponse();
+    twiml.hangup();
+    return res.type('text/xml').send(twiml.toString());
+  }
+
+  if (isAnsweringMachine(AnsweredBy)) {
+    console.log('📼 Reminder call reached voicemail:', CallSid);
+    return res.type('text/xml').send(await leaveReminderVoicemail(CallSid));
+  }
+
+  console.log('📆 Reminder call answered:', CallSid);
+  // Outbound: the business is the caller, so its number is From
+  const session = getOrCreateSession(CallSid, { tenantId: reminder.tenantId || resolveTenant(From).id });
+  setCallerPhoneNumber(session, To);
+  session.baseUrl = process.env.APP_URL || `https://${req.headers.host}`;
+  session.reminder = reminder;
+  session.currentState = 'reminder';
+  if (reminder.name) {
+    session.customerData.name = reminder.name;
+  }
+  // Outbound: the customer is the called party
+  startCallRecord(session, { from: To, to: From });
+
+  connectCall(req, res, session, From);
+});
+
+app.post('/reminder/status', validateTwilioWebhook, async (req, res) => {
+  try {
+    await handleReminderCallStatus(req.body);
+    // Outbound calls report here rather than /voice/status, so a reminder on the Gather transport ends here too
+    await endGatherCall(req.body);
+  } catch (err) {
+    console.error('Reminder status error:', err.message);
+  }
+  res.sendStatus(204);
+});
+
+// —————————
+// After-hours voicemail callbacks (AFTER_HOURS_MODE=voicemail)
+// —————————
+app.post('/after-hours/route', validateTwilioWebhook, (req, res) => {
+  const baseUrl = process.env.APP_URL || `https://${req.headers.host}`;
+  res.type('text/xml').send(buildAfterHoursRouteTwiml(req.body, baseUrl));
+});
+
+app.post('/after-hours/recorded', validateTwilioWebhook, async (req, res) => {
+  res.type('text/xml').send(await handleVoicemailRecorded(req.body));
+});
+
+app.post('/after-hours/transcription', validateTwilioWebhook, async (req, res) => {
+  try {
+    await handleVoicemailTranscription(req.body);
+  } catch (err) {
+    console.error('Voicemail transcription error:', err.message);
+  }
+  res.sendStatus(204);
+});
+
+// —————————
+// Warm transfer callbacks (see modules/transfer.js)
+// —————————
+app.post('/transfer/whisper', validateTwilioWebhook, (req, res) => {
+  res.type('text/xml').send(buildWhisperTwiml(req.query.callSid));
+});
+
+app.post('/transfer/status', validateTwilioWebhook, (req, res) => {
+  const baseUrl = process.env.APP_URL || `https://${req.headers.host}`;
+  res.type('text/xml').send(buildDialStatusTwiml(req.body.CallSid, req.body.DialCallStatus, baseUrl));
+});
+
+app.post('/transfer/message', validateTwilioWebhook, async (req, res) => {
+  res.type('text/xml').send(await handleTransferMessage(req.body.CallSid, req.body.RecordingUrl));
 });
 
 // —————————
@@ -82,6 +263,7 @@ app.post('/voice', (req, res) => {
 wss.on('connection', (ws) => {
   console.log('New WebSocket connection');
   let streamSid;
+  let session = null; // Per-call session, bound when Twilio sends the 'start' event
   let speechBuffer = '';
   let speechTimeout;
   let isSpeaking = false;
@@ -90,48 +272,297 @@ wss.on('connection', (ws) => {
   let ttsInFlight = false; // <— throttle flag
   let lastInterimTime = 0; // Throttle interim results
   let lastFinalText = '';
-  let silenceTimer = null; // NEW: For detecting end of customer speech
+  let noInputTimer = null; // Runs while Robyn waits for the caller - see silencePolicy.js
   let customerSpeaking = false; // NEW: Track customer speaking state
   let lastAudioTime = 0; // NEW: Track last audio received
+  let currentTurn = 0; // Incremented per processed utterance so stale callbacks don't clear newer turns
+  let turnQueue = Promise.resolve(); // Chain so the flow handles one turn at a time - see queueTurn
+  let keypadTimer = null; // Submits keyed digits if the caller doesn't finish with #
+  const playbackTracker = createPlaybackTracker(); // Pending Twilio marks for audio still playing
+  ws.playbackTracker = playbackTracker;
+  let authenticated = false; // Set once the 'start' event carries a valid stream token
+  let pendingFallbackReason = null; // STT failed before the call's session was known
+  
+  // Sockets that never present a valid token don't get to hang around
+  const authTimer = setTimeout(() => {
+    if (!authenticated) {
+      console.warn('🚫 Media stream did not authenticate in time - closing');
+      ws.close(1008, 'Unauthorized');
+    }
+  }, STREAM_AUTH_TIMEOUT_MS);
 
-  // Reset stateMachine using the new modular reset function
-  resetStateMachine();
-
-  // —— Deepgram streaming STT (ULTRA-OPTIMIZED FOR SPEED) ——
-  const dgStt = deepgram.listen.live({
-    model: 'nova-2-conversationalai', // Faster, lighter model
-    language: 'en-AU',
-    smart_format: true,
-    filler_words: false,
-    interim_results: true,
-    utterances: false,
-    endpointing: 3000, // Much faster response - 300ms instead of 2000ms
-    encoding: 'mulaw',
-    sample_rate: 8000,
-    vad_events: true,
-    punctuate: true,
-    profanity_filter: false,
-    redact: false,
-    diarize: false,
-    multichannel: false,
-    // Reduced features for speed
-    numerals: true,
-  });
+  // A barged-in turn's handleInput can still be finishing when the next turn starts, so each turn
+  // waits for the one before it rather than both working on the session at once
+  function queueTurn(run) {
+    const next = turnQueue.then(run);
+    turnQueue = next.catch(() => {});
+    return next;
+  }
+
+  // —— Run one caller turn (speech or keypad) through the flow and speak the reply ——
+  async function respondTo(input, options = {}) {
+    // LATENCY FIX: Skip processing if TTS is in flight or bot is speaking
+    if (ttsInFlight || botIsSpeaking) {
+      console.warn('TTS busy or bot speaking—dropping:', input);
+      return;
+    }
+
+    // Start processing immediately (no need to wait for silence timer)
+    const turn = ++currentTurn;
+    ttsInFlight = true;
+    botIsSpeaking = true; // Mark bot as about to speak
+    clearNoInputTimer();
+    resetNoInput(session);
+
+    // Only the latest turn may clear the speaking flags - a barged-in turn finishes after the next one starts
+    const finishTurn = () => {
+      if (turn === currentTurn) {
+        ttsInFlight = false;
+        botIsSpeaking = false;
+        armNoInputTimer();
+      }
+    };
+
+    // Calendar lookups and scheduling can take seconds - fill the gap if nothing is ready to say
+    const filler = startFiller(session, {
+      play: (text) => speakAndStream(ws, streamSid, text, { cacheable: true }),
+      sendFrame: (frame) => sendMediaFrame(ws, streamSid, frame),
+    });
+    ws.activeFiller = filler;
+
+    // LLM replies start playing sentence by sentence while the rest is still generating
+    const replyStream = createReplyStream({
+      prepare: (text) => synthesize(text, { voice: ws.voice }),
+      // The reply waits for a filler that's already playing rather than talking over it
+      play: (prepared, text) => filler.stop().then(() => playPreparedAudio(ws, streamSid, prepared, text)),
+    });
+    ws.activeReply = replyStream;
+
+    // Speak whatever of the reply didn't stream, once the streamed part has played
+    const speakReply = (text, onComplete) => {
+      const unspoken = replyStream.close(text);
+      return filler.stop().then(() => replyStream.done()).then(() => {
+        if (ws.activeReply === replyStream) {
+          ws.activeReply = null;
+        }
+        if (unspoken) {
+          return sendTTS(ws, streamSid, unspoken, onComplete);
+        }
+        if (onComplete) onComplete();
+      });
+    };
+
+    // LATENCY OPTIMIZATION: Process in parallel with minimal awaits
+    try {
+      // Tracked so a shutdown waits for bookings, emails and CRM writes made during the turn
+      const reply = await queueTurn(() => {
+        session.replyStream = replyStream;
+        return trackPendingWork(handleInput(session, input, 1.0, options));
+      }).finally(() => {
+        if (session.replyStream === replyStream) {
+          session.replyStream = null;
+        }
+      });
+
+      console.log('Reply:', reply);
+      recordBotReply(session, reply);
+
+      // Hand the call to a person once the handover line has played
+      if (session.pendingTransfer) {
+        trackPendingWork(speakReply(reply, finishTurn)
+          .catch((error) => {
+            console.error('TTS error before transfer:', error.message);
+          })
+          .then(() => executeTransfer(session))
+          .then((fallbackReply) => {
+            if (fallbackReply) {
+              recordBotReply(session, fallbackReply);
+              return sendTTS(ws, streamSid, fallbackReply);
+            }
+          })
+          .finally(() => {
+            finishTurn();
+          }));
+      }
+      // Check if call should be terminated after response
+      else if (session.pendingTermination && session.pendingTermination.shouldClose) {
+        console.log('📞 Call termination requested after response');
+
+        // Send final TTS and then terminate - sendTTS resolves once Twilio confirms the goodbye played
+        speakReply(reply, finishTurn)
+          .catch((error) => {
+            console.error('Final TTS error before termination:', error.message);
+          })
+          .finally(() => {
+            finishTurn(); // Bot finished speaking
+            console.log('📞 Closing call after final message');
+            if (ws.readyState === WebSocket.OPEN) {
+              ws.close(1000, 'Call completed successfully');
+            }
+          });
+      } else {
+        // Normal TTS processing
+        speakReply(reply, finishTurn)
+          .catch((error) => {
+            console.error('Final TTS error (unexpected):', error.message);
+          })
+          .finally(() => {
+            finishTurn(); // Ready for next response
+            if (options.source !== 'dtmf') {
+              lastFinalText = input;
+            }
+          });
+      }
+    } catch (error) {
+      console.error('Processing error:', error);
+      filler.stop();
+      replyStream.cancel();
+      if (ws.activeReply === replyStream) {
+        ws.activeReply = null;
+      }
+      finishTurn(); // Reset bot speaking state on error
+    }
+  }
+
+  // —— Silence policy: the countdown runs whenever Robyn has finished speaking and is waiting ——
+  function armNoInputTimer() {
+    clearNoInputTimer();
+    if (!session || session.pendingTermination || session.transferInProgress || session.transport === 'gather' || ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    noInputTimer = setTimeout(onNoInput, getNoInputTimeoutMs(session.currentState));
+  }
+
+  function clearNoInputTimer() {
+    clearTimeout(noInputTimer);
+    noInputTimer = null;
+  }
+
+  async function onNoInput() {
+    noInputTimer = null;
+    if (botIsSpeaking || ttsInFlight || session.pendingTermination) return;
+
+    const turn = ++currentTurn;
+    ttsInFlight = true;
+    botIsSpeaking = true;
+
+    const { text, hangup } = await handleNoInput(session);
+    recordBotReply(session, text);
+    sendTTS(ws, streamSid, text)
+      .catch((error) => {
+        console.error('No-input prompt TTS error:', error.message);
+      })
+      .finally(() => {
+        if (hangup) {
+          console.log('📞 Ending call after repeated silence');
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.close(1000, 'No input from caller');
+          }
+        } else if (turn === currentTurn) {
+          ttsInFlight = false;
+          botIsSpeaking = false;
+          armNoInputTimer();
+        }
+      });
+  }
+
+  // —— Keypad input: a keypress is deliberate, so it interrupts playback like a barge-in ——
+  function submitKeypadEntry(entry) {
+    const input = entry.operator ? '0' : entry.input;
+    console.log('🔢 Keypad entry:', entry.operator ? 'operator' : input);
+    recordCallerUtterance(session, input, null, 'dtmf');
+
+    if (botIsSpeaking && ws.activePlayback) {
+      cancelPlayback(ws, streamSid);
+      currentTurn++;
+      botIsSpeaking = false;
+      ttsInFlight = false;
+    }
+    respondTo(input, { source: 'dtmf', operator: !!entry.operator });
+  }
+
+  function onKeypress(digit) {
+    if (!session || !digit) return;
+
+    clearTimeout(keypadTimer);
+    armNoInputTimer(); // the caller is busy keying - restart the countdown
+    const entry = handleKeypress(session, digit);
+    if (entry) {
+      submitKeypadEntry(entry);
+      return;
+    }
 
-  dgStt.on(LiveTranscriptionEvents.Open, () => {
-    console.log('Deepgram STT connected');
+    keypadTimer = setTimeout(() => {
+      const digits = flushKeypadBuffer(session);
+      if (digits) {
+        submitKeypadEntry({ input: digits });
+      }
+    }, INTER_DIGIT_TIMEOUT_MS);
+  }
+
+  // —— Streaming STT (provider chosen by STT_PROVIDER, see modules/speechToText.js) ——
+  const stt = createSttStream();
+
+  // Shutdown waits for the STT provider to close each socket cleanly
+  trackPendingWork(new Promise((resolve) => {
+    stt.on('close', resolve);
+  }));
+
+  // —— STT or the socket failed: carry the call on over <Gather> with the same session ——
+  function fallBackToGather(reason) {
+    if (!session) {
+      pendingFallbackReason = pendingFallbackReason || reason;
+      return;
+    }
+    switchToGather(session, reason).then((switched) => {
+      if (switched && ws.readyState === WebSocket.OPEN) {
+        ws.close(1000, 'Moved to Gather transport');
+      }
+    });
+  }
+
+  const sttOpenTimer = setTimeout(() => {
+    if (!sttReady) {
+      console.warn(`⚠️ ${stt.provider} STT did not connect in time`);
+      fallBackToGather('stt_timeout');
+    }
+  }, STT_OPEN_TIMEOUT_MS);
+
+  stt.on('open', () => {
+    console.log(`${stt.provider} STT connected`);
     sttReady = true;
+    clearTimeout(sttOpenTimer);
   });
-  dgStt.on(LiveTranscriptionEvents.Error, (err) => {
-    console.error('Deepgram STT error', err);
+  stt.on('error', (err) => {
+    console.error(`${stt.provider} STT error`, err);
+    if (!sttReady) {
+      fallBackToGather('stt_unavailable');
+    }
   });
-  dgStt.on(LiveTranscriptionEvents.Transcript, async (data) => {
-    const alt = data.channel.alternatives[0];
+  stt.on('interim', (result) => handleTranscript(result, false));
+  stt.on('final', (result) => handleTranscript(result, true));
+
+  async function handleTranscript(alt, isFinal) {
+    if (!session) {
+      console.warn('Transcript received before stream start - ignoring');
+      return;
+    }
     
-    // BARGE-IN PROTECTION: Don't process if bot is currently speaking
+    // BARGE-IN: Let the caller talk over playback, but ignore background noise and "mm-hm"
     if (botIsSpeaking) {
-      console.log('🔇 Bot is speaking - ignoring customer input to prevent interruption');
-      return;
+      // Between streamed sentences nothing is playing for a moment, but the reply is still being spoken
+      // A holding phrase isn't worth interrupting - the real reply is still on its way
+      const canInterrupt = (ws.activePlayback || ws.activeReply?.speaking) && !ws.activeFiller?.speaking && !session.pendingTermination;
+      if (canInterrupt && shouldBargeIn(alt.transcript, session.currentState)) {
+        console.log('✋ Barge-in detected - stopping playback:', alt.transcript);
+        cancelPlayback(ws, streamSid);
+        currentTurn++;
+        botIsSpeaking = false;
+        ttsInFlight = false;
+      } else {
+        console.log('🔇 Bot is speaking - ignoring customer input to prevent interruption');
+        return;
+      }
     }
     
     // LATENCY OPTIMIZATION: Process transcripts faster
@@ -140,21 +571,13 @@ wss.on('connection', (ws) => {
       customerSpeaking = true;
       lastAudioTime = Date.now();
       
-      // Reset silence timer
-      if (silenceTimer) {
-        clearTimeout(silenceTimer);
-        silenceTimer = null;
-      }
+      // The caller is talking - restart the no-input countdown (a processed turn clears it)
+      armNoInputTimer();
       
-      if (data.is_final) {
+      if (isFinal) {
         // Customer just finished a statement - ready to process immediately
         customerSpeaking = false;
         
-        // Set silence detection timer for additional silence (not for blocking processing)
-        silenceTimer = setTimeout(() => {
-          console.log('🔇 Extended silence detected');
-        }, 1500); // 1.5 second silence indicates customer finished
-        
         // Clear any pending timeout
         if (speechTimeout) {
           clearTimeout(speechTimeout);
@@ -227,80 +650,12 @@ wss.on('connection', (ws) => {
         }
 
         console.log('STT Final:', validatedTranscript);
+        recordCallerUtterance(session, validatedTranscript, alt.confidence);
         
         // Update last final text for duplication detection
         lastFinalText = validatedTranscript;
         
-        // LATENCY FIX: Skip processing if TTS is in flight or bot is speaking
-        if (ttsInFlight || botIsSpeaking) {
-          console.warn('TTS busy or bot speaking—dropping:', finalTranscript);
-          return;
-        }
-        
-        // Start processing immediately (no need to wait for silence timer)
-        ttsInFlight = true;
-        botIsSpeaking = true; // Mark bot as about to speak
-        
-        // SAFETY: Reset botIsSpeaking flag after 15 seconds if it gets stuck
-        const speakingTimeout = setTimeout(() => {
-          if (botIsSpeaking) {
-            console.warn('⚠️  SAFETY: Resetting stuck botIsSpeaking flag after timeout');
-            botIsSpeaking = false;
-          }
-        }, 15000); // Reduced from 30 to 15 seconds
-        
-        // LATENCY OPTIMIZATION: Process in parallel with minimal awaits
-        try {
-          const reply = await handleInput(validatedTranscript);
-
-          console.log('Reply:', reply);
-
-          // Check if call should be terminated after response
-          if (stateMachine.pendingTermination && stateMachine.pendingTermination.shouldClose) {
-            console.log('📞 Call termination requested after response');
-            
-            // Send final TTS and then terminate
-            sendTTS(ws, streamSid, reply, () => { 
-              clearTimeout(speakingTimeout);
-              botIsSpeaking = false; 
-            })
-              .catch((error) => {
-                console.error('Final TTS error before termination:', error.message);
-              })
-              .finally(() => {
-                ttsInFlight = false;
-                clearTimeout(speakingTimeout);
-                botIsSpeaking = false; // Bot finished speaking
-                // Terminate call after TTS completes
-                setTimeout(() => {
-                  console.log('📞 Closing call after final message');
-                  if (ws.readyState === WebSocket.OPEN) {
-                    ws.close(1000, 'Call completed successfully');
-                  }
-                }, 3000); // 3 second delay for TTS to complete
-              });
-          } else {
-            // Normal TTS processing
-            sendTTS(ws, streamSid, reply, () => { 
-              clearTimeout(speakingTimeout);
-              botIsSpeaking = false; 
-            })
-              .catch((error) => {
-                console.error('Final TTS error (unexpected):', error.message);
-              })
-              .finally(() => {
-                ttsInFlight = false; // Ready for next response
-                clearTimeout(speakingTimeout);
-                botIsSpeaking = false; // Bot finished speaking
-                lastFinalText = validatedTranscript;
-              });
-          }
-        } catch (error) {
-          console.error('Processing error:', error);
-          ttsInFlight = false;
-          clearTimeout(speakingTimeout);
-          botIsSpeaking = false; // Reset bot speaking state on error
-        }
+        await respondTo(validatedTranscript);
       } else {
         // Handle interim transcripts (throttled for debugging)
         const now = Date.now();
@@ -311,47 +666,82 @@ wss.on('connection', (ws) => {
         speechBuffer = alt.transcript; // Update buffer with latest interim only
       }
     }
-  });
+  }
 
   // —— Twilio media frames in ——
   ws.on('message', (raw) => {
-    const msg = JSON.parse(raw);
+    let msg;
+    try {
+      msg = JSON.parse(raw);
+    } catch (error) {
+      console.warn('Ignoring malformed media stream message');
+      return;
+    }
+    
+    // Nothing but the handshake is processed until the stream has authenticated
+    if (!authenticated && msg.event !== 'connected' && msg.event !== 'start') {
+      return;
+    }
+    
     switch (msg.event) {
       case 'connected':
         console.log('Twilio stream connected');
         break;
-      case 'start':
+      case 'start': {
+        const startCallSid = msg.start?.callSid || msg.start?.customParameters?.callSid;
+        if (authenticated || !verifyStreamToken(msg.start?.customParameters?.token, startCallSid)) {
+          console.warn('🚫 Rejected media stream with invalid token for call', startCallSid);
+          ws.close(1008, 'Unauthorized');
+          return;
+        }
+        authenticated = true;
+        clearTimeout(authTimer);
+        
         streamSid = msg.streamSid;
-        console.log('Stream started:', streamSid);
-        const greeting = 'Hello, this is Robyn from Assure Fix Plumbing. How can I help you today?';
+        session = getOrCreateSession(startCallSid);
+        attachStreamSid(session, streamSid);
+        // Every line on this call is spoken in the business's own voice
+        ws.voice = getTenant(session).voice;
+        console.log('Stream started:', streamSid, 'for call', session.callSid);
+        
+        if (pendingFallbackReason) {
+          fallBackToGather(pendingFallbackReason);
+          return;
+        }
+        const greeting = getGreeting(session);
         try { 
-          stateMachine.conversationHistory.push({ role: 'assistant', content: greeting }); 
+          session.conversationHistory.push({ role: 'assistant', content: greeting }); 
+          recordBotReply(session, greeting);
         } catch (error) {
           console.warn('Failed to add greeting to conversation history:', error);
         }
         
-        // Debug: Check Deepgram speak API availability
-        console.log('Deepgram speak API check:', {
-          hasSpeak: !!deepgram.speak,
-          hasRequest: !!(deepgram.speak && deepgram.speak.request),
-          hasText: !!(deepgram.speak && deepgram.speak.text),
-          hasList: !!(deepgram.speak && deepgram.speak.list)
-        });
-        
         console.log('Sending greeting via TTS...');
-        sendTTS(ws, streamSid, greeting, () => { botIsSpeaking = false; }).catch(error => {
+        // The brand's own greeting is the same on every call; a returning caller's has their name in it
+        sendTTS(ws, streamSid, greeting, () => {
+          botIsSpeaking = false;
+          armNoInputTimer();
+        }, { cacheable: greeting === getTenant(session).greeting }).catch(error => {
           console.error('Greeting TTS unexpected error:', error.message);
         });
         break;
+      }
+      case 'dtmf':
+        onKeypress(msg.dtmf?.digit);
+        break;
+      case 'mark':
+        // Twilio echoes our marks back once the audio queued before them has played
+        handleMarkEvent(playbackTracker, msg.mark?.name);
+        break;
       case 'media':
         if (sttReady && !isSpeaking) {
           const audio = Buffer.from(msg.media.payload, 'base64');
-          dgStt.send(audio);
+          stt.send(audio);
         }
         break;
       case 'stop':
         console.log('Stream stopped');
-        dgStt.finish();
+        stt.finish();
         break;
       case 'test':
         // Handle test messages for stability testing
@@ -363,29 +753,81 @@ wss.on('connection', (ws) => {
     }
   });
 
+  ws.on('error', (error) => {
+    console.error('Media WebSocket error:', error.message);
+    fallBackToGather('media_error');
+  });
+
   ws.on('close', () => {
     console.log('WebSocket closed');
-    dgStt.finish();
+    stt.finish();
+    clearTimeout(keypadTimer);
+    clearTimeout(noInputTimer);
+    clearTimeout(authTimer);
+    clearTimeout(sttOpenTimer);
+    settleAllMarks(playbackTracker, 'closed');
+    
+    // A call moved to the Gather loop keeps its session and call record
+    if (session && session.transport === 'gather') {
+      console.log('🔀 Call continues on Gather transport:', session.callSid);
+      return;
+    }
     
     // Handle call termination cleanup
-    if (stateMachine.currentState !== 'ended') {
-      console.log('📞 Call ended unexpectedly - performing cleanup');
-      terminateCall('unexpected_disconnect');
+    if (session) {
+      // Close off the call record before any cleanup resets the session
+      const endReason = session.pendingTermination?.reason || (session.transferInProgress ? 'transferred' : 'unexpected_disconnect');
+      finalizeCallRecord(session, endReason);
+      
+      // A transferred call carries on without us, so it isn't an unexpected disconnect
+      if (session.currentState !== 'ended' && !session.transferInProgress) {
+        console.log('📞 Call ended unexpectedly - performing cleanup');
+        terminateCall(session, 'unexpected_disconnect');
+      }
+      endSession(session);
     }
   });
   
+  // Shutdown deadline reached mid-call: apologise and hang up
+  ws.endForShutdown = () => {
+    if (!session || !streamSid) {
+      ws.close(1001, 'Server shutting down');
+      return;
+    }
+    
+    session.pendingTermination = {
+      reason: 'server_shutdown',
+      timestamp: new Date().toISOString(),
+      shouldClose: true
+    };
+    if (botIsSpeaking && ws.activePlayback) {
+      cancelPlayback(ws, streamSid);
+    }
+    const goodbye = "Sorry, I have to end the call here - please give us a ring back in a couple of minutes.";
+    recordBotReply(session, goodbye);
+    sendTTS(ws, streamSid, goodbye)
+      .catch((error) => {
+        console.error('Shutdown TTS error:', error.message);
+      })
+      .finally(() => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.close(1001, 'Server shutting down');
+        }
+      });
+  };
+  
   // Add call termination handler
   ws.terminateCall = (reason) => {
     console.log('📞 Terminating call programmatically - reason:', reason);
     
     // Send a final message before closing if needed
     if (reason === 'customer_completed') {
-      // Give a moment for the final TTS to complete before closing
-      setTimeout(() => {
+      // Let the final message finish playing before closing
+      waitForIdle(playbackTracker).then(() => {
         if (ws.readyState === WebSocket.OPEN) {
           ws.close(1000, 'Call completed successfully');
         }
-      }, 3000); // 3 second delay to allow final message to play
+      });
     } else {
       ws.close(1000, reason);
     }
@@ -405,158 +847,113 @@ async function checkNetwork() {
 }
 
 // —————————
-// ULTRA-FAST: Optimized TTS with minimal latency and better voice quality
+// Speak text on the media stream: synthesize via the TTS service, then send 20ms mulaw frames to Twilio.
+// cacheable is for fixed text worth keeping in the phrase cache - never a reply with the caller's details in it
 // —————————
-async function sendStreamingTTS(ws, streamSid, text, retryCount = 0) {
-  // Skip network check for speed - go straight to the fastest method
-  return new Promise((resolve, reject) => {
-    console.log('TTS: Using optimized fast TTS mode');
-    speakViaRestAndStream(ws, streamSid, text).then(resolve).catch(() => {
-      sendFallbackMessage(ws, streamSid, text);
-      resolve();
-    });
-  });
-}
-
-// Deepgram REST speak fallback: synthesize into mulaw 8k and stream to Twilio in 20ms frames
-async function speakViaRestAndStream(ws, streamSid, text) {
+async function speakAndStream(ws, streamSid, text, { cacheable = false } = {}) {
   if (!text || ws.readyState !== WebSocket.OPEN) return;
+  await streamAudio(ws, streamSid, await synthesize(text, { voice: ws.voice, cacheable }));
+}
 
-  // Use only the fastest, most reliable models
-  const models = [
-    'aura-luna-en', // Fastest, most reliable
-    'aura-asteria-en', // Good fallback
-  ];
-  let audioBase64 = null;
-  let usedModel = null;
-  let lastErr = null;
-  
-  for (const model of models) {
-    try {
-      console.log(`Trying TTS model: ${model}`);
-      
-      // Use the correct Deepgram SDK v3 method with optimized settings
-      const response = await deepgram.speak.request(
-        { text },
-        {
-          model,
-          encoding: 'mulaw',
-          sample_rate: 8000,
-          container: 'none',
-          // Add speed optimization
-          speed: 1.1, // Slightly faster speech
-        }
-      );
-      
-      console.log('TTS response received for model:', model);
-      console.log('Response type:', typeof response);
-      console.log('Response keys:', Object.keys(response || {}));
-      console.log('Has result:', !!response.result);
-      console.log('Result type:', typeof response.result);
-      console.log('Result keys:', response.result ? Object.keys(response.result) : 'N/A');
-      
-      // Get the audio buffer - handle Deepgram SDK v3 response format
-      let audioBuffer;
-      if (response.result && Buffer.isBuffer(response.result)) {
-        console.log('Using response.result (Buffer)');
-        audioBuffer = response.result;
-      } else if (response.result && response.result.arrayBuffer && typeof response.result.arrayBuffer === 'function') {
-        console.log('Using response.result.arrayBuffer method');
-        audioBuffer = Buffer.from(await response.result.arrayBuffer());
-      } else if (response.result && response.result.stream && typeof response.result.stream === 'function') {
-        console.log('Using response.result.stream method');
-        const stream = await response.result.stream();
-        const chunks = [];
-        for await (const chunk of stream) {
-          chunks.push(chunk);
-        }
-        audioBuffer = Buffer.concat(chunks);
-      } else if (response.result) {
-        console.log('Trying to convert response.result directly to Buffer');
-        audioBuffer = Buffer.from(response.result);
-      } else if (response.arrayBuffer && typeof response.arrayBuffer === 'function') {
-        console.log('Using response.arrayBuffer method');
-        audioBuffer = Buffer.from(await response.arrayBuffer());
-      } else if (response.stream && typeof response.stream === 'function') {
-        console.log('Using response.stream method');
-        const stream = await response.stream();
-        const chunks = [];
-        for await (const chunk of stream) {
-          chunks.push(chunk);
-        }
-        audioBuffer = Buffer.concat(chunks);
-      } else if (Buffer.isBuffer(response)) {
-        console.log('Response is already a Buffer');
-        audioBuffer = response;
-      } else if (response.body) {
-        console.log('Using response.body');
-        audioBuffer = Buffer.from(response.body);
-      } else {
-        console.log('Unknown response format, trying response.result properties:', response.result ? Object.getOwnPropertyNames(response.result) : 'no result');
-        throw new Error('Unknown response format from Deepgram');
-      }
-      
-      if (!audioBuffer || audioBuffer.length === 0) {
-        throw new Error('Empty audio response');
-      }
-      
-      // Convert to base64 for streaming
-      audioBase64 = audioBuffer.toString('base64');
-      
-      usedModel = model;
-      console.log(`REST TTS: Synthesized via ${model}, audio length:`, audioBase64.length);
-      break;
-    } catch (e) {
-      console.warn(`TTS model ${model} failed:`, e.message);
-      lastErr = e;
-      continue;
-    }
+/**
+ * Play one streamed reply chunk whose synthesis started earlier, falling back like sendTTS does
+ */
+async function playPreparedAudio(ws, streamSid, prepared, text) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  try {
+    await streamAudio(ws, streamSid, await prepared);
+  } catch (error) {
+    console.error('TTS: Streamed chunk failed, sending fallback:', error.message);
+    await sendFallbackMessage(ws, streamSid, text);
   }
+}
 
-  if (!audioBase64) {
-    throw lastErr || new Error('REST TTS failed');
+/**
+ * Send synthesized mulaw as paced frames, then wait for Twilio to confirm it played
+ */
+async function streamAudio(ws, streamSid, { provider, audio }) {
+  if (!audio) {
+    throw new Error(`TTS provider ${provider} returned no audio for the media stream`);
   }
 
-  const audioBuffer = Buffer.from(audioBase64, 'base64');
-  // For mulaw 8k, 20ms = 160 bytes per frame (8000 samples/sec * 0.02 sec * 1 byte/sample)
-  const frameSize = 160;
-  let offset = 0;
+  const frames = toFrames(audio);
+  let index = 0;
+  // Track this utterance so a barge-in can stop the pacing loop
+  const playback = { cancelled: false };
+  ws.activePlayback = playback;
   // Send frames paced at ~15ms for faster delivery
   await new Promise((resolve) => {
     const timer = setInterval(() => {
-      if (ws.readyState !== WebSocket.OPEN) {
-        clearInterval(timer);
-        resolve();
-        return;
-      }
-      if (offset >= audioBuffer.length) {
-        // Send end mark
-        try {
-          ws.send(JSON.stringify({ event: 'mark', streamSid, mark: { name: 'endOfResponse' } }));
-        } catch (_) {}
+      if (ws.readyState !== WebSocket.OPEN || playback.cancelled || index >= frames.length) {
         clearInterval(timer);
         resolve();
         return;
       }
-      const chunk = audioBuffer.subarray(offset, Math.min(offset + frameSize, audioBuffer.length));
-      offset += frameSize;
       try {
         ws.send(
           JSON.stringify({
             event: 'media',
             streamSid,
-            media: { payload: chunk.toString('base64') },
+            media: { payload: frames[index++].toString('base64') },
           })
         );
       } catch (_) {}
     }, 15); // Faster frame delivery - 15ms instead of 20ms
   });
+  // Frames are sent faster than real time, so wait for Twilio to confirm the audio actually played
+  if (!playback.cancelled && ws.readyState === WebSocket.OPEN) {
+    const outcome = await sendMark(ws, ws.playbackTracker, streamSid, estimatePlaybackMs(audio.length));
+    console.log(`🔈 Playback ${outcome} (${provider})`);
+  }
+  if (ws.activePlayback === playback) {
+    ws.activePlayback = null;
+  }
+}
+
+// —————————
+// Barge-in: stop the current utterance and drop any audio Twilio has buffered
+// —————————
+function cancelPlayback(ws, streamSid) {
+  if (ws.activePlayback) {
+    ws.activePlayback.cancelled = true;
+    ws.activePlayback = null;
+  }
+  if (ws.activeFiller) {
+    ws.activeFiller.stop();
+    ws.activeFiller = null;
+  }
+  // Drop unplayed sentences and stop the LLM generating more
+  if (ws.activeReply) {
+    ws.activeReply.cancel();
+    ws.activeReply = null;
+  }
+  try {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ event: 'clear', streamSid }));
+    }
+  } catch (err) {
+    console.error('Clear event error:', err.message);
+  }
+  // Cleared audio will never play, so release anything waiting on its mark
+  settleAllMarks(ws.playbackTracker, 'cleared');
+}
+
+/**
+ * Send one mulaw frame straight away (comfort noise is paced by its caller)
+ */
+function sendMediaFrame(ws, streamSid, frame) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  try {
+    ws.send(JSON.stringify({ event: 'media', streamSid, media: { payload: frame.toString('base64') } }));
+  } catch (error) {
+    console.error('Media frame send error:', error.message);
+  }
 }
 
 // —————————
 // Helper: send TTS greeting or any text (OPTIMIZED)
 // —————————
-async function sendTTS(ws, streamSid, text, onComplete = null) {
+async function sendTTS(ws, streamSid, text, onComplete = null, { cacheable = false } = {}) {
   // Handle undefined or null text
   if (!text || typeof text !== 'string') {
     console.error('TTS: Invalid text provided:', text);
@@ -565,42 +962,12 @@ async function sendTTS(ws, streamSid, text, onComplete = null) {
   
   console.log('TTS: Starting synthesis for:', text.substring(0, 50) + '...');
   
-  let success = false;
-  
-  // Check if TTS_MODE is forced to REST
-  if ((process.env.TTS_MODE || '').toLowerCase() === 'rest') {
-    console.log('TTS: Using forced REST mode');
-    try {
-      await speakViaRestAndStream(ws, streamSid, text);
-      console.log('TTS: REST synthesis completed successfully');
-      success = true;
-    } catch (error) {
-      console.error('TTS: REST synthesis failed:', error.message);
-      // Continue to fallback handling below
-    }
-  } else {
-    // Try streaming TTS first, fallback to REST if it fails
-    try {
-      await sendStreamingTTS(ws, streamSid, text);
-      console.log('TTS: Streaming synthesis completed successfully');
-      success = true;
-    } catch (error) {
-      console.warn('TTS: Streaming failed, trying REST fallback:', error.message);
-      try {
-        await speakViaRestAndStream(ws, streamSid, text);
-        console.log('TTS: REST fallback completed successfully');
-        success = true;
-      } catch (restError) {
-        console.error('TTS: All synthesis methods failed:', restError.message);
-        // Continue to fallback handling below
-      }
-    }
-  }
-  
-  // If we get here and success is false, all TTS methods failed - send fallback message
-  if (!success) {
-    console.warn('TTS: All methods failed, sending fallback message');
-    sendFallbackMessage(ws, streamSid, text);
+  try {
+    await speakAndStream(ws, streamSid, text, { cacheable });
+  } catch (error) {
+    // Every provider failed - keep the call moving with a short silence
+    console.error('TTS: Synthesis failed, sending fallback:', error.message);
+    await sendFallbackMessage(ws, streamSid, text);
   }
   
   // Call completion callback if provided - ALWAYS call it
@@ -635,28 +1002,123 @@ function sendFallbackMessage(ws, streamSid, text) {
         media: { payload }
       }));
       
-      // Send end mark
-      setTimeout(() => {
-        if (ws.readyState === WebSocket.OPEN) {
-          ws.send(JSON.stringify({
-            event: 'mark',
-            streamSid,
-            mark: { name: 'endOfResponse' }
-          }));
-        }
-      }, 300);
-      
       console.log('TTS completely failed, sent silence as fallback for:', text.substring(0, 50) + '...');
       // In a real implementation, you might want to send an SMS or handle differently
+      
+      // Resolve once Twilio has played the silence
+      return sendMark(ws, ws.playbackTracker, streamSid, estimatePlaybackMs(silenceBuffer.length));
     }
   } catch (err) {
     console.error('Fallback message error:', err.message);
   }
+  return Promise.resolve();
 }
 
 // —————————
 // Misc endpoints
 // —————————
+// —————————
+// Call records: review transcripts and outcomes of past calls
+// —————————
+function requireRecordsKey(req, res, next) {
+  const apiKey = process.env.CALL_RECORDS_API_KEY;
+  if (!apiKey) {
+    return res.status(503).json({ error: 'Call records are off - set CALL_RECORDS_API_KEY' });
+  }
+  if (req.get('Authorization') !== `Bearer ${apiKey}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+app.get('/calls', requireRecordsKey, async (req, res) => {
+  try {
+    const { phone, since, until, endReason, tenant } = req.query;
+    const calls = await listCallRecords({
+      phone,
+      since,
+      until,
+      endReason,
+      tenant,
+      booked: req.query.booked === undefined ? undefined : req.query.booked === 'true',
+      cancelled: req.query.cancelled === undefined ? undefined : req.query.cancelled === 'true',
+      rescheduled: req.query.rescheduled === undefined ? undefined : req.query.rescheduled === 'true',
+      limit: parseInt(req.query.limit, 10) || 50,
+    });
+    res.json({ count: calls.length, calls });
+  } catch (err) {
+    console.error('Call records list error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/calls/:callSid', requireRecordsKey, async (req, res) => {
+  try {
+    const record = await getCallRecord(req.params.callSid);
+    if (!record) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+    res.json(record);
+  } catch (err) {
+    console.error('Call record lookup error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// —————————
+// Technician updates: where the plumber is, for customers who call to ask
+// —————————
+function requireTechnicianKey(req, res, next) {
+  const apiKey = process.env.TECHNICIAN_API_KEY;
+  if (!apiKey) {
+    return res.status(503).json({ error: 'Technician updates are off - set TECHNICIAN_API_KEY' });
+  }
+  if (req.get('Authorization') !== `Bearer ${apiKey}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+app.post('/appointments/status', requireTechnicianKey, async (req, res) => {
+  const { reference, status, technician, etaMinutes, eta } = req.body || {};
+  const referenceDigits = extractReferenceDigits(reference);
+  const tenant = req.body?.tenant ? getTenantById(req.body.tenant) : getDefaultTenant();
+
+  if (!referenceDigits) {
+    return res.status(400).json({ error: 'reference is required' });
+  }
+  if (!TECHNICIAN_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${TECHNICIAN_STATUSES.join(', ')}` });
+  }
+  if (!tenant) {
+    return res.status(400).json({ error: `Unknown tenant ${req.body.tenant}` });
+  }
+
+  const etaTime = eta ? new Date(eta)
+    : etaMinutes !== undefined ? new Date(Date.now() + Number(etaMinutes) * 60 * 1000)
+    : null;
+  if (etaTime && isNaN(etaTime)) {
+    return res.status(400).json({ error: 'eta must be a date/time, or etaMinutes a number' });
+  }
+
+  try {
+    const result = await runAsTenant(tenant, () => updateTechnicianStatus(referenceDigits, { status, eta: etaTime, technician }));
+    if (result === 'not_found') {
+      return res.status(404).json({ error: 'No upcoming booking with that reference' });
+    }
+    if (result === 'ambiguous') {
+      return res.status(409).json({ error: 'That reference matches more than one booking - send the full reference' });
+    }
+    if (result === 'failed') {
+      return res.status(502).json({ error: 'The calendar could not be read or updated' });
+    }
+    res.json({ updated: true, status, eta: etaTime ? etaTime.toISOString() : null });
+  } catch (err) {
+    console.error('Technician status update error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 app.get('/test', (_, res) => {
   res.json({
     status: 'OK',
@@ -675,85 +1137,14 @@ app.get('/', (_, res) => res.send('SmartVoiceAI is running.'));
 app.get('/test-tts', async (req, res) => {
   try {
     const text = req.query.text || 'Hello, test.';
-    
     console.log('TTS test request for:', text);
     
-    // Use the correct Deepgram SDK v3 speak method
-    const response = await deepgram.speak.request(
-      { text },
-      { 
-        model: 'aura-luna-en', 
-        encoding: 'linear16', 
-        sample_rate: 24000,
-        container: 'wav'
-      }
-    );
-    
-    console.log('TTS response received, extracting audio...');
-    console.log('Response type:', typeof response);
-    console.log('Response keys:', Object.keys(response || {}));
-    console.log('Has result:', !!response.result);
-    console.log('Result type:', typeof response.result);
-    console.log('Result keys:', response.result ? Object.keys(response.result) : 'N/A');
-    
-    // Get the audio buffer - handle Deepgram SDK v3 response format
-    let audioBuffer;
-    if (response.result && Buffer.isBuffer(response.result)) {
-      console.log('Using response.result (Buffer)');
-      audioBuffer = response.result;
-    } else if (response.result && response.result.arrayBuffer && typeof response.result.arrayBuffer === 'function') {
-      console.log('Using response.result.arrayBuffer method');
-      audioBuffer = Buffer.from(await response.result.arrayBuffer());
-    } else if (response.result && response.result.stream && typeof response.result.stream === 'function') {
-      console.log('Using response.result.stream method');
-      const stream = await response.result.stream();
-      const chunks = [];
-      for await (const chunk of stream) {
-        chunks.push(chunk);
-      }
-      audioBuffer = Buffer.concat(chunks);
-    } else if (response.result) {
-      console.log('Trying to convert response.result directly to Buffer');
-      audioBuffer = Buffer.from(response.result);
-    } else if (response.arrayBuffer && typeof response.arrayBuffer === 'function') {
-      console.log('Using response.arrayBuffer method');
-      audioBuffer = Buffer.from(await response.arrayBuffer());
-    } else if (response.stream && typeof response.stream === 'function') {
-      console.log('Using response.stream method');
-      const stream = await response.stream();
-      const chunks = [];
-      for await (const chunk of stream) {
-        chunks.push(chunk);
-      }
-      audioBuffer = Buffer.concat(chunks);
-    } else if (Buffer.isBuffer(response)) {
-      console.log('Response is already a Buffer');
-      audioBuffer = response;
-    } else if (response.body) {
-      console.log('Using response.body');
-      audioBuffer = Buffer.from(response.body);
-    } else {
-      console.log('Unknown response format, trying response.result properties:', response.result ? Object.getOwnPropertyNames(response.result) : 'no result');
-      throw new Error('Unknown response format from Deepgram');
-    }
-    
-    if (!audioBuffer || audioBuffer.length === 0) {
-      throw new Error('Empty audio response');
-    }
-    
-    console.log('TTS success, sending audio response, size:', audioBuffer.length);
-    
-    res.set('Content-Type', 'audio/wav');
-    res.send(audioBuffer);
+    const audio = await synthesizeBuffer(text);
+    res.set('Content-Type', 'audio/mpeg');
+    res.send(audio);
   } catch (err) {
     console.error('test-tts error:', err.message);
-    console.error('Full error:', err);
-    res.status(500).json({ 
-      error: err.message, 
-      type: err.constructor.name,
-      deepgramSpeak: !!deepgram.speak,
-      deepgramSpeakRequest: !!(deepgram.speak && deepgram.speak.request)
-    });
+    res.status(500).json({ error: err.message, metrics: getTtsMetrics() });
   }
 });
 
@@ -814,7 +1205,9 @@ app.get('/performance', (_, res) => {
       cacheHitRate: nlpCache.size > 0 ? ((nlpCache.size / (responseTimeTracker.times.length || 1)) * 100).toFixed(2) + '%' : '0%',
       uptime: process.uptime(),
       memoryUsage: process.memoryUsage(),
-      lastResponseTimes: responseTimeTracker.times.slice(-10) // Last 10 response times
+      lastResponseTimes: responseTimeTracker.times.slice(-10), // Last 10 response times
+      tts: getTtsMetrics(),
+      phraseCache: getPhraseCacheStats()
     }
   });
 });
@@ -1029,6 +1422,13 @@ app.post('/test-email', async (req, res) => {
 
 // Start server
 const port = process.env.PORT || 3000;
+installShutdownHandlers({
+  wss,
+  beforeDrain: stopReminderScheduler,
+  endCall: (ws) => (ws.endForShutdown ? ws.endForShutdown() : ws.close(1001, 'Server shutting down')),
+  flush: flushCallRecords,
+});
+
 server.listen(port, async () => {
   console.log(`🚀 Server started on ${port}`);
   
@@ -1040,4 +1440,14 @@ server.listen(port, async () => {
   } catch (error) {
     console.log('⚠️ Could not initialize travel optimization:', error.message);
   }
+  
+  startReminderScheduler(process.env.APP_URL);
+  
+  // Fixed prompts play instantly once cached - warm in the background so startup isn't held up
+  warmPhraseCache([...loadPhraseManifest(), ...Object.values(issueQuestions).flat(), ...Object.values(FILLER_PHRASES)])
+    // Each business's greeting in its own voice
+    .then(() => Promise.all(listTenants().map(tenant => warmPhraseCache([tenant.greeting], { voice: tenant.voice }))))
+    .catch((error) => {
+      console.warn('⚠️ Phrase cache warm-up failed:', error.message);
+    });
 });
\ No newline at end of file
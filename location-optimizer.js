@@ -1,4 +1,5 @@
 // location-optimizer.js - Smart location-based booking optimization
+const { getActiveTenant } = require('./modules/tenants');
 
 // Australian timezone configuration
 const BRISBANE_TZ = 'Australia/Brisbane';
@@ -467,7 +468,7 @@ async function findOptimalTimeSlots(newCoordinates, preferredDate = null, access
     oauth2Client.setCredentials({ refresh_token: process.env.GOOGLE_REFRESH_TOKEN });
     
     const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-    const calendarId = process.env.GOOGLE_CALENDAR_ID || 'primary';
+    const { calendarId } = getActiveTenant();
     
     const response = await calendar.events.list({
       calendarId,
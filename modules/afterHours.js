@@ -0,0 +1,238 @@
+/**
+ * After-Hours Front Door
+ * Outside business hours callers either reach the on-call plumber (emergencies) or leave a message
+ */
+const { VoiceResponse } = require('twilio').twiml;
+const { isWithinBusinessHours, describeNextOpening, describeOpeningHours } = require('./businessHours');
+const { detectEmergency } = require('./issueClassification');
+const { extractNameFromInput } = require('./dataExtraction');
+const { updateCustomerData } = require('./stateMachine');
+const { detectTransferIntent, requestTransfer, buildOnCallDialTwiml } = require('./transfer');
+const { saveCallerMessage } = require('./callRecords');
+const { notifySuccess, notifyWarning } = require('../notifications');
+const { getTenant, resolveTenant } = require('./tenants');
+
+// 'bot' - Robyn takes a structured message, 'voicemail' - plain recorded voicemail, 'off' - always run the full flow
+const AFTER_HOURS_MODE = (process.env.AFTER_HOURS_MODE || 'bot').toLowerCase();
+
+const SAY_OPTIONS = { voice: 'alice', language: 'en-AU' };
+
+function getAfterHoursMode() {
+  return AFTER_HOURS_MODE;
+}
+
+/**
+ * Whether the tenant's office is closed right now (always false with AFTER_HOURS_MODE=off)
+ */
+function isAfterHours(tenant, dateTime = new Date()) {
+  return AFTER_HOURS_MODE !== 'off' && !isWithinBusinessHours(dateTime, tenant.hours);
+}
+
+function getAfterHoursGreeting(session) {
+  const { agentName, businessName, hours } = getTenant(session);
+  return `Hello, this is ${agentName} from ${businessName}. Our office is closed right now - we're open ${describeOpeningHours(hours)}. ` +
+         "If it's a plumbing emergency, just let me know and I'll get you through to our on-call plumber. " +
+         `Otherwise I can take a message and we'll call you back ${describeNextOpening(new Date(), hours)}. What can I do for you?`;
+}
+
+/**
+ * Store an after-hours message against the caller's call record and let the team know
+ */
+async function saveAfterHoursMessage(callSid, message, tenant) {
+  await saveCallerMessage(callSid, message);
+
+  const notify = message.urgent ? notifyWarning : notifySuccess;
+  await notify(`${message.urgent ? '🚨 Urgent after-hours message' : '📩 New after-hours message'} for ${tenant.businessName}`, {
+    callSid,
+    ...message,
+  });
+}
+
+// "I'd like to leave a message" on its own isn't the message itself
+function isJustAskingToLeaveMessage(input) {
+  const lowerInput = input.toLowerCase();
+  return /\b(leave|take) a message\b/.test(lowerInput) && lowerInput.split(/\s+/).length <= 8;
+}
+
+/**
+ * Conversation handler for the 'after_hours' state (bot mode)
+ */
+async function handleAfterHours(session, input) {
+  const message = session.afterHoursMessage || (session.afterHoursMessage = { details: null, urgent: false });
+
+  // Emergencies go to the on-call plumber before anything else
+  if (!session.transferAttempted && (detectEmergency(input) || detectTransferIntent(input))) {
+    message.urgent = detectEmergency(input);
+    session.urgent = message.urgent;
+    const transferResponse = requestTransfer(session, message.urgent ? 'emergency' : 'caller_request');
+    if (transferResponse && session.pendingTransfer) {
+      return transferResponse;
+    }
+    // Nobody to put them through to - take a message instead
+    session.afterHoursStep = 'name';
+    if (message.urgent) {
+      message.details = message.details || input;
+      return "I'm sorry, I can't reach the on-call team right now, so I'll flag this as urgent for them. Can I get your name?";
+    }
+    return "There's no one in the office right now, but I can take a message for the team. Can I get your name?";
+  }
+
+  switch (session.afterHoursStep) {
+    case 'name': {
+      const spokenName = input.replace(/^(my name is|my name's|it's|it is|this is|i'm|i am)\s+/i, '').replace(/[.!?]+$/, '').trim();
+      const name = extractNameFromInput(spokenName) || spokenName;
+      updateCustomerData(session, { name });
+
+      if (message.details) {
+        return await completeAfterHoursMessage(session);
+      }
+      session.afterHoursStep = 'message';
+      return `Thanks ${name}. What's the message for the team? Let them know what the problem is and your address.`;
+    }
+
+    case 'message':
+      message.details = input;
+      return await completeAfterHoursMessage(session);
+
+    default:
+      if (!isJustAskingToLeaveMessage(input)) {
+        message.details = input;
+      }
+      session.afterHoursStep = 'name';
+      return "No problem, I'll take a message for the team. Can I get your name?";
+  }
+}
+
+async function completeAfterHoursMessage(session) {
+  const { details, urgent } = session.afterHoursMessage;
+  const name = session.customerData.name;
+  const tenant = getTenant(session);
+
+  try {
+    await saveAfterHoursMessage(session.callSid, {
+      source: 'bot',
+      name,
+      phone: session.callerPhoneNumber,
+      message: details,
+      urgent,
+    }, tenant);
+  } catch (error) {
+    console.error('❌ Failed to save after-hours message:', error.message);
+  }
+
+  session.afterHoursStep = 'done';
+  session.pendingTermination = {
+    reason: 'after_hours_message',
+    timestamp: new Date().toISOString(),
+    shouldClose: true
+  };
+
+  return `Thanks ${name}, I've passed that on and someone will call you back ${urgent ? 'as soon as possible' : describeNextOpening(new Date(), tenant.hours)} ` +
+         'on the number you called from. Goodbye!';
+}
+
+function appendVoicemail(twiml, baseUrl) {
+  twiml.say(SAY_OPTIONS, 'Please leave your name, address and a short message after the tone.');
+  twiml.record({
+    action: `${baseUrl}/after-hours/recorded`,
+    method: 'POST',
+    maxLength: 120,
+    playBeep: true,
+    transcribe: true,
+    transcribeCallback: `${baseUrl}/after-hours/transcription`,
+  });
+}
+
+/**
+ * Voicemail mode: greeting with an emergency option, falling through to a recorded message
+ */
+function buildAfterHoursTwiml(baseUrl, tenant) {
+  const twiml = new VoiceResponse();
+  const gather = twiml.gather({
+    input: 'dtmf speech',
+    numDigits: 1,
+    timeout: 5,
+    speechTimeout: 'auto',
+    hints: 'emergency',
+    action: `${baseUrl}/after-hours/route`,
+    method: 'POST',
+  });
+  gather.say(SAY_OPTIONS,
+    `Thanks for calling ${tenant.businessName}. Our office is closed right now. ` +
+    'If this is a plumbing emergency, press 1 or say emergency. Otherwise, stay on the line to leave a message.');
+  appendVoicemail(twiml, baseUrl);
+  return twiml.toString();
+}
+
+/**
+ * Voicemail mode: route the caller's answer to the on-call plumber or to voicemail
+ */
+function buildAfterHoursRouteTwiml({ CallSid, From, To, Digits, SpeechResult }, baseUrl) {
+  const isEmergency = Digits === '1' || detectEmergency(SpeechResult || '');
+
+  if (isEmergency && process.env.TRANSFER_NUMBER) {
+    console.log(`🚨 After-hours emergency from ${From} - dialling on-call plumber`);
+    return buildOnCallDialTwiml(CallSid, baseUrl, {
+      reason: 'after_hours_emergency',
+      summary: `After-hours emergency call from ${From}.${SpeechResult ? ` They said: ${SpeechResult}` : ''}`,
+      phone: From,
+      tenant: resolveTenant(To),
+    });
+  }
+
+  const twiml = new VoiceResponse();
+  appendVoicemail(twiml, baseUrl);
+  return twiml.toString();
+}
+
+/**
+ * Voicemail mode: recording finished - store it now, the transcription follows separately
+ */
+async function handleVoicemailRecorded({ CallSid, From, To, RecordingSid, RecordingUrl, RecordingDuration }) {
+  const tenant = resolveTenant(To);
+  try {
+    await saveAfterHoursMessage(CallSid, {
+      id: RecordingSid,
+      source: 'voicemail',
+      phone: From,
+      recordingUrl: RecordingUrl,
+      durationSeconds: parseInt(RecordingDuration, 10) || null,
+      message: null,
+    }, tenant);
+  } catch (error) {
+    console.error('❌ Failed to save voicemail:', error.message);
+  }
+
+  const twiml = new VoiceResponse();
+  twiml.say(SAY_OPTIONS, `Thanks, we'll call you back ${describeNextOpening(new Date(), tenant.hours)}. Goodbye.`);
+  twiml.hangup();
+  return twiml.toString();
+}
+
+/**
+ * Voicemail mode: Twilio's transcription callback
+ */
+async function handleVoicemailTranscription({ CallSid, From, To, RecordingSid, TranscriptionText, TranscriptionStatus }) {
+  if (TranscriptionStatus !== 'completed') {
+    console.warn(`⚠️ Voicemail transcription ${TranscriptionStatus} for ${CallSid}`);
+    return;
+  }
+
+  await saveAfterHoursMessage(CallSid, {
+    id: RecordingSid,
+    source: 'voicemail',
+    phone: From,
+    message: TranscriptionText,
+  }, resolveTenant(To));
+}
+
+module.exports = {
+  getAfterHoursMode,
+  isAfterHours,
+  getAfterHoursGreeting,
+  handleAfterHours,
+  buildAfterHoursTwiml,
+  buildAfterHoursRouteTwiml,
+  handleVoicemailRecorded,
+  handleVoicemailTranscription
+};
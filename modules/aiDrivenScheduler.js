@@ -1,6 +1,13 @@
 // modules/aiDrivenScheduler.js - AI-Driven Dynamic Scheduling System
 const { OpenAI } = require('openai');
 const { calculateTravelTime } = require('./travelOptimization');
+const { DAY_NAMES, toBrisbaneTime, isBusinessDay, minuteOfDay, hourToMinutes } = require('./businessHours');
+const { getActiveTenant } = require('./tenants');
+
+// Appointments start on the half hour; the last one starts this long before close
+const SLOT_MINUTES = 30;
+// Same-day bookings stop this long before close - later than that goes to the next business day
+const SAME_DAY_CUTOFF_MINUTES = 120;
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
@@ -396,6 +403,32 @@ Professional standards:
   }
 }
 
+// 510 -> "8:30 AM"
+function formatClockTime(minute) {
+  const hour = Math.floor(minute / 60);
+  return `${hour % 12 || 12}:${String(minute % 60).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Half-hour appointment starts (minutes since midnight) within the given hours
+ */
+function getStandardSlots(hours) {
+  const slots = [];
+  const lastStart = hourToMinutes(hours.close) - SLOT_MINUTES;
+  for (let minute = Math.ceil(hourToMinutes(hours.open) / SLOT_MINUTES) * SLOT_MINUTES; minute <= lastStart; minute += SLOT_MINUTES) {
+    slots.push(minute);
+  }
+  return slots;
+}
+
+/**
+ * Operating hours for the prompt, e.g. "8:00 AM to 5:00 PM Monday, Tuesday, Wednesday, Thursday, Friday"
+ */
+function describeHoursForPrompt(hours) {
+  const days = [...hours.days].sort((a, b) => a - b).map(day => DAY_NAMES[day]).join(', ');
+  return `${formatClockTime(hourToMinutes(hours.open))} to ${formatClockTime(hourToMinutes(hours.close))} ${days || '(no regular days)'}`;
+}
+
 /**
  * AI-powered smart time rounding
  * Dynamically determines the best appointment time slots
@@ -404,6 +437,12 @@ async function calculateSmartTimeRounding(calculatedTime, customerPreferences =
   console.log('🎯 AI determining optimal appointment time...');
   
   try {
+    const { hours } = getActiveTenant();
+    const operatingHours = describeHoursForPrompt(hours);
+    const slots = getStandardSlots(hours);
+    const morningSlots = slots.filter(minute => minute < 12 * 60).map(formatClockTime).join(', ') || 'none';
+    const afternoonSlots = slots.filter(minute => minute >= 12 * 60).map(formatClockTime).join(', ') || 'none';
+    const sameDayCutoff = formatClockTime(hourToMinutes(hours.close) - SAME_DAY_CUTOFF_MINUTES);
     const prompt = `
 You are a customer service expert optimizing appointment booking times for professional service delivery.
 
@@ -420,19 +459,19 @@ OPTIMIZATION CRITERIA:
 4. Same-day vs next-day considerations
 5. Peak hour considerations (avoid rush hours when possible)
 
-STANDARD APPOINTMENT SLOTS (BUSINESS HOURS 8AM-5PM):
-- Morning: 8:00 AM, 8:30 AM, 9:00 AM, 9:30 AM, 10:00 AM, 10:30 AM, 11:00 AM, 11:30 AM
-- Afternoon: 12:00 PM, 12:30 PM, 1:00 PM, 1:30 PM, 2:00 PM, 2:30 PM, 3:00 PM, 3:30 PM, 4:00 PM, 4:30 PM
+STANDARD APPOINTMENT SLOTS (BUSINESS HOURS ${operatingHours}):
+- Morning: ${morningSlots}
+- Afternoon: ${afternoonSlots}
 
 BUSINESS RULES:
-- Operating hours: 8:00 AM to 5:00 PM Monday-Friday
+- Operating hours: ${operatingHours}
 - Avoid lunch hour: 12:00 PM to 1:00 PM for complex jobs
 - Emergency appointments can be outside hours but prefer standard slots
-- Same-day preferred if before 3:00 PM, otherwise next business day
+- Same-day preferred if before ${sameDayCutoff}, otherwise next business day
 
 RESPOND IN JSON FORMAT:
 {
-  "recommendedTime": "ISO datetime string (MUST be within business hours 8AM-5PM)",
+  "recommendedTime": "ISO datetime string (MUST be within business hours ${operatingHours})",
   "roundingStrategy": "round_up|round_down|nearest_slot",
   "slotInterval": 30,
   "businessDayAdjustment": "same_day|next_business_day",
@@ -470,7 +509,7 @@ Professional guidelines:
       original: calculatedTime.toLocaleString('en-AU', { timeZone: 'Australia/Brisbane' }),
       recommended: recommendedTime.toLocaleString('en-AU', { timeZone: 'Australia/Brisbane' }),
       strategy: analysis.roundingStrategy || 'business_hours_corrected',
-      reasoning: analysis.reasoning || 'Corrected to business hours (8AM-5PM)'
+      reasoning: analysis.reasoning || `Corrected to business hours (${operatingHours})`
     });
     
     return {
@@ -489,46 +528,36 @@ Professional guidelines:
   }
 }
 
+function setMinuteOfDay(brisbaneTime, minute) {
+  brisbaneTime.setHours(Math.floor(minute / 60), minute % 60, 0, 0);
+}
+
 /**
- * Ensure appointment time is within business hours (8AM-5PM)
+ * Ensure appointment time is within the active tenant's business hours
  */
-function ensureBusinessHours(dateTime) {
-  const brisbaneTZ = 'Australia/Brisbane';
-  const date = new Date(dateTime);
-  
+function ensureBusinessHours(dateTime, hours = getActiveTenant().hours) {
   // Get Brisbane time components
-  const brisbaneTime = new Date(date.toLocaleString('en-US', { timeZone: brisbaneTZ }));
-  const hours = brisbaneTime.getHours();
-  const minutes = brisbaneTime.getMinutes();
+  const brisbaneTime = toBrisbaneTime(dateTime);
+  const minute = minuteOfDay(brisbaneTime);
+  const openMinute = hourToMinutes(hours.open);
+  const lastStart = hourToMinutes(hours.close) - SLOT_MINUTES;
   
-  // Check if within business hours (8AM-5PM)
-  if (hours < 8) {
-    // Too early - set to 8:00 AM
-    brisbaneTime.setHours(8, 0, 0, 0);
-  } else if (hours >= 17) {
-    // Too late - set to next business day 8:00 AM
+  if (minute < openMinute) {
+    // Too early - set to opening time
+    setMinuteOfDay(brisbaneTime, openMinute);
+  } else if (minute > lastStart) {
+    // Too late for the last slot - set to next business day at opening time
     brisbaneTime.setDate(brisbaneTime.getDate() + 1);
-    brisbaneTime.setHours(8, 0, 0, 0);
-  } else if (hours === 16 && minutes > 30) {
-    // After 4:30 PM - set to next business day 8:00 AM
-    brisbaneTime.setDate(brisbaneTime.getDate() + 1);
-    brisbaneTime.setHours(8, 0, 0, 0);
+    setMinuteOfDay(brisbaneTime, openMinute);
   } else {
     // Round to nearest 30-minute slot
-    const roundedMinutes = Math.round(minutes / 30) * 30;
-    if (roundedMinutes === 60) {
-      brisbaneTime.setHours(hours + 1, 0, 0, 0);
-    } else {
-      brisbaneTime.setMinutes(roundedMinutes, 0, 0);
-    }
+    const rounded = Math.round(minute / SLOT_MINUTES) * SLOT_MINUTES;
+    setMinuteOfDay(brisbaneTime, Math.min(Math.max(rounded, openMinute), lastStart));
   }
   
-  // Skip weekends
-  const dayOfWeek = brisbaneTime.getDay();
-  if (dayOfWeek === 0) { // Sunday
-    brisbaneTime.setDate(brisbaneTime.getDate() + 1); // Monday
-  } else if (dayOfWeek === 6) { // Saturday
-    brisbaneTime.setDate(brisbaneTime.getDate() + 2); // Monday
+  // Skip days the business is closed
+  for (let day = 0; day < 7 && !isBusinessDay(brisbaneTime, hours); day++) {
+    brisbaneTime.setDate(brisbaneTime.getDate() + 1);
   }
   
   return brisbaneTime;
@@ -545,7 +574,7 @@ function getIntelligentTimeRounding(calculatedTime) {
     roundingStrategy: 'business_hours_fallback',
     slotInterval: 30,
     businessDayAdjustment: 'business_hours_corrected',
-    reasoning: 'Fallback to business hours with 30-minute slots (8AM-5PM)'
+    reasoning: `Fallback to business hours with 30-minute slots (${describeHoursForPrompt(getActiveTenant().hours)})`
   };
 }
 
@@ -638,10 +667,10 @@ async function scheduleAppointmentWithAI(customerData, issueDescription, previou
     if (attemptCount >= maxAttempts) {
       console.error('❌ AI Scheduler could not find available slot after maximum attempts');
       // Fallback to next business day
-      const tomorrow = new Date();
+      const tomorrow = toBrisbaneTime();
       tomorrow.setDate(tomorrow.getDate() + 1);
-      tomorrow.setHours(9, 0, 0, 0); // 9 AM next day
-      appointmentStart = tomorrow;
+      setMinuteOfDay(tomorrow, hourToMinutes(getActiveTenant().hours.open)); // Opening time next business day
+      appointmentStart = ensureBusinessHours(tomorrow);
       appointmentEnd = new Date(appointmentStart.getTime() + (jobAnalysis.estimatedMinutes * 60000));
       console.log(`📅 AI Scheduler fallback to next business day: ${appointmentStart.toLocaleString('en-AU', { timeZone: 'Australia/Brisbane' })}`);
     }
@@ -682,27 +711,28 @@ async function scheduleAppointmentWithAI(customerData, issueDescription, previou
 }
 
 /**
- * Get the next available business slot (today if before 3PM, otherwise tomorrow)
+ * Get the next available business slot (today if there's still time before close, otherwise the next business day)
  */
 function getNextBusinessSlot() {
-  const now = new Date();
-  const brisbaneTZ = 'Australia/Brisbane';
-  const brisbaneNow = new Date(now.toLocaleString('en-US', { timeZone: brisbaneTZ }));
+  const { hours } = getActiveTenant();
+  const brisbaneNow = toBrisbaneTime();
   
   // Check if it's currently business hours and not too late for same-day booking
-  const currentHour = brisbaneNow.getHours();
+  const currentMinute = minuteOfDay(brisbaneNow);
+  const openMinute = hourToMinutes(hours.open);
   
-  if (currentHour >= 8 && currentHour < 15) {
-    // Current time is between 8AM-3PM, can schedule for later today
+  if (isBusinessDay(brisbaneNow, hours) && currentMinute >= openMinute &&
+      currentMinute < hourToMinutes(hours.close) - SAME_DAY_CUTOFF_MINUTES) {
+    // Open with time to spare, can schedule for later today
     const nextSlot = new Date(brisbaneNow);
-    nextSlot.setHours(currentHour + 1, 0, 0, 0); // Next hour, on the hour
-    return ensureBusinessHours(nextSlot);
+    nextSlot.setHours(brisbaneNow.getHours() + 1, 0, 0, 0); // Next hour, on the hour
+    return ensureBusinessHours(nextSlot, hours);
   } else {
-    // Too late for today, schedule for tomorrow morning
+    // Too late for today, schedule for the next opening
     const tomorrow = new Date(brisbaneNow);
     tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(8, 0, 0, 0); // 8 AM tomorrow
-    return ensureBusinessHours(tomorrow);
+    setMinuteOfDay(tomorrow, openMinute);
+    return ensureBusinessHours(tomorrow, hours);
   }
 }
 
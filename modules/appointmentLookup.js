@@ -0,0 +1,131 @@
+/**
+ * Appointment Lookup
+ * Finds a customer's upcoming bookings in the calendar (of the tenant whose turn is running) by reference number,
+ * caller ID, or the name and address the booking is under, and reads the booking details back out of the event
+ */
+const { listAppointments } = require('../outlook');
+const { BUSINESS_TIMEZONE } = require('./businessHours');
+
+// How far ahead to look for a customer's bookings
+const LOOKAHEAD_DAYS = 90;
+// A reference has to give at least this many digits to be matched on its own
+const MIN_REFERENCE_DIGITS = 6;
+
+function toE164(phone) {
+  if (!phone || phone === 'N/A') return null;
+
+  const digits = phone.replace(/[^\d+]/g, '');
+  if (digits.startsWith('+')) return digits;
+  if (digits.startsWith('61')) return `+${digits}`;
+  if (digits.startsWith('0')) return `+61${digits.slice(1)}`;
+  return null;
+}
+
+/**
+ * Pull the customer details back out of a booking's calendar event (see enhancedBookingFlow)
+ */
+function parseAppointmentEvent(event) {
+  const description = event.description || '';
+  const field = (label) => {
+    const match = description.match(new RegExp(`^${label}:\\s*(.+)$`, 'mi'));
+    return match && match[1].trim() !== 'N/A' ? match[1].trim() : null;
+  };
+
+  return {
+    eventId: event.id,
+    name: field('Customer'),
+    phone: toE164(field('Phone')),
+    email: field('Email'),
+    issue: field('Issue'),
+    reference: field('Reference'),
+    address: event.location || null,
+    start: new Date(event.start.dateTime),
+    end: new Date(event.end.dateTime),
+    description,
+    reminder: { ...(event.extendedProperties?.private || {}) },
+    // The office adds a "Technician:" line to the event; technicians' own updates land in its private properties
+    technician: event.extendedProperties?.private?.technician || field('Technician'),
+  };
+}
+
+function formatAppointmentTime(dateTime) {
+  const date = new Date(dateTime);
+  const day = date.toLocaleDateString('en-AU', { timeZone: BUSINESS_TIMEZONE, weekday: 'long', day: 'numeric', month: 'long' });
+  const time = date.toLocaleTimeString('en-AU', { timeZone: BUSINESS_TIMEZONE, hour: 'numeric', minute: '2-digit', hour12: true });
+  return `${day} at ${time}`;
+}
+
+function digitsOf(text) {
+  return String(text || '').replace(/\D/g, '');
+}
+
+function wordsOf(text) {
+  return String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * The digits of a reference said or typed in the input, e.g. "P L B 5678 475444 421" -> "5678475444421"
+ */
+function extractReferenceDigits(input) {
+  const digits = digitsOf(input);
+  return digits.length >= MIN_REFERENCE_DIGITS ? digits : null;
+}
+
+/**
+ * Callers often give just the tail of a long reference, so the spoken digits only have to end it
+ */
+function matchesReference(appointment, referenceDigits) {
+  const actual = digitsOf(appointment.reference);
+  return !!referenceDigits && actual.length >= MIN_REFERENCE_DIGITS && actual.endsWith(referenceDigits);
+}
+
+/**
+ * The booking's surname plus its street number and street name all appear somewhere in what the customer said
+ */
+function matchesNameAndAddress(appointment, text) {
+  const said = new Set(wordsOf(text));
+  const surname = wordsOf(appointment.name).pop();
+  const [streetNumber, streetName] = String(appointment.address || '').toLowerCase()
+    .match(/(\d+)[a-z]?\s+([a-z]{3,})/)?.slice(1) || [];
+
+  return !!(surname && streetNumber && said.has(surname) && said.has(streetNumber) && said.has(streetName));
+}
+
+/**
+ * Bookings from now until LOOKAHEAD_DAYS out that haven't been cancelled, soonest first
+ */
+async function listUpcomingAppointments(now = new Date()) {
+  const until = new Date(now.getTime() + LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000);
+  const events = await listAppointments(now, until);
+  return events
+    .filter(event => event.status !== 'cancelled' && event.start?.dateTime && event.end?.dateTime)
+    .map(parseAppointmentEvent)
+    .filter(appointment => appointment.reminder.reminderStatus !== 'cancelled')
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Upcoming bookings matching a reference (digits), a caller's phone number, or name and address in free text.
+ * Pass whichever you have - a reference match wins, then phone, then name and address.
+ */
+async function findAppointments({ referenceDigits, phone, text } = {}) {
+  const upcoming = await listUpcomingAppointments();
+  const callerId = toE164(phone);
+
+  const byReference = upcoming.filter(appointment => matchesReference(appointment, referenceDigits));
+  if (byReference.length) return byReference;
+
+  const byPhone = callerId ? upcoming.filter(appointment => appointment.phone === callerId) : [];
+  if (byPhone.length) return byPhone;
+
+  return text ? upcoming.filter(appointment => matchesNameAndAddress(appointment, text)) : [];
+}
+
+module.exports = {
+  toE164,
+  parseAppointmentEvent,
+  formatAppointmentTime,
+  extractReferenceDigits,
+  listUpcomingAppointments,
+  findAppointments
+};
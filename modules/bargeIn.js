@@ -0,0 +1,75 @@
+/**
+ * Barge-in Guard
+ * Decides whether caller speech heard during playback should interrupt Robyn
+ */
+
+// Minimum words the caller must say before we cancel playback
+const DEFAULT_MIN_WORDS = parseInt(process.env.BARGE_IN_MIN_WORDS, 10) || 3;
+
+// Per-state overrides - confirmation states accept a single "yes"/"no" as a real answer
+const DEFAULT_STATE_THRESHOLDS = {
+  'ask_booking': 1,
+  'confirm_slot': 1,
+  'confirm_time_slot': 1,
+  'booking_complete': 1,
+  'collect_details': 2,
+  'collect_special_instructions': 2,
+  'collect_time_preference': 2,
+};
+
+// Noises and acknowledgements that should never cancel playback
+const FILLER_SOUNDS = new Set(['mm', 'mhm', 'mmhm', 'mm hm', 'hmm', 'um', 'uh', 'ah', 'er']);
+const BACKCHANNEL_PHRASES = new Set(['uh huh', 'yeah', 'yep', 'ok', 'okay', 'right', 'sure', 'alright', 'i see']);
+
+/**
+ * Load state thresholds, allowing overrides via BARGE_IN_THRESHOLDS (JSON map of state -> words)
+ */
+function loadStateThresholds() {
+  const thresholds = { ...DEFAULT_STATE_THRESHOLDS };
+
+  if (process.env.BARGE_IN_THRESHOLDS) {
+    try {
+      Object.assign(thresholds, JSON.parse(process.env.BARGE_IN_THRESHOLDS));
+    } catch (error) {
+      console.warn('⚠️ Invalid BARGE_IN_THRESHOLDS, using defaults:', error.message);
+    }
+  }
+
+  return thresholds;
+}
+
+const stateThresholds = loadStateThresholds();
+
+function getMinWordsForState(state) {
+  return stateThresholds[state] || DEFAULT_MIN_WORDS;
+}
+
+function normalizeUtterance(transcript) {
+  return (transcript || '').toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check whether a transcript heard while the bot is speaking is a genuine interruption
+ */
+function shouldBargeIn(transcript, state) {
+  const normalized = normalizeUtterance(transcript);
+  if (!normalized || FILLER_SOUNDS.has(normalized)) {
+    return false;
+  }
+
+  const minWords = getMinWordsForState(state);
+  const wordCount = normalized.split(' ').length;
+
+  // Acknowledgements only count as answers where a single word is enough
+  if (minWords > 1 && BACKCHANNEL_PHRASES.has(normalized)) {
+    return false;
+  }
+
+  return wordCount >= minWords;
+}
+
+module.exports = {
+  shouldBargeIn,
+  getMinWordsForState,
+  normalizeUtterance
+};
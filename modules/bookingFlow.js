@@ -6,27 +6,27 @@ const { sendBookingConfirmationEmail } = require('../professional-email-service'
 const { analyzeLocationForBooking } = require('../location-optimizer');
 const { notifyError, notifySuccess } = require('../notifications');
 const { findMostEfficientSlot } = require('./travelOptimization');
-const { stateMachine, transitionTo, addToHistory, updateClientData, hasCompleteDetails } = require('./stateMachine');
+const { transitionTo, addToHistory, updateClientData, hasCompleteDetails } = require('./stateMachine');
 
 const BRISBANE_TZ = 'Australia/Brisbane';
 
-async function handleBookingRequest(input) {
+async function handleBookingRequest(session, input) {
   console.log('📅 Processing booking request...');
   
   // Check if we have complete customer details
-  if (hasCompleteDetails()) {
+  if (hasCompleteDetails(session)) {
     console.log('✅ Complete details available, proceeding with booking');
-    return await executeBooking();
+    return await executeBooking(session);
   } else {
     console.log('ℹ️ Missing details, starting collection process');
-    transitionTo('collect_details', 'missing customer details');
-    return await startDetailCollection();
+    transitionTo(session, 'collect_details', 'missing customer details');
+    return await startDetailCollection(session);
   }
 }
 
-async function startDetailCollection() {
+async function startDetailCollection(session) {
   const missingDetails = [];
-  const { name, email, address } = stateMachine.clientData;
+  const { name, email, address } = session.clientData;
   
   if (!name) missingDetails.push('name');
   if (!email) missingDetails.push('email');
@@ -34,54 +34,54 @@ async function startDetailCollection() {
   
   const response = `Great! I'll need to collect a few details to book your appointment. I need your ${missingDetails.join(', ')}. You can give me all of them together if it's easier, or we can go one by one. What would you prefer?`;
   
-  stateMachine.collectingDetail = missingDetails[0];
-  stateMachine.detailsCollectionStep = 0;
+  session.collectingDetail = missingDetails[0];
+  session.detailsCollectionStep = 0;
   
-  addToHistory('assistant', response);
+  addToHistory(session, 'assistant', response);
   return response;
 }
 
-async function handleDetailCollection(input) {
-  const { collectingDetail, detailsCollectionStep } = stateMachine;
+async function handleDetailCollection(session, input) {
+  const { collectingDetail, detailsCollectionStep } = session;
   
   console.log(`📋 Collecting detail: ${collectingDetail}, step: ${detailsCollectionStep}`);
   
   switch (collectingDetail) {
     case 'name':
-      return await collectName(input);
+      return await collectName(session, input);
     case 'email':
-      return await collectEmail(input);
+      return await collectEmail(session, input);
     case 'address':
-      return await collectAddress(input);
+      return await collectAddress(session, input);
     case 'phone':
-      return await collectPhone(input);
+      return await collectPhone(session, input);
     default:
-      return await proceedToBooking();
+      return await proceedToBooking(session);
   }
 }
 
-async function collectName(input) {
+async function collectName(session, input) {
   const { extractNameFromInput, isValidName } = require('./dataExtraction');
   
   const name = extractNameFromInput(input);
   
   if (name && isValidName(name)) {
-    updateClientData({ name });
+    updateClientData(session, { name });
     
     const response = `Thank you, ${name}. Could I have your email address?`;
-    stateMachine.collectingDetail = 'email';
-    stateMachine.detailsCollectionStep = 1;
+    session.collectingDetail = 'email';
+    session.detailsCollectionStep = 1;
     
-    addToHistory('assistant', response);
+    addToHistory(session, 'assistant', response);
     return response;
   } else {
     const response = "I need your full name for the appointment. Could you please provide your first and last name?";
-    addToHistory('assistant', response);
+    addToHistory(session, 'assistant', response);
     return response;
   }
 }
 
-async function collectEmail(input) {
+async function collectEmail(session, input) {
   const { validateEmail, correctEmailFromTranscription } = require('./inputValidation');
   
   const emailMatch = input.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/);
@@ -90,70 +90,70 @@ async function collectEmail(input) {
     const correctedEmail = correctEmailFromTranscription(emailMatch[0]);
     
     if (validateEmail(correctedEmail)) {
-      updateClientData({ email: correctedEmail });
+      updateClientData(session, { email: correctedEmail });
       
       const response = `Perfect! And your full address? Please include street number, street name, suburb, and postcode.`;
-      stateMachine.collectingDetail = 'address';
-      stateMachine.detailsCollectionStep = 2;
+      session.collectingDetail = 'address';
+      session.detailsCollectionStep = 2;
       
-      addToHistory('assistant', response);
+      addToHistory(session, 'assistant', response);
       return response;
     }
   }
   
   const response = "I need a valid email address to send you the appointment confirmation. Could you please provide your email?";
-  addToHistory('assistant', response);
+  addToHistory(session, 'assistant', response);
   return response;
 }
 
-async function collectAddress(input) {
+async function collectAddress(session, input) {
   const { validateAustralianAddress } = require('./dataExtraction');
   
   if (validateAustralianAddress(input)) {
-    updateClientData({ address: input.trim() });
+    updateClientData(session, { address: input.trim() });
     
     // Set phone from caller ID if available
-    if (stateMachine.callerPhoneNumber) {
-      updateClientData({ phone: stateMachine.callerPhoneNumber });
+    if (session.callerPhoneNumber) {
+      updateClientData(session, { phone: session.callerPhoneNumber });
     }
     
-    stateMachine.allDetailsCollected = true;
-    transitionTo('book_appointment', 'all details collected');
+    session.allDetailsCollected = true;
+    transitionTo(session, 'book_appointment', 'all details collected');
     
-    return await proceedToBooking();
+    return await proceedToBooking(session);
   } else {
     const response = "I need your complete address including street number, street name, suburb, and postcode. For example: '123 Main Street, Brisbane, QLD 4000'. Could you please provide your full address?";
-    addToHistory('assistant', response);
+    addToHistory(session, 'assistant', response);
     return response;
   }
 }
 
-async function proceedToBooking() {
+async function proceedToBooking(session) {
   console.log('🎯 All details collected, proceeding to appointment booking');
   
   try {
     const accessToken = await getAccessToken();
     
     // Analyze location and get optimized appointment slot
-    const locationAnalysis = await analyzeLocationForBooking(stateMachine.clientData.address);
+    const locationAnalysis = await analyzeLocationForBooking(session.clientData.address);
     
     if (!locationAnalysis.feasible) {
-      const response = `I apologize, but we don't currently service ${stateMachine.clientData.address}. Our service area covers Brisbane and surrounding suburbs. Is there another address we can help you with?`;
-      addToHistory('assistant', response);
+      const response = `I apologize, but we don't currently service ${session.clientData.address}. Our service area covers Brisbane and surrounding suburbs. Is there another address we can help you with?`;
+      addToHistory(session, 'assistant', response);
       return response;
     }
     
     // Find the most efficient appointment slot
     const smartSlotResult = await findMostEfficientSlot(
       accessToken,
-      stateMachine.clientData.address,
-      stateMachine.clientData.issueDescription || 'plumbing service',
-      stateMachine.urgent ? 'urgent' : 'standard'
+      session.clientData.address,
+      session.clientData.issueDescription || 'plumbing service',
+      session.urgent ? 'urgent' : 'standard'
     );
     
     if (smartSlotResult && smartSlotResult.slot) {
-      stateMachine.nextSlot = smartSlotResult.slot;
-      transitionTo('confirm_slot', 'slot found');
+      session.nextSlot = smartSlotResult.slot;
+      transitionTo(session, 'confirm_slot', 'slot found');
       
       const appointmentTime = new Date(smartSlotResult.slot.start).toLocaleString('en-AU', {
         timeZone: BRISBANE_TZ,
@@ -168,11 +168,11 @@ async function proceedToBooking() {
       
       const response = `Perfect! Based on travel time calculation (${smartSlotResult.travelTime}), the earliest available appointment is ${appointmentTime}. This ensures our plumber arrives with adequate time for your service. Would you like me to book this appointment for you?`;
       
-      addToHistory('assistant', response);
+      addToHistory(session, 'assistant', response);
       return response;
     } else {
       const response = "I'm having trouble finding an available appointment slot right now. Let me check our schedule and get back to you shortly. Is there a preferred day or time that would work better for you?";
-      addToHistory('assistant', response);
+      addToHistory(session, 'assistant', response);
       return response;
     }
   } catch (error) {
@@ -180,35 +180,35 @@ async function proceedToBooking() {
     await notifyError(error, 'proceedToBooking');
     
     const response = "I'm experiencing a technical issue with our booking system. Let me take your details and have someone call you back within the hour to confirm your appointment. Is that okay?";
-    addToHistory('assistant', response);
+    addToHistory(session, 'assistant', response);
     return response;
   }
 }
 
-async function confirmSlot(input) {
+async function confirmSlot(session, input) {
   const lowerInput = input.toLowerCase();
   
   if (lowerInput.includes('yes') || lowerInput.includes('book') || lowerInput.includes('confirm')) {
-    return await executeBooking();
+    return await executeBooking(session);
   } else if (lowerInput.includes('no') || lowerInput.includes('different') || lowerInput.includes('another')) {
-    transitionTo('book_appointment', 'customer wants different time');
+    transitionTo(session, 'book_appointment', 'customer wants different time');
     const response = "No worries! When would you prefer instead? I can check for morning, afternoon, or evening appointments.";
-    addToHistory('assistant', response);
+    addToHistory(session, 'assistant', response);
     return response;
   } else {
     // Customer might be providing a preference
     const response = "I understand you'd like a different time. Let me check what else is available. Would you prefer morning, afternoon, or evening?";
-    addToHistory('assistant', response);
+    addToHistory(session, 'assistant', response);
     return response;
   }
 }
 
-async function executeBooking() {
+async function executeBooking(session) {
   console.log('⚡ Executing appointment booking...');
   
   try {
     const accessToken = await getAccessToken();
-    const { clientData, nextSlot, callerPhoneNumber } = stateMachine;
+    const { clientData, nextSlot, callerPhoneNumber } = session;
     
     // Generate appointment reference
     const appointmentId = generateAppointmentReference(callerPhoneNumber || clientData.phone);
@@ -248,9 +248,9 @@ async function executeBooking() {
       // Send confirmation email
       await sendConfirmationEmail(clientData, appointmentData, appointmentId);
       
-      stateMachine.appointmentId = appointmentId;
-      stateMachine.appointmentBooked = true;
-      transitionTo('collect_special_instructions', 'appointment booked successfully');
+      session.appointmentId = appointmentId;
+      session.appointmentBooked = true;
+      transitionTo(session, 'collect_special_instructions', 'appointment booked successfully');
       
       const appointmentTime = new Date(nextSlot.start).toLocaleString('en-AU', {
         timeZone: BRISBANE_TZ,
@@ -265,7 +265,7 @@ async function executeBooking() {
       
       const response = `Excellent! I've booked your appointment for ${appointmentTime}. Reference number: ${appointmentId}. Any special instructions, like gate codes or security details?`;
       
-      addToHistory('assistant', response);
+      addToHistory(session, 'assistant', response);
       await notifySuccess(`Appointment booked: ${clientData.name} - ${appointmentTime}`);
       
       return response;
@@ -277,24 +277,25 @@ async function executeBooking() {
     await notifyError(error, 'executeBooking');
     
     const response = "I encountered an issue while booking your appointment. I've saved your details and someone will call you within the hour to confirm your booking. Thank you for your patience.";
-    addToHistory('assistant', response);
+    addToHistory(session, 'assistant', response);
     return response;
   }
 }
 
-async function collectSpecialInstructions(input) {
+async function collectSpecialInstructions(session, input) {
   console.log('📝 Collecting special instructions...');
   
-  updateClientData({ specialInstructions: input || 'None' });
+  updateClientData(session, { specialInstructions: input || 'None' });
   
-  transitionTo('booking_complete', 'special instructions collected');
+  transitionTo(session, 'booking_complete', 'special instructions collected');
   
   const response = await getResponse(
     "Perfect! Your appointment is all set. You'll receive an email confirmation shortly with all the details. Is there anything else I can help you with today?",
-    stateMachine.conversationHistory
+    session.conversationHistory,
+    session.replyStream
   );
   
-  addToHistory('assistant', response);
+  addToHistory(session, 'assistant', response);
   return response;
 }
 
@@ -0,0 +1,177 @@
+/**
+ * Booking Lookup Conversation
+ * Works out which upcoming booking a customer is calling about, for the flows that change one (cancellation.js,
+ * rescheduling.js): the reference they give or the number they're calling from first, then the name and address
+ * it's under. Several matches are read back to choose from. Progress lives in session.bookingLookup until we have it;
+ * the matches stay in session.bookingChoices so "no, the other one" can go back to the rest.
+ */
+const { requestTransfer } = require('./transfer');
+const { BUSINESS_TIMEZONE } = require('./businessHours');
+const { findAppointments, extractReferenceDigits, formatAppointmentTime } = require('./appointmentLookup');
+const { getTenant } = require('./tenants');
+
+// Answers we'll try to find the booking from before handing over to the team
+const MAX_LOOKUP_ATTEMPTS = 3;
+// Bookings read out when the caller has several
+const MAX_LISTED = 3;
+
+const ORDINALS = ['first', 'second', 'third'];
+
+const ASK_FOR_BOOKING = 'Could you give me your booking reference number, or the name and address the booking is under?';
+const CANT_LOOK_UP = "I'm sorry, I can't get to our bookings just now.";
+
+function describeAppointment(appointment) {
+  return `${formatAppointmentTime(appointment.start)}${appointment.address ? ` at ${appointment.address}` : ''}`;
+}
+
+/**
+ * One match is the booking; several are read out to choose from (the soonest MAX_LISTED of them)
+ */
+function offerMatches(session, matches) {
+  const lookup = session.bookingLookup;
+  if (matches.length === 1) {
+    session.bookingLookup = null;
+    return { appointment: matches[0] };
+  }
+
+  session.bookingChoices = { action: lookup.action, handOver: lookup.handOver, matches };
+  lookup.matches = matches.slice(0, MAX_LISTED);
+  const listed = lookup.matches.map(appointment => formatAppointmentTime(appointment.start));
+  const intro = matches.length > MAX_LISTED
+    ? `You've got a few bookings with us - the next ${listed.length} are`
+    : `I can see ${listed.length} bookings for you`;
+  return {
+    reply: `${intro}: ${listed.slice(0, -1).join(', ')} and ${listed[listed.length - 1]}. ` +
+           `Which one would you like to ${lookup.action}?`
+  };
+}
+
+/**
+ * Pick one of the listed bookings by position ("the second one", "2") or day ("the Friday one")
+ */
+function pickListedAppointment(matches, input) {
+  const lowerInput = input.toLowerCase();
+
+  const number = lowerInput.match(/\b([1-9])\b/);
+  const ordinal = ORDINALS.findIndex(word => lowerInput.includes(word));
+  const index = number ? parseInt(number[1], 10) - 1 : ordinal;
+  if (index >= 0 && matches[index]) return matches[index];
+
+  const onDay = matches.filter(appointment => {
+    const day = appointment.start.toLocaleDateString('en-AU', { timeZone: BUSINESS_TIMEZONE, weekday: 'long' }).toLowerCase();
+    return lowerInput.includes(day);
+  });
+  if (onDay.length === 1) return onDay[0];
+
+  return lowerInput.includes('last') ? matches[matches.length - 1] : null;
+}
+
+/**
+ * findAppointments, or null if the calendar can't be read right now
+ */
+async function lookUpAppointments(session, query) {
+  try {
+    return await findAppointments(query);
+  } catch (error) {
+    console.error(`❌ Booking lookup on ${session.callSid} failed:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Stop looking - hand over to the team unless the flow said not to
+ */
+function giveUp(session, lookup, reply) {
+  session.bookingLookup = null;
+  if (!lookup.handOver) {
+    return { gaveUp: true, reply };
+  }
+  return {
+    gaveUp: true,
+    reply: `${reply} ${requestTransfer(session, 'booking_not_found') ||
+      `Please give the office a call on ${getTenant(session).officePhone} and they'll sort it out for you.`}`
+  };
+}
+
+/**
+ * Start looking - try the reference they've already given, then the number they're calling from.
+ * action is the verb for what they want done ("cancel", "move"). Resolves { appointment }, { reply } to ask for more,
+ * or { reply, gaveUp: true } if the calendar can't be read.
+ * With handOver false, running out of attempts leaves what happens next to the caller instead of handing over.
+ */
+async function startBookingLookup(session, input, action, { handOver = true } = {}) {
+  session.bookingLookup = { action, handOver, text: '', attempts: 0, matches: null };
+  session.bookingChoices = null;
+
+  const referenceDigits = extractReferenceDigits(input) || extractReferenceDigits(session.referenceNumber);
+  const matches = await lookUpAppointments(session, { referenceDigits, phone: session.callerPhoneNumber });
+  if (!matches) {
+    return giveUp(session, session.bookingLookup, CANT_LOOK_UP);
+  }
+  if (matches.length) {
+    return offerMatches(session, matches);
+  }
+  return { reply: ASK_FOR_BOOKING };
+}
+
+/**
+ * One answer while we're still working out which booking it is. Resolves { appointment }, { reply } to keep going,
+ * or { reply, gaveUp: true } once we've run out of attempts or can't read the calendar (and handed over, unless
+ * handOver was false).
+ */
+async function continueBookingLookup(session, input) {
+  const lookup = session.bookingLookup;
+
+  if (lookup.matches) {
+    const appointment = pickListedAppointment(lookup.matches, input);
+    if (appointment) {
+      session.bookingLookup = null;
+      return { appointment };
+    }
+    return { reply: `Sorry, which one was that? ${lookup.matches.map((match, i) => `The ${ORDINALS[i]} is ${formatAppointmentTime(match.start)}.`).join(' ')}` };
+  }
+
+  // Name and address often come over two answers, so match against everything said since we asked
+  lookup.text = `${lookup.text} ${input}`.trim();
+  const matches = await lookUpAppointments(session, { referenceDigits: extractReferenceDigits(input), text: lookup.text });
+  if (!matches) {
+    return giveUp(session, lookup, CANT_LOOK_UP);
+  }
+  if (matches.length) {
+    return offerMatches(session, matches);
+  }
+
+  lookup.attempts++;
+  if (lookup.attempts < MAX_LOOKUP_ATTEMPTS) {
+    // Just a name so far - the street number and street are what pin the booking down
+    return {
+      reply: /\d/.test(lookup.text)
+        ? `Sorry, I couldn't find a booking matching that. ${ASK_FOR_BOOKING}`
+        : 'Thanks. And what address is the booking for?'
+    };
+  }
+
+  console.log(`🔍 No booking found to ${lookup.action} on ${session.callSid}: ${lookup.text}`);
+  return giveUp(session, lookup, "I'm sorry, I can't find that booking.");
+}
+
+/**
+ * They said no to the booking we read back - go back to the other bookings they were choosing from.
+ * Resolves like startBookingLookup, or null if there weren't any others.
+ */
+function offerOtherBookings(session, rejected) {
+  const choices = session.bookingChoices;
+  session.bookingChoices = null;
+  const others = (choices?.matches || []).filter(appointment => appointment.eventId !== rejected.eventId);
+  if (!others.length) return null;
+
+  session.bookingLookup = { action: choices.action, handOver: choices.handOver, text: '', attempts: 0, matches: null };
+  return offerMatches(session, others);
+}
+
+module.exports = {
+  describeAppointment,
+  startBookingLookup,
+  continueBookingLookup,
+  offerOtherBookings
+};
@@ -0,0 +1,237 @@
+/**
+ * Booking Status
+ * Answers "when is my plumber coming?" for customers with a booking. Finds it the same way as a cancellation or
+ * reschedule (see bookingLookup.js), then reads back the day, arrival window and the technician assigned - or, if the
+ * technician has posted an update today (POST /appointments/status), where they are and their ETA. When no booking
+ * can be found, the customer can leave their details for the team or be put through.
+ */
+const { updateAppointment } = require('../outlook');
+const { notifyWarning } = require('../notifications');
+const { transitionTo } = require('./stateMachine');
+const { BUSINESS_TIMEZONE } = require('./businessHours');
+const { findAppointments, formatAppointmentTime } = require('./appointmentLookup');
+const { startBookingLookup, continueBookingLookup } = require('./bookingLookup');
+const { requestTransfer } = require('./transfer');
+const { saveCallerMessage } = require('./callRecords');
+const { getTenant } = require('./tenants');
+
+// How long after a booking's start time the plumber can still arrive
+const ARRIVAL_WINDOW_MINUTES = parseInt(process.env.ARRIVAL_WINDOW_MINUTES, 10) || 60;
+// A technician's update older than this is no longer live, so we fall back to the booked window
+const STATUS_UPDATE_MAX_AGE_MINUTES = parseInt(process.env.STATUS_UPDATE_MAX_AGE_MINUTES, 10) || 180;
+
+const TECHNICIAN_STATUSES = ['on_the_way', 'running_late', 'arrived', 'completed'];
+
+function formatTime(dateTime) {
+  return new Date(dateTime).toLocaleTimeString('en-AU', { timeZone: BUSINESS_TIMEZONE, hour: 'numeric', minute: '2-digit', hour12: true });
+}
+
+function formatDay(dateTime, now) {
+  const day = date => new Date(date).toLocaleDateString('en-AU', { timeZone: BUSINESS_TIMEZONE, weekday: 'long', day: 'numeric', month: 'long' });
+  return day(dateTime) === day(now) ? 'today' : day(dateTime);
+}
+
+/**
+ * The technician's latest update on the booking, if it's recent enough to pass on
+ */
+function getLiveUpdate(appointment, now = new Date()) {
+  const { technicianStatus, technicianEta, technicianStatusAt } = appointment.reminder;
+  if (!TECHNICIAN_STATUSES.includes(technicianStatus) || !technicianStatusAt) return null;
+  if (now - new Date(technicianStatusAt) > STATUS_UPDATE_MAX_AGE_MINUTES * 60 * 1000) return null;
+
+  return {
+    status: technicianStatus,
+    eta: technicianEta ? new Date(technicianEta) : null,
+    updatedAt: technicianStatusAt,
+  };
+}
+
+function describeLiveUpdate(appointment, update, now) {
+  const who = appointment.technician || 'Our plumber';
+  const eta = update.eta && update.eta > now ? ` and should be with you at about ${formatTime(update.eta)}` : '';
+
+  switch (update.status) {
+    case 'on_the_way':
+      return `${who} is on the way${eta || ' and should be with you any minute now'}.`;
+    case 'running_late':
+      return `${who} is running a little behind${eta}. Sorry about the wait.`;
+    case 'arrived':
+      return `${who} has let us know they've arrived at ${appointment.address || 'the property'}.`;
+    default:
+      return `${who} has marked the job as finished.`;
+  }
+}
+
+/**
+ * What we tell the customer about their booking: the live update if there is one, otherwise the booked window
+ */
+function describeBookingStatus(appointment, now = new Date()) {
+  const update = getLiveUpdate(appointment, now);
+  if (update) {
+    return describeLiveUpdate(appointment, update, now);
+  }
+
+  const windowEnd = new Date(appointment.start.getTime() + ARRIVAL_WINDOW_MINUTES * 60 * 1000);
+  const technician = appointment.technician
+    ? `${appointment.technician} is the plumber booked to come out, and will`
+    : 'Our plumber will';
+  return `Your booking is for ${formatDay(appointment.start, now)}${appointment.address ? ` at ${appointment.address}` : ''}, ` +
+         `with the plumber arriving between ${formatTime(appointment.start)} and ${formatTime(windowEnd)}. ` +
+         `${technician} give you a call about 30 minutes before arriving.`;
+}
+
+/**
+ * Start a status inquiry - try the reference they've already given, then the number they're calling from
+ */
+async function startStatusInquiry(session, input) {
+  transitionTo(session, 'booking_status', 'customer asking about their booking');
+  session.statusStep = 'identify';
+
+  const found = await startBookingLookup(session, input, 'check on', { handOver: false });
+  if (found.appointment) {
+    return answerStatus(session, found.appointment);
+  }
+  if (found.gaveUp) {
+    return offerHelp(session, found.reply);
+  }
+  return `I can check on that for you. ${found.reply}`;
+}
+
+function finishStatusInquiry(session) {
+  session.statusStep = null;
+  session.bookingLookup = null;
+  session.bookingChoices = null;
+  transitionTo(session, 'general', 'status inquiry finished');
+}
+
+function answerStatus(session, appointment) {
+  const update = getLiveUpdate(appointment);
+  session.bookingStatus = {
+    eventId: appointment.eventId,
+    reference: appointment.reference,
+    appointmentTime: appointment.start.toISOString(),
+    technician: appointment.technician,
+    technicianStatus: update?.status || null,
+    eta: update?.eta?.toISOString() || null,
+  };
+  console.log(`📍 Status of ${appointment.reference || appointment.eventId} given: ${update ? update.status : 'booked window'}`);
+
+  finishStatusInquiry(session);
+  return `${describeBookingStatus(appointment)} Is there anything else I can help you with?`;
+}
+
+/**
+ * Nothing matched - the customer chooses between leaving their details and being put through
+ */
+function offerHelp(session, reply) {
+  session.statusStep = 'no_match';
+  const handOver = ['sms', 'chat'].includes(session.channel)
+    ? 'have someone from the team give you a call'
+    : 'put you through to the team now';
+  return `${reply} I can take your details so the team can look into it, or ${handOver}. Which would you prefer?`;
+}
+
+async function saveStatusMessage(session, details) {
+  const message = {
+    source: 'booking_status',
+    phone: session.callerPhoneNumber,
+    message: details,
+    urgent: false,
+  };
+  try {
+    await saveCallerMessage(session.callSid, message);
+  } catch (error) {
+    console.error('❌ Failed to save booking status message:', error.message);
+  }
+  await notifyWarning(`Customer asking about a booking we couldn't find (${getTenant(session).businessName})`, {
+    callSid: session.callSid,
+    ...message,
+  });
+}
+
+/**
+ * Conversation handler for the 'booking_status' state
+ */
+async function handleStatusInquiry(session, input) {
+  const lowerInput = input.toLowerCase();
+
+  switch (session.statusStep) {
+    case 'no_match':
+      if (/\b(details|message|call (me )?back|callback|ring me|get back|yes|yeah|sure|please)\b/.test(lowerInput)) {
+        session.statusStep = 'details';
+        return "Sure. What's your name, and the address and day the booking was for?";
+      }
+      if (/\b(through|transfer|team|office|someone|person)\b/.test(lowerInput)) {
+        finishStatusInquiry(session);
+        return requestTransfer(session, 'booking_not_found') ||
+          `Please give the office a call on ${getTenant(session).officePhone} and they'll sort it out for you.`;
+      }
+      if (/\b(no|nope|don't worry|never mind)\b/.test(lowerInput)) {
+        finishStatusInquiry(session);
+        return 'No worries. Is there anything else I can help you with?';
+      }
+      return 'Sorry, would you like to leave your details for the team, or speak to someone now?';
+
+    case 'details': {
+      await saveStatusMessage(session, input);
+      finishStatusInquiry(session);
+      const callBackOn = session.callerPhoneNumber ? ' on this number' : '';
+      return `Thanks, I've passed that on and the team will get back to you${callBackOn} about your booking. ` +
+             'Is there anything else I can help you with?';
+    }
+
+    default: {
+      const found = await continueBookingLookup(session, input);
+      if (found.appointment) {
+        return answerStatus(session, found.appointment);
+      }
+      if (found.gaveUp) {
+        return offerHelp(session, found.reply);
+      }
+      return found.reply;
+    }
+  }
+}
+
+/**
+ * Record a technician's update on a booking (found by its reference) so customers who call get the live status.
+ * eta is a Date or null. Resolves 'updated', 'not_found', 'ambiguous' (the reference matches more than one booking,
+ * so we won't guess whose it is) or 'failed' (the calendar couldn't be read or updated).
+ */
+async function updateTechnicianStatus(referenceDigits, { status, eta, technician }) {
+  let matches;
+  try {
+    matches = await findAppointments({ referenceDigits });
+  } catch (error) {
+    console.error('❌ Technician status lookup failed:', error.message);
+    return 'failed';
+  }
+  if (!matches.length) return 'not_found';
+  if (matches.length > 1) return 'ambiguous';
+  const [appointment] = matches;
+
+  const updated = await updateAppointment(appointment.eventId, {
+    extendedProperties: {
+      private: {
+        ...appointment.reminder,
+        technician: technician || appointment.technician || '',
+        technicianStatus: status,
+        technicianEta: eta ? eta.toISOString() : '',
+        technicianStatusAt: new Date().toISOString(),
+      },
+    },
+  });
+  if (!updated) return 'failed';
+
+  console.log(`🚐 ${technician || appointment.technician || 'Technician'} ${status.replace(/_/g, ' ')} for ` +
+              `${appointment.reference || appointment.eventId} (${formatAppointmentTime(appointment.start)})` +
+              `${eta ? `, ETA ${eta.toISOString()}` : ''}`);
+  return 'updated';
+}
+
+module.exports = {
+  TECHNICIAN_STATUSES,
+  startStatusInquiry,
+  handleStatusInquiry,
+  updateTechnicianStatus
+};
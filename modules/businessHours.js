@@ -0,0 +1,99 @@
+/**
+ * Business Hours
+ * Single definition of when the office is open (Brisbane time). Each tenant can set its own hours
+ * (see tenants.js) - these are the defaults.
+ */
+
+const BUSINESS_TIMEZONE = 'Australia/Brisbane';
+const OPEN_HOUR = 8; // 8:00 AM
+const CLOSE_HOUR = 17; // 5:00 PM
+const BUSINESS_DAYS = [1, 2, 3, 4, 5]; // Monday - Friday
+const DEFAULT_HOURS = { open: OPEN_HOUR, close: CLOSE_HOUR, days: BUSINESS_DAYS };
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Convert a date into a Date whose local fields read as Brisbane wall-clock time
+ */
+function toBrisbaneTime(dateTime = new Date()) {
+  return new Date(new Date(dateTime).toLocaleString('en-US', { timeZone: BUSINESS_TIMEZONE }));
+}
+
+function isBusinessDay(brisbaneTime, hours) {
+  return hours.days.includes(brisbaneTime.getDay());
+}
+
+// Hours can be fractional (close: 17.5 is 5:30 PM), so compare in minutes since midnight
+function minuteOfDay(brisbaneTime) {
+  return brisbaneTime.getHours() * 60 + brisbaneTime.getMinutes();
+}
+
+function hourToMinutes(hour) {
+  return Math.round(hour * 60);
+}
+
+/**
+ * Check whether the office is open at the given moment
+ */
+function isWithinBusinessHours(dateTime = new Date(), hours = DEFAULT_HOURS) {
+  const brisbaneTime = toBrisbaneTime(dateTime);
+  const minute = minuteOfDay(brisbaneTime);
+  return isBusinessDay(brisbaneTime, hours) && minute >= hourToMinutes(hours.open) && minute < hourToMinutes(hours.close);
+}
+
+/**
+ * Describe when we next open, e.g. "tomorrow morning" or "Monday morning"
+ */
+function describeNextOpening(dateTime = new Date(), hours = DEFAULT_HOURS) {
+  if (!hours.days.length) return 'as soon as we can';
+
+  const brisbaneTime = toBrisbaneTime(dateTime);
+  const sameDayBeforeOpen = isBusinessDay(brisbaneTime, hours) && minuteOfDay(brisbaneTime) < hourToMinutes(hours.open);
+  if (sameDayBeforeOpen) {
+    return 'this morning';
+  }
+
+  const next = new Date(brisbaneTime);
+  let daysAhead = 0;
+  do {
+    next.setDate(next.getDate() + 1);
+    daysAhead++;
+  } while (!isBusinessDay(next, hours));
+
+  return daysAhead === 1 ? 'tomorrow morning' : `${DAY_NAMES[next.getDay()]} morning`;
+}
+
+// 8 -> "8", 17 -> "5", 12.5 -> "12:30"
+function spokenHour(hour) {
+  const whole = Math.floor(hour);
+  const minutes = Math.round((hour - whole) * 60);
+  return `${whole % 12 || 12}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''}`;
+}
+
+/**
+ * Opening hours as Robyn says them, e.g. "8 till 5, Monday to Friday"
+ */
+function describeOpeningHours(hours = DEFAULT_HOURS) {
+  const days = [...hours.days].sort((a, b) => a - b);
+  const consecutive = days.every((day, i) => i === 0 || day === days[i - 1] + 1);
+  const dayRange = days.length > 2 && consecutive
+    ? `${DAY_NAMES[days[0]]} to ${DAY_NAMES[days[days.length - 1]]}`
+    : days.map(day => DAY_NAMES[day]).join(', ').replace(/, ([^,]+)$/, ' and $1');
+
+  return `${spokenHour(hours.open)} till ${spokenHour(hours.close)}, ${dayRange}`;
+}
+
+module.exports = {
+  BUSINESS_TIMEZONE,
+  OPEN_HOUR,
+  CLOSE_HOUR,
+  DEFAULT_HOURS,
+  DAY_NAMES,
+  toBrisbaneTime,
+  isBusinessDay,
+  minuteOfDay,
+  hourToMinutes,
+  isWithinBusinessHours,
+  describeNextOpening,
+  describeOpeningHours
+};
@@ -0,0 +1,343 @@
+/**
+ * Call Records
+ * Persists a record of every call (transcript, state changes, outcome) as JSON files on disk, plus a small index
+ * file per customer (number and business) with the details from their latest finished call
+ */
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_TENANT_ID } = require('./tenants');
+
+const RECORDS_DIR = process.env.CALL_RECORDS_DIR || path.join(__dirname, '..', 'data', 'calls');
+const CUSTOMERS_DIR = path.join(RECORDS_DIR, 'customers');
+// Written once the records from before the customer index have all been indexed
+const CUSTOMER_INDEX_MARKER = path.join(CUSTOMERS_DIR, '.backfilled');
+
+// Records for calls still in progress, flushed to disk after every change
+const activeRecords = new Map();
+// Per-file write chains so concurrent saves for the same call (or customer) land in order
+const writeQueues = new Map();
+// Customer index being built from existing records - see ensureCustomerIndex
+let customerIndexBuild = null;
+
+// CallSids, tenant ids and phone digits are alphanumeric - strip anything else so a lookup can't escape the directory
+function safeName(value) {
+  return String(value).replace(/[^A-Za-z0-9_-]/g, '');
+}
+
+function recordPath(callSid) {
+  return path.join(RECORDS_DIR, `${safeName(callSid)}.json`);
+}
+
+function customerPath(phone, tenant) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits ? path.join(CUSTOMERS_DIR, `${safeName(tenant)}-${digits}.json`) : null;
+}
+
+async function writeJsonFile(target, data) {
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  const tmp = `${target}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.promises.rename(tmp, target);
+}
+
+function queueWrite(target, write, label) {
+  const previous = writeQueues.get(target) || Promise.resolve();
+  const next = previous.then(write).catch((error) => {
+    console.error(`❌ Failed to save ${label}:`, error.message);
+  });
+
+  writeQueues.set(target, next);
+  next.then(() => {
+    if (writeQueues.get(target) === next) {
+      writeQueues.delete(target);
+    }
+  });
+  return next;
+}
+
+function saveRecord(record) {
+  const target = recordPath(record.callSid);
+  return queueWrite(target, () => writeJsonFile(target, record), `call record ${record.callSid}`);
+}
+
+/**
+ * The customer details a finished record captured, or null if it has none
+ */
+function customerDetails(record) {
+  const { name, email, address } = record.outcome?.customer || {};
+  if (!name && !email && !address) return null;
+  return { name: name || null, email: email || null, address: address || null, lastContactAt: record.startedAt };
+}
+
+/**
+ * Point the customer's index file at this record's details, unless it already has a later call's
+ */
+function indexCustomer(record) {
+  const details = customerDetails(record);
+  const target = customerPath(record.callerNumber, record.tenantId || DEFAULT_TENANT_ID);
+  if (!details || !target) return Promise.resolve();
+
+  return queueWrite(target, async () => {
+    const existing = await readJsonFile(target);
+    if (existing && new Date(existing.lastContactAt) > new Date(details.lastContactAt)) return;
+    await writeJsonFile(target, details);
+  }, `customer index for ${record.callSid}`);
+}
+
+/**
+ * Get the in-progress record for a session, creating it on first use
+ */
+function getRecord(session) {
+  if (!session?.callSid) return null;
+
+  let record = activeRecords.get(session.callSid);
+  if (!record) {
+    record = {
+      callSid: session.callSid,
+      channel: session.channel || 'voice',
+      tenantId: session.tenantId || DEFAULT_TENANT_ID,
+      callerNumber: session.callerPhoneNumber || null,
+      calledNumber: null,
+      startedAt: new Date(session.createdAt || Date.now()).toISOString(),
+      endedAt: null,
+      endReason: null,
+      outcome: null,
+      transcript: [],
+      stateTransitions: [],
+    };
+    activeRecords.set(session.callSid, record);
+  }
+  return record;
+}
+
+function startCallRecord(session, { from, to } = {}) {
+  const record = getRecord(session);
+  if (!record) return;
+
+  record.callerNumber = from || record.callerNumber;
+  record.calledNumber = to || record.calledNumber;
+  saveRecord(record);
+}
+
+function recordCallerUtterance(session, text, confidence = null, source = 'speech') {
+  const record = getRecord(session);
+  if (!record) return;
+
+  record.callerNumber = record.callerNumber || session.callerPhoneNumber || null;
+  record.transcript.push({ role: 'caller', text, confidence, source, at: new Date().toISOString() });
+  saveRecord(record);
+}
+
+function recordBotReply(session, text) {
+  const record = getRecord(session);
+  if (!record || !text) return;
+
+  record.transcript.push({ role: 'bot', text, at: new Date().toISOString() });
+  saveRecord(record);
+}
+
+function recordStateTransition(session, from, to, reason = '') {
+  const record = getRecord(session);
+  if (!record) return;
+
+  record.stateTransitions.push({ from, to, reason, at: new Date().toISOString() });
+  saveRecord(record);
+}
+
+/**
+ * Close off a call's record with its end reason and booking outcome. Only the first call counts.
+ */
+function finalizeCallRecord(session, endReason) {
+  const record = activeRecords.get(session?.callSid);
+  if (!record) return Promise.resolve();
+
+  activeRecords.delete(session.callSid);
+  record.endedAt = new Date().toISOString();
+  record.endReason = endReason || 'unknown';
+  record.outcome = {
+    appointmentBooked: !!session.appointmentBooked,
+    appointmentId: session.appointmentId || null,
+    referenceNumber: session.referenceNumber || null,
+    cancellation: session.cancellation || null,
+    reschedule: session.reschedule || null,
+    bookingStatus: session.bookingStatus || null,
+    issueType: session.issueType || null,
+    finalState: session.currentState,
+    customer: { ...session.customerData },
+  };
+
+  console.log(`🗂️ Call record saved for ${record.callSid} (${record.endReason})`);
+  return saveRecord(record).then(() => indexCustomer(record));
+}
+
+/**
+ * Store a message left by the caller (after hours or a missed transfer) against their call record.
+ * Works for calls that never had a session, e.g. voicemail-only TwiML calls.
+ */
+async function saveCallerMessage(callSid, message) {
+  let record = activeRecords.get(callSid) || await getCallRecord(callSid);
+  if (!record) {
+    record = {
+      callSid,
+      callerNumber: message.phone || null,
+      calledNumber: null,
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      endReason: null,
+      outcome: null,
+      transcript: [],
+      stateTransitions: [],
+    };
+  }
+
+  record.messages = record.messages || [];
+  const existing = message.id && record.messages.find(entry => entry.id === message.id);
+  if (existing) {
+    Object.assign(existing, message, { updatedAt: new Date().toISOString() });
+  } else {
+    record.messages.push({ ...message, at: new Date().toISOString() });
+  }
+
+  await saveRecord(record);
+  return record;
+}
+
+/**
+ * Wait for every queued record write to land (used on shutdown)
+ */
+function flushCallRecords() {
+  return Promise.all([...writeQueues.values()]);
+}
+
+// null if the file isn't there
+async function readJsonFile(file) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function readRecordFile(file) {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(RECORDS_DIR, file), 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️ Skipping unreadable call record ${file}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch one call's record, including calls still in progress
+ */
+async function getCallRecord(callSid) {
+  if (activeRecords.has(callSid)) {
+    return activeRecords.get(callSid);
+  }
+
+  // A call that has just ended may still have its final save queued - wait for it to land
+  await writeQueues.get(recordPath(callSid));
+  return readJsonFile(recordPath(callSid));
+}
+
+async function readAllRecords() {
+  let files = [];
+  try {
+    files = (await fs.promises.readdir(RECORDS_DIR)).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  return (await Promise.all(files.map(readRecordFile))).filter(Boolean);
+}
+
+/**
+ * List call records, newest first. Filters: phone, since, until (ISO dates), booked (boolean), cancelled (boolean),
+ * rescheduled (boolean), endReason, tenant, limit.
+ */
+async function listCallRecords({ phone, since, until, booked, cancelled, rescheduled, endReason, tenant, limit = 50 } = {}) {
+  const records = await readAllRecords();
+  const sinceTime = since ? new Date(since).getTime() : null;
+  const untilTime = until ? new Date(until).getTime() : null;
+
+  return records
+    .filter(record => !phone || (record.callerNumber || '').includes(phone))
+    .filter(record => !sinceTime || new Date(record.startedAt).getTime() >= sinceTime)
+    .filter(record => !untilTime || new Date(record.startedAt).getTime() <= untilTime)
+    .filter(record => booked === undefined || !!record.outcome?.appointmentBooked === booked)
+    .filter(record => cancelled === undefined || !!record.outcome?.cancellation === cancelled)
+    .filter(record => rescheduled === undefined || !!record.outcome?.reschedule === rescheduled)
+    .filter(record => !endReason || record.endReason === endReason)
+    .filter(record => !tenant || (record.tenantId || DEFAULT_TENANT_ID) === tenant)
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+    .slice(0, limit)
+    .map(record => ({
+      callSid: record.callSid,
+      channel: record.channel || 'voice',
+      tenantId: record.tenantId || DEFAULT_TENANT_ID,
+      callerNumber: record.callerNumber,
+      startedAt: record.startedAt,
+      endedAt: record.endedAt,
+      endReason: record.endReason,
+      appointmentBooked: !!record.outcome?.appointmentBooked,
+      referenceNumber: record.outcome?.referenceNumber || null,
+      cancellationReason: record.outcome?.cancellation?.reason || null,
+      rescheduledTo: record.outcome?.reschedule?.appointmentTime || null,
+      turns: record.transcript.length,
+      messages: (record.messages || []).length,
+    }));
+}
+
+/**
+ * Index the customers in records saved before there was a customer index. Runs once - after that,
+ * finalizeCallRecord keeps the index up to date. The customers directory alone doesn't say the backfill
+ * happened (the first finished call creates it), so completion is the marker file, and lookups that arrive
+ * while the backfill is running wait for it.
+ */
+async function ensureCustomerIndex() {
+  if (customerIndexBuild) {
+    await customerIndexBuild;
+    return;
+  }
+  try {
+    await fs.promises.access(CUSTOMER_INDEX_MARKER);
+    return;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  customerIndexBuild = customerIndexBuild || (async () => {
+    const records = await readAllRecords();
+    await Promise.all(records.map(indexCustomer));
+    await writeJsonFile(CUSTOMER_INDEX_MARKER, { backfilledAt: new Date().toISOString(), records: records.length });
+    console.log(`🗂️ Customer index built from ${records.length} call records`);
+  })().finally(() => {
+    customerIndexBuild = null;
+  });
+  await customerIndexBuild;
+}
+
+/**
+ * The name, email and address from the most recent finished call or conversation with this number (for this
+ * business) that captured any of them, or null
+ */
+async function findLastCustomerDetails(phone, tenant = DEFAULT_TENANT_ID) {
+  const target = customerPath(phone, tenant);
+  if (!target) return null;
+
+  await ensureCustomerIndex();
+  return readJsonFile(target);
+}
+
+module.exports = {
+  startCallRecord,
+  recordCallerUtterance,
+  recordBotReply,
+  recordStateTransition,
+  finalizeCallRecord,
+  saveCallerMessage,
+  flushCallRecords,
+  getCallRecord,
+  listCallRecords,
+  findLastCustomerDetails
+};
@@ -0,0 +1,124 @@
+/**
+ * Returning Caller Recognition
+ * When a call comes in, look the number up in our call records, the calendar (upcoming bookings) and GoHighLevel
+ * contacts, all at once. What comes back lets Robyn greet the caller by name, ask about their next booking and offer
+ * to reuse the email and address we already have (see conversationalAI.js).
+ *
+ * The lookup never holds up the call: it starts at /voice and each source gets CALLER_LOOKUP_BUDGET_MS to answer.
+ * Whatever hasn't answered by then is left out, and if nothing is in by the time the greeting is spoken the caller
+ * just gets the usual one.
+ */
+const { findContactByPhone } = require('../ghl');
+const { findLastCustomerDetails } = require('./callRecords');
+const { findAppointments, formatAppointmentTime } = require('./appointmentLookup');
+const { getTenant, runAsTenant } = require('./tenants');
+
+const CALLER_LOOKUP_ENABLED = process.env.CALLER_LOOKUP_ENABLED !== 'false';
+const CALLER_LOOKUP_BUDGET_MS = parseInt(process.env.CALLER_LOOKUP_BUDGET_MS, 10) || 800;
+
+/**
+ * Resolve with the source's answer, or null if it fails or isn't back within the budget
+ */
+function withinBudget(source, name, promise) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      console.log(`⏱️ Caller lookup: ${name} didn't answer within ${CALLER_LOOKUP_BUDGET_MS}ms`);
+      resolve(null);
+    }, CALLER_LOOKUP_BUDGET_MS);
+    timer.unref?.();
+  });
+  const answer = promise.catch((error) => {
+    console.warn(`⚠️ Caller lookup: ${name} failed:`, error.message);
+    return null;
+  });
+  return Promise.race([answer, timeout]).finally(() => clearTimeout(timer)).then(result => result && { source, ...result });
+}
+
+function contactDetails(contact) {
+  if (!contact) return null;
+  const address = [contact.address1, contact.city, contact.state, contact.postalCode].filter(Boolean).join(', ');
+  return {
+    name: contact.name || [contact.firstName, contact.lastName].filter(Boolean).join(' ') || null,
+    email: contact.email || null,
+    address: address || null,
+  };
+}
+
+/**
+ * Everything we know about a phone number for the tenant: { name, email, address, upcoming, sources } or null
+ */
+async function lookupCaller(phone, tenant) {
+  const [record, bookings, contact] = await runAsTenant(tenant, () => Promise.all([
+    withinBudget('calls', 'call records', findLastCustomerDetails(phone, tenant.id)),
+    withinBudget('calendar', 'calendar', findAppointments({ phone }).then(matches => ({ matches }))),
+    withinBudget('crm', 'GoHighLevel', findContactByPhone(phone, { timeout: CALLER_LOOKUP_BUDGET_MS }).then(contactDetails)),
+  ]));
+
+  const upcoming = bookings?.matches?.[0] || null;
+  // Most recent first: what they told us last call, then their booking, then the CRM
+  const sources = [record, upcoming && { source: 'calendar', ...upcoming }, contact].filter(Boolean);
+  if (!sources.length) return null;
+
+  const pick = field => sources.find(source => source[field])?.[field] || null;
+  return {
+    name: pick('name'),
+    email: pick('email'),
+    address: pick('address'),
+    upcoming,
+    sources: sources.map(source => source.source),
+  };
+}
+
+/**
+ * Start looking the caller up - doesn't wait. The result lands on session.knownCaller if it's back in time.
+ */
+function startCallerLookup(session) {
+  if (!CALLER_LOOKUP_ENABLED || !session.callerPhoneNumber) return;
+
+  const startedAt = Date.now();
+  lookupCaller(session.callerPhoneNumber, getTenant(session))
+    .then((profile) => {
+      if (!profile) {
+        console.log(`👤 New caller ${session.callerPhoneNumber} (${Date.now() - startedAt}ms)`);
+        return;
+      }
+      session.knownCaller = profile;
+      console.log(`👤 Returning caller ${session.callerPhoneNumber}: ${profile.name || 'no name'}` +
+                  `${profile.upcoming ? `, booked ${profile.upcoming.start.toISOString()}` : ''} ` +
+                  `from ${profile.sources.join(', ')} (${Date.now() - startedAt}ms)`);
+    })
+    .catch((error) => {
+      console.warn('⚠️ Caller lookup failed:', error.message);
+    });
+}
+
+function firstNameOf(name) {
+  return String(name || '').trim().split(/\s+/)[0] || null;
+}
+
+/**
+ * Greeting for a caller we recognise, or null to use the usual one.
+ * Asking about their next booking sets session.askedAboutUpcomingBooking for the answer (see conversationHandlers.js).
+ */
+function getReturningCallerGreeting(session) {
+  const known = session.knownCaller;
+  if (!known || (!known.name && !known.upcoming)) return null;
+
+  const { agentName, businessName } = getTenant(session);
+  const firstName = firstNameOf(known.name);
+  const opening = firstName
+    ? `Hi ${firstName}, this is ${agentName} from ${businessName}.`
+    : `Hello, this is ${agentName} from ${businessName}.`;
+
+  if (known.upcoming) {
+    session.askedAboutUpcomingBooking = true;
+    return `${opening} Are you calling about your booking on ${formatAppointmentTime(known.upcoming.start)}?`;
+  }
+  return `${opening} Good to hear from you again - how can I help today?`;
+}
+
+module.exports = {
+  startCallerLookup,
+  getReturningCallerGreeting
+};
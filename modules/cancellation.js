@@ -0,0 +1,189 @@
+/**
+ * Appointment Cancellation
+ * Finds the booking a customer wants to cancel (spoken reference, caller ID, or the name and address it's under),
+ * reads it back, asks why, then cancels it everywhere: the calendar event is marked cancelled, the CRM contact is
+ * updated and the customer gets a cancellation email and text. The reason is kept on the calendar event and the
+ * call record for reporting.
+ */
+const { updateAppointment } = require('../outlook');
+const { createOrUpdateContact } = require('../ghl');
+const { sendCancellationEmail, sendCancellationSMS } = require('../professional-email-service');
+const { notifyError, notifyWarning } = require('../notifications');
+const { transitionTo } = require('./stateMachine');
+const { BUSINESS_TIMEZONE } = require('./businessHours');
+const { formatAppointmentTime } = require('./appointmentLookup');
+const { describeAppointment, startBookingLookup, continueBookingLookup, offerOtherBookings } = require('./bookingLookup');
+
+function askToConfirm(session, appointment) {
+  session.cancelAppointment = appointment;
+  session.cancelStep = 'confirm';
+  return `I've found your booking for ${describeAppointment(appointment)}. Is that the one you'd like to cancel?`;
+}
+
+/**
+ * Start a cancellation - try the reference they've already given, then the number they're calling from
+ */
+async function startCancellation(session, input) {
+  transitionTo(session, 'cancel_appointment', 'customer wants to cancel');
+  session.cancelStep = 'identify';
+
+  const found = await startBookingLookup(session, input, 'cancel');
+  if (found.appointment) {
+    return askToConfirm(session, found.appointment);
+  }
+  if (found.gaveUp) {
+    finishCancellation(session);
+    return found.reply;
+  }
+  return `I can help you cancel your appointment. ${found.reply}`;
+}
+
+function finishCancellation(session) {
+  session.cancelStep = null;
+  session.bookingLookup = null;
+  session.bookingChoices = null;
+  transitionTo(session, 'general', 'cancellation finished');
+}
+
+/**
+ * Cancel the booking in the calendar, CRM and with the customer. Returns false if the calendar couldn't be updated.
+ */
+async function cancelAppointment(session, appointment, reason) {
+  const cancelledAt = new Date().toISOString();
+  const stamp = new Date().toLocaleString('en-AU', { timeZone: BUSINESS_TIMEZONE });
+
+  const updated = await updateAppointment(appointment.eventId, {
+    status: 'cancelled',
+    description: `${appointment.description}\nCancelled by customer over ${session.channel} (${stamp}): ${reason}`,
+    extendedProperties: {
+      private: {
+        ...appointment.reminder,
+        reminderStatus: 'cancelled',
+        cancellationReason: reason,
+        cancelledAt,
+        cancelledVia: session.channel,
+      },
+    },
+  });
+  if (!updated) return false;
+
+  session.cancellation = {
+    eventId: appointment.eventId,
+    reference: appointment.reference,
+    appointmentTime: appointment.start.toISOString(),
+    reason,
+    cancelledAt,
+  };
+  if (appointment.reference && appointment.reference === session.referenceNumber) {
+    session.appointmentBooked = false;
+  }
+  console.log(`🗑️ Appointment ${appointment.reference || appointment.eventId} cancelled: ${reason}`);
+
+  try {
+    await createOrUpdateContact({
+      firstName: appointment.name?.split(' ')[0] || '',
+      lastName: appointment.name?.split(' ').slice(1).join(' ') || '',
+      email: appointment.email,
+      phone: appointment.phone,
+      tags: ['appointment cancelled'],
+      customField: {
+        appointmentReference: appointment.reference,
+        cancellationReason: reason,
+      },
+    });
+  } catch (error) {
+    console.error('Failed to update GHL contact after cancellation:', error.message);
+    await notifyError(error, 'cancelAppointment');
+  }
+
+  const details = {
+    customerName: appointment.name,
+    customerEmail: appointment.email,
+    customerAddress: appointment.address,
+    phone: appointment.phone || session.callerPhoneNumber,
+    appointmentTime: appointment.start,
+    referenceNumber: appointment.reference,
+    reason,
+  };
+  try {
+    await sendCancellationEmail(details);
+  } catch (error) {
+    console.error('❌ Cancellation email failed:', error.message);
+  }
+  await sendCancellationSMS(details);
+  return true;
+}
+
+/**
+ * Conversation handler for the 'cancel_appointment' state
+ */
+async function handleCancellation(session, input) {
+  const lowerInput = input.toLowerCase();
+  const saidYes = /\b(yes|yeah|yep|yup|correct|confirm|sure|that's (the one|it|right)|please do)\b/.test(lowerInput);
+  const saidNo = /\b(no|nope|not that|wrong|don't|keep it)\b/.test(lowerInput);
+
+  switch (session.cancelStep) {
+    case 'confirm':
+      if (saidYes && !saidNo) {
+        session.cancelStep = 'reason';
+        return "No problem. Before I cancel it, can I ask why you're cancelling?";
+      }
+      if (saidNo) {
+        // "No, the other one" - back to the bookings they were choosing from
+        const other = offerOtherBookings(session, session.cancelAppointment);
+        if (other?.appointment) return askToConfirm(session, other.appointment);
+        if (other) {
+          session.cancelStep = 'identify';
+          return `No problem. ${other.reply}`;
+        }
+        finishCancellation(session);
+        return "No worries, I'll leave that booking as it is. Is there anything else I can help you with?";
+      }
+      return `Sorry, I didn't catch that. Would you like me to cancel your booking for ${describeAppointment(session.cancelAppointment)}?`;
+
+    case 'reason': {
+      const appointment = session.cancelAppointment;
+      const reason = input.trim() || 'Not given';
+      const cancelled = await cancelAppointment(session, appointment, reason);
+      finishCancellation(session);
+
+      if (!cancelled) {
+        notifyWarning('Customer asked to cancel but the calendar could not be updated', {
+          callSid: session.callSid,
+          name: appointment.name,
+          phone: appointment.phone || session.callerPhoneNumber,
+          reference: appointment.reference,
+          appointment: formatAppointmentTime(appointment.start),
+          reason,
+        });
+        return "I'm sorry, I couldn't cancel that in our system just now, but I've passed it on to the team and they'll " +
+               'confirm the cancellation with you. Is there anything else I can help you with?';
+      }
+
+      session.pendingTermination = {
+        reason: 'appointment_cancelled',
+        timestamp: new Date().toISOString(),
+        shouldClose: true
+      };
+      return `Thanks for letting us know. I've cancelled your appointment for ${formatAppointmentTime(appointment.start)}, ` +
+             "and we'll send you a confirmation of the cancellation. If you need us again, just get in touch. Bye for now!";
+    }
+
+    default: {
+      const found = await continueBookingLookup(session, input);
+      if (found.appointment) {
+        return askToConfirm(session, found.appointment);
+      }
+      if (found.gaveUp) {
+        finishCancellation(session);
+      }
+      return found.reply;
+    }
+  }
+}
+
+module.exports = {
+  startCancellation,
+  handleCancellation,
+  cancelAppointment
+};
@@ -9,8 +9,47 @@ const {
 } = require('./issueClassification');
 const { getQuickResponse } = require('./inputValidation');
 const { extractCustomerData, extractCustomerDataFromHistory } = require('./dataExtraction');
-const { stateMachine, transitionTo, addToHistory, updateClientData, updateCustomerData } = require('./stateMachine');
+const { transitionTo, addToHistory, updateClientData, updateCustomerData } = require('./stateMachine');
+const { getTenant } = require('./tenants');
 const { handleBookingRequest, handleDetailCollection } = require('./bookingFlow');
+const { startCancellation } = require('./cancellation');
+const { startReschedule } = require('./rescheduling');
+const { startStatusInquiry } = require('./bookingStatus');
+
+/**
+ * "Can I cancel my booking", "I need to cancel the plumber" - cancel on its own isn't enough outside a booking
+ */
+function wantsToCancelBooking(input) {
+  return /\bcancel/i.test(input) && /\b(appointment|booking|booked|plumber|visit|job)\b/i.test(input);
+}
+
+/**
+ * Something that's already been booked - "my plumber", "the appointment", "I booked", "he was meant to come" -
+ * rather than a new job ("when can a plumber get here?", "I need to change a tap")
+ */
+function mentionsExistingBooking(input) {
+  return /\b(my|our) (plumber|technician|tradie|appointment|booking|visit)\b/i.test(input) ||
+         /\bthe (appointment|booking|visit)\b/i.test(input) ||
+         /\b(already|i've|we've|i|we|was|were|got it|got him|got her|got them) (booked|scheduled)\b/i.test(input) ||
+         /\b(meant|supposed) to (be here|come|arrive|turn up)\b/i.test(input);
+}
+
+/**
+ * "I need to move my appointment", "can we reschedule" - moving or changing needs the booking mentioned too
+ */
+function wantsToMoveBooking(input) {
+  return /\b(reschedul|postpone)/i.test(input) ||
+         (/\b(move|change|push back|bring forward|delay)\b/i.test(input) && mentionsExistingBooking(input));
+}
+
+/**
+ * "When is my plumber coming?", "where's my technician", "what time is my booking" - asking after a booking
+ * they already have, not for a new one
+ */
+function wantsBookingStatus(input) {
+  const asking = /\b(when|what time|where|eta|on (the|their|his|her) way|running late|still coming|status|check(ing)? on|confirm)\b/i;
+  return mentionsExistingBooking(input) && asking.test(input);
+}
 
 /**
  * Check if input contains a specific issue description (not just generic booking request)
@@ -27,7 +66,7 @@ function hasIssueDescription(input) {
   return issueKeywords.some(keyword => lowerInput.includes(keyword));
 }
 
-async function handleStart(input) {
+async function handleStart(session, input) {
   console.log('🚀 Starting conversation flow...');
   
   const lowerInput = input.toLowerCase();
@@ -35,10 +74,39 @@ async function handleStart(input) {
   // Check for emergency situations FIRST (highest priority)
   if (detectEmergency(input)) {
     console.log('🚨 Emergency detected');
-    stateMachine.urgent = true;
-    stateMachine.safetyConcern = true;
-    transitionTo('urgent_booking', 'emergency detected');
-    return await handleUrgentBooking(input);
+    session.urgent = true;
+    session.safetyConcern = true;
+    transitionTo(session, 'urgent_booking', 'emergency detected');
+    return await handleUrgentBooking(session, input);
+  }
+  
+  // We greeted them with their next booking (see callerLookup.js) - "yes, I need to move it"
+  if (session.askedAboutUpcomingBooking) {
+    session.askedAboutUpcomingBooking = false;
+    if (/\bcancel/i.test(input)) {
+      return await startCancellation(session, input);
+    }
+    if (/\b(move|reschedul|postpone|change|different (day|time))/i.test(input)) {
+      return await startReschedule(session, input);
+    }
+    if (wantsBookingStatus(input) || /\b(check|confirm|still on)\b/i.test(input)) {
+      return await startStatusInquiry(session, input);
+    }
+    if (/^\s*(yes|yeah|yep|yup|i am|that's right|correct)\b/i.test(input)) {
+      session.askedAboutUpcomingBooking = true;
+      return 'Sure. Would you like to move it, cancel it, or is it something else?';
+    }
+  }
+  
+  // Calling about an existing booking rather than a new job
+  if (wantsToCancelBooking(input)) {
+    return await startCancellation(session, input);
+  }
+  if (wantsToMoveBooking(input)) {
+    return await startReschedule(session, input);
+  }
+  if (wantsBookingStatus(input)) {
+    return await startStatusInquiry(session, input);
   }
   
   // Fast-path for direct issue classification (before booking intent check)
@@ -60,16 +128,16 @@ async function handleStart(input) {
       console.log(`⚡ Fast-path response for: ${keyword}`);
       
       if (keyword === 'water') {
-        stateMachine.issueType = 'hot water system';
+        session.issueType = 'hot water system';
       } else if (['sink', 'tap', 'faucet'].includes(keyword)) {
-        stateMachine.issueType = 'sink/tap';
+        session.issueType = 'sink/tap';
       } else {
-        stateMachine.issueType = keyword;
+        session.issueType = keyword;
       }
       
-      transitionTo(stateMachine.issueType, `${keyword} issue detected`);
-      stateMachine.questionIndex = 1; // Set to 1 since we're providing the first question (index 0)
-      addToHistory('assistant', response);
+      transitionTo(session, session.issueType, `${keyword} issue detected`);
+      session.questionIndex = 1; // Set to 1 since we're providing the first question (index 0)
+      addToHistory(session, 'assistant', response);
       return response;
     }
   }
@@ -77,8 +145,8 @@ async function handleStart(input) {
   // Check for pure booking intent (without specific issue description)
   if (detectBookingIntent(input) && !hasIssueDescription(input)) {
     console.log('📅 Pure booking intent detected');
-    transitionTo('general', 'booking intent detected');
-    stateMachine.needsBookingOffer = true;
+    transitionTo(session, 'general', 'booking intent detected');
+    session.needsBookingOffer = true;
     return "Hi there! I can definitely help you with that. What kind of plumbing issue are you experiencing today?";
   }
   
@@ -87,77 +155,77 @@ async function handleStart(input) {
     const analysis = await analyzeFastInput(input);
     
     if (analysis.issue.includes('toilet')) {
-      stateMachine.issueType = 'toilet';
-      transitionTo('toilet', 'AI classified as toilet');
+      session.issueType = 'toilet';
+      transitionTo(session, 'toilet', 'AI classified as toilet');
     } else if (analysis.issue.includes('sink') || analysis.issue.includes('tap') || analysis.issue.includes('faucet')) {
-      stateMachine.issueType = 'sink/tap';
-      transitionTo('sink/tap', 'AI classified as sink/tap');
+      session.issueType = 'sink/tap';
+      transitionTo(session, 'sink/tap', 'AI classified as sink/tap');
     } else if (analysis.issue.includes('water')) {
-      stateMachine.issueType = 'hot water system';
-      transitionTo('hot water system', 'AI classified as hot water');
+      session.issueType = 'hot water system';
+      transitionTo(session, 'hot water system', 'AI classified as hot water');
     } else if (analysis.issue.includes('leak')) {
-      stateMachine.issueType = 'burst/leak';
-      transitionTo('burst/leak', 'AI classified as leak');
+      session.issueType = 'burst/leak';
+      transitionTo(session, 'burst/leak', 'AI classified as leak');
     } else {
-      transitionTo('general', 'general classification');
-      return await handleGeneralQuery(input);
+      transitionTo(session, 'general', 'general classification');
+      return await handleGeneralQuery(session, input);
     }
     
-    return await askNextQuestion('');
+    return await askNextQuestion(session, '');
   } catch (error) {
     console.error('Start handler error:', error);
-    transitionTo('general', 'error fallback');
+    transitionTo(session, 'general', 'error fallback');
     return "I'm here to help with your plumbing needs. Could you tell me what issue you're experiencing?";
   }
 }
 
-async function askNextQuestion(input) {
-  console.log(`❓ Asking next question for ${stateMachine.issueType}, index: ${stateMachine.questionIndex}`);
+async function askNextQuestion(session, input) {
+  console.log(`❓ Asking next question for ${session.issueType}, index: ${session.questionIndex}`);
   
   // Check for booking interrupt
   if (input && detectBookingIntent(input)) {
     console.log('📅 Booking interrupt detected');
-    transitionTo('ask_booking', 'customer wants to book immediately');
-    return await handleBookingRequest(input);
+    transitionTo(session, 'ask_booking', 'customer wants to book immediately');
+    return await handleBookingRequest(session, input);
   }
   
-  const questions = issueQuestions[stateMachine.issueType];
+  const questions = issueQuestions[session.issueType];
   
-  if (questions && stateMachine.questionIndex < questions.length) {
-    const question = questions[stateMachine.questionIndex];
+  if (questions && session.questionIndex < questions.length) {
+    const question = questions[session.questionIndex];
     
     // Store the customer's answer if provided
     if (input && input.trim().length > 0) {
-      const dataKey = `${stateMachine.issueType.replace(/\s+/g, '_')}_${stateMachine.questionIndex}`;
-      updateClientData({ [dataKey]: input.trim() });
+      const dataKey = `${session.issueType.replace(/\s+/g, '_')}_${session.questionIndex}`;
+      updateClientData(session, { [dataKey]: input.trim() });
     }
     
-    stateMachine.questionIndex++;
-    addToHistory('assistant', question);
+    session.questionIndex++;
+    addToHistory(session, 'assistant', question);
     return question;
   } else {
     // Completed all questions, move to booking
     console.log('✅ Technical diagnosis complete, offering booking');
-    transitionTo('ask_booking', 'technical questions completed');
+    transitionTo(session, 'ask_booking', 'technical questions completed');
     
     const issueClassification = classifyPlumbingIssue(
-      Object.values(stateMachine.clientData).join(' ')
+      Object.values(session.clientData).join(' ')
     );
     
     if (issueClassification) {
-      updateClientData({ issueDescription: issueClassification.description });
+      updateClientData(session, { issueDescription: issueClassification.description });
       const response = `I understand you're dealing with ${issueClassification.description}. ${issueClassification.followUp} Would you like me to schedule an appointment for a technician to come out and take care of this for you?`;
-      addToHistory('assistant', response);
+      addToHistory(session, 'assistant', response);
       return response;
     } else {
       const response = "Based on what you've told me, this sounds like something our experienced plumbers can help you with. Would you like me to schedule an appointment for a technician to come out and take care of this?";
-      addToHistory('assistant', response);
+      addToHistory(session, 'assistant', response);
       return response;
     }
   }
 }
 
-async function handleGeneralQuery(input) {
+async function handleGeneralQuery(session, input) {
   console.log('💬 Handling general query...');
   
   // Define technical states once for use throughout the function
@@ -168,14 +236,24 @@ async function handleGeneralQuery(input) {
   console.log('📊 Extracted customer data:', customerDataExtracted);
   
   // If we're already in a technical diagnosis state, don't restart the diagnosis
-  if (technicalStates.includes(stateMachine.currentState)) {
-    console.log(`🔧 Already in technical diagnosis state (${stateMachine.currentState}), continuing with questions`);
-    return await askNextQuestion(input);
+  if (technicalStates.includes(session.currentState)) {
+    console.log(`🔧 Already in technical diagnosis state (${session.currentState}), continuing with questions`);
+    return await askNextQuestion(session, input);
+  }
+  
+  if (session.currentState === 'general' && wantsToCancelBooking(input)) {
+    return await startCancellation(session, input);
+  }
+  if (session.currentState === 'general' && wantsToMoveBooking(input)) {
+    return await startReschedule(session, input);
+  }
+  if (session.currentState === 'general' && wantsBookingStatus(input)) {
+    return await startStatusInquiry(session, input);
   }
   
   // Handle booking offer response
-  if (stateMachine.needsBookingOffer) {
-    stateMachine.needsBookingOffer = false;
+  if (session.needsBookingOffer) {
+    session.needsBookingOffer = false;
     
     const lowerInput = input.toLowerCase();
     
@@ -188,71 +266,61 @@ async function handleGeneralQuery(input) {
       lowerInput.includes('repair') || lowerInput.includes('problem') || lowerInput.includes('issue')
     )) {
       // Store the issue description in customerData
-      updateClientData({ issueDescription: input });
-      updateCustomerData({ issue: input });
+      updateClientData(session, { issueDescription: input });
+      updateCustomerData(session, { issue: input });
       
       console.log('🔧 Issue detected, routing to technical diagnosis');
       
       // Route to proper technical diagnosis instead of jumping to booking
       if (lowerInput.includes('toilet')) {
-        stateMachine.issueType = 'toilet';
-        transitionTo('toilet', 'toilet issue detected');
-        stateMachine.questionIndex = 0;
+        session.issueType = 'toilet';
+        transitionTo(session, 'toilet', 'toilet issue detected');
+        session.questionIndex = 0;
         console.log('🚽 Starting toilet diagnosis');
-        return await askNextQuestion('');
+        return await askNextQuestion(session, '');
       } else if (lowerInput.includes('sink') || lowerInput.includes('tap') || lowerInput.includes('faucet')) {
-        stateMachine.issueType = 'sink/tap';
-        transitionTo('sink/tap', 'sink/tap issue detected');
-        stateMachine.questionIndex = 0;
+        session.issueType = 'sink/tap';
+        transitionTo(session, 'sink/tap', 'sink/tap issue detected');
+        session.questionIndex = 0;
         console.log('🚰 Starting sink/tap diagnosis');
-        return await askNextQuestion('');
+        return await askNextQuestion(session, '');
       } else if (lowerInput.includes('hot water') || lowerInput.includes('water heater')) {
-        stateMachine.issueType = 'hot water system';
-        transitionTo('hot water system', 'hot water issue detected');
-        stateMachine.questionIndex = 0;
+        session.issueType = 'hot water system';
+        transitionTo(session, 'hot water system', 'hot water issue detected');
+        session.questionIndex = 0;
         console.log('🔥 Starting hot water diagnosis');
-        return await askNextQuestion('');
+        return await askNextQuestion(session, '');
       } else if (lowerInput.includes('leak') || lowerInput.includes('burst') || lowerInput.includes('pipe')) {
-        stateMachine.issueType = 'burst/leak';
-        transitionTo('burst/leak', 'leak/burst issue detected');
-        stateMachine.questionIndex = 0;
+        session.issueType = 'burst/leak';
+        transitionTo(session, 'burst/leak', 'leak/burst issue detected');
+        session.questionIndex = 0;
         console.log('💧 Starting leak/burst diagnosis');
-        return await askNextQuestion('');
+        return await askNextQuestion(session, '');
       } else {
-        stateMachine.issueType = 'other';
-        transitionTo('other', 'general issue detected');
-        stateMachine.questionIndex = 0;
-        return await askNextQuestion('');
+        session.issueType = 'other';
+        transitionTo(session, 'other', 'general issue detected');
+        session.questionIndex = 0;
+        return await askNextQuestion(session, '');
       }
     }
   }
   
   // Extract customer data from input
-  const historyData = extractCustomerDataFromHistory(stateMachine.conversationHistory);
+  const historyData = extractCustomerDataFromHistory(session.conversationHistory);
   const currentInputData = await extractCustomerData(input);
   Object.assign(historyData, currentInputData);
-  updateClientData(historyData);
+  updateClientData(session, historyData);
   
   console.log('📊 Extracted customer data:', historyData);
   
   // Check if we're in detail collection mode
-  if (stateMachine.collectingDetail) {
-    return await handleDetailCollection(input);
+  if (session.collectingDetail) {
+    return await handleDetailCollection(session, input);
   }
   
   // Handle appointment management commands
   const normalizedInput = input.toLowerCase();
   
-  // Handle cancellation requests
-  if (normalizedInput.includes('cancel') && (normalizedInput.includes('appointment') || normalizedInput.includes('booking'))) {
-    return await handleAppointmentCancellation();
-  }
-  
-  // Handle postponement requests
-  if (normalizedInput.includes('postpone') || normalizedInput.includes('delay') || normalizedInput.includes('reschedule')) {
-    return await handleAppointmentPostponement();
-  }
-  
   // Check for complete booking data
   const hasCompleteData = historyData.name && historyData.email && historyData.address;
   const bookingTriggers = ['schedule', 'book', 'appointment', 'time', 'today', 'tomorrow'];
@@ -260,60 +328,60 @@ async function handleGeneralQuery(input) {
   
   if (hasCompleteData && hasBookingIntent) {
     console.log('✅ Complete data + booking intent detected');
-    return await handleBookingRequest(input);
+    return await handleBookingRequest(session, input);
   }
   
   // Handle providing contact details
   const isProvidingDetails = currentInputData.name || currentInputData.email || currentInputData.address || currentInputData.phone;
-  if (isProvidingDetails && !stateMachine.allDetailsCollected) {
+  if (isProvidingDetails && !session.allDetailsCollected) {
     console.log('📝 Customer providing contact details');
-    transitionTo('collect_details', 'customer providing details');
-    return await handleDetailCollection(input);
+    transitionTo(session, 'collect_details', 'customer providing details');
+    return await handleDetailCollection(session, input);
   }
   
   // Handle service questions or issue descriptions (only if not already in technical diagnosis)
   const serviceTypeKeywords = /\b(toilet|bathroom|kitchen|sink|tap|faucet|drain|pipe|water heater|hot water|cold water|shower|bath|leak|block|clog|repair|install|replace|maintenance)/i;
   
-  if (serviceTypeKeywords.test(input) && input.length > 10 && !technicalStates.includes(stateMachine.currentState)) {
+  if (serviceTypeKeywords.test(input) && input.length > 10 && !technicalStates.includes(session.currentState)) {
     console.log('🔧 Service description detected');
     
     const issueClassification = classifyPlumbingIssue(input);
     if (issueClassification) {
-      updateClientData({ issueDescription: issueClassification.description });
-      updateCustomerData({ issue: input });
+      updateClientData(session, { issueDescription: issueClassification.description });
+      updateCustomerData(session, { issue: input });
       
       const lowerInput = input.toLowerCase();
       
       // Route to technical diagnosis first, not directly to booking
       if (lowerInput.includes('toilet')) {
-        stateMachine.issueType = 'toilet';
-        transitionTo('toilet', 'toilet issue detected');
-        stateMachine.questionIndex = 0;
+        session.issueType = 'toilet';
+        transitionTo(session, 'toilet', 'toilet issue detected');
+        session.questionIndex = 0;
         console.log('🚽 Starting toilet technical diagnosis');
-        return await askNextQuestion('');
+        return await askNextQuestion(session, '');
       } else if (lowerInput.includes('sink') || lowerInput.includes('tap') || lowerInput.includes('faucet')) {
-        stateMachine.issueType = 'sink/tap';
-        transitionTo('sink/tap', 'sink/tap issue detected');
-        stateMachine.questionIndex = 0;
+        session.issueType = 'sink/tap';
+        transitionTo(session, 'sink/tap', 'sink/tap issue detected');
+        session.questionIndex = 0;
         console.log('🚰 Starting sink/tap technical diagnosis');
-        return await askNextQuestion('');
+        return await askNextQuestion(session, '');
       } else if (lowerInput.includes('hot water') || lowerInput.includes('water heater')) {
-        stateMachine.issueType = 'hot water system';
-        transitionTo('hot water system', 'hot water issue detected');
-        stateMachine.questionIndex = 0;
+        session.issueType = 'hot water system';
+        transitionTo(session, 'hot water system', 'hot water issue detected');
+        session.questionIndex = 0;
         console.log('🔥 Starting hot water technical diagnosis');
-        return await askNextQuestion('');
+        return await askNextQuestion(session, '');
       } else if (lowerInput.includes('leak') || lowerInput.includes('burst') || lowerInput.includes('pipe')) {
-        stateMachine.issueType = 'burst/leak';
-        transitionTo('burst/leak', 'leak/burst issue detected');
-        stateMachine.questionIndex = 0;
+        session.issueType = 'burst/leak';
+        transitionTo(session, 'burst/leak', 'leak/burst issue detected');
+        session.questionIndex = 0;
         console.log('💧 Starting leak/burst technical diagnosis');
-        return await askNextQuestion('');
+        return await askNextQuestion(session, '');
       } else {
         // For unclassified issues, offer booking directly
         const response = `I understand you're dealing with ${issueClassification.description}. ${issueClassification.followUp} Would you like me to schedule an appointment to get this fixed for you?`;
-        transitionTo('ask_booking', 'issue classified');
-        addToHistory('assistant', response);
+        transitionTo(session, 'ask_booking', 'issue classified');
+        addToHistory(session, 'assistant', response);
         return response;
       }
     }
@@ -322,54 +390,47 @@ async function handleGeneralQuery(input) {
   // Default helpful response
   const response = await getResponse(
     "I'm here to help with all your plumbing needs. Whether it's a toilet issue, hot water problem, leak, or any other plumbing concern, I can schedule an appointment with our experienced technicians. What specific issue are you experiencing?",
-    stateMachine.conversationHistory
+    session.conversationHistory,
+    session.replyStream
   );
   
-  addToHistory('assistant', response);
+  addToHistory(session, 'assistant', response);
   return response;
 }
 
-async function handleUrgentBooking(input) {
+async function handleUrgentBooking(session, input) {
   console.log('🚨 Handling urgent booking...');
   
-  stateMachine.urgent = true;
+  session.urgent = true;
   
   // Extract issue from input
   const issueClassification = classifyPlumbingIssue(input);
   if (issueClassification) {
-    updateClientData({ issueDescription: issueClassification.description });
+    updateClientData(session, { issueDescription: issueClassification.description });
   }
   
   const response = "I understand this is urgent. For emergency situations, we prioritize immediate assistance. I'll need to collect your contact details quickly so we can get a plumber out to you as soon as possible. What's your name and address?";
   
-  transitionTo('collect_details', 'urgent situation');
-  addToHistory('assistant', response);
-  return response;
-}
-
-async function handleAppointmentCancellation() {
-  const response = "I can help you cancel your appointment. Could you please provide your appointment reference number or the name and address for the booking?";
-  addToHistory('assistant', response);
+  transitionTo(session, 'collect_details', 'urgent situation');
+  addToHistory(session, 'assistant', response);
   return response;
 }
 
-async function handleAppointmentPostponement() {
-  const response = "I can help you reschedule your appointment. What time would work better for you? I can check availability for today, tomorrow, or later this week.";
-  addToHistory('assistant', response);
-  return response;
-}
-
-async function handleBookingComplete(input) {
+async function handleBookingComplete(session, input) {
   console.log('✅ Handling booking complete state...');
   
   const lowerInput = input.toLowerCase();
   
+  // Cancelling the booking just made goes through the cancellation flow, not a time change
+  if (/\bcancel/.test(lowerInput)) {
+    return await startCancellation(session, input);
+  }
+  
   // 🚨 FIX: Detect when customer wants to CHANGE booking time or book for DIFFERENT day
   const wantsToChangeTime = (
     lowerInput.includes('tomorrow') ||
     lowerInput.includes('change') ||
     lowerInput.includes('reschedule') ||
-    lowerInput.includes('cancel') ||
     lowerInput.includes('different') ||
     lowerInput.includes('not') ||
     (lowerInput.includes('book') && (lowerInput.includes('tomorrow') || lowerInput.includes('different'))) ||
@@ -380,19 +441,19 @@ async function handleBookingComplete(input) {
     console.log('🔄 Customer wants to change booking time, transitioning to time preference collection');
     
     // Reset time-related data but keep customer details
-    if (stateMachine.selectedSlot) {
-      delete stateMachine.selectedSlot;
+    if (session.selectedSlot) {
+      delete session.selectedSlot;
     }
     
     // Transition back to time preference collection
-    transitionTo('collect_time_preference', 'customer wants to change booking time');
+    transitionTo(session, 'collect_time_preference', 'customer wants to change booking time');
     
     return "I understand you'd like to change the appointment time. What time would work better for you? I can check availability for today, tomorrow, or later this week.";
   }
   
   // Handle appointment time inquiries with stored booking details
   if (lowerInput.includes('time') || lowerInput.includes('when') || lowerInput.includes('appointment')) {
-    const bookingDetails = stateMachine.bookingDetails;
+    const bookingDetails = session.bookingDetails;
     if (bookingDetails && bookingDetails.dateTime) {
       const appointmentTime = new Date(bookingDetails.dateTime).toLocaleString('en-AU', {
         weekday: 'long',
@@ -406,7 +467,7 @@ async function handleBookingComplete(input) {
       });
       
       return `Your appointment is scheduled for ${appointmentTime}. ` +
-             `Reference number: ${bookingDetails.reference || stateMachine.referenceNumber}. ` +
+             `Reference number: ${bookingDetails.reference || session.referenceNumber}. ` +
              `Anything else I can help you with?`;
     }
   }
@@ -422,17 +483,18 @@ async function handleBookingComplete(input) {
   const wantsToEnd = endCallKeywords.some(keyword => lowerInput.includes(keyword));
   
   if (wantsToEnd) {
-    transitionTo('ended', 'customer completed');
+    transitionTo(session, 'ended', 'customer completed');
     
     const closingResponse = await getResponse(
-      "Perfect! Your appointment is confirmed and you'll receive an email confirmation shortly. Thank you for choosing Assure Fix Plumbing. Have a great day!",
-      stateMachine.conversationHistory
+      `Perfect! Your appointment is confirmed and you'll receive an email confirmation shortly. Thank you for choosing ${getTenant(session).businessName}. Have a great day!`,
+      session.conversationHistory,
+      session.replyStream
     );
     
-    addToHistory('assistant', closingResponse);
+    addToHistory(session, 'assistant', closingResponse);
     
     // Set termination flag
-    stateMachine.pendingTermination = {
+    session.pendingTermination = {
       reason: 'customer_completed',
       timestamp: new Date().toISOString(),
       shouldClose: true
@@ -446,14 +508,14 @@ async function handleBookingComplete(input) {
       lowerInput.includes('also') || lowerInput.includes('question')) {
     
     const continueResponse = "Of course! What else can I help you with today?";
-    transitionTo('general', 'customer has more questions');
-    addToHistory('assistant', continueResponse);
+    transitionTo(session, 'general', 'customer has more questions');
+    addToHistory(session, 'assistant', continueResponse);
     return continueResponse;
   }
   
   // For any other input, check if it's a new issue
-  transitionTo('general', 'processing additional input');
-  return await handleGeneralQuery(input);
+  transitionTo(session, 'general', 'processing additional input');
+  return await handleGeneralQuery(session, input);
 }
 
 module.exports = {
@@ -461,7 +523,5 @@ module.exports = {
   askNextQuestion,
   handleGeneralQuery,
   handleUrgentBooking,
-  handleAppointmentCancellation,
-  handleAppointmentPostponement,
   handleBookingComplete
 };
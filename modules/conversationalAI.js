@@ -4,7 +4,6 @@
  */
 
 const { 
-  stateMachine, 
   transitionTo, 
   addToHistory, 
   updateClientData, 
@@ -15,31 +14,108 @@ const {
  * CONVERSATIONAL AI ENGINE - Replaces rigid questionnaire logic
  * This function understands WHAT customer said and responds naturally
  */
-async function handleConversationalDetailCollection(userInput) {
+async function handleConversationalDetailCollection(session, userInput) {
   console.log('🧠 CONVERSATIONAL AI: Analyzing customer input:', userInput);
   
+  // Answering whether the details we have from last time are still right
+  if (session.knownDetailsStep === 'confirm') {
+    return await handleKnownDetailsAnswer(session, userInput);
+  }
+  
+  // Keypad entry is digits only - no extraction or speech clean-up needed
+  if (session.lastInputSource === 'dtmf') {
+    return await handleKeypadDetail(session, userInput);
+  }
+  
   // STEP 1: EXTRACT INFORMATION from what customer said
-  const currentData = stateMachine.customerData || {};
-  const extractedData = extractDataFromInput(userInput, currentData);
+  const currentData = session.customerData || {};
+  const extractedData = extractDataFromInput(session, userInput, currentData);
   
   // STEP 2: UPDATE our knowledge base
   if (extractedData && Object.keys(extractedData).length > 0) {
-    updateCustomerData(extractedData);
+    updateCustomerData(session, extractedData);
     console.log('📊 AI EXTRACTED:', extractedData);
   }
   
   // STEP 3: ANALYZE what information we now have vs need
-  const analysis = analyzeConversationProgress();
+  const analysis = analyzeConversationProgress(session);
   
   // STEP 4: GENERATE CONVERSATIONAL RESPONSE based on context
-  return await generateIntelligentResponse(userInput, extractedData, analysis);
+  return await generateIntelligentResponse(session, userInput, extractedData, analysis);
+}
+
+/**
+ * KEYPAD DETAIL ENTRY
+ * Long digit strings are phone numbers; short ones are the unit/street number of the address
+ */
+async function handleKeypadDetail(session, digits) {
+  const analysis = analyzeConversationProgress(session);
+  const bareDigits = digits.replace(/\D/g, '');
+  
+  if (!digits.includes('/') && bareDigits.length >= 8) {
+    updateCustomerData(session, { phone: bareDigits });
+    console.log('📞 Phone number keyed in:', bareDigits);
+    return await generateIntelligentResponse(session, digits, { phone: bareDigits }, analysis);
+  }
+  
+  if (analysis.missing.includes('address')) {
+    session.keypadStreetNumber = digits;
+    console.log('🏠 Street number keyed in:', digits);
+    return `Got it, number ${digits.replace('/', ' slash ')}. And the street name, suburb and postcode?`;
+  }
+  
+  return "Sorry, I wasn't expecting numbers there. " + await generateIntelligentResponse(session, '', {}, analysis);
+}
+
+/**
+ * RETURNING CALLERS
+ * Read back the saved details (see callerLookup.js) we'd otherwise ask for, once per call
+ */
+function offerKnownDetails(session, missing) {
+  const known = session.knownCaller;
+  if (!known || session.knownDetailsStep) return null;
+  
+  const offered = ['name', 'email', 'address'].filter(field => known[field] && missing.includes(field));
+  if (!offered.length) return null;
+  
+  session.knownDetailsStep = 'confirm';
+  session.knownDetailsOffered = Object.fromEntries(offered.map(field => [field, known[field]]));
+  const described = offered.map(field => field === 'name' ? `you down as ${known.name}` : `your ${field} as ${known[field]}`);
+  const list = described.length > 1 ? `${described.slice(0, -1).join(', ')} and ${described[described.length - 1]}` : described[0];
+  return `I've still got ${list}. Is that all still right?`;
+}
+
+/**
+ * Yes keeps the saved details; a correction keeps the rest and takes the new detail; a plain no asks afresh
+ */
+async function handleKnownDetailsAnswer(session, userInput) {
+  const lowerInput = userInput.toLowerCase();
+  const saidYes = /\b(yes|yeah|yep|yup|correct|right|same|still)\b/.test(lowerInput);
+  const saidNo = /\b(no|nope|not|changed|moved|new)\b/.test(lowerInput);
+  const offered = session.knownDetailsOffered || {};
+  session.knownDetailsStep = 'done';
+  
+  if (saidYes && !saidNo) {
+    updateCustomerData(session, offered);
+    console.log('👤 Reusing saved details:', Object.keys(offered));
+    return await generateIntelligentResponse(session, '', {}, analyzeConversationProgress(session));
+  }
+  
+  const extractedData = session.lastInputSource === 'dtmf' ? {} : extractDataFromInput(session, userInput, {});
+  if (Object.keys(extractedData).length > 0) {
+    updateCustomerData(session, { ...offered, ...extractedData });
+    console.log('👤 Reusing saved details with changes:', extractedData);
+    return await generateIntelligentResponse(session, userInput, extractedData, analyzeConversationProgress(session));
+  }
+  
+  return 'No problem. ' + await generateIntelligentResponse(session, '', {}, analyzeConversationProgress(session));
 }
 
 /**
  * INTELLIGENT RESPONSE GENERATOR
  * Creates natural, contextual responses instead of rigid questions
  */
-async function generateIntelligentResponse(userInput, extractedData, analysis) {
+async function generateIntelligentResponse(session, userInput, extractedData, analysis) {
   const { missing, justProvided, currentData } = analysis;
   
   // CONVERSATIONAL LOGIC: Acknowledge what customer just told us
@@ -67,21 +143,24 @@ async function generateIntelligentResponse(userInput, extractedData, analysis) {
   }
   
   // INTELLIGENTLY ASK for next missing information
-  if (missing.includes('name')) {
+  const knownDetailsOffer = offerKnownDetails(session, missing);
+  if (knownDetailsOffer) {
+    response += knownDetailsOffer;
+  } else if (missing.includes('name')) {
     response += "Could I get your name for the booking?";
   } else if (missing.includes('email')) {
     response += "What's the best email address for your confirmation?";
   } else if (missing.includes('address')) {
     response += "And what's your full address including suburb and postcode?";
-  } else if (missing.includes('phone') && !stateMachine.callerPhoneNumber) {
+  } else if (missing.includes('phone') && !session.callerPhoneNumber) {
     response += "What's the best phone number to reach you on?";
   } else if (missing.includes('specialInstructions')) {
-    transitionTo('collect_special_instructions');
+    transitionTo(session, 'collect_special_instructions');
     response += "Do you have any special instructions for our plumber, such as gate access codes or specific areas to focus on?";
   } else {
     // ALL DETAILS COLLECTED - proceed to booking!
     console.log('✅ CONVERSATIONAL AI: All details collected, proceeding to time preference');
-    transitionTo('collect_time_preference');
+    transitionTo(session, 'collect_time_preference');
     response += "Thank you for those details. Now, what time would work best for you? We have availability today, tomorrow, or later this week. Would you prefer a morning or afternoon appointment?";
   }
   
@@ -92,13 +171,14 @@ async function generateIntelligentResponse(userInput, extractedData, analysis) {
  * CONVERSATION PROGRESS ANALYZER
  * Intelligently determines what we have vs what we need
  */
-function analyzeConversationProgress() {
-  const currentData = stateMachine.customerData || {};
-  const required = ['name', 'email', 'address'];
+function analyzeConversationProgress(session) {
+  const currentData = session.customerData || {};
+  // Web chat has no caller ID to fall back on, so the phone number is asked for like any other detail
+  const required = session.callerPhoneNumber ? ['name', 'email', 'address'] : ['name', 'email', 'address', 'phone'];
   
   // Auto-detect phone from caller ID
-  if (stateMachine.callerPhoneNumber && !currentData.phone) {
-    updateCustomerData({ phone: stateMachine.callerPhoneNumber });
+  if (session.callerPhoneNumber && !currentData.phone) {
+    updateCustomerData(session, { phone: session.callerPhoneNumber });
   }
   
   // Determine what we have vs what we need
@@ -114,13 +194,13 @@ function analyzeConversationProgress() {
   });
   
   // Check if we need special instructions (optional but prompted)
-  if (available.includes('address') && !currentData.specialInstructions && !stateMachine.specialInstructionsCollected) {
+  if (available.includes('address') && !currentData.specialInstructions && !session.specialInstructionsCollected) {
     missing.push('specialInstructions');
   }
   
   // Determine what was just provided (for acknowledgment)
   const justProvided = [];
-  const conversationHistory = stateMachine.conversationHistory || [];
+  const conversationHistory = session.conversationHistory || [];
   
   // Simple logic to detect what was just provided
   if (conversationHistory.length >= 2) {
@@ -146,7 +226,7 @@ function analyzeConversationProgress() {
 /**
  * ENHANCED DATA EXTRACTION with conversation awareness
  */
-function extractDataFromInput(input, existingData = {}) {
+function extractDataFromInput(session, input, existingData = {}) {
   if (!input || typeof input !== 'string') return {};
   
   const data = {};
@@ -154,14 +234,19 @@ function extractDataFromInput(input, existingData = {}) {
   
   // SMART NAME EXTRACTION - ENHANCED
   if (!existingData.name) {
+    // "Yes please" answering a question isn't a name - only take a name from it when they say so
+    const isPlainAnswer = /^(yes|yeah|yep|yup|sure|ok|okay|no|nope|please|thanks)\b/.test(lowerInput);
+    
     // Multiple patterns for name detection with better coverage
     const namePatterns = [
       /(?:my name is|my name's)\s+([a-zA-Z\s\d]+?)(?:\.|,|$|\s+and|\s+email|\s+@)/i,
       /(?:i'm|i am)\s+([a-zA-Z\s\d]+?)(?:\.|,|$|\s+and|\s+email|\s+@)/i,
       /(?:it's|this is)\s+([a-zA-Z\s\d]+?)(?:\.|,|$|\s+and|\s+email|\s+@)/i,
       /(?:call me)\s+([a-zA-Z\s\d]+?)(?:\.|,|$|\s+and|\s+email|\s+@)/i,
-      /^([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)\.?$/,  // Direct name format like "Sayeeda" or "Sara Johns"
-      /^\s*([A-Z][a-z]+)\s*\.?\s*$/,  // Single name like "Sayeeda."
+      ...(isPlainAnswer ? [] : [
+        /^([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)\.?$/,  // Direct name format like "Sayeeda" or "Sara Johns"
+        /^\s*([A-Z][a-z]+)\s*\.?\s*$/,  // Single name like "Sayeeda."
+      ]),
     ];
     
     for (const pattern of namePatterns) {
@@ -183,7 +268,7 @@ function extractDataFromInput(input, existingData = {}) {
     }
     
     // Fallback: If input looks like just a name (simple input) - ENHANCED
-    if (!data.name && lowerInput.length <= 30 && /^[a-zA-Z\s\d'-]+$/.test(lowerInput) && 
+    if (!data.name && !isPlainAnswer && lowerInput.length <= 30 && /^[a-zA-Z\s\d'-]+$/.test(lowerInput) && 
         !lowerInput.includes('street') && !lowerInput.includes('@') && 
         !lowerInput.includes('apartment') && !lowerInput.includes('email') &&
         !lowerInput.includes('gmail') && !lowerInput.includes('yahoo') &&
@@ -215,7 +300,8 @@ function extractDataFromInput(input, existingData = {}) {
   if (!existingData.address && !data.email) { // Don't extract address if email was detected
     // Look for address patterns
     const addressIndicators = ['street', 'road', 'avenue', 'lane', 'drive', 'qld', 'queensland', 'brisbane'];
-    const hasAddressKeyword = addressIndicators.some(indicator => lowerInput.includes(indicator));
+    // A street number keyed in just before means whatever follows is the rest of the address
+    const hasAddressKeyword = addressIndicators.some(indicator => lowerInput.includes(indicator)) || !!session.keypadStreetNumber;
     
     // CRITICAL FIX: Don't extract address from email domains
     const isEmailDomain = input.includes('@') && (input.includes('.com') || input.includes('.au') || input.includes('.org'));
@@ -236,6 +322,11 @@ function extractDataFromInput(input, existingData = {}) {
       address = address.replace(/,\s*$/, '');
       address = address.replace(/^\s*,/, '');
       
+      if (session.keypadStreetNumber && !/^\d/.test(address)) {
+        address = `${session.keypadStreetNumber} ${address}`;
+      }
+      session.keypadStreetNumber = null;
+      
       data.address = address;
     }
   } else {
@@ -269,8 +360,9 @@ function extractDataFromInput(input, existingData = {}) {
   }
   
   // SMART PHONE EXTRACTION (if not using caller ID)
-  if (!existingData.phone && !stateMachine.callerPhoneNumber) {
-    const phoneMatch = input.match(/(\+?61\s?[0-9\s]{8,12}|0[0-9\s]{8,10})/);
+  if (!existingData.phone && !session.callerPhoneNumber) {
+    // Count digits rather than characters so spaced-out numbers ("0412 345 678") aren't cut short
+    const phoneMatch = input.match(/(\+?61\s?\d(?:\s?\d){8}|0\d(?:\s?\d){8})/);
     if (phoneMatch) {
       data.phone = phoneMatch[0].replace(/\s+/g, '');
     }
@@ -283,37 +375,40 @@ function extractDataFromInput(input, existingData = {}) {
  * SMART CONVERSATION STARTER
  * Begins detail collection with natural conversation flow
  */
-async function startConversationalDetailCollection(userInput) {
+async function startConversationalDetailCollection(session, userInput) {
   console.log('🗣️ STARTING CONVERSATIONAL DETAIL COLLECTION');
   
   // Auto-detect phone from caller ID
-  if (stateMachine.callerPhoneNumber) {
-    updateCustomerData({ phone: stateMachine.callerPhoneNumber });
-    console.log('📞 Caller phone number set:', stateMachine.callerPhoneNumber);
+  if (session.callerPhoneNumber) {
+    updateCustomerData(session, { phone: session.callerPhoneNumber });
+    console.log('📞 Caller phone number set:', session.callerPhoneNumber);
   }
   
-  transitionTo('collect_details');
+  transitionTo(session, 'collect_details');
   
   // Try to extract any data from the initial input
   if (userInput && userInput.trim().length > 0) {
-    const extractedData = extractDataFromInput(userInput, {});
+    const extractedData = extractDataFromInput(session, userInput, {});
     if (extractedData && Object.keys(extractedData).length > 0) {
-      updateCustomerData(extractedData);
+      updateCustomerData(session, extractedData);
       console.log('📊 Pre-extracted data:', extractedData);
     }
   }
   
   // Generate intelligent opening
-  const analysis = analyzeConversationProgress();
+  const analysis = analyzeConversationProgress(session);
+  const knownDetailsOffer = offerKnownDetails(session, analysis.missing);
   
-  if (analysis.missing.includes('name')) {
+  if (knownDetailsOffer) {
+    return `I'll need a few details for the booking. ${knownDetailsOffer}`;
+  } else if (analysis.missing.includes('name')) {
     return "I'll need to get some details to book your appointment. Could I start with your name?";
   } else if (analysis.missing.includes('email')) {
     return `Perfect! And what's your email address for the booking confirmation?`;
   } else if (analysis.missing.includes('address')) {
     return "Thank you. What's your full address including suburb and postcode?";
   } else {
-    return await generateIntelligentResponse(userInput, {}, analysis);
+    return await generateIntelligentResponse(session, userInput, {}, analysis);
   }
 }
 
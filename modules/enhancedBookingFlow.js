@@ -4,7 +4,6 @@
  */
 
 const { 
-  stateMachine, 
   transitionTo, 
   addToHistory, 
   updateClientData, 
@@ -21,12 +20,12 @@ let fallbackAppointments = [];
 /**
  * Constructs a meaningful issue description from the conversation data
  */
-function constructIssueDescription(stateMachine) {
+function constructIssueDescription(session) {
   try {
     // Get the issue type from state machine
-    const issueType = stateMachine.issueType;
-    const clientData = stateMachine.clientData || {};
-    const customerData = stateMachine.customerData || {};
+    const issueType = session.issueType;
+    const clientData = session.clientData || {};
+    const customerData = session.customerData || {};
     
     // Build description based on issue type and collected responses
     if (issueType === 'toilet') {
@@ -37,7 +36,7 @@ function constructIssueDescription(stateMachine) {
       
       if (toiletResponses.length > 0) {
         // Analyze responses to determine specific issue
-        const conversationHistory = stateMachine.conversationHistory || [];
+        const conversationHistory = session.conversationHistory || [];
         const responses = conversationHistory.filter(item => item.type === 'user').map(item => item.content.toLowerCase());
         
         if (responses.some(r => r.includes('not flushing') || r.includes('not washing') || r.includes('stopped'))) {
@@ -80,42 +79,42 @@ function constructIssueDescription(stateMachine) {
 /**
  * Handles the complete booking request with fallback mechanisms
  */
-async function handleBookingRequest(userInput) {
+async function handleBookingRequest(session, userInput) {
   console.log('📅 Starting booking request...');
   
   try {
     // Check if we have all required customer details
     const requiredDetails = ['name', 'address', 'email'];
     const hasAllDetails = requiredDetails.every(detail => 
-      stateMachine.customerData && stateMachine.customerData[detail]
+      session.customerData && session.customerData[detail]
     );
     
     if (!hasAllDetails) {
       console.log('📋 Missing customer details, starting collection...');
       // First extract any data from current input, then start collection
-      const currentCustomerData = stateMachine.customerData || {};
-      const extractedData = extractDataFromInput(userInput, currentCustomerData);
+      const currentCustomerData = session.customerData || {};
+      const extractedData = extractDataFromInput(session, userInput, currentCustomerData);
       if (extractedData && Object.keys(extractedData).length > 0) {
-        updateCustomerData(extractedData);
+        updateCustomerData(session, extractedData);
         console.log('📊 Extracted data during booking request:', extractedData);
         
         // Re-check if we now have all details
         const updatedHasAllDetails = requiredDetails.every(detail => 
-          stateMachine.customerData && stateMachine.customerData[detail]
+          session.customerData && session.customerData[detail]
         );
         
         if (updatedHasAllDetails) {
           console.log('🎯 All details collected after extraction, proceeding to appointment booking');
-          return await proceedToBooking(userInput);
+          return await proceedToBooking(session, userInput);
         }
       }
       
-      return await startDetailCollection(userInput);
+      return await startDetailCollection(session, userInput);
     }
     
     // All details available, proceed to appointment booking
     console.log('🎯 All details collected, proceeding to appointment booking');
-    return await proceedToBooking(userInput);
+    return await proceedToBooking(session, userInput);
     
   } catch (error) {
     console.error('handleBookingRequest error:', error);
@@ -126,14 +125,14 @@ async function handleBookingRequest(userInput) {
 /**
  * Proceed to booking with a pre-selected time slot
  */
-async function proceedToBookingWithSlot(recommendedSlot) {
+async function proceedToBookingWithSlot(session, recommendedSlot) {
   console.log('📅 Proceeding to booking with selected slot:', recommendedSlot);
   
   try {
     // Generate appointment reference and complete slot details
     // Calculate dynamic travel time and service duration
-    const customerAddress = stateMachine.customerData?.address;
-    const issueType = stateMachine.customerData?.issue || 'general plumbing';
+    const customerAddress = session.customerData?.address;
+    const issueType = session.customerData?.issue || 'general plumbing';
     
     let dynamicTravelTime = null;
     let dynamicTravelMinutes = 0;
@@ -207,7 +206,7 @@ async function proceedToBookingWithSlot(recommendedSlot) {
     const appointment = {
       start: recommendedSlot.start,
       end: recommendedSlot.end,
-      reference: generateAppointmentReference(),
+      reference: generateAppointmentReference(session.callerPhoneNumber || session.customerData?.phone),
       type: 'customer_selected',
       location: customerAddress,
       priority: 'standard',
@@ -219,12 +218,12 @@ async function proceedToBookingWithSlot(recommendedSlot) {
     };
     
     // Store the appointment details
-    stateMachine.bookingDetails = {
+    session.bookingDetails = {
       reference: appointment.reference,
       dateTime: appointment.start,
-      customer: stateMachine.customerData,
-      issue: stateMachine.currentIssue,
-      location: stateMachine.customerData?.address,
+      customer: session.customerData,
+      issue: session.currentIssue,
+      location: session.customerData?.address,
       estimatedDuration: `${appointment.estimatedDuration} minutes`,
       travelTime: appointment.travelTime,
       priority: appointment.priority,
@@ -254,19 +253,19 @@ async function proceedToBookingWithSlot(recommendedSlot) {
       hour12: true
     });
     
-    transitionTo('booking_complete');
+    transitionTo(session, 'booking_complete');
     
     // Add appointment to session cache IMMEDIATELY to prevent double-booking
     const sessionAppointment = addSessionAppointment({
       start: appointment.start,
       end: appointment.end,
-      location: stateMachine.customerData?.address,
-      customerName: stateMachine.customerData?.name,
-      issueDescription: stateMachine.customerData?.issue,
-      summary: `Plumbing Service - ${stateMachine.customerData?.name || 'Customer'}`,
-      description: `Customer: ${stateMachine.customerData?.name || 'N/A'}
-Phone: ${stateMachine.customerData?.phone || stateMachine.callerPhoneNumber || 'N/A'}
-Issue: ${stateMachine.customerData?.issue || 'Plumbing service'}
+      location: session.customerData?.address,
+      customerName: session.customerData?.name,
+      issueDescription: session.customerData?.issue,
+      summary: `Plumbing Service - ${session.customerData?.name || 'Customer'}`,
+      description: `Customer: ${session.customerData?.name || 'N/A'}
+Phone: ${session.customerData?.phone || session.callerPhoneNumber || 'N/A'}
+Issue: ${session.customerData?.issue || 'Plumbing service'}
 Reference: ${appointment.reference}`
     });
     
@@ -277,14 +276,14 @@ Reference: ${appointment.reference}`
       
       if (accessToken) {
         const eventDetails = {
-          summary: `Plumbing Service - ${stateMachine.customerData?.name || 'Customer'}`,
-          location: stateMachine.customerData?.address || 'Customer Location',
-          description: `Customer: ${stateMachine.customerData?.name || 'N/A'}
-Phone: ${stateMachine.customerData?.phone || stateMachine.callerPhoneNumber || 'N/A'}
-Email: ${stateMachine.customerData?.email || 'N/A'}
-Issue: ${stateMachine.customerData?.issue || 'Plumbing service'}
-Special Instructions: ${stateMachine.customerData?.specialInstructions || 'None'}
-Time Preference: ${stateMachine.customerData?.timePreference || 'None specified'}
+          summary: `Plumbing Service - ${session.customerData?.name || 'Customer'}`,
+          location: session.customerData?.address || 'Customer Location',
+          description: `Customer: ${session.customerData?.name || 'N/A'}
+Phone: ${session.customerData?.phone || session.callerPhoneNumber || 'N/A'}
+Email: ${session.customerData?.email || 'N/A'}
+Issue: ${session.customerData?.issue || 'Plumbing service'}
+Special Instructions: ${session.customerData?.specialInstructions || 'None'}
+Time Preference: ${session.customerData?.timePreference || 'None specified'}
 Reference: ${appointment.reference}`,
           start: {
             dateTime: appointment.start.toISOString(),
@@ -295,7 +294,7 @@ Reference: ${appointment.reference}`,
             timeZone: 'Australia/Brisbane',
           },
           attendees: [
-            { email: stateMachine.customerData?.email || 'noreply@usherfix.com' }
+            { email: session.customerData?.email || 'noreply@usherfix.com' }
           ]
         };
         
@@ -311,17 +310,17 @@ Reference: ${appointment.reference}`,
     
     // Send confirmation email
     try {
-      const phoneNumber = stateMachine.customerData?.phone || stateMachine.callerPhoneNumber;
+      const phoneNumber = session.customerData?.phone || session.callerPhoneNumber;
       
       const emailBookingDetails = {
-        customerEmail: stateMachine.customerData?.email,
-        customerName: stateMachine.customerData?.name,
-        customerAddress: stateMachine.customerData?.address,
+        customerEmail: session.customerData?.email,
+        customerName: session.customerData?.name,
+        customerAddress: session.customerData?.address,
         customerPhone: phoneNumber,
         appointmentTime: appointment.start,
         referenceNumber: appointment.reference,
-        issueDescription: constructIssueDescription(stateMachine),
-        specialInstructions: stateMachine.customerData?.specialInstructions || 'Standard plumbing service - no special requirements',
+        issueDescription: constructIssueDescription(session),
+        specialInstructions: session.customerData?.specialInstructions || 'Standard plumbing service - no special requirements',
         travelMinutes: appointment.travelTime,
         totalBufferMinutes: appointment.totalBuffer || 0,
         serviceDuration: appointment.estimatedDuration || 75
@@ -333,34 +332,34 @@ Reference: ${appointment.reference}`,
       // Update last booked job location for travel optimization
       try {
         const { updateLastBookedJobLocation } = require('./travelOptimization');
-        updateLastBookedJobLocation(stateMachine.customerData?.address);
+        updateLastBookedJobLocation(session.customerData?.address);
       } catch (travelOptError) {
         console.log('⚠️ Could not update last booked job location:', travelOptError.message);
       }
       
       // Set appointment booking flags
-      stateMachine.appointmentBooked = true;
-      stateMachine.appointmentId = appointment.calendarEventId || appointment.reference;
-      stateMachine.referenceNumber = appointment.reference;
+      session.appointmentBooked = true;
+      session.appointmentId = appointment.calendarEventId || appointment.reference;
+      session.referenceNumber = appointment.reference;
       console.log('📋 Appointment booking status updated');
       
     } catch (emailError) {
       console.error('❌ Failed to send confirmation email:', emailError);
       // Still mark as booked since the appointment slot was created
-      stateMachine.appointmentBooked = true;
-      stateMachine.appointmentId = appointment.calendarEventId || appointment.reference;
-      stateMachine.referenceNumber = appointment.reference;
+      session.appointmentBooked = true;
+      session.appointmentId = appointment.calendarEventId || appointment.reference;
+      session.referenceNumber = appointment.reference;
     }
     
     return `Perfect! I've scheduled your appointment for ${formattedTime}. ` +
            `Your reference number is ${appointment.reference}. ` +
-           `Our plumber will arrive at ${stateMachine.customerData?.address} ` +
-           `and you'll receive a confirmation email at ${stateMachine.customerData?.email}. ` +
+           `Our plumber will arrive at ${session.customerData?.address} ` +
+           `and you'll receive a confirmation email at ${session.customerData?.email}. ` +
            `Is there anything else I can help you with?`;
            
   } catch (error) {
     console.error('proceedToBookingWithSlot error:', error);
-    transitionTo('manual_scheduling');
+    transitionTo(session, 'manual_scheduling');
     return "I apologize, but I'm having some technical difficulties completing your booking. " +
            "Let me have our office call you back within the hour to confirm your appointment. " +
            "Thank you for your patience.";
@@ -370,25 +369,25 @@ Reference: ${appointment.reference}`,
 /**
  * Enhanced booking process with AI-powered smart scheduling
  */
-async function proceedToBooking(userInput = '') {
-  console.log('🗺️ Analyzing location for optimal booking:', stateMachine.customerData?.address);
+async function proceedToBooking(session, userInput = '') {
+  console.log('🗺️ Analyzing location for optimal booking:', session.customerData?.address);
   
   try {
     // Use smart scheduler for intelligent appointment booking
     const appointment = await findOptimalAppointmentSlot(
-      stateMachine.customerData?.address,
-      stateMachine.customerData?.issueDescription || 'General plumbing service',
-      stateMachine.customerData
+      session.customerData?.address,
+      session.customerData?.issueDescription || 'General plumbing service',
+      session.customerData
     );
     
     if (appointment && appointment.start) {
       // Store the appointment details
-      stateMachine.bookingDetails = {
+      session.bookingDetails = {
         reference: appointment.reference,
         dateTime: appointment.start,
-        customer: stateMachine.customerData,
-        issue: stateMachine.currentIssue,
-        location: stateMachine.customerData?.address,
+        customer: session.customerData,
+        issue: session.currentIssue,
+        location: session.customerData?.address,
         estimatedDuration: `${appointment.estimatedDuration} minutes`,
         travelTime: appointment.travelTime,
         priority: appointment.priority,
@@ -419,7 +418,7 @@ async function proceedToBooking(userInput = '') {
         hour12: true
       });
       
-      transitionTo('booking_complete');
+      transitionTo(session, 'booking_complete');
       
       // Try to create actual calendar appointment
       try {
@@ -428,13 +427,13 @@ async function proceedToBooking(userInput = '') {
         
         if (accessToken) {
           const eventDetails = {
-            summary: `Plumbing Service - ${stateMachine.customerData?.name || 'Customer'}`,
-            location: stateMachine.customerData?.address || 'Customer Location',
-            description: `Customer: ${stateMachine.customerData?.name || 'N/A'}
-Phone: ${stateMachine.customerData?.phone || stateMachine.callerPhoneNumber || 'N/A'}
-Email: ${stateMachine.customerData?.email || 'N/A'}
-Issue: ${constructIssueDescription(stateMachine)}
-Special Instructions: ${stateMachine.customerData?.specialInstructions || 'None'}
+            summary: `Plumbing Service - ${session.customerData?.name || 'Customer'}`,
+            location: session.customerData?.address || 'Customer Location',
+            description: `Customer: ${session.customerData?.name || 'N/A'}
+Phone: ${session.customerData?.phone || session.callerPhoneNumber || 'N/A'}
+Email: ${session.customerData?.email || 'N/A'}
+Issue: ${constructIssueDescription(session)}
+Special Instructions: ${session.customerData?.specialInstructions || 'None'}
 Reference: ${appointment.reference}`,
             start: {
               dateTime: appointment.start.toISOString(),
@@ -445,7 +444,7 @@ Reference: ${appointment.reference}`,
               timeZone: 'Australia/Brisbane',
             },
             attendees: [
-              { email: stateMachine.customerData?.email || 'noreply@usherfix.com' }
+              { email: session.customerData?.email || 'noreply@usherfix.com' }
             ]
           };
           
@@ -463,17 +462,17 @@ Reference: ${appointment.reference}`,
       // Send confirmation email
       try {
         // Ensure phone number is available for email
-        const phoneNumber = stateMachine.customerData?.phone || stateMachine.callerPhoneNumber;
+        const phoneNumber = session.customerData?.phone || session.callerPhoneNumber;
         
         const emailBookingDetails = {
-          customerEmail: stateMachine.customerData?.email,
-          customerName: stateMachine.customerData?.name,
-          customerAddress: stateMachine.customerData?.address,
+          customerEmail: session.customerData?.email,
+          customerName: session.customerData?.name,
+          customerAddress: session.customerData?.address,
           customerPhone: phoneNumber,
           appointmentTime: appointment.start,
           referenceNumber: appointment.reference,
-          issueDescription: constructIssueDescription(stateMachine),
-          specialInstructions: stateMachine.customerData?.specialInstructions || 'Standard plumbing service - no special requirements',
+          issueDescription: constructIssueDescription(session),
+          specialInstructions: session.customerData?.specialInstructions || 'Standard plumbing service - no special requirements',
           travelMinutes: appointment.travelTime || '20-30 minutes', // Use string version for display
           totalBufferMinutes: appointment.totalBuffer || 0,
           serviceDuration: appointment.estimatedDuration || appointment.serviceDuration || 60
@@ -488,34 +487,34 @@ Reference: ${appointment.reference}`,
         // Update last booked job location for travel optimization
         try {
           const { updateLastBookedJobLocation } = require('./travelOptimization');
-          updateLastBookedJobLocation(stateMachine.customerData?.address);
+          updateLastBookedJobLocation(session.customerData?.address);
         } catch (travelOptError) {
           console.log('⚠️ Could not update last booked job location:', travelOptError.message);
         }
         
         // Set appointment booking flags
-        stateMachine.appointmentBooked = true;
-        stateMachine.appointmentId = appointment.calendarEventId || appointment.reference;
-        stateMachine.referenceNumber = appointment.reference;
+        session.appointmentBooked = true;
+        session.appointmentId = appointment.calendarEventId || appointment.reference;
+        session.referenceNumber = appointment.reference;
         console.log('📋 Appointment booking status updated');
         
       } catch (emailError) {
         console.error('❌ Failed to send confirmation email:', emailError);
         // Don't fail the booking if email fails
         // Still mark as booked since the appointment slot was created
-        stateMachine.appointmentBooked = true;
-        stateMachine.appointmentId = appointment.calendarEventId || appointment.reference;
-        stateMachine.referenceNumber = appointment.reference;
+        session.appointmentBooked = true;
+        session.appointmentId = appointment.calendarEventId || appointment.reference;
+        session.referenceNumber = appointment.reference;
       }
       
       return `Perfect! I've scheduled your appointment for ${formattedTime}. ` +
              `Your reference number is ${appointment.reference}. ` +
-             `Our plumber will arrive at ${stateMachine.customerData?.address} ` +
-             `and you'll receive a confirmation email at ${stateMachine.customerData?.email}. ` +
+             `Our plumber will arrive at ${session.customerData?.address} ` +
+             `and you'll receive a confirmation email at ${session.customerData?.email}. ` +
              `Is there anything else I can help you with?`;
     } else {
       // Fallback to manual scheduling
-      transitionTo('manual_scheduling');
+      transitionTo(session, 'manual_scheduling');
       return "I'm having trouble finding an available appointment slot right now. " +
              "Let me check our schedule and get back to you shortly. " +
              "Is there a preferred day or time that would work better for you?";
@@ -523,7 +522,7 @@ Reference: ${appointment.reference}`,
     
   } catch (error) {
     console.error('proceedToBooking error:', error);
-    transitionTo('manual_scheduling');
+    transitionTo(session, 'manual_scheduling');
     return "I'm experiencing some technical difficulties with our scheduling system. " +
            "Let me take your preferred time and have our office call you back to confirm the appointment. " +
            "What day and time would work best for you?";
@@ -580,7 +579,7 @@ async function findOptimalAppointmentSlot(customerAddress, issueDescription, cus
       const appointment = {
         start: smartResult.start,
         end: smartResult.end,
-        reference: generateAppointmentReference(),
+        reference: generateAppointmentReference(customerData?.phone),
         type: smartResult.type || 'ai_optimized',
         location: customerAddress,
         priority: smartResult.priority,
@@ -640,26 +639,26 @@ async function findOptimalAppointmentSlot(customerAddress, issueDescription, cus
   // Fallback to original logic if smart scheduling fails
   try {
     // Try external calendar integration first
-    const externalSlot = await tryExternalCalendarIntegration(customerAddress, issueDescription, priority);
+    const externalSlot = await tryExternalCalendarIntegration(customerAddress, issueDescription, priority, customerData?.phone);
     if (externalSlot) {
       return externalSlot;
     }
     
     // Fallback to intelligent local scheduling
     console.log('📅 Using intelligent local scheduling fallback...');
-    return generateIntelligentFallbackSlot(customerAddress, issueDescription, priority);
+    return generateIntelligentFallbackSlot(customerAddress, issueDescription, priority, customerData?.phone);
     
   } catch (error) {
     console.error('findOptimalAppointmentSlot error:', error);
     // Final fallback to basic scheduling
-    return generateBasicFallbackSlot(priority);
+    return generateBasicFallbackSlot(priority, customerData?.phone);
   }
 }
 
 /**
  * Attempts to use external calendar integration
  */
-async function tryExternalCalendarIntegration(customerAddress, issueType, priority) {
+async function tryExternalCalendarIntegration(customerAddress, issueType, priority, phoneNumber) {
   try {
     // Check if external modules are available
     const outlook = require('../outlook');
@@ -690,7 +689,7 @@ async function tryExternalCalendarIntegration(customerAddress, issueType, priori
           return {
             start: externalResult.slot.start,
             end: externalResult.slot.end,
-            reference: generateAppointmentReference(),
+            reference: generateAppointmentReference(phoneNumber),
             type: 'external_calendar',
             location: customerAddress,
             priority: priority,
@@ -714,7 +713,7 @@ async function tryExternalCalendarIntegration(customerAddress, issueType, priori
 /**
  * Generates intelligent fallback appointment slots
  */
-function generateIntelligentFallbackSlot(customerAddress, issueType, priority) {
+function generateIntelligentFallbackSlot(customerAddress, issueType, priority, phoneNumber) {
   const now = new Date();
   let appointmentDate = new Date(now);
   
@@ -760,7 +759,7 @@ function generateIntelligentFallbackSlot(customerAddress, issueType, priority) {
   const appointment = {
     start: appointmentDate,
     end: new Date(appointmentDate.getTime() + 60 * 60 * 1000), // 1 hour
-    reference: generateAppointmentReference(),
+    reference: generateAppointmentReference(phoneNumber),
     type: 'fallback_intelligent',
     location: customerAddress,
     priority: priority
@@ -776,7 +775,7 @@ function generateIntelligentFallbackSlot(customerAddress, issueType, priority) {
 /**
  * Generates basic fallback appointment slot
  */
-function generateBasicFallbackSlot(priority) {
+function generateBasicFallbackSlot(priority, phoneNumber) {
   const tomorrow = new Date();
   tomorrow.setDate(tomorrow.getDate() + 1);
   
@@ -790,7 +789,7 @@ function generateBasicFallbackSlot(priority) {
   return {
     start: tomorrow,
     end: new Date(tomorrow.getTime() + 60 * 60 * 1000),
-    reference: generateAppointmentReference(),
+    reference: generateAppointmentReference(phoneNumber),
     type: 'fallback_basic',
     priority: priority
   };
@@ -799,8 +798,8 @@ function generateBasicFallbackSlot(priority) {
 /**
  * Generates unique appointment reference
  */
-function generateAppointmentReference() {
-  const phoneNumber = stateMachine.callerPhoneNumber || '+61000000000';
+function generateAppointmentReference(phoneNumber) {
+  phoneNumber = phoneNumber || '+61000000000';
   const timestamp = Date.now().toString().slice(-6);
   const phoneDigits = phoneNumber.replace(/[^\d]/g, '').slice(-4);
   const randomSuffix = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
@@ -810,29 +809,29 @@ function generateAppointmentReference() {
 /**
  * Enhanced detail collection with better validation
  */
-async function startDetailCollection(userInput) {
+async function startDetailCollection(session, userInput) {
   console.log('🧠 Starting CONVERSATIONAL detail collection...');
   
   // Use the new Conversational AI engine instead of rigid questionnaire
   const { startConversationalDetailCollection } = require('./conversationalAI');
-  return await startConversationalDetailCollection(userInput);
+  return await startConversationalDetailCollection(session, userInput);
 }
 
 /**
  * Handles detail collection step by step with CONVERSATIONAL AI
  */
-async function handleDetailCollection(userInput) {
+async function handleDetailCollection(session, userInput) {
   console.log('🧠 CONVERSATIONAL AI: Processing user input');
   
   // Use the new Conversational AI engine instead of rigid logic
   const { handleConversationalDetailCollection } = require('./conversationalAI');
-  return await handleConversationalDetailCollection(userInput);
+  return await handleConversationalDetailCollection(session, userInput);
 }
 
 /**
  * Improved data extraction from user input with better validation
  */
-function extractDataFromInput(input, currentCustomerData = {}) {
+function extractDataFromInput(session, input, currentCustomerData = {}) {
   const data = {};
   const lowerInput = input.toLowerCase();
   
@@ -936,7 +935,7 @@ function extractDataFromInput(input, currentCustomerData = {}) {
   }
   
   // Extract special instructions (only when we're specifically asking for them)
-  if (stateMachine.askingForSpecialInstructions && !data.name && !data.email && !data.address && !data.phone) {
+  if (session.askingForSpecialInstructions && !data.name && !data.email && !data.address && !data.phone) {
     const specialInstructionsPatterns = [
       /^(no|none|nothing|no special|nothing special|standard|not really|nope)/i, // Negative responses
       /^(gate code|gate|access code|buzzer|intercom|back entrance|side entrance|key under|parking)/i, // Specific instructions
@@ -960,7 +959,7 @@ function extractDataFromInput(input, currentCustomerData = {}) {
     
     if (isSpecialInstruction) {
       data.specialInstructions = input;
-      stateMachine.askingForSpecialInstructions = false; // Clear flag
+      session.askingForSpecialInstructions = false; // Clear flag
       console.log('📝 Special instructions extracted:', data.specialInstructions);
     }
   }
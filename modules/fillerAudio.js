@@ -0,0 +1,113 @@
+/**
+ * Filler Audio
+ * Masks slow turns on the media stream: if no reply is ready after FILLER_DELAY_MS, play one short
+ * holding phrase suited to what Robyn is doing, then quiet comfort noise until the reply can start.
+ */
+
+const FILLER_ENABLED = process.env.FILLER_ENABLED !== 'false';
+const FILLER_DELAY_MS = parseInt(process.env.FILLER_DELAY_MS, 10) || 1200;
+// Comfort noise is only there to show the line is alive - stop well before a turn would ever get this slow
+const MAX_COMFORT_NOISE_MS = 20000;
+const FRAME_MS = 20;
+const FRAME_SIZE = 160;
+
+// Warmed into the phrase cache at startup so they play without a TTS round trip
+const FILLER_PHRASES = {
+  calendar: 'Let me check the calendar for you.',
+  scheduling: 'Bear with me while I find the best time for a plumber to get to you.',
+  confirming: 'One moment while I lock that in.',
+  default: 'Just a moment.',
+};
+
+// What the caller is waiting on, by the state the turn started in
+const STATE_FILLERS = {
+  'collect_time_preference': 'calendar',
+  'manual_scheduling': 'calendar',
+  'booking_status': 'calendar',
+  'ask_booking': 'scheduling',
+  'collect_details': 'scheduling',
+  'book_appointment': 'scheduling',
+  'confirm_slot': 'confirming',
+  'confirm_time_slot': 'confirming',
+  'collect_special_instructions': 'confirming',
+};
+
+function getFillerPhrase(session) {
+  if (session.currentState === 'reminder') {
+    return FILLER_PHRASES[session.reminderStep === 'reschedule_preference' ? 'calendar' : 'confirming'];
+  }
+  if (session.currentState === 'reschedule_appointment') {
+    return FILLER_PHRASES[session.rescheduleStep === 'offer' ? 'confirming' : 'calendar'];
+  }
+  return FILLER_PHRASES[STATE_FILLERS[session.currentState] || 'default'];
+}
+
+/**
+ * One 20ms frame of very quiet mulaw noise (0xFF / 0x7F are silence, nearby codes are the faintest levels)
+ */
+function createComfortNoiseFrame() {
+  const frame = Buffer.alloc(FRAME_SIZE);
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    frame[i] = (Math.random() < 0.5 ? 0xFF : 0x7F) - Math.floor(Math.random() * 3);
+  }
+  return frame;
+}
+
+/**
+ * Arm the filler for one turn - call as soon as the caller's input is taken.
+ * play(text) speaks the filler and resolves once it has played; sendFrame(frame) sends one comfort noise frame.
+ * stop() cancels anything not yet started and resolves once the filler phrase (if any) has finished,
+ * so the real reply never talks over it. A turn gets at most one filler.
+ */
+function startFiller(session, { play, sendFrame }) {
+  let stopped = !FILLER_ENABLED;
+  let playing = Promise.resolve();
+  let noiseTimer = null;
+  let speaking = false;
+  // Picked now - handlers move the session on before the filler would play
+  const phrase = getFillerPhrase(session);
+
+  function startComfortNoise() {
+    const startedAt = Date.now();
+    noiseTimer = setInterval(() => {
+      if (stopped || Date.now() - startedAt > MAX_COMFORT_NOISE_MS) {
+        clearInterval(noiseTimer);
+        return;
+      }
+      sendFrame(createComfortNoiseFrame());
+    }, FRAME_MS); // real time, so Twilio never has a backlog of noise to get through before the reply
+  }
+
+  const delayTimer = stopped ? null : setTimeout(() => {
+    if (stopped) return;
+    console.log('⏳ Slow turn - playing filler:', phrase);
+
+    speaking = true;
+    playing = Promise.resolve(play(phrase))
+      .catch((error) => {
+        console.error('Filler playback failed:', error.message);
+      })
+      .then(() => {
+        speaking = false;
+        if (!stopped) startComfortNoise();
+      });
+  }, FILLER_DELAY_MS);
+
+  return {
+    // True while the holding phrase itself is playing
+    get speaking() {
+      return speaking;
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(delayTimer);
+      clearInterval(noiseTimer);
+      return playing;
+    },
+  };
+}
+
+module.exports = {
+  FILLER_PHRASES,
+  startFiller
+};
@@ -1,11 +1,12 @@
 // modules/inputValidation.js - Input validation and transcription error correction
 const { getResponse } = require('../nlp');
 const { correctSpeechWithContext, applyBasicCorrections } = require('./speechCorrection');
+const { getDefaultTenant } = require('./tenants');
 
-// Fast response patterns for common inputs
+// Fast response patterns for common inputs - greetings introduce the tenant's own agent and business
 const quickResponses = {
-  'hello': "Hello! I'm Robyn from Assure Fix Plumbing. What plumbing issue can I help you with today?",
-  'hi': "Hi there! I'm Robyn from Assure Fix Plumbing. What plumbing problem do you need fixed?",
+  'hello': ({ agentName, businessName }) => `Hello! I'm ${agentName} from ${businessName}. What plumbing issue can I help you with today?`,
+  'hi': ({ agentName, businessName }) => `Hi there! I'm ${agentName} from ${businessName}. What plumbing problem do you need fixed?`,
   'toilet': "I can help with your toilet issue. What's happening - is it not flushing, leaking, or blocked?",
   'sink': "I can help with your sink problem. Is it leaking, blocked, or no water coming out?",
   'drain': "I can help with your drain problem. Is it completely blocked or draining slowly?",
@@ -126,7 +127,12 @@ function correctEmailFromTranscription(input) {
   return corrected;
 }
 
-function getQuickResponse(input) {
+function getQuickResponse(input, tenant = getDefaultTenant()) {
+  const response = matchQuickResponse(input);
+  return typeof response === 'function' ? response(tenant) : response;
+}
+
+function matchQuickResponse(input) {
   const cleanInput = input.toLowerCase().trim();
   
   // Direct matches for greetings and simple responses
@@ -256,10 +256,27 @@ function detectEmergency(input) {
   return emergencyKeywords.test(input);
 }
 
+/**
+ * Rate how serious an emergency sounds: 0 = none, 1 = urgent, 2 = active water damage, 3 = safety risk
+ */
+function assessEmergencySeverity(input) {
+  if (/\b(gas|smell gas|sewage|sewerage|sparking|electrical|ceiling (is |has )?(collapsing|collapsed|falling)|water everywhere|flooding|flooded)\b/i.test(input)) {
+    return 3;
+  }
+  if (/\b(burst|gushing|overflowing|can't turn off|cannot turn off|won't stop|major leak)\b/i.test(input)) {
+    return 2;
+  }
+  if (detectEmergency(input)) {
+    return 1;
+  }
+  return 0;
+}
+
 module.exports = {
   classifyPlumbingIssue,
   analyzeFastInput,
   detectBookingIntent,
   detectEmergency,
+  assessEmergencySeverity,
   issueQuestions
 };
@@ -0,0 +1,73 @@
+/**
+ * Keypad (DTMF) Input
+ * Turns Twilio dtmf events into caller input: 1/2 for yes/no, digit entry ended with #, 0 for a person
+ */
+
+// States where Robyn is waiting on a yes/no answer
+const YES_NO_STATES = ['ask_booking', 'confirm_slot', 'confirm_time_slot', 'booking_complete', 'reminder'];
+// States where digits are details (phone numbers, unit/street numbers)
+const DIGIT_ENTRY_STATES = ['collect_details'];
+
+// Digit entry without a # is submitted after this much keypad silence
+const INTER_DIGIT_TIMEOUT_MS = 4000;
+
+/**
+ * True while Robyn is waiting on a yes/no answer (web chat shows Yes/No buttons at the same points)
+ */
+function isYesNoContext(session) {
+  return YES_NO_STATES.includes(session.currentState) ||
+         session.cancelStep === 'confirm' ||
+         ['confirm', 'offer'].includes(session.rescheduleStep) ||
+         session.knownDetailsStep === 'confirm' ||
+         !!session.askedAboutUpcomingBooking ||
+         !!session.awaitingConfirmation ||
+         !!session.awaitingTimeConfirmation;
+}
+
+// Booking references can be keyed in while we look for the booking to cancel or move.
+// Checking a returning caller's saved details is a yes/no, even in the middle of collecting details.
+function isDigitEntryContext(session) {
+  return (DIGIT_ENTRY_STATES.includes(session.currentState) && session.knownDetailsStep !== 'confirm') ||
+         !!session.bookingLookup;
+}
+
+/**
+ * Feed in one keypress. Returns { input } or { operator: true } once an entry is complete, otherwise null.
+ * '*' is entered as '/' so callers can key unit numbers, e.g. 3*12# -> "3/12".
+ */
+function handleKeypress(session, digit) {
+  const buffer = session.keypadBuffer || '';
+
+  if (digit === '#') {
+    session.keypadBuffer = '';
+    return buffer ? { input: buffer } : null;
+  }
+
+  if (!buffer && !isDigitEntryContext(session)) {
+    if (digit === '0') {
+      return { operator: true };
+    }
+    if (isYesNoContext(session) && (digit === '1' || digit === '2')) {
+      return { input: digit === '1' ? 'yes' : 'no' };
+    }
+  }
+
+  session.keypadBuffer = buffer + (digit === '*' ? '/' : digit);
+  return null;
+}
+
+/**
+ * Submit whatever has been keyed so far (used when the caller doesn't press #)
+ */
+function flushKeypadBuffer(session) {
+  const buffer = session.keypadBuffer;
+  session.keypadBuffer = '';
+  return buffer || null;
+}
+
+module.exports = {
+  INTER_DIGIT_TIMEOUT_MS,
+  isYesNoContext,
+  handleKeypress,
+  flushKeypadBuffer
+};
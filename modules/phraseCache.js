@@ -0,0 +1,167 @@
+/**
+ * Phrase Cache
+ * Ready-to-stream 8kHz mulaw audio keyed by hash(text, voice, speed), held in memory and on disk.
+ * textToSpeech.js checks here before calling any provider, and stores only fixed, reusable prompts.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_DIR = process.env.PHRASE_CACHE_DIR || path.join(__dirname, '..', 'data', 'phrase-cache');
+const MANIFEST_PATH = process.env.PHRASE_MANIFEST || path.join(__dirname, '..', 'phrase-manifest.json');
+const MAX_MEMORY_BYTES = (parseInt(process.env.PHRASE_CACHE_MEMORY_MB, 10) || 16) * 1024 * 1024;
+const MAX_DISK_BYTES = (parseInt(process.env.PHRASE_CACHE_DISK_MB, 10) || 100) * 1024 * 1024;
+
+// Insertion order doubles as LRU order - hits are moved to the end
+const memory = new Map();
+let memoryBytes = 0;
+let diskBytes = null; // measured on first write
+const stats = { hits: 0, misses: 0 };
+
+function normalizeText(text) {
+  return String(text).trim().replace(/\s+/g, ' ');
+}
+
+function phraseKey(text, { voice, speed }) {
+  return crypto.createHash('sha256').update(`${voice}\n${speed}\n${normalizeText(text)}`).digest('hex');
+}
+
+function phrasePath(key) {
+  return path.join(CACHE_DIR, `${key}.ulaw`);
+}
+
+function remember(key, audio) {
+  // One huge reply shouldn't flush every fixed prompt out of memory
+  if (audio.length > MAX_MEMORY_BYTES / 4) return;
+
+  if (memory.has(key)) {
+    memoryBytes -= memory.get(key).length;
+    memory.delete(key);
+  }
+  memory.set(key, audio);
+  memoryBytes += audio.length;
+
+  for (const [oldestKey, oldest] of memory) {
+    if (memoryBytes <= MAX_MEMORY_BYTES) break;
+    memory.delete(oldestKey);
+    memoryBytes -= oldest.length;
+  }
+}
+
+async function measureDisk() {
+  try {
+    const files = await fs.promises.readdir(CACHE_DIR);
+    const sizes = await Promise.all(files.map(file => fs.promises.stat(path.join(CACHE_DIR, file)).then(stat => stat.size, () => 0)));
+    return sizes.reduce((total, size) => total + size, 0);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+}
+
+/**
+ * Delete least recently used files until the disk cache is back under 90% of its limit
+ */
+async function evictFromDisk() {
+  const files = await fs.promises.readdir(CACHE_DIR);
+  const entries = (await Promise.all(files.map(async (file) => {
+    try {
+      const stat = await fs.promises.stat(path.join(CACHE_DIR, file));
+      return { file, size: stat.size, usedAt: stat.mtimeMs };
+    } catch (error) {
+      return null;
+    }
+  }))).filter(Boolean).sort((a, b) => a.usedAt - b.usedAt);
+
+  for (const entry of entries) {
+    if (diskBytes <= MAX_DISK_BYTES * 0.9) break;
+    await fs.promises.unlink(path.join(CACHE_DIR, entry.file)).catch(() => {});
+    diskBytes -= entry.size;
+    console.log('🗑️ Evicted cached phrase', entry.file);
+  }
+}
+
+/**
+ * Cached audio for this text and voice, or null
+ */
+async function getPhrase(text, voice) {
+  const key = phraseKey(text, voice);
+
+  const cached = memory.get(key);
+  if (cached) {
+    memory.delete(key);
+    memory.set(key, cached);
+    stats.hits++;
+    return cached;
+  }
+
+  try {
+    const audio = await fs.promises.readFile(phrasePath(key));
+    remember(key, audio);
+    // mtime marks recent use for disk eviction
+    const now = new Date();
+    fs.promises.utimes(phrasePath(key), now, now).catch(() => {});
+    stats.hits++;
+    return audio;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('⚠️ Phrase cache read failed:', error.message);
+    }
+    stats.misses++;
+    return null;
+  }
+}
+
+async function storePhrase(text, voice, audio) {
+  const key = phraseKey(text, voice);
+  remember(key, audio);
+
+  try {
+    await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+    if (diskBytes === null) {
+      diskBytes = await measureDisk();
+    }
+
+    const target = phrasePath(key);
+    // Rewriting a phrase replaces its file, so only the difference counts towards the total
+    const previousSize = await fs.promises.stat(target).then(stat => stat.size, () => 0);
+    const tmp = `${target}.tmp`;
+    await fs.promises.writeFile(tmp, audio);
+    await fs.promises.rename(tmp, target);
+    diskBytes += audio.length - previousSize;
+
+    if (diskBytes > MAX_DISK_BYTES) {
+      await evictFromDisk();
+    }
+  } catch (error) {
+    console.warn('⚠️ Phrase cache write failed:', error.message);
+  }
+}
+
+/**
+ * Fixed prompts to synthesize ahead of the first call (JSON array of strings)
+ */
+function loadPhraseManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+  } catch (error) {
+    console.warn('⚠️ Could not read phrase manifest:', error.message);
+    return [];
+  }
+}
+
+function getPhraseCacheStats() {
+  return {
+    ...stats,
+    memoryEntries: memory.size,
+    memoryBytes,
+    diskBytes,
+  };
+}
+
+module.exports = {
+  getPhrase,
+  storePhrase,
+  loadPhraseManifest,
+  getPhraseCacheStats
+};
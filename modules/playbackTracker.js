@@ -0,0 +1,94 @@
+/**
+ * Playback Tracker
+ * Follows Twilio mark acknowledgements so we know when queued audio has actually played
+ */
+
+// mulaw 8k is one byte per sample
+const MULAW_BYTES_PER_SECOND = 8000;
+
+// Extra time allowed past the audio length before we stop waiting for Twilio's mark
+const MARK_GRACE_MS = 5000;
+
+let markCounter = 0;
+
+function createPlaybackTracker() {
+  return { pending: new Map() };
+}
+
+function estimatePlaybackMs(byteLength) {
+  return Math.ceil((byteLength / MULAW_BYTES_PER_SECOND) * 1000);
+}
+
+function settleMark(tracker, name, outcome) {
+  const entry = tracker.pending.get(name);
+  if (!entry) return false;
+
+  clearTimeout(entry.timer);
+  tracker.pending.delete(name);
+  entry.resolve(outcome);
+  return true;
+}
+
+/**
+ * Queue a uniquely named mark behind the audio already sent.
+ * Resolves with 'played' once Twilio echoes it back, or 'cleared' / 'closed' / 'timeout'.
+ */
+function sendMark(ws, tracker, streamSid, expectedMs = 0) {
+  const name = `utterance_${Date.now()}_${++markCounter}`;
+  let resolve;
+  const promise = new Promise((res) => { resolve = res; });
+
+  const timer = setTimeout(() => {
+    if (settleMark(tracker, name, 'timeout')) {
+      console.warn(`⚠️ Mark ${name} not acknowledged - assuming playback finished`);
+    }
+  }, expectedMs + MARK_GRACE_MS);
+
+  tracker.pending.set(name, { resolve, timer, promise });
+
+  try {
+    ws.send(JSON.stringify({ event: 'mark', streamSid, mark: { name } }));
+  } catch (error) {
+    console.error('Mark send error:', error.message);
+    settleMark(tracker, name, 'closed');
+  }
+
+  return promise;
+}
+
+/**
+ * Handle an incoming Twilio mark event
+ */
+function handleMarkEvent(tracker, name) {
+  return settleMark(tracker, name, 'played');
+}
+
+/**
+ * Release every pending mark, e.g. after a clear or when the socket closes
+ */
+function settleAllMarks(tracker, outcome) {
+  for (const name of [...tracker.pending.keys()]) {
+    settleMark(tracker, name, outcome);
+  }
+}
+
+function isPlaying(tracker) {
+  return tracker.pending.size > 0;
+}
+
+/**
+ * Wait until everything queued so far has finished playing
+ */
+function waitForIdle(tracker) {
+  return Promise.all([...tracker.pending.values()].map(entry => entry.promise));
+}
+
+module.exports = {
+  createPlaybackTracker,
+  estimatePlaybackMs,
+  sendMark,
+  handleMarkEvent,
+  settleAllMarks,
+  isPlaying,
+  waitForIdle
+};
@@ -0,0 +1,386 @@
+/**
+ * Outbound Reminder Calls
+ * Calls customers ahead of their appointment to confirm, reschedule or cancel it. A new time is booked the same way
+ * as a reschedule from an inbound call (see rescheduling.js), so the new time gets its own reminder call, and a
+ * cancellation goes through the same calendar, CRM and customer updates as one from an inbound call (see cancellation.js).
+ */
+const twilio = require('twilio');
+const { VoiceResponse } = twilio.twiml;
+const { listAppointments, updateAppointment } = require('../outlook');
+const { findRescheduleSlots, moveAppointment } = require('./rescheduling');
+const { cancelAppointment } = require('./cancellation');
+const { BUSINESS_TIMEZONE, toBrisbaneTime, isBusinessDay, isWithinBusinessHours } = require('./businessHours');
+const { notifyWarning } = require('../notifications');
+const { getTenant, getTenantById, getDefaultTenant, listTenants, runAsTenant } = require('./tenants');
+const { parseAppointmentEvent, formatAppointmentTime } = require('./appointmentLookup');
+
+const MAX_ATTEMPTS = parseInt(process.env.REMINDER_MAX_ATTEMPTS, 10) || 3;
+const RETRY_INTERVAL_MS = (parseInt(process.env.REMINDER_RETRY_MINUTES, 10) || 60) * 60 * 1000;
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+// Once an appointment reaches one of these it gets no more reminder calls
+const FINAL_STATUSES = ['confirmed', 'rescheduled', 'cancelled', 'voicemail_left', 'unreachable', 'no_decision'];
+
+// Reminders for calls in flight, keyed by CallSid
+const activeReminders = new Map();
+let sweepTimer = null;
+
+function isReminderCallsEnabled() {
+  return process.env.REMINDER_CALLS_ENABLED === 'true';
+}
+
+/**
+ * Appointments from tomorrow up to the end of the tenant's next business day, so a Monday-to-Friday business
+ * covers Monday on Friday and one open Saturdays covers Saturday
+ */
+function getReminderWindow(now = new Date(), hours = getDefaultTenant().hours) {
+  const brisbaneNow = toBrisbaneTime(now);
+  const offset = brisbaneNow.getTime() - now.getTime();
+
+  const start = new Date(brisbaneNow);
+  start.setDate(start.getDate() + 1);
+  start.setHours(0, 0, 0, 0);
+
+  const end = new Date(start);
+  // A week at most, in case a brand lists no business days
+  for (let skipped = 0; skipped < 7 && !isBusinessDay(end, hours); skipped++) {
+    end.setDate(end.getDate() + 1);
+  }
+  end.setDate(end.getDate() + 1);
+
+  return { start: new Date(start.getTime() - offset), end: new Date(end.getTime() - offset) };
+}
+
+function isDueForCall(appointment, now = new Date()) {
+  const { reminderStatus, reminderAttempts, reminderLastAttemptAt } = appointment.reminder;
+
+  if (!appointment.phone || FINAL_STATUSES.includes(reminderStatus)) return false;
+  if ((parseInt(reminderAttempts, 10) || 0) >= MAX_ATTEMPTS) return false;
+  return !reminderLastAttemptAt || now - new Date(reminderLastAttemptAt) >= RETRY_INTERVAL_MS;
+}
+
+/**
+ * Write a reminder outcome back to the calendar event (status, attempt count and a note in the description)
+ */
+async function writeReminderResult(appointment, status, { note, changes = {}, extra = {} } = {}) {
+  appointment.reminder = { ...appointment.reminder, reminderStatus: status, ...extra };
+
+  const patch = {
+    ...changes,
+    extendedProperties: { private: appointment.reminder },
+  };
+  if (note) {
+    const stamp = new Date().toLocaleString('en-AU', { timeZone: BUSINESS_TIMEZONE });
+    appointment.description = `${appointment.description}\nReminder call (${stamp}): ${note}`;
+    patch.description = appointment.description;
+  }
+
+  console.log(`📆 Reminder result for ${appointment.eventId}: ${status}`);
+  // Status webhooks arrive outside any conversation, so point the calendar at the appointment's business
+  return runAsTenant(getTenantById(appointment.tenantId), () => updateAppointment(appointment.eventId, patch));
+}
+
+async function placeReminderCall(appointment, baseUrl) {
+  const attempts = (parseInt(appointment.reminder.reminderAttempts, 10) || 0) + 1;
+
+  try {
+    const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    const call = await client.calls.create({
+      to: appointment.phone,
+      from: (getTenantById(appointment.tenantId) || getDefaultTenant()).phoneNumber,
+      url: `${baseUrl}/reminder/voice`,
+      method: 'POST',
+      statusCallback: `${baseUrl}/reminder/status`,
+      statusCallbackMethod: 'POST',
+      statusCallbackEvent: ['completed'],
+      machineDetection: 'DetectMessageEnd',
+      timeout: 30,
+    });
+
+    activeReminders.set(call.sid, { ...appointment, attempts });
+    await writeReminderResult(activeReminders.get(call.sid), 'calling', {
+      extra: { reminderAttempts: String(attempts), reminderLastAttemptAt: new Date().toISOString() },
+    });
+    console.log(`📞 Reminder call ${call.sid} to ${appointment.phone} (attempt ${attempts}/${MAX_ATTEMPTS})`);
+  } catch (error) {
+    console.error(`❌ Reminder call to ${appointment.phone} failed:`, error.message);
+    await writeReminderResult(appointment, attempts >= MAX_ATTEMPTS ? 'unreachable' : 'call_failed', {
+      extra: { reminderAttempts: String(attempts), reminderLastAttemptAt: new Date().toISOString() },
+    });
+  }
+}
+
+/**
+ * Call everyone with an appointment in the tenant's calendar in the reminder window who hasn't been reached yet
+ */
+async function sweepTenantCalendar(tenant, baseUrl) {
+  // Only ring customers while the office is open
+  if (!isWithinBusinessHours(new Date(), tenant.hours)) return;
+
+  const { start, end } = getReminderWindow(new Date(), tenant.hours);
+  const events = await runAsTenant(tenant, () => listAppointments(start, end));
+  const due = events
+    .filter(event => event.start?.dateTime && event.end?.dateTime)
+    .map(event => ({ ...parseAppointmentEvent(event), tenantId: tenant.id }))
+    .filter(appointment => isDueForCall(appointment));
+
+  console.log(`📆 Reminder sweep (${tenant.id}): ${due.length} of ${events.length} appointments due a call`);
+  for (const appointment of due) {
+    await placeReminderCall(appointment, baseUrl);
+  }
+}
+
+/**
+ * Sweep every calendar once - brands sharing a calendar are called under the first one listed
+ */
+async function runReminderSweep(baseUrl) {
+  const swept = new Set();
+  for (const tenant of listTenants()) {
+    if (swept.has(tenant.calendarId)) continue;
+    swept.add(tenant.calendarId);
+    try {
+      await sweepTenantCalendar(tenant, baseUrl);
+    } catch (error) {
+      // One unreadable calendar shouldn't hold up the others - it's tried again next sweep
+      console.error(`❌ Reminder sweep (${tenant.id}) failed:`, error.message);
+    }
+  }
+}
+
+function startReminderScheduler(baseUrl) {
+  if (!isReminderCallsEnabled() || sweepTimer) return;
+  if (!baseUrl) {
+    console.warn('⚠️ Reminder calls need APP_URL for Twilio callbacks - scheduler not started');
+    return;
+  }
+
+  const sweep = () => runReminderSweep(baseUrl).catch(error => {
+    console.error('❌ Reminder sweep failed:', error.message);
+  });
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweep();
+  console.log('✅ Reminder call scheduler started');
+}
+
+function stopReminderScheduler() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+function getActiveReminder(callSid) {
+  return activeReminders.get(callSid) || null;
+}
+
+function isAnsweringMachine(answeredBy) {
+  return !!answeredBy && answeredBy.startsWith('machine');
+}
+
+/**
+ * Nobody picked up but voicemail did - leave the reminder as a message
+ */
+async function leaveReminderVoicemail(callSid) {
+  const reminder = activeReminders.get(callSid);
+  const twiml = new VoiceResponse();
+
+  if (reminder) {
+    const { businessName } = getTenantById(reminder.tenantId) || getDefaultTenant();
+    twiml.say({ voice: 'alice', language: 'en-AU' },
+      `Hi${reminder.name ? ` ${reminder.name.split(' ')[0]}` : ''}, it's ${businessName} with a reminder about your plumbing appointment on ` +
+      `${formatAppointmentTime(reminder.start)}. If you need to change it, please give us a call. Thanks!`);
+    await writeReminderResult(reminder, 'voicemail_left', { note: 'Left a reminder voicemail' });
+  }
+  twiml.hangup();
+  return twiml.toString();
+}
+
+/**
+ * Twilio's final status for a reminder call - schedule a retry or give up
+ */
+async function handleReminderCallStatus({ CallSid, CallStatus }) {
+  const reminder = activeReminders.get(CallSid);
+  if (!reminder) return;
+  activeReminders.delete(CallSid);
+
+  // The conversation (or voicemail drop) already recorded an outcome
+  if (FINAL_STATUSES.includes(reminder.reminder.reminderStatus)) return;
+
+  if (CallStatus === 'completed') {
+    await writeReminderResult(reminder, 'no_decision', { note: 'Customer answered but hung up before confirming' });
+    return;
+  }
+
+  if (reminder.attempts >= MAX_ATTEMPTS) {
+    await writeReminderResult(reminder, 'unreachable', { note: `No answer after ${reminder.attempts} attempts (${CallStatus})` });
+    await notifyWarning('Could not reach customer for appointment reminder', {
+      name: reminder.name,
+      phone: reminder.phone,
+      reference: reminder.reference,
+      appointment: formatAppointmentTime(reminder.start),
+    });
+  } else {
+    await writeReminderResult(reminder, 'no_answer', { note: `No answer (${CallStatus}), attempt ${reminder.attempts} of ${MAX_ATTEMPTS}` });
+  }
+}
+
+function getReminderGreeting(session) {
+  const { name, start } = session.reminder;
+  const { agentName, businessName } = getTenant(session);
+  return `Hi${name ? ` ${name.split(' ')[0]}` : ''}, it's ${agentName} from ${businessName}, calling about your plumbing appointment on ` +
+         `${formatAppointmentTime(start)}. Can you still make it? If not, I can reschedule or cancel it for you.`;
+}
+
+function endReminderCall(session, reason, reply) {
+  session.pendingTermination = {
+    reason,
+    timestamp: new Date().toISOString(),
+    shouldClose: true
+  };
+  return reply;
+}
+
+async function offerNewSlot(session, input) {
+  const slots = await findRescheduleSlots(session.reminder, input);
+
+  if (!slots.length) {
+    session.reminderStep = 'reschedule_preference';
+    return 'Could you give me a day, and whether morning or afternoon suits you best?';
+  }
+
+  session.reminderOffers = slots;
+  session.reminderOfferIndex = 0;
+  session.reminderStep = 'confirm_new_slot';
+  return `I can do ${formatAppointmentTime(slots[0].start)}. Does that work?`;
+}
+
+/**
+ * Conversation handler for the 'reminder' state (outbound reminder calls)
+ */
+async function handleReminderConversation(session, input) {
+  const { reminder } = session;
+  const lowerInput = input.toLowerCase();
+  const saidYes = /\b(yes|yeah|yep|yup|correct|confirm|sure|fine|works|sounds good|that's right)\b/.test(lowerInput);
+  const saidNo = /\b(no|nope|not really|can't|cannot|won't)\b/.test(lowerInput);
+  const wantsCancel = /\bcancel/.test(lowerInput);
+  const wantsReschedule = /\b(reschedule|change|move|another time|different time|another day|different day)\b/.test(lowerInput);
+
+  switch (session.reminderStep) {
+    case 'confirm_cancel':
+      if (saidYes) {
+        session.reminderStep = 'cancel_reason';
+        return "No problem. Before I cancel it, can I ask why you're cancelling?";
+      }
+      session.reminderStep = null;
+      return "No worries, I'll leave it booked. Can you still make it, or would you like a different time?";
+
+    case 'cancel_reason': {
+      const reason = input.trim() || 'Not given';
+      if (await cancelAppointment(session, reminder, reason)) {
+        // The calendar event now records the cancellation; keep this call's copy in step for the status callback
+        reminder.reminder = { ...reminder.reminder, reminderStatus: 'cancelled' };
+        return endReminderCall(session, 'reminder_cancelled',
+          "Thanks for letting us know. I've cancelled that appointment, and we'll send you a confirmation of the " +
+          'cancellation. If you need us again, just give us a call. Bye for now!');
+      }
+
+      await notifyWarning('Customer asked to cancel on a reminder call but the calendar could not be updated', {
+        callSid: session.callSid,
+        name: reminder.name,
+        phone: reminder.phone,
+        reference: reminder.reference,
+        appointment: formatAppointmentTime(reminder.start),
+        reason,
+      });
+      await writeReminderResult(reminder, 'no_decision', {
+        note: `Asked to cancel (${reason}) but the calendar could not be updated`,
+      });
+      return endReminderCall(session, 'reminder_cancel_failed',
+        "I'm sorry, I couldn't cancel that in our system just now, but I've passed it on to the team and they'll " +
+        'confirm the cancellation with you. Bye for now!');
+    }
+
+    case 'reschedule_preference':
+      return await offerNewSlot(session, input);
+
+    case 'confirm_new_slot': {
+      const slot = session.reminderOffers[session.reminderOfferIndex];
+      if (saidYes && !saidNo) {
+        const result = await moveAppointment(session, reminder, slot);
+
+        if (result === 'moved') {
+          // The calendar now has the reminder re-armed for the new time; this call is done with the old one
+          reminder.reminder = { ...reminder.reminder, reminderStatus: 'rescheduled' };
+          return endReminderCall(session, 'reminder_rescheduled',
+            `Done - you're now booked for ${formatAppointmentTime(slot.start)}, and we'll send you an updated confirmation ` +
+            'with the same booking reference. Our plumber will call about 30 minutes before arriving. Bye for now!');
+        }
+
+        if (result === 'failed') {
+          await notifyWarning('Customer asked to reschedule on a reminder call but the calendar could not be updated', {
+            callSid: session.callSid,
+            name: reminder.name,
+            phone: reminder.phone,
+            reference: reminder.reference,
+            from: formatAppointmentTime(reminder.start),
+            to: formatAppointmentTime(slot.start),
+          });
+          await writeReminderResult(reminder, 'no_decision', {
+            note: `Asked to move to ${formatAppointmentTime(slot.start)} but the calendar could not be updated`,
+          });
+          return endReminderCall(session, 'reminder_reschedule_failed',
+            "I'm sorry, I couldn't move that in our system just now, but I've passed it on to the team and they'll " +
+            'confirm the new time with you. Bye for now!');
+        }
+
+        // Someone else booked that time while we were talking
+        session.reminderOffers.splice(session.reminderOfferIndex, 1);
+        const nextSlot = session.reminderOffers[session.reminderOfferIndex];
+        if (nextSlot) {
+          return `Sorry, that time's just been taken. How about ${formatAppointmentTime(nextSlot.start)}?`;
+        }
+        session.reminderStep = 'reschedule_preference';
+        return "Sorry, that time's just been taken. What other day or time could work for you?";
+      }
+      if (wantsCancel) {
+        session.reminderStep = 'confirm_cancel';
+        return "Just to check - you'd like to cancel your appointment altogether?";
+      }
+
+      session.reminderOfferIndex++;
+      const nextSlot = session.reminderOffers[session.reminderOfferIndex];
+      if (nextSlot) {
+        return `How about ${formatAppointmentTime(nextSlot.start)}?`;
+      }
+      session.reminderStep = 'reschedule_preference';
+      return 'No problem. What other day or time could work for you?';
+    }
+
+    default:
+      if (wantsCancel) {
+        session.reminderStep = 'confirm_cancel';
+        return "Just to check - you'd like to cancel your appointment altogether?";
+      }
+      if (wantsReschedule || saidNo) {
+        session.reminderStep = 'reschedule_preference';
+        return 'No problem. What day and time would suit you better?';
+      }
+      if (saidYes) {
+        await writeReminderResult(reminder, 'confirmed', { note: 'Confirmed by customer' });
+        return endReminderCall(session, 'reminder_confirmed',
+          `Great, you're all confirmed for ${formatAppointmentTime(reminder.start)}. Our plumber will call about 30 minutes before arriving. See you then!`);
+      }
+      return "Sorry, I didn't catch that. Can you still make your appointment? Just say yes, reschedule, or cancel.";
+  }
+}
+
+module.exports = {
+  isReminderCallsEnabled,
+  startReminderScheduler,
+  stopReminderScheduler,
+  runReminderSweep,
+  getActiveReminder,
+  isAnsweringMachine,
+  leaveReminderVoicemail,
+  handleReminderCallStatus,
+  getReminderGreeting,
+  handleReminderConversation
+};
@@ -0,0 +1,159 @@
+/**
+ * Reply Streaming
+ * Speaks an LLM reply while it's still being generated: text is cut at sentence (or, for the first
+ * chunk, clause) boundaries and each chunk is synthesized as soon as it's complete, playing in order.
+ */
+
+const STREAMING_ENABLED = process.env.LLM_STREAMING !== 'false';
+
+// Short enough to get the first audio out quickly, long enough to keep natural intonation
+const MIN_CHUNK_CHARS = 12;
+const MIN_CLAUSE_CHARS = 24;
+// Run-on sentences are split at a clause rather than waiting for the full stop
+const MAX_CHUNK_CHARS = 160;
+
+const SENTENCE_BREAK = /[.!?]+["')\]]*\s+/g;
+const CLAUSE_BREAK = /[,;:–—]\s+/g;
+
+function isStreamingEnabled() {
+  return STREAMING_ENABLED;
+}
+
+function normalizeText(text) {
+  return String(text || '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Index just past the first usable break in text, or -1
+ */
+function findBreak(text, allowClause) {
+  const patterns = allowClause ? [SENTENCE_BREAK, CLAUSE_BREAK] : [SENTENCE_BREAK];
+  for (const pattern of patterns) {
+    const minChars = pattern === CLAUSE_BREAK ? MIN_CLAUSE_CHARS : MIN_CHUNK_CHARS;
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text))) {
+      const end = match.index + match[0].length;
+      if (end >= minChars) return end;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Collects streamed text deltas and calls onChunk with each speakable piece.
+ * flush() hands over whatever is left once the completion ends.
+ */
+function createSentenceChunker(onChunk) {
+  let buffer = '';
+  let chunkCount = 0;
+
+  function emit(text) {
+    const chunk = normalizeText(text);
+    if (chunk) {
+      chunkCount++;
+      onChunk(chunk);
+    }
+  }
+
+  return {
+    push(delta) {
+      buffer += delta;
+      let end;
+      while ((end = findBreak(buffer, chunkCount === 0 || buffer.length > MAX_CHUNK_CHARS)) !== -1) {
+        emit(buffer.slice(0, end));
+        buffer = buffer.slice(end);
+      }
+    },
+    flush() {
+      emit(buffer);
+      buffer = '';
+    },
+  };
+}
+
+/**
+ * One streamed reply on a call.
+ * prepare(text) starts synthesis straight away so the next chunk is ready while the current one plays;
+ * play(prepared, text) plays chunks one at a time, in order.
+ * cancel() (barge-in) skips everything not yet played and aborts the completion via signal.
+ */
+function createReplyStream({ prepare, play }) {
+  const controller = new AbortController();
+  const spoken = [];
+  let queue = Promise.resolve();
+  let cancelled = false;
+  let closed = false;
+
+  const reply = {
+    signal: controller.signal,
+    speaking: false,
+
+    /**
+     * Queue a chunk of the reply for playback
+     */
+    onSentence(text) {
+      if (cancelled || closed) return;
+      spoken.push(text);
+      const prepared = prepare(text);
+      // Failures are handled by play() when the chunk's turn comes
+      Promise.resolve(prepared).catch(() => {});
+
+      queue = queue.then(async () => {
+        if (cancelled) return;
+        reply.speaking = true;
+        try {
+          await play(prepared, text);
+        } catch (error) {
+          console.error('🔊 Streamed chunk failed:', error.message);
+        }
+      });
+    },
+
+    /**
+     * Stop taking chunks and return the part of the final reply that hasn't been queued
+     * (the whole reply if nothing streamed, or text a handler added after the completion)
+     */
+    close(fullText) {
+      closed = true;
+      if (cancelled) return '';
+      if (!spoken.length) return fullText;
+
+      const full = normalizeText(fullText);
+      const streamed = normalizeText(spoken.join(' '));
+      if (full.startsWith(streamed)) {
+        return full.slice(streamed.length).trim();
+      }
+      console.warn('⚠️ Reply changed after streaming - the caller heard only the streamed part');
+      return '';
+    },
+
+    /**
+     * Resolves once every queued chunk has played (or been skipped)
+     */
+    done() {
+      return queue.then(() => {
+        reply.speaking = false;
+      });
+    },
+
+    cancel() {
+      if (cancelled) return;
+      cancelled = true;
+      reply.speaking = false;
+      controller.abort();
+    },
+
+    get streamed() {
+      return spoken.length > 0;
+    },
+  };
+
+  return reply;
+}
+
+module.exports = {
+  isStreamingEnabled,
+  createSentenceChunker,
+  createReplyStream
+};
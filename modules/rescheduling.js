@@ -0,0 +1,304 @@
+/**
+ * Appointment Rescheduling
+ * Moves an existing booking to a new time from a fresh call or conversation. Finds the booking (see bookingLookup.js),
+ * offers free slots the same length as the original job, then moves the calendar event in one update so its details,
+ * reference and address all stay with it. The customer gets an updated confirmation under the original reference,
+ * and the reminder call is re-armed for the new time.
+ */
+const { listAppointments, updateAppointment } = require('../outlook');
+const { createOrUpdateContact } = require('../ghl');
+const { sendBookingConfirmationEmail, sendSMSConfirmation } = require('../professional-email-service');
+const { notifyError, notifyWarning } = require('../notifications');
+const { transitionTo } = require('./stateMachine');
+const { BUSINESS_TIMEZONE } = require('./businessHours');
+const { findAvailableSlots } = require('./timePreferenceHandler');
+const { formatAppointmentTime } = require('./appointmentLookup');
+const { describeAppointment, startBookingLookup, continueBookingLookup, offerOtherBookings } = require('./bookingLookup');
+const { startCancellation } = require('./cancellation');
+
+// A day or time in the answer means they're asking for something else rather than answering the offer
+const TIME_WORDS = /\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday|today|tomorrow|next week|morning|afternoon|evening|\d{1,2}(:\d{2})?\s*(am|pm|o'clock))\b/;
+
+function askToConfirm(session, appointment) {
+  session.rescheduleAppointment = appointment;
+  session.rescheduleStep = 'confirm';
+  return `I've found your booking for ${describeAppointment(appointment)}. Is that the one you'd like to move?`;
+}
+
+/**
+ * Start a reschedule - try the reference they've already given, then the number they're calling from
+ */
+async function startReschedule(session, input) {
+  transitionTo(session, 'reschedule_appointment', 'customer wants to reschedule');
+  session.rescheduleStep = 'identify';
+  session.rescheduleAppointment = null;
+
+  const found = await startBookingLookup(session, input, 'move');
+  if (found.appointment) {
+    return askToConfirm(session, found.appointment);
+  }
+  if (found.gaveUp) {
+    finishReschedule(session);
+    return found.reply;
+  }
+  return `I can help you move your appointment. ${found.reply}`;
+}
+
+function finishReschedule(session) {
+  session.rescheduleStep = null;
+  session.rescheduleOffers = [];
+  session.rescheduleOfferIndex = 0;
+  session.bookingLookup = null;
+  session.bookingChoices = null;
+  transitionTo(session, 'general', 'reschedule finished');
+}
+
+/**
+ * Free times for the customer's preference, sized to the original job and leaving the booking itself out.
+ * Resolves the slots to offer - empty when the preference needs clarifying or nothing is free.
+ */
+async function findRescheduleSlots(appointment, input) {
+  const result = await findAvailableSlots(input, {
+    name: appointment.name,
+    address: appointment.address,
+    durationMinutes: Math.round((appointment.end - appointment.start) / 60000),
+    excludeEventId: appointment.eventId,
+  });
+  if (result.needsClarification) return [];
+  return (result.slots || []).filter(slot => new Date(slot.start).getTime() !== appointment.start.getTime());
+}
+
+async function offerNewSlot(session, input) {
+  const slots = await findRescheduleSlots(session.rescheduleAppointment, input);
+
+  if (!slots.length) {
+    session.rescheduleStep = 'preference';
+    return 'Could you give me a day, and whether morning or afternoon suits you best?';
+  }
+
+  session.rescheduleOffers = slots;
+  session.rescheduleOfferIndex = 0;
+  session.rescheduleStep = 'offer';
+  return `I can do ${formatAppointmentTime(slots[0].start)}. Does that work?`;
+}
+
+/**
+ * Check nothing else has taken the new time since we offered it (throws if the calendar can't be read)
+ */
+async function isStillFree(appointment, start, end) {
+  const events = await listAppointments(start, end);
+  return !events.some(event =>
+    event.id !== appointment.eventId &&
+    event.status !== 'cancelled' &&
+    event.start?.dateTime && event.end?.dateTime &&
+    new Date(event.start.dateTime) < end && new Date(event.end.dateTime) > start
+  );
+}
+
+/**
+ * Move the booking to the offered slot and send the updated confirmation. Also used by reminder calls.
+ * Resolves 'moved', 'taken' (someone else got the slot first) or 'failed' (the calendar couldn't be read or updated).
+ */
+async function moveAppointment(session, appointment, slot) {
+  const start = new Date(slot.start);
+  const end = new Date(start.getTime() + (appointment.end - appointment.start));
+  try {
+    if (!(await isStillFree(appointment, start, end))) {
+      return 'taken';
+    }
+  } catch (error) {
+    console.error('❌ Could not check the new time is still free:', error.message);
+    return 'failed';
+  }
+
+  const rescheduledAt = new Date().toISOString();
+  const stamp = new Date().toLocaleString('en-AU', { timeZone: BUSINESS_TIMEZONE });
+
+  // One patch: everything not listed here (summary, location, attendees) stays as it was
+  const updated = await updateAppointment(appointment.eventId, {
+    start: { dateTime: start.toISOString(), timeZone: BUSINESS_TIMEZONE },
+    end: { dateTime: end.toISOString(), timeZone: BUSINESS_TIMEZONE },
+    description: `${appointment.description}\nRescheduled by customer over ${session.channel} (${stamp}): ` +
+                 `from ${formatAppointmentTime(appointment.start)} to ${formatAppointmentTime(start)}`,
+    extendedProperties: {
+      private: {
+        ...appointment.reminder,
+        // A new time gets its own reminder call
+        reminderStatus: '',
+        reminderAttempts: '0',
+        reminderLastAttemptAt: '',
+        rescheduledFrom: appointment.start.toISOString(),
+        rescheduledAt,
+        rescheduledVia: session.channel,
+      },
+    },
+  });
+  if (!updated) return 'failed';
+
+  session.reschedule = {
+    eventId: appointment.eventId,
+    reference: appointment.reference,
+    previousTime: appointment.start.toISOString(),
+    appointmentTime: start.toISOString(),
+    rescheduledAt,
+  };
+  console.log(`📆 Appointment ${appointment.reference || appointment.eventId} moved from ${appointment.start.toISOString()} to ${start.toISOString()}`);
+
+  try {
+    await createOrUpdateContact({
+      firstName: appointment.name?.split(' ')[0] || '',
+      lastName: appointment.name?.split(' ').slice(1).join(' ') || '',
+      email: appointment.email,
+      phone: appointment.phone,
+      tags: ['appointment rescheduled'],
+      customField: {
+        appointmentReference: appointment.reference,
+        appointmentTime: start.toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error('Failed to update GHL contact after reschedule:', error.message);
+    await notifyError(error, 'moveAppointment');
+  }
+
+  if (appointment.email) {
+    try {
+      await sendBookingConfirmationEmail({
+        customerName: appointment.name,
+        customerEmail: appointment.email,
+        customerPhone: appointment.phone,
+        customerAddress: appointment.address,
+        issueDescription: appointment.issue,
+        appointmentTime: start,
+        previousAppointmentTime: appointment.start,
+        referenceNumber: appointment.reference,
+        serviceDuration: Math.round((end - start) / 60000),
+      });
+    } catch (error) {
+      console.error('❌ Rescheduled confirmation email failed:', error.message);
+    }
+  }
+  await sendSMSConfirmation({
+    phone: appointment.phone || session.callerPhoneNumber,
+    address: appointment.address,
+    issue: appointment.issue,
+    appointmentTime: start,
+    previousAppointmentTime: appointment.start,
+    referenceNumber: appointment.reference,
+  });
+  return 'moved';
+}
+
+/**
+ * Conversation handler for the 'reschedule_appointment' state
+ */
+async function handleReschedule(session, input) {
+  const lowerInput = input.toLowerCase();
+  const saidYes = /\b(yes|yeah|yep|yup|correct|confirm|sure|fine|works|sounds good|that's (the one|it|right)|please do)\b/.test(lowerInput);
+  const saidNo = /\b(no|nope|not really|can't|cannot|won't|wrong)\b/.test(lowerInput);
+  const appointment = session.rescheduleAppointment;
+
+  // Changed their mind about moving it - cancel instead, starting from the booking we've already found
+  if (appointment && /\bcancel/.test(lowerInput)) {
+    finishReschedule(session);
+    return await startCancellation(session, appointment.reference || input);
+  }
+
+  switch (session.rescheduleStep) {
+    case 'confirm':
+      if (saidYes && !saidNo) {
+        // They may have said when in the same breath - "yes, can we do Thursday morning"
+        if (TIME_WORDS.test(lowerInput)) {
+          return await offerNewSlot(session, input);
+        }
+        session.rescheduleStep = 'preference';
+        return 'No problem. What day and time would suit you better?';
+      }
+      if (saidNo) {
+        // "No, the other one" - back to the bookings they were choosing from
+        const other = offerOtherBookings(session, appointment);
+        if (other?.appointment) return askToConfirm(session, other.appointment);
+        if (other) {
+          session.rescheduleStep = 'identify';
+          return `No problem. ${other.reply}`;
+        }
+        finishReschedule(session);
+        return "No worries, I'll leave that booking as it is. Is there anything else I can help you with?";
+      }
+      return `Sorry, I didn't catch that. Would you like to move your booking for ${describeAppointment(appointment)}?`;
+
+    case 'preference':
+      return await offerNewSlot(session, input);
+
+    case 'offer': {
+      if (TIME_WORDS.test(lowerInput) && !(saidYes && !saidNo)) {
+        return await offerNewSlot(session, input);
+      }
+
+      const slot = session.rescheduleOffers[session.rescheduleOfferIndex];
+      if (saidYes && !saidNo) {
+        const result = await moveAppointment(session, appointment, slot);
+
+        if (result === 'moved') {
+          finishReschedule(session);
+          session.pendingTermination = {
+            reason: 'appointment_rescheduled',
+            timestamp: new Date().toISOString(),
+            shouldClose: true
+          };
+          return `Done - I've moved your appointment from ${formatAppointmentTime(appointment.start)} to ${formatAppointmentTime(slot.start)}, ` +
+                 "and we'll send you an updated confirmation with the same booking reference. Our plumber will call about 30 minutes before arriving. Bye for now!";
+        }
+
+        if (result === 'failed') {
+          finishReschedule(session);
+          notifyWarning('Customer asked to reschedule but the calendar could not be updated', {
+            callSid: session.callSid,
+            name: appointment.name,
+            phone: appointment.phone || session.callerPhoneNumber,
+            reference: appointment.reference,
+            from: formatAppointmentTime(appointment.start),
+            to: formatAppointmentTime(slot.start),
+          });
+          return "I'm sorry, I couldn't move that in our system just now, but I've passed it on to the team and they'll " +
+                 'confirm the new time with you. Is there anything else I can help you with?';
+        }
+
+        // Someone else booked that time while we were talking
+        session.rescheduleOffers.splice(session.rescheduleOfferIndex, 1);
+        const nextSlot = session.rescheduleOffers[session.rescheduleOfferIndex];
+        if (nextSlot) {
+          return `Sorry, that time's just been taken. How about ${formatAppointmentTime(nextSlot.start)}?`;
+        }
+        session.rescheduleStep = 'preference';
+        return "Sorry, that time's just been taken. What other day or time could work for you?";
+      }
+
+      session.rescheduleOfferIndex++;
+      const nextSlot = session.rescheduleOffers[session.rescheduleOfferIndex];
+      if (nextSlot) {
+        return `How about ${formatAppointmentTime(nextSlot.start)}?`;
+      }
+      session.rescheduleStep = 'preference';
+      return 'No problem. What other day or time could work for you?';
+    }
+
+    default: {
+      const found = await continueBookingLookup(session, input);
+      if (found.appointment) {
+        return askToConfirm(session, found.appointment);
+      }
+      if (found.gaveUp) {
+        finishReschedule(session);
+      }
+      return found.reply;
+    }
+  }
+}
+
+module.exports = {
+  startReschedule,
+  handleReschedule,
+  findRescheduleSlots,
+  moveAppointment
+};
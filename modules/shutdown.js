@@ -0,0 +1,109 @@
+/**
+ * Graceful Shutdown
+ * On SIGTERM/SIGINT: turn away new calls, let live calls finish up to a deadline, flush pending writes, then exit
+ */
+const { VoiceResponse } = require('twilio').twiml;
+
+// Heroku sends SIGKILL 30 seconds after SIGTERM - drain, say goodbye and both flushes have to fit inside this,
+// with a little to spare for the process to exit
+const SHUTDOWN_BUDGET_MS = 28000;
+const GOODBYE_TIMEOUT_MS = 5000;
+const FLUSH_TIMEOUT_MS = 3000;
+// Live calls get what's left once the goodbye and the pending work and final flushes are set aside (17s at most)
+const MAX_DRAIN_MS = SHUTDOWN_BUDGET_MS - GOODBYE_TIMEOUT_MS - 2 * FLUSH_TIMEOUT_MS;
+const DRAIN_TIMEOUT_MS = Math.min((parseInt(process.env.SHUTDOWN_DRAIN_SECONDS, 10) || 15) * 1000, MAX_DRAIN_MS);
+const POLL_INTERVAL_MS = 500;
+
+let shuttingDown = false;
+// Work that must land before exit: in-flight turns (bookings, emails, CRM) and Deepgram closes
+const pendingWork = new Set();
+
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+/**
+ * Register a promise the process should wait for before exiting
+ */
+function trackPendingWork(promise) {
+  const tracked = Promise.resolve(promise).catch(() => {});
+  pendingWork.add(tracked);
+  tracked.finally(() => pendingWork.delete(tracked));
+  return promise;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise(resolve => { timer = setTimeout(resolve, ms); }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+async function waitForConnections(wss, ms) {
+  const deadline = Date.now() + ms;
+  while (wss.clients.size > 0 && Date.now() < deadline) {
+    await wait(POLL_INTERVAL_MS);
+  }
+  return wss.clients.size;
+}
+
+/**
+ * TwiML for calls that arrive while we're shutting down
+ */
+function buildShutdownTwiml(tenant) {
+  const twiml = new VoiceResponse();
+  twiml.say({ voice: 'alice', language: 'en-AU' },
+    `Thanks for calling ${tenant.businessName}. We're just updating our phone system - please call back in a minute or two.`);
+  twiml.hangup();
+  return twiml.toString();
+}
+
+/**
+ * Run the shutdown sequence once.
+ * beforeDrain: stop background jobs. endCall(ws): wrap up a call still live at the deadline.
+ * flush: final writes once every call is closed.
+ */
+async function shutdown(signal, { wss, beforeDrain, endCall, flush }) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  console.log(`🛑 ${signal} received - refusing new calls, draining ${wss.clients.size} active call(s)`);
+  try {
+    if (beforeDrain) beforeDrain();
+
+    const remaining = await waitForConnections(wss, DRAIN_TIMEOUT_MS);
+    if (remaining > 0) {
+      console.warn(`⚠️ Drain deadline reached - ending ${remaining} call(s)`);
+      for (const ws of wss.clients) {
+        endCall(ws);
+      }
+      await waitForConnections(wss, GOODBYE_TIMEOUT_MS);
+    }
+
+    console.log(`⏳ Waiting on ${pendingWork.size} pending write(s)`);
+    await withTimeout(Promise.all(pendingWork), FLUSH_TIMEOUT_MS);
+    if (flush) await withTimeout(flush(), FLUSH_TIMEOUT_MS);
+  } catch (error) {
+    console.error('❌ Error during shutdown:', error);
+  }
+
+  console.log('👋 Shutdown complete');
+  process.exit(0);
+}
+
+function installShutdownHandlers(options) {
+  process.once('SIGTERM', () => shutdown('SIGTERM', options));
+  process.once('SIGINT', () => shutdown('SIGINT', options));
+}
+
+module.exports = {
+  isShuttingDown,
+  trackPendingWork,
+  buildShutdownTwiml,
+  installShutdownHandlers
+};
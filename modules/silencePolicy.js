@@ -0,0 +1,119 @@
+/**
+ * Silence Policy
+ * What Robyn does when the caller says nothing after she finishes speaking:
+ * reprompt with a shorter version of her last question, then offer a callback by SMS, then end the call.
+ */
+const twilio = require('twilio');
+const { getTenant } = require('./tenants');
+
+// Seconds of silence before each step
+const DEFAULT_TIMEOUT_SECONDS = parseInt(process.env.NO_INPUT_TIMEOUT_SECONDS, 10) || 8;
+
+// Callers go and find an email address, a gate code or a diary - give them longer
+const DEFAULT_STATE_TIMEOUTS = {
+  'collect_details': 20,
+  'collect_special_instructions': 15,
+  'collect_time_preference': 12,
+  'after_hours': 15,
+};
+
+/**
+ * Load state timeouts, allowing overrides via NO_INPUT_THRESHOLDS (JSON map of state -> seconds)
+ */
+function loadStateTimeouts() {
+  const timeouts = { ...DEFAULT_STATE_TIMEOUTS };
+
+  if (process.env.NO_INPUT_THRESHOLDS) {
+    try {
+      Object.assign(timeouts, JSON.parse(process.env.NO_INPUT_THRESHOLDS));
+    } catch (error) {
+      console.warn('⚠️ Invalid NO_INPUT_THRESHOLDS, using defaults:', error.message);
+    }
+  }
+
+  return timeouts;
+}
+
+const stateTimeouts = loadStateTimeouts();
+
+function getNoInputTimeoutMs(state) {
+  return (stateTimeouts[state] || DEFAULT_TIMEOUT_SECONDS) * 1000;
+}
+
+/**
+ * Robyn's last question cut down to the question itself, e.g.
+ * "Great, thanks John. What's the best email address for your confirmation?" -> "What's the best email address for your confirmation?"
+ */
+function shortenLastQuestion(session) {
+  const lastReply = [...session.conversationHistory].reverse().find(entry => entry.role === 'assistant');
+  if (!lastReply) return 'How can I help you today?';
+
+  const sentences = lastReply.content.match(/[^.!?]+[.!?]*/g) || [lastReply.content];
+  const question = [...sentences].reverse().find(sentence => sentence.includes('?'));
+  return (question || sentences[sentences.length - 1]).trim();
+}
+
+async function sendCallbackSms(session) {
+  const { agentName, businessName, officePhone, phoneNumber } = getTenant(session);
+  const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  await client.messages.create({
+    body: `Hi, it's ${agentName} from ${businessName} - sorry, we couldn't hear you on the call just now. ` +
+          `Give us a ring back on ${officePhone} whenever suits, or reply with a good time and we'll call you.`,
+    from: phoneNumber,
+    to: session.callerPhoneNumber,
+  });
+  console.log('📱 No-input callback SMS sent to', session.callerPhoneNumber);
+}
+
+/**
+ * Next step for a silence timeout. Returns { text, hangup } - when hangup is set the session
+ * already has its pendingTermination and the call should close once the text has played.
+ */
+async function handleNoInput(session) {
+  session.noInputCount = (session.noInputCount || 0) + 1;
+  const { businessName, officePhone, phoneNumber } = getTenant(session);
+  console.log(`🔇 No input from caller (${session.noInputCount}) in state ${session.currentState}`);
+
+  if (session.noInputCount === 1) {
+    return { text: `Sorry, I didn't catch anything there. ${shortenLastQuestion(session)}`, hangup: false };
+  }
+
+  if (session.noInputCount === 2) {
+    const canText = session.callerPhoneNumber && phoneNumber;
+    if (canText) {
+      try {
+        await sendCallbackSms(session);
+        return {
+          text: "I still can't hear you, so I've just sent you a text - reply with a good time and we'll call you back. Or just say something if you're still there.",
+          hangup: false,
+        };
+      } catch (error) {
+        console.error('❌ No-input callback SMS failed:', error.message);
+      }
+    }
+    return {
+      text: `I still can't hear you. If now's not a good time, give us a call back on ${officePhone} whenever suits. Are you still there?`,
+      hangup: false,
+    };
+  }
+
+  session.pendingTermination = {
+    reason: 'no_input',
+    timestamp: new Date().toISOString(),
+    shouldClose: true
+  };
+  return { text: `I'll let you go for now. Thanks for calling ${businessName} - bye for now.`, hangup: true };
+}
+
+/**
+ * The caller said something - start the escalation again next time they go quiet
+ */
+function resetNoInput(session) {
+  session.noInputCount = 0;
+}
+
+module.exports = {
+  getNoInputTimeoutMs,
+  handleNoInput,
+  resetNoInput
+};
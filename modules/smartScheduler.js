@@ -2,6 +2,7 @@
 const { OpenAI } = require('openai');
 const { calculateTravelTime, extractMinutesFromTravelTime } = require('./travelOptimization');
 const { getLastAppointment } = require('../outlook');
+const { getActiveTenant } = require('./tenants');
 const { 
   estimateJobDurationWithAI, 
   analyzeLocationDistance, 
@@ -826,7 +827,7 @@ async function getExistingAppointments(accessToken) {
     const { token } = await oauth2Client.getAccessToken();
     
     const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-    const calendarId = process.env.GOOGLE_CALENDAR_ID || 'primary';
+    const { calendarId } = getActiveTenant();
     
     // CRITICAL FIX: Enhanced query with better parameters
     const response = await calendar.events.list({
@@ -0,0 +1,171 @@
+/**
+ * SMS Channel
+ * Runs the same conversation flow as a phone call over text messages: one session per phone number that
+ * stays open between messages, replies sent through Twilio messaging, and Robyn's spoken lines adjusted for a screen
+ */
+const twilio = require('twilio');
+const { MessagingResponse } = twilio.twiml;
+const { handleInput, terminateCall } = require('../flow');
+const { createSession, getSession, endSession, setCallerPhoneNumber } = require('./stateMachine');
+const { startCallRecord, recordCallerUtterance, recordBotReply, finalizeCallRecord } = require('./callRecords');
+const { trackPendingWork } = require('./shutdown');
+const { adaptSpokenReply, formatSlot, offerSlotChoices, isChoosingSlot, chooseSlot, describeChoices } = require('./textReplies');
+const { resolveTenant, getTenant } = require('./tenants');
+
+// Carrier opt-out keywords - Twilio blocks anything we send after these, so just close the conversation
+const OPT_OUT_WORDS = ['stop', 'stopall', 'unsubscribe', 'cancel', 'end', 'quit'];
+
+// Customer and brand number -> the session (keyed by the conversation's first MessageSid) for their open conversation
+const conversations = new Map();
+// Per-number chains so a customer's messages are answered one at a time, in order
+const messageQueues = new Map();
+
+// A customer texting two of our brands has a separate conversation with each
+function conversationKey(phone, ourNumber) {
+  return `${phone}>${ourNumber}`;
+}
+
+/**
+ * The open conversation for a number, or a new one started by this message
+ */
+function getConversation(phone, messageSid, ourNumber) {
+  const session = getSession(conversations.get(conversationKey(phone, ourNumber)));
+  if (session) return session;
+
+  const tenant = resolveTenant(ourNumber);
+  const created = createSession(messageSid, { channel: 'sms', tenantId: tenant.id });
+  created.smsNumber = ourNumber;
+  setCallerPhoneNumber(created, phone);
+  startCallRecord(created, { from: phone, to: ourNumber });
+  conversations.set(conversationKey(phone, ourNumber), created.callSid);
+  console.log(`💬 New SMS conversation with ${phone} (${tenant.businessName})`);
+  return created;
+}
+
+function closeConversation(session, reason) {
+  conversations.delete(conversationKey(session.callerPhoneNumber, session.smsNumber));
+  finalizeCallRecord(session, reason);
+  endSession(session);
+}
+
+/**
+ * A reply of "2" while choosing a time books the second listed slot through the normal confirmation.
+ * Returns the input to hand to the flow, or null if the number doesn't match a choice.
+ */
+function resolveSlotChoice(session, text) {
+  const choice = text.trim().match(/^#?([1-9])\.?$/);
+  if (!choice || !isChoosingSlot(session)) {
+    return text;
+  }
+  return chooseSlot(session, parseInt(choice[1], 10)) ? 'yes' : null;
+}
+
+/**
+ * Rework a spoken reply for SMS. When the turn found new slots, offer them as numbered choices
+ * instead of reading out one at a time.
+ */
+function adaptReplyForText(session, reply, { firstMessage, slotsBefore }) {
+  let text = adaptSpokenReply(reply);
+
+  const choices = offerSlotChoices(session, slotsBefore);
+  if (choices.length) {
+    text = 'Here are the next times we can get a plumber to you:\n' +
+           choices.map((slot, i) => `${i + 1}. ${formatSlot(slot)}`).join('\n') +
+           `\nReply ${describeChoices(choices)} to book, or tell me another day or time that suits.`;
+  }
+
+  const { agentName, businessName } = getTenant(session);
+  if (firstMessage && !new RegExp(`\\b${agentName}\\b`).test(text)) {
+    text = `Hi, it's ${agentName} from ${businessName}. ${text}`;
+  }
+  return text;
+}
+
+async function sendSms(session, body) {
+  const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  await client.messages.create({
+    body,
+    from: session.smsNumber || getTenant(session).phoneNumber,
+    to: session.callerPhoneNumber,
+  });
+  console.log(`💬 SMS reply sent to ${session.callerPhoneNumber}`);
+}
+
+/**
+ * Answer one inbound message: run it through the flow, text back the reply and
+ * close the conversation once the flow has wrapped up
+ */
+async function answerMessage({ From, To, Body, MessageSid }) {
+  const text = (Body || '').trim();
+
+  if (OPT_OUT_WORDS.includes(text.toLowerCase())) {
+    const session = getSession(conversations.get(conversationKey(From, To)));
+    if (session) closeConversation(session, 'sms_opt_out');
+    console.log(`💬 ${From} opted out of SMS`);
+    return;
+  }
+
+  const session = getConversation(From, MessageSid, To);
+  const firstMessage = session.conversationHistory.length === 0;
+  const slotsBefore = session.slotOptions;
+  recordCallerUtterance(session, text, null, 'sms');
+
+  let reply;
+  try {
+    const input = text ? resolveSlotChoice(session, text) : null;
+    if (!text) {
+      reply = "Sorry, I can only read text here - could you tell me what's going on with your plumbing?";
+    } else if (input === null) {
+      reply = `Just reply ${describeChoices(session.slotChoices)} to book one of those times, or tell me another day or time that suits.`;
+    } else {
+      reply = adaptReplyForText(session, await handleInput(session, input, 1.0, { source: 'sms' }), { firstMessage, slotsBefore });
+    }
+  } catch (error) {
+    console.error('❌ SMS conversation error:', error);
+    reply = `Sorry, something went wrong on our end. Please give us a call on ${getTenant(session).officePhone} and we'll sort it out.`;
+  }
+
+  recordBotReply(session, reply);
+  try {
+    await sendSms(session, reply);
+  } catch (error) {
+    console.error('❌ SMS reply failed:', error.message);
+  }
+
+  if (session.pendingTermination && session.pendingTermination.shouldClose) {
+    const { reason } = session.pendingTermination;
+    if (session.currentState !== 'ended') {
+      await terminateCall(session);
+    }
+    closeConversation(session, reason);
+  }
+}
+
+/**
+ * Express handler for Twilio's inbound message webhook. Acknowledges straight away (the flow can take longer
+ * than Twilio waits) and texts the reply once it's ready.
+ */
+function handleIncomingSms(req, res) {
+  const { From, Body } = req.body;
+  console.log(`💬 SMS from ${From}: ${Body}`);
+
+  if (From) {
+    const previous = messageQueues.get(From) || Promise.resolve();
+    const next = previous.then(() => answerMessage(req.body)).catch((error) => {
+      console.error('❌ SMS handling failed:', error.message);
+    });
+    messageQueues.set(From, next);
+    next.then(() => {
+      if (messageQueues.get(From) === next) {
+        messageQueues.delete(From);
+      }
+    });
+    trackPendingWork(next);
+  }
+
+  res.type('text/xml').send(new MessagingResponse().toString());
+}
+
+module.exports = {
+  handleIncomingSms
+};
@@ -201,12 +201,12 @@ function applyGeneralCorrections(input) {
 /**
  * Get conversation context for speech recognition
  */
-function getConversationContext(stateMachine) {
+function getConversationContext(session) {
   return {
-    state: stateMachine.currentState,
-    currentIssue: stateMachine.currentIssue,
-    customerData: stateMachine.customerData || {},
-    conversationLength: stateMachine.conversationHistory?.length || 0
+    state: session.currentState,
+    currentIssue: session.currentIssue,
+    customerData: session.customerData || {},
+    conversationLength: session.conversationHistory?.length || 0
   };
 }
 
@@ -0,0 +1,155 @@
+/**
+ * Speech-to-Text Providers
+ * One streaming interface for live transcription, so the call handler doesn't know which vendor is behind it.
+ *
+ * createSttStream() returns an EventEmitter with send(audio) and finish(), emitting:
+ *   'open', 'interim' / 'final' ({ transcript, confidence, alternatives }), 'speech_started',
+ *   'utterance_end', 'error' and 'close'
+ */
+const EventEmitter = require('events');
+const fs = require('fs');
+const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
+
+// Twilio media is 8kHz mulaw - one byte per sample
+const BYTES_PER_SECOND = 8000;
+
+const DEEPGRAM_OPTIONS = {
+  model: process.env.STT_MODEL || 'nova-2-conversationalai',
+  language: 'en-AU',
+  smart_format: true,
+  filler_words: false,
+  interim_results: true,
+  utterances: false,
+  endpointing: parseInt(process.env.STT_ENDPOINTING_MS, 10) || 3000,
+  encoding: 'mulaw',
+  sample_rate: 8000,
+  vad_events: true,
+  punctuate: true,
+  profanity_filter: false,
+  redact: false,
+  diarize: false,
+  multichannel: false,
+  numerals: true,
+};
+
+let deepgramClient = null;
+
+function getDeepgramClient() {
+  if (!deepgramClient) {
+    deepgramClient = createClient(process.env.DEEPGRAM_API_KEY);
+  }
+  return deepgramClient;
+}
+
+function toResult(alternatives, extra = {}) {
+  const normalized = alternatives.map(alt => ({
+    transcript: alt.transcript || '',
+    confidence: typeof alt.confidence === 'number' ? alt.confidence : null,
+  }));
+  return { ...normalized[0], alternatives: normalized, ...extra };
+}
+
+/**
+ * Deepgram live transcription
+ */
+function createDeepgramStream(options = {}) {
+  const stream = new EventEmitter();
+  const connection = getDeepgramClient().listen.live({ ...DEEPGRAM_OPTIONS, ...options });
+
+  connection.on(LiveTranscriptionEvents.Open, () => stream.emit('open'));
+  connection.on(LiveTranscriptionEvents.Error, (error) => stream.emit('error', error));
+  connection.on(LiveTranscriptionEvents.Close, () => stream.emit('close'));
+  connection.on(LiveTranscriptionEvents.SpeechStarted, () => stream.emit('speech_started'));
+  connection.on(LiveTranscriptionEvents.UtteranceEnd, () => stream.emit('utterance_end'));
+  connection.on(LiveTranscriptionEvents.Transcript, (data) => {
+    const alternatives = data.channel?.alternatives || [];
+    if (!alternatives.length) return;
+    stream.emit(data.is_final ? 'final' : 'interim', toResult(alternatives, { speechFinal: !!data.speech_final }));
+  });
+
+  stream.provider = 'deepgram';
+  stream.send = (audio) => connection.send(audio);
+  stream.finish = () => connection.finish();
+  return stream;
+}
+
+function loadScript(options) {
+  if (options.script) return options.script;
+  if (process.env.STT_SCRIPT) {
+    return JSON.parse(fs.readFileSync(process.env.STT_SCRIPT, 'utf8'));
+  }
+  return [];
+}
+
+/**
+ * Scripted transcription for tests and demos - no network.
+ * Each script entry ("text" or { text, confidence, afterMs }) is transcribed once afterMs of caller
+ * audio has been sent since the previous one, so runs are driven by the audio fed in, not the clock.
+ * next() emits the next entry immediately.
+ */
+function createScriptedStream(options = {}) {
+  const stream = new EventEmitter();
+  const script = loadScript(options).map(entry => (typeof entry === 'string' ? { text: entry } : entry));
+  let index = 0;
+  let audioMs = 0;
+  let closed = false;
+
+  function emitEntry(entry) {
+    const confidence = entry.confidence ?? 0.99;
+    const words = entry.text.split(/\s+/);
+
+    stream.emit('speech_started');
+    if (words.length > 1) {
+      stream.emit('interim', toResult([{ transcript: words.slice(0, Math.ceil(words.length / 2)).join(' '), confidence }]));
+    }
+    stream.emit('final', toResult([{ transcript: entry.text, confidence }], { speechFinal: true }));
+    stream.emit('utterance_end');
+  }
+
+  stream.next = () => {
+    if (closed || index >= script.length) return false;
+    audioMs = 0;
+    emitEntry(script[index++]);
+    return true;
+  };
+
+  stream.send = (audio) => {
+    if (closed || index >= script.length) return;
+    audioMs += (audio.length / BYTES_PER_SECOND) * 1000;
+    if (audioMs >= (script[index].afterMs ?? 1000)) {
+      stream.next();
+    }
+  };
+
+  stream.finish = () => {
+    if (closed) return;
+    closed = true;
+    setImmediate(() => stream.emit('close'));
+  };
+
+  stream.provider = 'scripted';
+  setImmediate(() => {
+    if (!closed) stream.emit('open');
+  });
+  return stream;
+}
+
+const PROVIDERS = {
+  deepgram: createDeepgramStream,
+  scripted: createScriptedStream,
+};
+
+/**
+ * Open a live transcription stream with the configured provider (STT_PROVIDER, default deepgram)
+ */
+function createSttStream({ provider = process.env.STT_PROVIDER || 'deepgram', ...options } = {}) {
+  const factory = PROVIDERS[provider];
+  if (!factory) {
+    throw new Error(`Unknown STT provider: ${provider}`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  createSttStream
+};
@@ -1,142 +1,277 @@
-// modules/stateMachine.js - Centralized state management
-const stateMachine = {
-  // Core state
-  currentState: 'start',
-  conversationHistory: [],
-  clientData: {},
-  customerData: {}, // Main customer data storage
-  
-  // Issue tracking
-  issueType: null,
-  questionIndex: 0,
-  
-  // Booking state
-  nextSlot: null,
-  bookingRetryCount: 0,
-  appointmentBooked: false,
-  appointmentId: null,
-  bookingDetails: null, // Store complete booking information
-  referenceNumber: null, // Store reference number separately
-  recommendedSlot: null, // Store recommended time slot for confirmation
-  
-  // Detail collection
-  collectingDetail: null, // 'name', 'email', 'address', 'phone', 'specialInstructions'
-  detailsCollectionStep: 0, // 0=name, 1=email, 2=address, 3=phone, 4=specialInstructions, 5=confirm_all
-  allDetailsCollected: false,
-  confirmingAllDetails: false,
-  modifyingDetail: null,
-  askingForSpecialInstructions: false, // Flag to track when we're asking for special instructions
-  
-  // Time preference handling
-  collectingTimePreference: false,
-  timePreferenceCollected: false,
-  awaitingTimeConfirmation: false,
-  
-  // Confirmation flows
-  spellingConfirmation: false,
-  tempCollectedValue: null,
-  awaitingConfirmation: false,
-  pendingConfirmation: null,
-  
-  // Call management
-  callerPhoneNumber: null,
-  pendingTermination: false,
-  callEndReason: null,
-  
-  // Flow flags
-  needsBookingOffer: false,
-  safetyConcern: false,
-  urgent: false,
-  needsEmpathy: false,
-  troubleshootingProvided: false,
-  
-  // Legacy compatibility
-  awaitingAddress: false,
-  awaitingTime: false,
-};
+// modules/stateMachine.js - Per-call session state management
+// Each call gets its own session object, keyed by Twilio CallSid (and streamSid once the media stream starts)
+const { recordStateTransition, finalizeCallRecord } = require('./callRecords');
+const { DEFAULT_TENANT_ID } = require('./tenants');
 
-const stateTransitions = {
-  'start': ['general', 'toilet', 'sink/tap', 'hot water system', 'burst/leak', 'rain-pump', 'roof leak', 'new install/quote', 'other', 'emergency'],
-  'general': ['ask_booking', 'collect_details', 'booking_complete', 'urgent_booking', 'toilet', 'sink/tap', 'hot water system', 'burst/leak', 'rain-pump', 'roof leak', 'new install/quote', 'other'],
-  'toilet': ['ask_booking', 'general'],
-  'sink/tap': ['ask_booking', 'general'],
-  'hot water system': ['ask_booking', 'general'],
-  'burst/leak': ['urgent_booking', 'ask_booking'],
-  'rain-pump': ['ask_booking', 'general'],
-  'roof leak': ['ask_booking', 'general'],
-  'new install/quote': ['ask_booking', 'general'],
-  'other': ['ask_booking', 'general'],
-  'ask_booking': ['collect_details', 'booking_in_progress'],
-  'collect_details': ['book_appointment', 'ask_booking', 'booking_complete', 'collect_details', 'collect_special_instructions'],
-  'book_appointment': ['confirm_slot', 'collect_details'],
-  'confirm_slot': ['collect_special_instructions', 'book_appointment'],
-  'collect_special_instructions': ['collect_time_preference', 'booking_complete'],
-  'collect_time_preference': ['confirm_time_slot', 'collect_time_preference', 'manual_scheduling'],
-  'confirm_time_slot': ['booking_complete', 'collect_time_preference'],
-  'booking_complete': ['general', 'ended', 'urgent_booking', 'collect_details', 'collect_time_preference'],
-  'emergency': ['urgent_booking'],
-  'urgent_booking': ['collect_details', 'booking_in_progress'],
-  'manual_scheduling': ['collect_details', 'booking_complete']
+// Sessions idle for longer than this are pruned on the next lookup
+const SESSION_TTL_MS = 60 * 60 * 1000;
+// Texters and website visitors reply whenever they get a minute, so their conversations stay open much longer
+const CHANNEL_SESSION_TTL_MS = {
+  sms: (parseInt(process.env.SMS_SESSION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000,
+  chat: (parseInt(process.env.CHAT_SESSION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000,
 };
 
-function isValidTransition(fromState, toState) {
-  return stateTransitions[fromState]?.includes(toState) || false;
-}
+const sessions = new Map();
+const streamSidIndex = new Map();
 
-function resetStateMachine() {
-  // Preserve caller phone number across resets
-  const preservedCallerPhone = stateMachine.callerPhoneNumber;
-  
-  Object.assign(stateMachine, {
+/**
+ * Build a fresh conversation state for a single call
+ */
+function createInitialState() {
+  return {
+    // Core state
     currentState: 'start',
     conversationHistory: [],
     clientData: {},
-    customerData: {},
+    customerData: {}, // Main customer data storage
+
+    // Issue tracking
     issueType: null,
     questionIndex: 0,
+
+    // Booking state
     nextSlot: null,
     bookingRetryCount: 0,
     appointmentBooked: false,
     appointmentId: null,
-    bookingDetails: null,
-    referenceNumber: null,
-    collectingDetail: null,
-    detailsCollectionStep: 0,
+    bookingDetails: null, // Store complete booking information
+    referenceNumber: null, // Store reference number separately
+    recommendedSlot: null, // Store recommended time slot for confirmation
+    slotOptions: [], // Every slot found for the last time preference - text channels list them as numbered choices
+    slotChoices: null, // The numbered slots last offered by text (see textReplies.js)
+
+    // Detail collection
+    collectingDetail: null, // 'name', 'email', 'address', 'phone', 'specialInstructions'
+    detailsCollectionStep: 0, // 0=name, 1=email, 2=address, 3=phone, 4=specialInstructions, 5=confirm_all
     allDetailsCollected: false,
     confirmingAllDetails: false,
     modifyingDetail: null,
+    askingForSpecialInstructions: false, // Flag to track when we're asking for special instructions
+
+    // Time preference handling
+    collectingTimePreference: false,
+    timePreferenceCollected: false,
+    awaitingTimeConfirmation: false,
+
+    // Confirmation flows
     spellingConfirmation: false,
     tempCollectedValue: null,
     awaitingConfirmation: false,
     pendingConfirmation: null,
-    callerPhoneNumber: preservedCallerPhone, // Preserve caller phone number
+
+    // Keypad input
+    lastInputSource: 'speech', // 'speech' | 'dtmf' | 'sms' | 'chat' - typed input skips speech correction
+    keypadBuffer: '',
+    keypadStreetNumber: null, // unit/street number keyed in ahead of the spoken address
+
+    // Call management
+    callerPhoneNumber: null,
     pendingTermination: false,
     callEndReason: null,
+
+    // 'stream' (media WebSocket) or 'gather' (Twilio <Gather> loop, see voiceTransport.js)
+    transport: 'stream',
+    // Set by the media stream for the turn being answered, so LLM replies can be spoken as they generate
+    replyStream: null,
+
+    // Silence timeouts in a row (see silencePolicy.js)
+    noInputCount: 0,
+
+    // Human handover
+    failureCount: 0,
+    transferAttempted: false,
+    pendingTransfer: null, // { reason, requestedAt } until the redirect is made
+    transferInProgress: false,
+
+    // After-hours message taking
+    afterHours: false,
+    afterHoursStep: null, // 'name' | 'message' | 'done'
+    afterHoursMessage: null, // { details, urgent }
+
+    // Outbound reminder calls
+    reminder: null, // appointment being confirmed (see reminderCalls.js)
+    reminderStep: null, // 'confirm_cancel' | 'reschedule_preference' | 'confirm_new_slot'
+    reminderOffers: [],
+    reminderOfferIndex: 0,
+
+    // Returning callers (see callerLookup.js)
+    knownCaller: null, // { name, email, address, upcoming, sources } if we recognised the number in time
+    askedAboutUpcomingBooking: false, // the greeting asked if they're calling about their next booking
+    knownDetailsStep: null, // 'confirm' while checking their saved details are still right, then 'done'
+    knownDetailsOffered: null, // the saved details read back to them
+
+    // Finding an existing booking to change (see bookingLookup.js)
+    bookingLookup: null, // { action, text, attempts, matches } until we know which booking it is
+    bookingChoices: null, // { action, handOver, matches } - every booking they were choosing between
+
+    // Cancelling an existing booking (see cancellation.js)
+    cancelStep: null, // 'identify' | 'confirm' | 'reason'
+    cancelAppointment: null, // the booking being cancelled
+    cancellation: null, // { eventId, reference, appointmentTime, reason, cancelledAt } once it's done
+
+    // Moving an existing booking (see rescheduling.js)
+    rescheduleStep: null, // 'identify' | 'confirm' | 'preference' | 'offer'
+    rescheduleAppointment: null, // the booking being moved
+    rescheduleOffers: [],
+    rescheduleOfferIndex: 0,
+    reschedule: null, // { eventId, reference, previousTime, appointmentTime, rescheduledAt } once it's done
+
+    // Asking after an existing booking (see bookingStatus.js)
+    statusStep: null, // 'identify' | 'no_match' | 'details'
+    bookingStatus: null, // { eventId, reference, appointmentTime, technician, technicianStatus, eta } once we've told them
+
+    // Flow flags
     needsBookingOffer: false,
     safetyConcern: false,
     urgent: false,
     needsEmpathy: false,
     troubleshootingProvided: false,
+
+    // Legacy compatibility
     awaitingAddress: false,
     awaitingTime: false,
+  };
+}
+
+const stateTransitions = {
+  'start': ['general', 'cancel_appointment', 'reschedule_appointment', 'booking_status', 'toilet', 'sink/tap', 'hot water system', 'burst/leak', 'rain-pump', 'roof leak', 'new install/quote', 'other', 'emergency'],
+  'general': ['ask_booking', 'collect_details', 'booking_complete', 'urgent_booking', 'cancel_appointment', 'reschedule_appointment', 'booking_status', 'toilet', 'sink/tap', 'hot water system', 'burst/leak', 'rain-pump', 'roof leak', 'new install/quote', 'other'],
+  'toilet': ['ask_booking', 'general'],
+  'sink/tap': ['ask_booking', 'general'],
+  'hot water system': ['ask_booking', 'general'],
+  'burst/leak': ['urgent_booking', 'ask_booking'],
+  'rain-pump': ['ask_booking', 'general'],
+  'roof leak': ['ask_booking', 'general'],
+  'new install/quote': ['ask_booking', 'general'],
+  'other': ['ask_booking', 'general'],
+  'ask_booking': ['collect_details', 'booking_in_progress'],
+  'collect_details': ['book_appointment', 'ask_booking', 'booking_complete', 'collect_details', 'collect_special_instructions'],
+  'book_appointment': ['confirm_slot', 'collect_details'],
+  'confirm_slot': ['collect_special_instructions', 'book_appointment'],
+  'collect_special_instructions': ['collect_time_preference', 'booking_complete'],
+  'collect_time_preference': ['confirm_time_slot', 'collect_time_preference', 'manual_scheduling'],
+  'confirm_time_slot': ['booking_complete', 'collect_time_preference'],
+  'booking_complete': ['general', 'ended', 'urgent_booking', 'collect_details', 'collect_time_preference', 'cancel_appointment'],
+  'cancel_appointment': ['general'],
+  'reschedule_appointment': ['general'],
+  'booking_status': ['general'],
+  'emergency': ['urgent_booking'],
+  'urgent_booking': ['collect_details', 'booking_in_progress'],
+  'manual_scheduling': ['collect_details', 'booking_complete']
+};
+
+function isValidTransition(fromState, toState) {
+  return stateTransitions[fromState]?.includes(toState) || false;
+}
+
+/**
+ * Remove sessions that have been idle longer than SESSION_TTL_MS
+ */
+function pruneExpiredSessions() {
+  const now = Date.now();
+  for (const session of sessions.values()) {
+    const ttl = CHANNEL_SESSION_TTL_MS[session.channel] || SESSION_TTL_MS;
+    if (now - session.lastActivity > ttl) {
+      console.log(`🗑️ Pruning idle session: ${session.callSid}`);
+      endSession(session);
+    }
+  }
+}
+
+/**
+ * Create and register a new session for a call, or a text conversation (channel 'sms' or 'chat').
+ * tenantId is the business the customer reached (see tenants.js).
+ */
+function createSession(callSid, { channel = 'voice', tenantId = DEFAULT_TENANT_ID } = {}) {
+  pruneExpiredSessions();
+
+  const id = callSid || `LOCAL_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const session = {
+    callSid: id,
+    channel,
+    tenantId,
+    streamSid: null,
+    createdAt: Date.now(),
+    lastActivity: Date.now(),
+    ...createInitialState(),
+  };
+
+  sessions.set(id, session);
+  console.log(`🆕 Session created for call ${id} (${sessions.size} active)`);
+  return session;
+}
+
+/**
+ * Look up a session by CallSid or streamSid
+ */
+function getSession(id) {
+  if (!id) return null;
+
+  pruneExpiredSessions();
+
+  const session = sessions.get(id) || sessions.get(streamSidIndex.get(id));
+  if (session) {
+    session.lastActivity = Date.now();
+  }
+  return session || null;
+}
+
+function getOrCreateSession(callSid, options) {
+  return getSession(callSid) || createSession(callSid, options);
+}
+
+/**
+ * Index a session by its media streamSid so stream events can find it
+ */
+function attachStreamSid(session, streamSid) {
+  if (session.streamSid) {
+    streamSidIndex.delete(session.streamSid);
+  }
+  session.streamSid = streamSid;
+  streamSidIndex.set(streamSid, session.callSid);
+}
+
+function endSession(session) {
+  if (!session) return;
+
+  sessions.delete(session.callSid);
+  if (session.streamSid) {
+    streamSidIndex.delete(session.streamSid);
+  }
+  // No-op if the call's record was already closed off with a more specific reason
+  finalizeCallRecord(session, session.callEndReason || 'session_ended');
+  console.log(`👋 Session ended for call ${session.callSid} (${sessions.size} active)`);
+}
+
+function getActiveSessions() {
+  return [...sessions.values()];
+}
+
+function resetSession(session) {
+  // Preserve caller phone number across resets
+  const preservedCallerPhone = session.callerPhoneNumber;
+
+  Object.assign(session, createInitialState(), {
+    callerPhoneNumber: preservedCallerPhone, // Preserve caller phone number
   });
-  
+
   // If we have a preserved caller phone number, also set it in customer data
   if (preservedCallerPhone) {
-    stateMachine.customerData.phone = preservedCallerPhone;
-    stateMachine.clientData.phone = preservedCallerPhone;
-    console.log(`🔄 State machine reset to initial state (preserved caller phone: ${preservedCallerPhone})`);
+    session.customerData.phone = preservedCallerPhone;
+    session.clientData.phone = preservedCallerPhone;
+    console.log(`🔄 Session ${session.callSid} reset to initial state (preserved caller phone: ${preservedCallerPhone})`);
   } else {
-    console.log('🔄 State machine reset to initial state');
+    console.log(`🔄 Session ${session.callSid} reset to initial state`);
   }
 }
 
-function transitionTo(newState, reason = '') {
-  const oldState = stateMachine.currentState;
-  
+function transitionTo(session, newState, reason = '') {
+  const oldState = session.currentState;
+
   if (isValidTransition(oldState, newState)) {
-    stateMachine.currentState = newState;
+    session.currentState = newState;
     console.log(`🔄 State transition: ${oldState} → ${newState} ${reason ? `(${reason})` : ''}`);
+    recordStateTransition(session, oldState, newState, reason);
     return true;
   } else {
     console.warn(`⚠️ Invalid state transition attempted: ${oldState} → ${newState}`);
@@ -144,42 +279,47 @@ function transitionTo(newState, reason = '') {
   }
 }
 
-function setCallerPhoneNumber(phoneNumber) {
-  stateMachine.callerPhoneNumber = phoneNumber;
-  stateMachine.customerData.phone = phoneNumber;
-  stateMachine.clientData.phone = phoneNumber;
+function setCallerPhoneNumber(session, phoneNumber) {
+  session.callerPhoneNumber = phoneNumber;
+  session.customerData.phone = phoneNumber;
+  session.clientData.phone = phoneNumber;
   console.log('📞 Caller phone number set:', phoneNumber);
 }
 
-function addToHistory(role, content) {
-  stateMachine.conversationHistory.push({ role, content });
+function addToHistory(session, role, content) {
+  session.conversationHistory.push({ role, content });
 }
 
-function getClientData() {
-  return { ...stateMachine.clientData };
+function getClientData(session) {
+  return { ...session.clientData };
 }
 
-function updateClientData(data) {
-  Object.assign(stateMachine.clientData, data);
+function updateClientData(session, data) {
+  Object.assign(session.clientData, data);
   // Also update customerData for consistency
-  Object.assign(stateMachine.customerData, data);
+  Object.assign(session.customerData, data);
 }
 
-function updateCustomerData(data) {
-  Object.assign(stateMachine.customerData, data);
+function updateCustomerData(session, data) {
+  Object.assign(session.customerData, data);
   // Also update clientData for backward compatibility
-  Object.assign(stateMachine.clientData, data);
+  Object.assign(session.clientData, data);
 }
 
-function hasCompleteDetails() {
-  const { name, email, address } = stateMachine.clientData;
+function hasCompleteDetails(session) {
+  const { name, email, address } = session.clientData;
   return !!(name && email && address);
 }
 
 module.exports = {
-  stateMachine,
+  createSession,
+  getSession,
+  getOrCreateSession,
+  attachStreamSid,
+  endSession,
+  getActiveSessions,
+  resetSession,
   isValidTransition,
-  resetStateMachine,
   transitionTo,
   setCallerPhoneNumber,
   addToHistory,
@@ -0,0 +1,153 @@
+/**
+ * Business Profiles (Tenants)
+ * Each brand we answer for, keyed by the Twilio number customers call or text. A session carries its tenantId
+ * from the first request, and everything the customer sees or hears - name, greeting, hours, prices, voice -
+ * plus where the booking lands (calendar, CRM location, email template) comes from that profile.
+ *
+ * Profiles come from TENANTS_FILE (a JSON file) or TENANTS (the same JSON inline): an array of objects like
+ *   { "id": "harbour", "numbers": ["+61730000002"], "businessName": "Harbour Drains", "agentName": "Mia",
+ *     "calendarId": "...", "crmLocationId": "...", "emailTemplateId": "...", "voice": { "deepgramModels": ["aura-stella-en"] } }
+ * Anything a profile leaves out comes from the default profile, which is built from the environment.
+ * A profile with id "default" adjusts the default itself. Calls to numbers no profile lists get the default.
+ *
+ * Integration modules with no session to hand (calendar, CRM, email, LLM prompt) read the tenant whose turn is
+ * running via getActiveTenant() - handleInput runs every turn inside runAsTenant().
+ */
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULT_TENANT_ID = 'default';
+
+const DEFAULT_TENANT = {
+  id: DEFAULT_TENANT_ID,
+  numbers: process.env.TWILIO_PHONE_NUMBER ? [process.env.TWILIO_PHONE_NUMBER] : [],
+  businessName: 'Assure Fix Plumbing',
+  agentName: 'Robyn',
+  greeting: null, // built from agentName and businessName when not set
+  officePhone: '(07) 3608 1688',
+  bookingsEmail: 'bookings@usherfixplumbing.com',
+  serviceArea: 'Brisbane and surrounding suburbs',
+  hours: { open: 8, close: 17, days: [1, 2, 3, 4, 5] }, // Brisbane time, days 0 = Sunday
+  calendarId: process.env.GOOGLE_CALENDAR_ID || 'primary',
+  crmLocationId: process.env.GHL_LOCATION_ID || null,
+  emailTemplateId: process.env.EMAILJS_TEMPLATE_ID || null,
+  cancellationTemplateId: process.env.EMAILJS_CANCELLATION_TEMPLATE_ID || null,
+  voice: {}, // overrides for the TTS voice settings (see textToSpeech.js)
+  pricing: null, // e.g. "$99 call-out fee including the first 30 minutes, then $45 per 15 minutes"
+};
+
+const activeTenant = new AsyncLocalStorage();
+
+function normalizeNumber(number) {
+  return String(number || '').replace(/[^\d+]/g, '');
+}
+
+/**
+ * Fill in a profile's gaps from the base profile
+ */
+function buildTenant(profile, base) {
+  const tenant = {
+    ...base,
+    ...profile,
+    hours: { ...base.hours, ...profile.hours },
+    voice: { ...base.voice, ...profile.voice },
+  };
+  if (!profile.greeting) {
+    tenant.greeting = `Hello, this is ${tenant.agentName} from ${tenant.businessName}. How can I help you today?`;
+  }
+  // Replies, outbound calls and texts go out from the brand's own number
+  tenant.phoneNumber = profile.phoneNumber || tenant.numbers[0] || process.env.TWILIO_PHONE_NUMBER || null;
+  return tenant;
+}
+
+function readProfiles() {
+  try {
+    if (process.env.TENANTS_FILE) {
+      return JSON.parse(fs.readFileSync(process.env.TENANTS_FILE, 'utf8'));
+    }
+    return JSON.parse(process.env.TENANTS || '[]');
+  } catch (error) {
+    console.warn('⚠️ Ignoring invalid tenant profiles (TENANTS_FILE / TENANTS):', error.message);
+    return [];
+  }
+}
+
+function loadTenants() {
+  const loaded = readProfiles();
+  const profiles = (Array.isArray(loaded) ? loaded : []).filter(profile => profile && profile.id);
+  const defaultTenant = buildTenant(profiles.find(profile => profile.id === DEFAULT_TENANT_ID) || {}, DEFAULT_TENANT);
+
+  const byId = new Map([[DEFAULT_TENANT_ID, defaultTenant]]);
+  for (const profile of profiles) {
+    if (profile.id !== DEFAULT_TENANT_ID) {
+      byId.set(profile.id, buildTenant(profile, { ...defaultTenant, numbers: [], phoneNumber: null }));
+    }
+  }
+
+  const byNumber = new Map();
+  for (const tenant of byId.values()) {
+    for (const number of tenant.numbers) {
+      if (byNumber.has(normalizeNumber(number))) {
+        console.warn(`⚠️ ${number} is listed by more than one tenant - using ${byNumber.get(normalizeNumber(number)).id}`);
+        continue;
+      }
+      byNumber.set(normalizeNumber(number), tenant);
+    }
+  }
+
+  console.log(`🏢 Tenants loaded: ${[...byId.keys()].join(', ')}`);
+  return { byId, byNumber };
+}
+
+const tenants = loadTenants();
+
+function getDefaultTenant() {
+  return tenants.byId.get(DEFAULT_TENANT_ID);
+}
+
+function getTenantById(id) {
+  return tenants.byId.get(id) || null;
+}
+
+/**
+ * The tenant answering one of our numbers (the call's or text's "To"), or the default
+ */
+function resolveTenant(number) {
+  return tenants.byNumber.get(normalizeNumber(number)) || getDefaultTenant();
+}
+
+/**
+ * The tenant a session belongs to
+ */
+function getTenant(session) {
+  return getTenantById(session?.tenantId) || getDefaultTenant();
+}
+
+function listTenants() {
+  return [...tenants.byId.values()];
+}
+
+/**
+ * Run fn with tenant as the active tenant for everything it calls, sync or async
+ */
+function runAsTenant(tenant, fn) {
+  return activeTenant.run(tenant || getDefaultTenant(), fn);
+}
+
+/**
+ * The tenant whose turn (or job) is running, or the default outside one
+ */
+function getActiveTenant() {
+  return activeTenant.getStore() || getDefaultTenant();
+}
+
+module.exports = {
+  DEFAULT_TENANT_ID,
+  getDefaultTenant,
+  getTenantById,
+  resolveTenant,
+  getTenant,
+  listTenants,
+  runAsTenant,
+  getActiveTenant
+};
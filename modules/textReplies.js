@@ -0,0 +1,88 @@
+/**
+ * Text Replies
+ * Shared by the SMS and web chat channels: Robyn's spoken lines reworded for a screen, and the slots
+ * found for a time preference offered as numbered choices instead of read out one at a time
+ */
+
+// Slot choices offered at once
+const MAX_SLOT_CHOICES = 3;
+
+// Lines written to be heard, and what reads better as text
+const TEXT_REWRITES = [
+  [/Thank you for calling /g, 'Thanks for getting in touch with '],
+  [/Please call back anytime/g, 'Text or call us anytime'],
+];
+
+function adaptSpokenReply(reply) {
+  return TEXT_REWRITES.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), reply || '');
+}
+
+function formatSlot(slot) {
+  return new Date(slot.start).toLocaleString('en-AU', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: 'Australia/Brisbane',
+    hour12: true
+  });
+}
+
+/**
+ * The slot Robyn recommended first, then the other slots found for the same preference
+ */
+function listSlotOptions(session) {
+  const recommended = session.recommendedSlot;
+  const others = (session.slotOptions || [])
+    .filter(slot => !recommended || new Date(slot.start).getTime() !== new Date(recommended.start).getTime());
+  return [recommended, ...others].filter(Boolean).slice(0, MAX_SLOT_CHOICES);
+}
+
+/**
+ * Slots to offer as numbered choices after a turn, or [] if the turn didn't find at least two.
+ * slotsBefore is session.slotOptions from before the turn - a new array means new slots were found.
+ */
+function offerSlotChoices(session, slotsBefore) {
+  if (session.currentState !== 'confirm_time_slot') {
+    session.slotChoices = null;
+    return [];
+  }
+  if (session.slotOptions === slotsBefore) return [];
+
+  const choices = listSlotOptions(session);
+  if (choices.length < 2) return [];
+  session.slotChoices = choices;
+  return choices;
+}
+
+function isChoosingSlot(session) {
+  return session.currentState === 'confirm_time_slot' && !!session.slotChoices?.length;
+}
+
+/**
+ * Take choice number (1-based) as the slot to confirm - the caller then hands the flow a "yes".
+ * Returns the slot, or null if there's no such choice.
+ */
+function chooseSlot(session, number) {
+  const slot = isChoosingSlot(session) ? session.slotChoices[number - 1] : null;
+  if (!slot) return null;
+
+  console.log(`🗓️ Slot choice ${number}: ${formatSlot(slot)}`);
+  session.recommendedSlot = slot;
+  return slot;
+}
+
+// "1, 2 or 3"
+function describeChoices(choices) {
+  return choices.map((_, i) => i + 1).join(', ').replace(/, (\d)$/, ' or $1');
+}
+
+module.exports = {
+  adaptSpokenReply,
+  formatSlot,
+  offerSlotChoices,
+  isChoosingSlot,
+  chooseSlot,
+  describeChoices
+};
@@ -0,0 +1,283 @@
+/**
+ * Text-to-Speech Service
+ * Every playback path synthesizes through here: providers are tried in order (TTS_PROVIDERS) until one
+ * returns audio. Phone audio comes back as 8kHz mulaw ready to frame for Twilio; 'mp3' is for the
+ * Gather transport, which plays files over HTTP.
+ *
+ * Providers: deepgram (Aura), elevenlabs, twilio (no audio - the caller falls back to <Say>), stub (offline tone)
+ * The phrase cache is checked before any network call. Only reusable fixed text (options.cacheable - the manifest,
+ * fillers, greetings) is stored there: one-off replies read back callers' names, addresses and references, and
+ * would push the fixed prompts out.
+ * options.voice overrides VOICE for one request - each tenant can have its own (see tenants.js).
+ */
+const { createClient } = require('@deepgram/sdk');
+const { ElevenLabsClient } = require('@elevenlabs/elevenlabs-js');
+const { getPhrase, storePhrase } = require('./phraseCache');
+
+// 20ms of 8kHz mulaw
+const FRAME_SIZE = 160;
+const BYTES_PER_SECOND = 8000;
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.TTS_TIMEOUT_MS, 10) || 4000;
+
+const VOICE = {
+  deepgramModels: (process.env.TTS_DEEPGRAM_MODELS || 'aura-luna-en,aura-asteria-en').split(',').map(model => model.trim()),
+  elevenLabsVoiceId: process.env.ELEVENLABS_VOICE_ID || '',
+  elevenLabsModel: process.env.ELEVENLABS_MODEL || 'eleven_flash_v2_5',
+  speed: parseFloat(process.env.TTS_SPEED) || 1.1,
+};
+
+const PROVIDER_ORDER = (process.env.TTS_PROVIDERS || 'deepgram,elevenlabs,twilio')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+let deepgramClient = null;
+let elevenLabsClient = null;
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+const deepgramProvider = {
+  name: 'deepgram',
+  isAvailable: () => !!process.env.DEEPGRAM_API_KEY,
+  async synthesize(text, format, voice) {
+    deepgramClient = deepgramClient || createClient(process.env.DEEPGRAM_API_KEY);
+    const encoding = format === 'mp3'
+      ? { encoding: 'mp3' }
+      : { encoding: 'mulaw', sample_rate: 8000, container: 'none' };
+
+    let lastError = null;
+    for (const model of voice.deepgramModels) {
+      try {
+        const response = await deepgramClient.speak.request({ text }, { model, speed: voice.speed, ...encoding });
+        const stream = await response.getStream();
+        if (!stream) throw new Error('No audio stream returned');
+        return await readStream(stream);
+      } catch (error) {
+        console.warn(`TTS: Deepgram model ${model} failed:`, error.message);
+        lastError = error;
+      }
+    }
+    throw lastError || new Error('No Deepgram models configured');
+  },
+};
+
+const elevenLabsProvider = {
+  name: 'elevenlabs',
+  isAvailable: (voice = VOICE) => !!(process.env.ELEVENLABS_API_KEY && voice.elevenLabsVoiceId),
+  async synthesize(text, format, voice) {
+    elevenLabsClient = elevenLabsClient || new ElevenLabsClient({ apiKey: process.env.ELEVENLABS_API_KEY });
+    const stream = await elevenLabsClient.textToSpeech.convert(voice.elevenLabsVoiceId, {
+      text,
+      modelId: voice.elevenLabsModel,
+      outputFormat: format === 'mp3' ? 'mp3_44100_128' : 'ulaw_8000',
+    });
+    return readStream(stream);
+  },
+};
+
+// Twilio speaks the text itself with <Say>, so there's no audio to hand back
+const twilioSayProvider = {
+  name: 'twilio',
+  isAvailable: () => true,
+  async synthesize() {
+    return null;
+  },
+};
+
+// Offline stand-in for tests and demos: a quiet tone roughly as long as the text would take to say
+const stubProvider = {
+  name: 'stub',
+  isAvailable: () => true,
+  async synthesize(text, format) {
+    if (format !== 'mulaw') {
+      throw new Error(`Stub TTS only produces mulaw, not ${format}`);
+    }
+    const words = text.split(/\s+/).filter(Boolean).length;
+    const audio = Buffer.alloc(Math.round(Math.max(1, words) * 0.3 * BYTES_PER_SECOND));
+    for (let i = 0; i < audio.length; i++) {
+      audio[i] = i % 16 < 8 ? 0x7E : 0xFE;
+    }
+    return audio;
+  },
+};
+
+const PROVIDERS = {
+  deepgram: deepgramProvider,
+  elevenlabs: elevenLabsProvider,
+  twilio: twilioSayProvider,
+  stub: stubProvider,
+};
+
+// Per-provider timing: { requests, failures, totalMs, lastMs, lastError }
+const metrics = {};
+
+function recordMetric(name, startTime, error = null) {
+  const entry = metrics[name] || (metrics[name] = { requests: 0, failures: 0, totalMs: 0, lastMs: 0, lastError: null });
+  const elapsed = Date.now() - startTime;
+  entry.requests++;
+  entry.totalMs += elapsed;
+  entry.lastMs = elapsed;
+  if (error) {
+    entry.failures++;
+    entry.lastError = error.message;
+  }
+}
+
+function getTtsMetrics() {
+  return Object.fromEntries(Object.entries(metrics).map(([name, entry]) => [name, {
+    ...entry,
+    averageMs: entry.requests ? Math.round(entry.totalMs / entry.requests) : 0,
+  }]));
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Some providers wrap raw audio in a WAV container - Twilio only wants the samples
+ */
+function stripWavHeader(audio) {
+  if (audio.length > 44 && audio.toString('ascii', 0, 4) === 'RIFF') {
+    const dataIndex = audio.indexOf('data', 12, 'ascii');
+    if (dataIndex !== -1) {
+      return audio.subarray(dataIndex + 8);
+    }
+  }
+  return audio;
+}
+
+/**
+ * The voice cached audio is keyed on - whichever provider is first in line right now
+ */
+function getPrimaryVoice(voice) {
+  const name = PROVIDER_ORDER.find(provider => PROVIDERS[provider]?.isAvailable(voice));
+  if (name === 'deepgram') return { provider: name, voice: `deepgram:${voice.deepgramModels[0]}`, speed: voice.speed };
+  if (name === 'elevenlabs') return { provider: name, voice: `elevenlabs:${voice.elevenLabsVoiceId}:${voice.elevenLabsModel}`, speed: voice.speed };
+  return { provider: name, voice: name, speed: voice.speed };
+}
+
+function toMulawResult(provider, audio) {
+  return { provider, audio, durationMs: Math.round((audio.length / BYTES_PER_SECOND) * 1000) };
+}
+
+/**
+ * Synthesize text with the first provider that works.
+ * Resolves to { provider, audio, durationMs } - audio is null when only Twilio <Say> is left.
+ */
+async function synthesize(text, { format = 'mulaw', voice: voiceOverrides = {}, cacheable = false } = {}) {
+  const errors = [];
+  const voice = { ...VOICE, ...voiceOverrides };
+  const primary = getPrimaryVoice(voice);
+
+  if (format === 'mulaw') {
+    const cached = await getPhrase(text, primary);
+    if (cached) {
+      return toMulawResult('cache', cached);
+    }
+  }
+
+  for (const name of PROVIDER_ORDER) {
+    const provider = PROVIDERS[name];
+    if (!provider || !provider.isAvailable(voice)) continue;
+
+    const startTime = Date.now();
+    try {
+      let audio = await withTimeout(provider.synthesize(text, format, voice), PROVIDER_TIMEOUT_MS, `${name} TTS`);
+      recordMetric(name, startTime);
+
+      if (!audio) {
+        return { provider: name, audio: null, durationMs: 0 };
+      }
+      if (format === 'mulaw') {
+        audio = stripWavHeader(audio);
+      }
+      if (!audio.length) {
+        throw new Error('Empty audio response');
+      }
+
+      console.log(`TTS: ${name} synthesized ${audio.length} bytes in ${Date.now() - startTime}ms`);
+      if (format !== 'mulaw') {
+        return { provider: name, audio, durationMs: null };
+      }
+      // Fallback voices would be served in place of the primary voice later, so only cache the primary
+      if (cacheable && name === primary.provider && name !== 'stub') {
+        storePhrase(text, primary, audio);
+      }
+      return toMulawResult(name, audio);
+    } catch (error) {
+      recordMetric(name, startTime, error);
+      console.warn(`TTS: ${name} failed:`, error.message);
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All TTS providers failed (${errors.join('; ') || 'none available'})`);
+}
+
+/**
+ * MP3 for the Gather transport - throws if no provider can produce audio
+ */
+async function synthesizeBuffer(text, { voice } = {}) {
+  const { audio, provider } = await synthesize(text, { format: 'mp3', voice });
+  if (!audio) {
+    throw new Error(`No audio from TTS provider ${provider}`);
+  }
+  return audio;
+}
+
+/**
+ * Split mulaw audio into 20ms Twilio media frames
+ */
+function toFrames(audio) {
+  const frames = [];
+  for (let offset = 0; offset < audio.length; offset += FRAME_SIZE) {
+    frames.push(audio.subarray(offset, offset + FRAME_SIZE));
+  }
+  return frames;
+}
+
+function getVoiceSettings() {
+  return { ...VOICE, providers: PROVIDER_ORDER };
+}
+
+/**
+ * Synthesize fixed prompts ahead of time so their first use plays instantly.
+ * Sequential on purpose - this runs at startup alongside live calls.
+ */
+async function warmPhraseCache(phrases, { voice } = {}) {
+  const unique = [...new Set(phrases.filter(phrase => typeof phrase === 'string' && phrase.trim()))];
+  let synthesized = 0;
+  let failed = 0;
+
+  for (const phrase of unique) {
+    try {
+      const { provider } = await synthesize(phrase, { voice, cacheable: true });
+      if (provider !== 'cache') synthesized++;
+    } catch (error) {
+      failed++;
+    }
+  }
+  console.log(`🔥 Phrase cache warmed: ${unique.length} phrases (${synthesized} synthesized, ${failed} failed)`);
+}
+
+module.exports = {
+  synthesize,
+  synthesizeBuffer,
+  toFrames,
+  getTtsMetrics,
+  getVoiceSettings,
+  warmPhraseCache
+};
@@ -4,10 +4,13 @@
  */
 
 /**
- * Parse customer time preference and find available slots
+ * Parse customer time preference and find available slots.
+ * customerData.durationMinutes sizes the slots for a known job length (moving a booking keeps its length), and
+ * customerData.excludeEventId leaves that booking out of the clash check so it can move to an overlapping time.
  */
 async function findAvailableSlots(timePreference, customerData = {}) {
   console.log('🔍 Finding available slots for preference:', timePreference);
+  const { durationMinutes, excludeEventId } = customerData;
   
   try {
     const preference = parseTimePreference(timePreference);
@@ -21,7 +24,8 @@ async function findAvailableSlots(timePreference, customerData = {}) {
     
     // Get existing appointments to check availability
     const { getExistingAppointments } = require('./smartScheduler');
-    const existingAppointments = await getExistingAppointments();
+    const existingAppointments = (await getExistingAppointments())
+      .filter(appointment => !excludeEventId || appointment.id !== excludeEventId);
     
     // CRITICAL FIX: Debug appointments for the requested day
     if (preference.dayPreference === 'today' || preference.dayPreference === 'tomorrow') {
@@ -52,7 +56,7 @@ async function findAvailableSlots(timePreference, customerData = {}) {
     }
     
     // Generate possible slots based on preference
-    const possibleSlots = generateTimeSlots(preference);
+    const possibleSlots = withDuration(generateTimeSlots(preference), durationMinutes);
 
     // Filter out conflicting appointments
     const availableSlots = filterAvailableSlots(possibleSlots, existingAppointments);
@@ -65,7 +69,7 @@ async function findAvailableSlots(timePreference, customerData = {}) {
       const alternativePreference = { ...preference };
       alternativePreference.dayPreference = null; // Remove day restriction
       
-      const alternativeSlots = generateTimeSlots(alternativePreference);
+      const alternativeSlots = withDuration(generateTimeSlots(alternativePreference), durationMinutes);
       const filteredAlternatives = filterAvailableSlots(alternativeSlots, existingAppointments);
       const sortedAlternatives = sortSlotsByPreference(filteredAlternatives, preference);
       
@@ -108,6 +112,18 @@ async function findAvailableSlots(timePreference, customerData = {}) {
   }
 }
 
+/**
+ * Resize generated slots (75 minutes by default) to a job's actual length
+ */
+function withDuration(slots, durationMinutes) {
+  if (!durationMinutes) return slots;
+  return slots.map(slot => ({
+    ...slot,
+    end: new Date(slot.start.getTime() + durationMinutes * 60000),
+    duration: durationMinutes
+  }));
+}
+
 /**
  * Parse natural language time preference - ENHANCED FOR SPECIFIC TIMES
  */
@@ -0,0 +1,297 @@
+/**
+ * Warm Transfer
+ * Hands a live call to the on-call dispatcher, whispering a caller summary before connecting
+ */
+const twilio = require('twilio');
+const { VoiceResponse } = twilio.twiml;
+const { assessEmergencySeverity } = require('./issueClassification');
+const { notifyWarning, notifySuccess } = require('../notifications');
+const { saveCallerMessage } = require('./callRecords');
+const { getTenant, getTenantById, getDefaultTenant } = require('./tenants');
+
+// Emergencies at or above this severity (see assessEmergencySeverity) go straight to a person
+const MIN_TRANSFER_SEVERITY = parseInt(process.env.TRANSFER_MIN_SEVERITY, 10) || 3;
+// Failed turns (errors, unintelligible speech) before we stop trying and hand over
+const MAX_FAILURES = parseInt(process.env.TRANSFER_MAX_FAILURES, 10) || 3;
+// Seconds to ring the dispatcher before taking a message
+const DIAL_TIMEOUT = parseInt(process.env.TRANSFER_DIAL_TIMEOUT, 10) || 20;
+
+// Summaries outlive the session: the media stream (and session) ends as soon as the call is redirected
+const TRANSFER_TTL_MS = 60 * 60 * 1000;
+const transfers = new Map();
+
+const TRANSFER_INTENT_PATTERNS = [
+  /\b(talk|speak|chat) (to|with) (a |an |the |some )?(someone|somebody|person|human|real person|plumber|dispatcher|manager|operator|staff)\b/i,
+  /\b(real|actual|live) (person|human)\b/i,
+  /\b(transfer|put) me (through|to)\b/i,
+  /\b(operator|receptionist)\b/i,
+];
+
+function detectTransferIntent(input) {
+  return TRANSFER_INTENT_PATTERNS.some(pattern => pattern.test(input || ''));
+}
+
+function isTransferAvailable() {
+  return !!(process.env.TRANSFER_NUMBER && process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN);
+}
+
+/**
+ * Count a failed turn against the session
+ */
+function recordFailure(session) {
+  session.failureCount = (session.failureCount || 0) + 1;
+  console.log(`⚠️ Failure ${session.failureCount}/${MAX_FAILURES} on call ${session.callSid}`);
+  return session.failureCount;
+}
+
+/**
+ * Work out whether this turn should go to a person - returns the reason or null
+ */
+function getTransferReason(session, input) {
+  if (session.transferAttempted) return null;
+
+  if (detectTransferIntent(input)) return 'caller_request';
+  if (assessEmergencySeverity(input) >= MIN_TRANSFER_SEVERITY) return 'emergency';
+  if ((session.failureCount || 0) >= MAX_FAILURES) return 'repeated_failures';
+
+  return null;
+}
+
+/**
+ * Short spoken summary for the dispatcher
+ */
+function buildCallerSummary(session) {
+  const data = { ...session.clientData, ...session.customerData };
+  const parts = [];
+
+  parts.push(data.name ? `Caller ${data.name}` : 'Unnamed caller');
+  if (session.urgent || session.safetyConcern) parts.push('reporting an emergency');
+  if (session.issueType) parts.push(`with a ${session.issueType} issue`);
+  if (data.address) parts.push(`at ${data.address}`);
+
+  let summary = parts.join(' ') + '.';
+  // Skip bare keypad entries - "They said: 0" tells the dispatcher nothing
+  const lastUserTurn = [...session.conversationHistory].reverse()
+    .find(entry => entry.role === 'user' && !/^[\d/]+$/.test(entry.content));
+  if (lastUserTurn) {
+    summary += ` They said: ${lastUserTurn.content}`;
+  }
+  return summary;
+}
+
+/**
+ * Flag the session for transfer and return what Robyn should say before handing over.
+ * The redirect itself happens in executeTransfer once that line has played.
+ */
+function requestTransfer(session, reason) {
+  session.transferAttempted = true;
+
+  // Nothing to put a text conversation through to - the team rings the customer instead
+  if (session.channel === 'sms' || session.channel === 'chat') {
+    return requestCallback(session, reason);
+  }
+
+  if (!isTransferAvailable()) {
+    console.warn('⚠️ Transfer requested but TRANSFER_NUMBER / Twilio credentials are not configured');
+    notifyWarning('Caller needs a call back - live transfer unavailable', {
+      reason,
+      callSid: session.callSid,
+      phone: session.callerPhoneNumber,
+      summary: buildCallerSummary(session),
+    });
+    return reason === 'caller_request'
+      ? "I can't put you through right now, but I've asked the team to call you straight back. In the meantime, is there anything I can help with?"
+      : null;
+  }
+
+  session.pendingTransfer = { reason, requestedAt: Date.now() };
+  console.log(`📲 Transfer requested for call ${session.callSid} (${reason})`);
+
+  return reason === 'emergency'
+    ? "That sounds serious, so I'm putting you straight through to our on-call plumber. Please stay on the line."
+    : "No worries, I'll put you through to one of our team now. Please hold for a moment.";
+}
+
+/**
+ * Text channels: ask the team to ring the customer, or give them our number if we don't have theirs
+ */
+function requestCallback(session, reason) {
+  const phone = session.callerPhoneNumber || session.customerData?.phone;
+  const { officePhone } = getTenant(session);
+  const safetyTip = reason === 'emergency'
+    ? " If water is near any power points, switch the power off at the switchboard if it's safe to."
+    : '';
+
+  if (!phone) {
+    return reason === 'emergency'
+      ? `That sounds serious - please call our on-call plumber now on ${officePhone}.${safetyTip}`
+      : `No worries - you can reach the team directly on ${officePhone}.`;
+  }
+
+  notifyWarning(`Customer on ${session.channel} needs a call back`, {
+    reason,
+    callSid: session.callSid,
+    phone,
+    summary: buildCallerSummary(session),
+  });
+  const number = session.callerPhoneNumber ? 'this number' : phone;
+  return reason === 'emergency'
+    ? `That sounds serious, so I've asked our on-call plumber to ring you on ${number} straight away.${safetyTip}`
+    : `No worries, I've asked one of the team to give you a call on ${number} shortly.`;
+}
+
+function pruneTransfers() {
+  const now = Date.now();
+  for (const [callSid, transfer] of transfers) {
+    if (now - transfer.startedAt > TRANSFER_TTL_MS) {
+      transfers.delete(callSid);
+    }
+  }
+}
+
+/**
+ * Add a <Dial> to the on-call number to existing TwiML, whispering the summary and taking a message if nobody answers.
+ * The dispatcher answers for every brand, so the whisper says which business the caller rang.
+ */
+function appendOnCallDial(twiml, callSid, baseUrl, { reason, summary, phone, tenant = getDefaultTenant() } = {}) {
+  pruneTransfers();
+  transfers.set(callSid, { reason, summary, phone, tenantId: tenant.id, startedAt: Date.now() });
+
+  const dial = twiml.dial({
+    timeout: DIAL_TIMEOUT,
+    callerId: tenant.phoneNumber || undefined,
+    action: `${baseUrl}/transfer/status`,
+    method: 'POST',
+  });
+  dial.number({ url: `${baseUrl}/transfer/whisper?callSid=${encodeURIComponent(callSid)}`, method: 'POST' }, process.env.TRANSFER_NUMBER);
+  return twiml;
+}
+
+/**
+ * TwiML that dials the on-call number
+ */
+function buildOnCallDialTwiml(callSid, baseUrl, details = {}) {
+  return appendOnCallDial(new VoiceResponse(), callSid, baseUrl, details).toString();
+}
+
+/**
+ * Redirect the live call to a <Dial> to the on-call number.
+ * Returns null on success, or a line to speak if the redirect failed.
+ */
+async function executeTransfer(session) {
+  const { reason } = session.pendingTransfer || {};
+  session.pendingTransfer = null;
+
+  const baseUrl = session.baseUrl || process.env.APP_URL;
+  const summary = buildCallerSummary(session);
+
+  try {
+    const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    const twiml = buildOnCallDialTwiml(session.callSid, baseUrl, {
+      reason,
+      summary,
+      phone: session.callerPhoneNumber,
+      tenant: getTenant(session),
+    });
+    session.transferInProgress = true;
+
+    await client.calls(session.callSid).update({ twiml });
+    console.log(`📲 Call ${session.callSid} redirected to dispatcher`);
+    return null;
+  } catch (error) {
+    console.error('❌ Transfer failed:', error.message);
+    transfers.delete(session.callSid);
+    session.transferInProgress = false;
+    await notifyWarning('Live transfer failed - caller needs a call back', {
+      reason,
+      callSid: session.callSid,
+      phone: session.callerPhoneNumber,
+      summary,
+      error: error.message,
+    });
+    return "Sorry, I couldn't get through to the team just now. I've passed on your details and someone will call you back shortly.";
+  }
+}
+
+/**
+ * TwiML played to the dispatcher before they're connected
+ */
+function buildWhisperTwiml(callSid) {
+  const transfer = transfers.get(callSid);
+  const { agentName, businessName } = getTenantById(transfer?.tenantId) || getDefaultTenant();
+  const twiml = new VoiceResponse();
+  twiml.say({ voice: 'alice', language: 'en-AU' },
+    `Transfer from ${agentName} for ${businessName}. ${transfer ? transfer.summary : 'No caller summary available.'} Connecting now.`);
+  return twiml.toString();
+}
+
+/**
+ * TwiML for the caller once the <Dial> finishes - take a message if nobody picked up
+ */
+function buildDialStatusTwiml(callSid, dialStatus, baseUrl) {
+  const twiml = new VoiceResponse();
+
+  if (dialStatus === 'completed' || dialStatus === 'answered') {
+    transfers.delete(callSid);
+    twiml.hangup();
+    return twiml.toString();
+  }
+
+  console.log(`📵 Dispatcher unavailable for ${callSid} (${dialStatus}) - taking a message`);
+  twiml.say({ voice: 'alice', language: 'en-AU' },
+    "Sorry, our team can't get to the phone right now. Please leave your name, address and a short message after the tone, and we'll call you straight back.");
+  twiml.record({
+    action: `${baseUrl}/transfer/message`,
+    method: 'POST',
+    maxLength: 120,
+    playBeep: true,
+  });
+  return twiml.toString();
+}
+
+/**
+ * Pass a caller's message on to the team, then close the call
+ */
+async function handleTransferMessage(callSid, recordingUrl) {
+  const transfer = transfers.get(callSid) || {};
+  transfers.delete(callSid);
+
+  try {
+    await saveCallerMessage(callSid, {
+      source: 'missed_transfer',
+      phone: transfer.phone,
+      summary: transfer.summary,
+      recordingUrl,
+    });
+  } catch (error) {
+    console.error('❌ Failed to save missed-transfer message:', error.message);
+  }
+
+  await notifySuccess('📩 New voicemail after missed transfer', {
+    callSid,
+    phone: transfer.phone,
+    reason: transfer.reason,
+    summary: transfer.summary,
+    recordingUrl,
+  });
+
+  const twiml = new VoiceResponse();
+  twiml.say({ voice: 'alice', language: 'en-AU' }, 'Thanks, we have your message and will be in touch shortly. Goodbye.');
+  twiml.hangup();
+  return twiml.toString();
+}
+
+module.exports = {
+  detectTransferIntent,
+  isTransferAvailable,
+  recordFailure,
+  getTransferReason,
+  buildCallerSummary,
+  requestTransfer,
+  appendOnCallDial,
+  buildOnCallDialTwiml,
+  executeTransfer,
+  buildWhisperTwiml,
+  buildDialStatusTwiml,
+  handleTransferMessage
+};
@@ -0,0 +1,85 @@
+/**
+ * Twilio Request Authentication
+ * Validates X-Twilio-Signature on webhooks and signs short-lived tokens for the /media stream
+ */
+const crypto = require('crypto');
+const twilio = require('twilio');
+
+// The media stream connects straight after /voice returns, so tokens only need to live briefly
+const STREAM_TOKEN_TTL_MS = (parseInt(process.env.STREAM_TOKEN_TTL_SECONDS, 10) || 60) * 1000;
+
+function isSignatureValidationDisabled() {
+  return process.env.TWILIO_SKIP_SIGNATURE_VALIDATION === 'true';
+}
+
+/**
+ * The URL Twilio signed - APP_URL when set (Twilio is configured with it), otherwise
+ * rebuilt from the request, which relies on 'trust proxy' for the protocol behind a proxy
+ */
+function getSignedUrl(req) {
+  const appUrl = (process.env.APP_URL || '').replace(/\/+$/, '');
+  return appUrl
+    ? `${appUrl}${req.originalUrl}`
+    : `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+}
+
+/**
+ * Express middleware: reject webhooks that weren't signed by Twilio with our auth token
+ */
+function validateTwilioWebhook(req, res, next) {
+  if (isSignatureValidationDisabled()) {
+    return next();
+  }
+
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    console.error('❌ TWILIO_AUTH_TOKEN not set - cannot validate Twilio webhook', req.originalUrl);
+    return res.status(403).send('Forbidden');
+  }
+
+  const signature = req.get('X-Twilio-Signature');
+  const url = getSignedUrl(req);
+  if (!signature || !twilio.validateRequest(authToken, signature, url, req.body || {})) {
+    console.warn(`🚫 Rejected unsigned or invalid Twilio webhook: ${req.method} ${url}`);
+    return res.status(403).send('Forbidden');
+  }
+
+  next();
+}
+
+function getStreamSecret() {
+  return process.env.STREAM_TOKEN_SECRET || process.env.TWILIO_AUTH_TOKEN || '';
+}
+
+function signStreamPayload(payload) {
+  return crypto.createHmac('sha256', getStreamSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Token for the <Stream> parameters: "<expiresAt>.<signature over callSid and expiry>"
+ */
+function createStreamToken(callSid, now = Date.now()) {
+  const expiresAt = now + STREAM_TOKEN_TTL_MS;
+  return `${expiresAt}.${signStreamPayload(`${callSid}.${expiresAt}`)}`;
+}
+
+/**
+ * Check a media stream's token belongs to this call and hasn't expired. Always checked - we issue the tokens
+ * ourselves, so unlike webhook signatures they work the same in local development.
+ */
+function verifyStreamToken(token, callSid, now = Date.now()) {
+  if (!token || !callSid || !getStreamSecret()) return false;
+
+  const [expiresAt, signature] = String(token).split('.');
+  if (!expiresAt || !signature || now > Number(expiresAt)) return false;
+
+  const expected = Buffer.from(signStreamPayload(`${callSid}.${expiresAt}`));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  validateTwilioWebhook,
+  createStreamToken,
+  verifyStreamToken
+};
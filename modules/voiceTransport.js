@@ -0,0 +1,93 @@
+/**
+ * Voice Transport
+ * Picks the media stream (Deepgram live STT) or the Twilio <Gather> loop for each call,
+ * and moves a live call onto <Gather> when the stream can't carry it
+ */
+const twilio = require('twilio');
+const { VoiceResponse } = twilio.twiml;
+const { notifyWarning } = require('../notifications');
+
+const TRANSPORTS = ['stream', 'gather'];
+const DEFAULT_TRANSPORT = TRANSPORTS.includes(process.env.VOICE_TRANSPORT) ? process.env.VOICE_TRANSPORT : 'stream';
+
+// Per-number overrides, e.g. {"+61730000000":"gather"} to keep one line up through a Deepgram outage
+function parseTransportOverrides() {
+  try {
+    return JSON.parse(process.env.VOICE_TRANSPORT_OVERRIDES || '{}');
+  } catch (error) {
+    console.warn('⚠️ Ignoring invalid VOICE_TRANSPORT_OVERRIDES:', error.message);
+    return {};
+  }
+}
+const TRANSPORT_OVERRIDES = parseTransportOverrides();
+
+/**
+ * Transport for a call to one of our numbers: 'stream' or 'gather'
+ */
+function getTransportForNumber(number) {
+  const override = TRANSPORT_OVERRIDES[number];
+  return TRANSPORTS.includes(override) ? override : DEFAULT_TRANSPORT;
+}
+
+/**
+ * Add the speech <Gather> that posts the caller's next turn to /speech
+ */
+function appendSpeechGather(twiml, baseUrl, prompt = null) {
+  const gather = twiml.gather({
+    input: 'speech',
+    speechTimeout: 'auto',
+    language: 'en-AU',
+    action: `${baseUrl}/speech`,
+    method: 'POST',
+    timeout: 10,
+  });
+  if (prompt) {
+    gather.say({ voice: 'alice', language: 'en-AU' }, prompt);
+  }
+  return twiml;
+}
+
+/**
+ * Pick the conversation up where the stream left off by repeating Robyn's last question
+ */
+function buildGatherResumeTwiml(session, baseUrl) {
+  const lastReply = [...session.conversationHistory].reverse().find(entry => entry.role === 'assistant');
+  const prompt = `Sorry, we had a bit of a glitch on the line. ${lastReply ? lastReply.content : 'How can I help you today?'}`;
+  return appendSpeechGather(new VoiceResponse(), baseUrl, prompt).toString();
+}
+
+/**
+ * Redirect a live call from the media stream to the <Gather> loop, keeping its session.
+ * Returns true if the call was moved.
+ */
+async function switchToGather(session, reason) {
+  if (session.transport === 'gather' || session.transferInProgress || session.pendingTermination || session.currentState === 'ended') {
+    return false;
+  }
+
+  const baseUrl = session.baseUrl || process.env.APP_URL;
+  session.transport = 'gather';
+
+  try {
+    const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    await client.calls(session.callSid).update({ twiml: buildGatherResumeTwiml(session, baseUrl) });
+    console.log(`🔀 Call ${session.callSid} moved to Gather transport (${reason})`);
+    return true;
+  } catch (error) {
+    session.transport = 'stream';
+    console.error('❌ Could not move call to Gather transport:', error.message);
+    await notifyWarning('Media stream failed and Gather fallback could not start', {
+      reason,
+      callSid: session.callSid,
+      phone: session.callerPhoneNumber,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+module.exports = {
+  getTransportForNumber,
+  appendSpeechGather,
+  switchToGather
+};
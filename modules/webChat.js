@@ -0,0 +1,283 @@
+/**
+ * Web Chat
+ * Robyn on the website: the widget (public/chat-widget.js) talks JSON over the /chat WebSocket and every message
+ * goes through the same conversation flow as a call. Visitors are recognised by a signed cookie, so a page reload
+ * picks the conversation up where it left off.
+ *
+ * Visitor -> server:  { type: 'message', text }  |  { type: 'choose_slot', option }  (option is 1-based)
+ * Server -> visitor:  { type: 'ready', messages }  |  { type: 'message', ...message }  |  { type: 'typing' }  |  { type: 'error', text }
+ * Messages are { from: 'visitor', text } or { from: 'robyn', text, slots?, quickReplies?, booking?, ended? }.
+ * The visitor's own messages are echoed back so every open tab shows the same conversation.
+ * The widget's data-tenant attribute arrives as /chat?tenant=<id> and picks the brand (see tenants.js).
+ */
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { handleInput, terminateCall } = require('../flow');
+const { createSession, getSession, endSession } = require('./stateMachine');
+const { startCallRecord, recordCallerUtterance, recordBotReply, finalizeCallRecord } = require('./callRecords');
+const { trackPendingWork } = require('./shutdown');
+const { isYesNoContext } = require('./keypadInput');
+const { adaptSpokenReply, formatSlot, offerSlotChoices, chooseSlot } = require('./textReplies');
+const { getTenantById, getDefaultTenant } = require('./tenants');
+
+const CHAT_PATH = '/chat';
+const COOKIE_NAME = 'robyn_chat';
+const COOKIE_MAX_AGE_SECONDS = (parseInt(process.env.CHAT_COOKIE_DAYS, 10) || 30) * 24 * 60 * 60;
+// Websites allowed to embed the widget, e.g. "https://www.assurefix.com.au" - any origin when unset
+const ALLOWED_ORIGINS = (process.env.CHAT_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const MAX_MESSAGE_LENGTH = 1000;
+
+const chatServer = new WebSocket.Server({ noServer: true, maxPayload: 16 * 1024 });
+
+// Visitor id (per brand - see the connection handler) -> their open conversation's session id
+const conversations = new Map();
+// Visitor id -> open sockets (one per tab)
+const visitorSockets = new Map();
+// Per-visitor chains so messages from several tabs are answered one at a time
+const messageQueues = new Map();
+
+function getCookieSecret() {
+  return process.env.CHAT_COOKIE_SECRET || process.env.STREAM_TOKEN_SECRET || process.env.TWILIO_AUTH_TOKEN || '';
+}
+
+function signVisitorId(visitorId) {
+  return crypto.createHmac('sha256', getCookieSecret()).update(`chat.${visitorId}`).digest('base64url');
+}
+
+/**
+ * Visitor id from a "<id>.<signature>" cookie value, or null if it's missing or wasn't signed by us
+ */
+function verifyVisitorCookie(value) {
+  const [visitorId, signature] = String(value || '').split('.');
+  if (!visitorId || !signature) return null;
+
+  const expected = Buffer.from(signVisitorId(visitorId));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? visitorId : null;
+}
+
+function readCookie(req, name) {
+  const cookies = (req.headers.cookie || '').split(';').map(cookie => cookie.trim());
+  const match = cookies.find(cookie => cookie.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+function buildVisitorCookie(req, visitorId) {
+  // The widget is embedded on another site, which makes this a third-party cookie - browsers only send those over HTTPS with SameSite=None
+  const secure = req.headers['x-forwarded-proto'] === 'https' || req.socket.encrypted;
+  return `${COOKIE_NAME}=${visitorId}.${signVisitorId(visitorId)}; Path=${CHAT_PATH}; Max-Age=${COOKIE_MAX_AGE_SECONDS}; HttpOnly; ` +
+         (secure ? 'Secure; SameSite=None' : 'SameSite=Lax');
+}
+
+function getGreeting(tenant) {
+  return `Hi, I'm ${tenant.agentName} from ${tenant.businessName}. What can I help you with today?`;
+}
+
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * The visitor's open conversation, or a new one with the tenant's brand
+ */
+function getConversation(visitorId, tenant) {
+  const session = getSession(conversations.get(visitorId));
+  if (session) return session;
+
+  const greeting = getGreeting(tenant);
+  const created = createSession(`CHAT${Date.now()}${crypto.randomBytes(4).toString('hex')}`, { channel: 'chat', tenantId: tenant.id });
+  created.chatMessages = [{ from: 'robyn', text: greeting }];
+  created.conversationHistory.push({ role: 'assistant', content: greeting });
+  startCallRecord(created);
+  recordBotReply(created, greeting);
+  conversations.set(visitorId, created.callSid);
+  console.log(`💻 New web chat conversation ${created.callSid} (${tenant.businessName})`);
+  return created;
+}
+
+function send(ws, payload) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(payload));
+  }
+}
+
+function broadcast(visitorId, payload) {
+  for (const ws of visitorSockets.get(visitorId) || []) {
+    send(ws, payload);
+  }
+}
+
+/**
+ * The structured parts of a reply: slots to pick from, Yes/No buttons, and the booking once it's made
+ */
+function buildReplyExtras(session, { slotsBefore, bookedBefore }) {
+  const extras = {};
+
+  const choices = offerSlotChoices(session, slotsBefore);
+  if (choices.length) {
+    extras.slots = choices.map((slot, i) => ({
+      option: i + 1,
+      label: formatSlot(slot),
+      start: new Date(slot.start).toISOString(),
+      end: new Date(slot.end).toISOString(),
+    }));
+  } else if (isYesNoContext(session)) {
+    extras.quickReplies = ['Yes', 'No'];
+  }
+
+  if (session.appointmentBooked && !bookedBefore) {
+    const { bookingDetails = {}, customerData = {} } = session;
+    extras.booking = {
+      reference: session.referenceNumber,
+      start: bookingDetails.dateTime ? new Date(bookingDetails.dateTime).toISOString() : null,
+      label: bookingDetails.dateTime ? formatSlot({ start: bookingDetails.dateTime }) : null,
+      name: customerData.name || null,
+      address: customerData.address || null,
+      email: customerData.email || null,
+    };
+  }
+  return extras;
+}
+
+/**
+ * Run one visitor message through the flow and send Robyn's reply to every tab they have open
+ */
+async function answerMessage(visitorId, tenant, { type, text, option }) {
+  const session = getConversation(visitorId, tenant);
+  const slotsBefore = session.slotOptions;
+  const bookedBefore = session.appointmentBooked;
+
+  let input = String(text || '').trim().slice(0, MAX_MESSAGE_LENGTH);
+  let shown = input;
+  if (type === 'choose_slot') {
+    const slot = chooseSlot(session, parseInt(option, 10));
+    if (!slot) {
+      return broadcast(visitorId, { type: 'error', text: "That time isn't available to pick any more - let me know what day and time suits." });
+    }
+    input = 'yes';
+    shown = formatSlot(slot);
+  }
+  if (!input) return;
+
+  const visitorMessage = { from: 'visitor', text: shown };
+  session.chatMessages.push(visitorMessage);
+  recordCallerUtterance(session, shown, null, 'chat');
+  broadcast(visitorId, { type: 'message', ...visitorMessage });
+  broadcast(visitorId, { type: 'typing' });
+
+  let reply;
+  try {
+    const replyText = adaptSpokenReply(await handleInput(session, input, 1.0, { source: 'chat' }));
+    reply = { from: 'robyn', text: replyText, ...buildReplyExtras(session, { slotsBefore, bookedBefore }) };
+  } catch (error) {
+    console.error('❌ Web chat conversation error:', error);
+    reply = { from: 'robyn', text: `Sorry, something went wrong on our end. Please try again, or give us a call on ${tenant.officePhone}.` };
+  }
+
+  if (session.pendingTermination && session.pendingTermination.shouldClose) {
+    reply.ended = true;
+  }
+  session.chatMessages.push(reply);
+  recordBotReply(session, reply.text);
+  broadcast(visitorId, { type: 'message', ...reply });
+
+  if (reply.ended) {
+    const { reason } = session.pendingTermination;
+    if (session.currentState !== 'ended') {
+      await terminateCall(session);
+    }
+    conversations.delete(visitorId);
+    finalizeCallRecord(session, reason);
+    endSession(session);
+  }
+}
+
+function queueMessage(visitorId, tenant, message) {
+  const previous = messageQueues.get(visitorId) || Promise.resolve();
+  const next = previous.then(() => answerMessage(visitorId, tenant, message)).catch((error) => {
+    console.error('❌ Web chat message failed:', error.message);
+  });
+  messageQueues.set(visitorId, next);
+  next.then(() => {
+    if (messageQueues.get(visitorId) === next) {
+      messageQueues.delete(visitorId);
+    }
+  });
+  trackPendingWork(next);
+}
+
+// Refreshed on every connection so regular visitors keep their conversation
+chatServer.on('headers', (headers, req) => {
+  if (req.visitorCookie) {
+    headers.push(`Set-Cookie: ${req.visitorCookie}`);
+  }
+});
+
+chatServer.on('connection', (ws, req) => {
+  const { tenant } = req;
+  // One cookie covers every brand's widget, so a visitor gets a separate conversation with each
+  const visitorId = `${tenant.id}.${req.visitorId}`;
+  if (!visitorSockets.has(visitorId)) {
+    visitorSockets.set(visitorId, new Set());
+  }
+  visitorSockets.get(visitorId).add(ws);
+
+  // A reload rejoins the open conversation; otherwise the widget shows the greeting
+  const session = getSession(conversations.get(visitorId));
+  const messages = session?.chatMessages?.length ? session.chatMessages : [{ from: 'robyn', text: getGreeting(tenant) }];
+  send(ws, { type: 'ready', messages });
+
+  ws.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return send(ws, { type: 'error', text: 'Messages must be JSON.' });
+    }
+    if (message.type === 'message' || message.type === 'choose_slot') {
+      queueMessage(visitorId, tenant, message);
+    }
+  });
+
+  ws.on('close', () => {
+    const sockets = visitorSockets.get(visitorId);
+    sockets?.delete(ws);
+    if (sockets && !sockets.size) {
+      visitorSockets.delete(visitorId);
+    }
+  });
+});
+
+/**
+ * Take over an HTTP upgrade for /chat: check the origin, pick the brand, recognise (or mint) the visitor cookie
+ * and open the socket
+ */
+function handleChatUpgrade(req, socket, head) {
+  const origin = req.headers.origin;
+  if (ALLOWED_ORIGINS.length && !ALLOWED_ORIGINS.includes(origin)) {
+    console.warn('🚫 Web chat connection from unlisted origin:', origin);
+    return rejectUpgrade(socket, 403, 'Forbidden');
+  }
+  if (!getCookieSecret()) {
+    console.error('❌ No CHAT_COOKIE_SECRET (or STREAM_TOKEN_SECRET / TWILIO_AUTH_TOKEN) - cannot sign web chat cookies');
+    return rejectUpgrade(socket, 503, 'Service Unavailable');
+  }
+
+  const tenantId = new URL(req.url, 'http://localhost').searchParams.get('tenant');
+  req.tenant = (tenantId && getTenantById(tenantId)) || getDefaultTenant();
+  req.visitorId = verifyVisitorCookie(readCookie(req, COOKIE_NAME)) || crypto.randomBytes(16).toString('hex');
+  req.visitorCookie = buildVisitorCookie(req, req.visitorId);
+  chatServer.handleUpgrade(req, socket, head, (ws) => {
+    chatServer.emit('connection', ws, req);
+  });
+}
+
+function isChatUpgrade(req) {
+  return new URL(req.url, 'http://localhost').pathname === CHAT_PATH;
+}
+
+module.exports = {
+  isChatUpgrade,
+  handleChatUpgrade
+};
@@ -1,6 +1,9 @@
 
 // nlp.js
 const { OpenAI } = require('openai');
+const { isStreamingEnabled, createSentenceChunker } = require('./modules/replyStreaming');
+const { getActiveTenant } = require('./modules/tenants');
+const { describeOpeningHours } = require('./modules/businessHours');
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
@@ -31,19 +34,26 @@ const preloadedResponses = new Map([
   ['thanks', 'My pleasure! Anything else I can assist with?'],
 ]);
 
-// Initialize cache with preloaded responses
-preloadedResponses.forEach((value, key) => {
-  nlpCache.set(key, value);
-});
-
 const BRISBANE_TZ = 'Australia/Brisbane';
-const currentDate = new Date().toLocaleDateString('en-US', { timeZone: BRISBANE_TZ, weekday: 'long', month: 'long', day: 'numeric' });
 
-const systemPrompt = `You are Robyn, a friendly, energetic voice agent for Assure Fix Plumbing in Australia. Today's date is ${currentDate} Brisbane time.
+/**
+ * Robyn's instructions, written for the business the customer reached (see modules/tenants.js)
+ */
+function buildSystemPrompt(tenant) {
+  const { agentName, businessName } = tenant;
+  const currentDate = new Date().toLocaleDateString('en-US', { timeZone: BRISBANE_TZ, weekday: 'long', month: 'long', day: 'numeric' });
+
+  return `You are ${agentName}, a friendly, energetic voice agent for ${businessName} in Australia. Today's date is ${currentDate} Brisbane time.
+
+ABOUT ${businessName.toUpperCase()}:
+- Service area: ${tenant.serviceArea}
+- Office hours: ${describeOpeningHours(tenant.hours)}
+- Office phone: ${tenant.officePhone}
+- Pricing: ${tenant.pricing || 'Do not quote prices - the cost depends on the job, and the plumber confirms it on site before starting'}
 
 IMPORTANT CONVERSATION RULES:
-- You are ALREADY introduced as Robyn - DO NOT repeat your name unless specifically asked
-- DO NOT say "My name is Robyn" in every response
+- You are ALREADY introduced as ${agentName} - DO NOT repeat your name unless specifically asked
+- DO NOT say "My name is ${agentName}" in every response
 - Only introduce yourself in the first greeting or when explicitly asked
 - Focus on helping the customer, not repeating who you are
 
@@ -91,13 +101,51 @@ EMERGENCY HANDLING:
 - Show appropriate concern and urgency
 
 Keep responses natural, helpful, don't rush, and focused on solving the customer's plumbing needs using less words. NEVER repeat your name unless specifically asked.`;
+}
 
-async function getResponse(prompt, conversationHistory = []) {
+/**
+ * Consume a streamed completion, handing each finished sentence to replyStream.onSentence as it arrives.
+ * A barge-in aborts via replyStream.signal - whatever was generated by then is returned.
+ */
+async function streamCompletion(request, replyStream) {
+  const chunker = createSentenceChunker(replyStream.onSentence);
+  let text = '';
+  let firstTokenMs = null;
+  const startTime = Date.now();
+
+  try {
+    const stream = await openai.chat.completions.create({ ...request, stream: true }, { signal: replyStream.signal });
+    for await (const part of stream) {
+      const delta = part.choices[0]?.delta?.content;
+      if (!delta) continue;
+      if (firstTokenMs === null) firstTokenMs = Date.now() - startTime;
+      text += delta;
+      chunker.push(delta);
+    }
+  } catch (error) {
+    if (!replyStream.signal.aborted) throw error;
+    console.log('getResponse: Completion aborted after barge-in');
+    return text.trim();
+  }
+
+  chunker.flush();
+  console.log('getResponse: First token after', firstTokenMs, 'ms');
+  return text.trim();
+}
+
+/**
+ * Reply to the caller. Pass the session's replyStream to speak the reply sentence by sentence
+ * while it generates; the full text is still returned for history.
+ */
+async function getResponse(prompt, conversationHistory = [], replyStream = null) {
   const startTime = Date.now();
   console.log('getResponse: Called with prompt', prompt.substring(0, 50) + '...');
   
-  // Only cache very simple, static responses - not prompts that contain variables
-  const cacheKey = prompt.toLowerCase().trim();
+  // Only cache very simple, static responses - not prompts that contain variables.
+  // Each business gets its own entries, since replies can mention the business name.
+  const tenant = getActiveTenant();
+  const plainKey = prompt.toLowerCase().trim();
+  const cacheKey = `${tenant.id}:${plainKey}`;
   const isSimplePrompt = prompt.length < 50 && 
                         !prompt.includes('\n') && 
                         !prompt.includes('Perfect!') && 
@@ -107,35 +155,42 @@ async function getResponse(prompt, conversationHistory = []) {
                         !prompt.includes('address') && // Don't cache address-related prompts
                         !prompt.includes('?');       // Don't cache questions
   
-  if (isSimplePrompt && nlpCache.has(cacheKey)) {
+  const cached = isSimplePrompt && (preloadedResponses.get(plainKey) || nlpCache.get(cacheKey));
+  if (cached) {
     const endTime = Date.now();
     responseTimeTracker.addTime(endTime - startTime);
     console.log('NLP: Using cached response (', endTime - startTime, 'ms)');
-    return nlpCache.get(cacheKey);
+    return cached;
   }
   
   try {
     const messages = [
       {
         role: 'system',
-        content: systemPrompt
+        content: buildSystemPrompt(tenant)
       },
       ...conversationHistory,
       { role: 'user', content: prompt }
     ];
     
     // LATENCY OPTIMIZATION: Use faster model and reduce tokens
-    const completion = await openai.chat.completions.create({
+    const request = {
       model: 'gpt-4o-mini', // Faster, cheaper model
       messages: messages,
       max_tokens: 100, // Reduced from 150
       temperature: 0.3, // Reduced for more predictable, faster responses
-      stream: false, // Ensure we get the full response at once
-    });
-    const response = completion.choices[0].message.content.trim();
+    };
+
+    let response;
+    if (replyStream && isStreamingEnabled()) {
+      response = await streamCompletion(request, replyStream);
+    } else {
+      const completion = await openai.chat.completions.create({ ...request, stream: false });
+      response = completion.choices[0].message.content.trim();
+    }
     
-    // Only cache simple responses to avoid inappropriate reuse
-    if (isSimplePrompt && response.length < 100) {
+    // Only cache simple responses to avoid inappropriate reuse (and never one cut short by a barge-in)
+    if (isSimplePrompt && response.length < 100 && !replyStream?.signal.aborted) {
       nlpCache.set(cacheKey, response);
       if (nlpCache.size > 200) { // Increased cache size
         const firstKey = nlpCache.keys().next().value;
@@ -2,6 +2,8 @@
 require('dotenv').config();
 const { google } = require('googleapis');
 const { OAuth2Client } = require('google-auth-library');
+// Each brand books into its own calendar - see modules/tenants.js
+const { getActiveTenant } = require('./modules/tenants');
 
 const oauth2Client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_CLIENT_SECRET);
 oauth2Client.setCredentials({
@@ -9,7 +11,6 @@ oauth2Client.setCredentials({
 });
 
 const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-const calendarId = process.env.GOOGLE_CALENDAR_ID || 'primary';
 
 async function getAccessToken() {
   try {
@@ -24,6 +25,7 @@ async function getAccessToken() {
 
 async function getLastAppointment(accessToken, beforeDate) {
   try {
+    const { calendarId } = getActiveTenant();
     // Validate beforeDate parameter
     if (!beforeDate || !(beforeDate instanceof Date) || isNaN(beforeDate.getTime())) {
       console.log('getLastAppointment: Invalid or missing beforeDate, using current time');
@@ -66,6 +68,7 @@ async function getLastAppointment(accessToken, beforeDate) {
 
 async function getNextAvailableSlot(accessToken, afterDate) {
   try {
+    const { calendarId } = getActiveTenant();
     // Validate afterDate parameter
     if (!afterDate || !(afterDate instanceof Date) || isNaN(afterDate.getTime())) {
       console.log('getNextAvailableSlot: Invalid or missing afterDate, using current time');
@@ -116,6 +119,7 @@ async function getNextAvailableSlot(accessToken, afterDate) {
 
 async function isSlotFree(accessToken, start, end) {
   try {
+    const { calendarId } = getActiveTenant();
     // Validate start and end parameters
     if (!start || !(start instanceof Date) || isNaN(start.getTime())) {
       console.log('isSlotFree: Invalid start date, returning false');
@@ -143,6 +147,7 @@ async function isSlotFree(accessToken, start, end) {
 
 async function createAppointment(accessToken, eventDetails) {
   try {
+    const { calendarId } = getActiveTenant();
     console.log('🔗 Attempting to create appointment via Google Calendar API...');
     console.log('📊 Network test: Checking connectivity to googleapis.com');
     
@@ -204,5 +209,50 @@ async function createAppointment(accessToken, eventDetails) {
   }
 }
 
-module.exports = { getAccessToken, getLastAppointment, getNextAvailableSlot, isSlotFree, createAppointment };
+/**
+ * Every event between timeMin and timeMax, following the API's pages. Throws if the calendar can't be read -
+ * an empty list would look like a free calendar.
+ */
+async function listAppointments(timeMin, timeMax) {
+  const { calendarId } = getActiveTenant();
+  const events = [];
+  let pageToken;
+  try {
+    do {
+      const response = await calendar.events.list({
+        calendarId,
+        timeMin: timeMin.toISOString(),
+        timeMax: timeMax.toISOString(),
+        maxResults: 250,
+        singleEvents: true,
+        orderBy: 'startTime',
+        pageToken,
+      });
+      events.push(...(response.data.items || []));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+  } catch (error) {
+    console.error('listAppointments: Error', error.message);
+    throw error;
+  }
+  return events;
+}
+
+async function updateAppointment(eventId, changes) {
+  try {
+    const { calendarId } = getActiveTenant();
+    const response = await calendar.events.patch({
+      calendarId,
+      eventId,
+      resource: changes,
+    });
+    console.log('updateAppointment: Success', eventId);
+    return response.data;
+  } catch (error) {
+    console.error('updateAppointment: Error', eventId, error.message);
+    return null;
+  }
+}
+
+module.exports = { getAccessToken, getLastAppointment, getNextAvailableSlot, isSlotFree, createAppointment, listAppointments, updateAppointment };
 
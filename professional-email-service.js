@@ -1,23 +1,89 @@
 require('dotenv').config();
 const https = require('https');
+// Confirmations go out under the brand the customer booked with - see modules/tenants.js
+const { getActiveTenant } = require('./modules/tenants');
 
+/**
+ * Send one email through an EmailJS template - resolves with the response, rejects on anything but a 200
+ */
+function postToEmailJS(templateId, templateParams) {
+  const postData = JSON.stringify({
+    service_id: process.env.EMAILJS_SERVICE_ID,
+    template_id: templateId,
+    user_id: process.env.EMAILJS_PUBLIC_KEY,
+    template_params: templateParams,
+  });
+
+  const options = {
+    hostname: 'api.emailjs.com',
+    port: 443,
+    path: '/api/v1.0/email/send',
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(postData),
+      'Origin': 'https://dashboard.emailjs.com',
+      'Referer': 'https://dashboard.emailjs.com/',
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = https.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          resolve({ statusCode: res.statusCode, data });
+        } else {
+          console.error('❌ EmailJS error:', res.statusCode, data);
+          reject(new Error(`EmailJS failed with status ${res.statusCode}: ${data}`));
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      console.error('❌ HTTPS request error:', error);
+      reject(error);
+    });
+
+    req.write(postData);
+    req.end();
+  });
+}
+
+/**
+ * Format an appointment time the way the confirmation email shows it
+ */
+function formatEmailTime(dateTime) {
+  return new Date(dateTime).toLocaleString('en-AU', {
+    timeZone: 'Australia/Brisbane',
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true,
+  });
+}
+
+/**
+ * Pass previousAppointmentTime when an existing booking has been moved - the confirmation then says it's
+ * rescheduled from that time, under the original reference
+ */
 async function sendBookingConfirmationEmail(bookingDetails) {
   try {
     console.log('📧 Sending professional booking confirmation email to:', bookingDetails.customerEmail);
+    const tenant = getActiveTenant();
     
     // Format appointment time for display
     const appointmentTime = bookingDetails.appointmentTime
-      ? new Date(bookingDetails.appointmentTime).toLocaleString('en-AU', {
-          timeZone: 'Australia/Brisbane',
-          weekday: 'long',
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit',
-          hour12: true,
-        })
+      ? formatEmailTime(bookingDetails.appointmentTime)
       : 'To Be Confirmed';
+    const previousAppointmentTime = bookingDetails.previousAppointmentTime
+      ? formatEmailTime(bookingDetails.previousAppointmentTime)
+      : null;
 
     // Generate reference number if not provided
     const referenceNumber = bookingDetails.referenceNumber || `PLB-${Date.now().toString().slice(-6)}`;
@@ -111,78 +177,41 @@ async function sendBookingConfirmationEmail(bookingDetails) {
       
       // Appointment Details
       appointment_time: appointmentTime,
+      previous_appointment_time: previousAppointmentTime || '',
       
       // Special Instructions
-      special_instructions: bookingDetails.specialInstructions || 'Standard plumbing service - no special requirements',
+      special_instructions: previousAppointmentTime
+        ? `Rescheduled from ${previousAppointmentTime} (booking ${referenceNumber}). ${bookingDetails.specialInstructions || ''}`.trim()
+        : bookingDetails.specialInstructions || 'Standard plumbing service - no special requirements',
       
       // Booking Reference
       reference_number: referenceNumber,
       
       // Company Details
-      company_phone: '(07) 3608 1688',
-      company_email: 'bookings@usherfixplumbing.com',
+      company_phone: tenant.officePhone,
+      company_email: tenant.bookingsEmail,
       
       // Email headers
-      from_name: 'Usher Fix Plumbing',
-      from_email: 'bookings@usherfixplumbing.com',
+      from_name: tenant.businessName,
+      from_email: tenant.bookingsEmail,
       to_name: bookingDetails.customerName || 'Valued Customer',
-      subject: `✅ Plumbing Appointment Confirmed - ${appointmentTime} - Usher Fix Plumbing`
+      subject: previousAppointmentTime
+        ? `🔄 Plumbing Appointment Rescheduled - ${appointmentTime} - ${tenant.businessName}`
+        : `✅ Plumbing Appointment Confirmed - ${appointmentTime} - ${tenant.businessName}`
     };
 
-    // Prepare EmailJS payload
-    const postData = JSON.stringify({
-      service_id: process.env.EMAILJS_SERVICE_ID,
-      template_id: process.env.EMAILJS_TEMPLATE_ID, // Make sure this template ID uses the professional HTML template
-      user_id: process.env.EMAILJS_PUBLIC_KEY,
-      template_params: templateParams,
-    });
-
-    const options = {
-      hostname: 'api.emailjs.com',
-      port: 443,
-      path: '/api/v1.0/email/send',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData),
-        'Origin': 'https://dashboard.emailjs.com',
-        'Referer': 'https://dashboard.emailjs.com/',
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-      },
+    const { statusCode, data } = await postToEmailJS(tenant.emailTemplateId, templateParams); // Make sure this template ID uses the professional HTML template
+    console.log('📧 EmailJS response:', { status: statusCode, data });
+    console.log('✅ Professional email sent successfully via EmailJS');
+    console.log(`📋 Email details: ${templateParams.customer_name} | ${templateParams.appointment_time} | Ref: ${templateParams.reference_number}`);
+    return {
+      success: true,
+      timestamp: new Date().toISOString(),
+      service: 'EmailJS Professional',
+      referenceNumber: referenceNumber,
+      emailSent: templateParams.to_email,
+      details: 'Professional appointment confirmation email sent with comprehensive service details',
     };
-
-    return new Promise((resolve, reject) => {
-      const req = https.request(options, (res) => {
-        let data = '';
-        res.on('data', (chunk) => { data += chunk; });
-        res.on('end', () => {
-          console.log('📧 EmailJS response:', { status: res.statusCode, data });
-          if (res.statusCode === 200) {
-            console.log('✅ Professional email sent successfully via EmailJS');
-            console.log(`📋 Email details: ${templateParams.customer_name} | ${templateParams.appointment_time} | Ref: ${templateParams.reference_number}`);
-            resolve({
-              success: true,
-              timestamp: new Date().toISOString(),
-              service: 'EmailJS Professional',
-              referenceNumber: referenceNumber,
-              emailSent: templateParams.to_email,
-              details: 'Professional appointment confirmation email sent with comprehensive service details',
-            });
-          } else {
-            console.error('❌ EmailJS error:', res.statusCode, data);
-            reject(new Error(`EmailJS failed with status ${res.statusCode}: ${data}`));
-          }
-        });
-      });
-
-      req.on('error', (error) => {
-        console.error('❌ HTTPS request error:', error);
-        reject(error);
-      });
-
-      req.write(postData);
-      req.end();
-    });
   } catch (error) {
     console.error('❌ Failed to send professional booking confirmation email:', error);
     console.log('📧 MANUAL FOLLOW-UP REQUIRED: Send confirmation email to', bookingDetails.customerEmail);
@@ -202,31 +231,33 @@ async function sendSMSConfirmation(bookingDetails) {
     const twilio = require('twilio');
     const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
 
-    const appointmentTime = bookingDetails.appointmentTime
-      ? new Date(bookingDetails.appointmentTime).toLocaleString('en-AU', {
-          timeZone: 'Australia/Brisbane',
-          month: 'short',
-          day: 'numeric',
-          hour: 'numeric',
-          minute: '2-digit',
-          hour12: true,
-        })
-      : 'TBD';
+    const formatSMSTime = (dateTime) => new Date(dateTime).toLocaleString('en-AU', {
+      timeZone: 'Australia/Brisbane',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+    });
+    const appointmentTime = bookingDetails.appointmentTime ? formatSMSTime(bookingDetails.appointmentTime) : 'TBD';
 
     const referenceNumber = bookingDetails.referenceNumber || `PLB-${Date.now().toString().slice(-6)}`;
+    const tenant = getActiveTenant();
+    const rescheduled = !!bookingDetails.previousAppointmentTime;
 
-    const smsMessage = `🔧 Usher Fix Plumbing - APPOINTMENT CONFIRMED!\n\n` +
+    const smsMessage = `🔧 ${tenant.businessName} - APPOINTMENT ${rescheduled ? 'RESCHEDULED' : 'CONFIRMED'}!\n\n` +
                        `📅 ${appointmentTime}\n` +
+                       (rescheduled ? `↩️ Moved from ${formatSMSTime(bookingDetails.previousAppointmentTime)}\n` : '') +
                        `📍 ${bookingDetails.address || 'Brisbane, QLD'}\n` +
                        `🆔 Ref: ${referenceNumber}\n` +
                        `🔧 Issue: ${(bookingDetails.issue || 'Plumbing service').substring(0, 50)}...\n\n` +
                        `📞 We'll call 30min before arrival\n` +
                        `📧 Detailed email confirmation sent\n` +
-                       `ℹ️ Changes/Cancel: (07) 3608 1688`;
+                       `ℹ️ Changes/Cancel: ${tenant.officePhone}`;
 
     await client.messages.create({
       body: smsMessage,
-      from: process.env.TWILIO_PHONE_NUMBER,
+      from: tenant.phoneNumber,
       to: bookingDetails.phone,
     });
 
@@ -243,6 +274,83 @@ async function sendSMSConfirmation(bookingDetails) {
   }
 }
 
+/**
+ * Let the customer know their appointment is cancelled, using the tenant's cancellation template
+ */
+async function sendCancellationEmail(details) {
+  const tenant = getActiveTenant();
+  if (!details.customerEmail) {
+    return { success: false, reason: 'No email address on the booking' };
+  }
+  if (!tenant.cancellationTemplateId) {
+    console.log('📧 No cancellation email template configured - skipping cancellation email');
+    return { success: false, reason: 'No cancellation template configured' };
+  }
+
+  const appointmentTime = new Date(details.appointmentTime).toLocaleString('en-AU', {
+    timeZone: 'Australia/Brisbane',
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true,
+  });
+
+  await postToEmailJS(tenant.cancellationTemplateId, {
+    customer_name: details.customerName || 'Valued Customer',
+    to_email: details.customerEmail,
+    to_name: details.customerName || 'Valued Customer',
+    customer_address: details.customerAddress || '',
+    appointment_time: appointmentTime,
+    reference_number: details.referenceNumber || '',
+    cancellation_reason: details.reason || '',
+    company_phone: tenant.officePhone,
+    company_email: tenant.bookingsEmail,
+    from_name: tenant.businessName,
+    from_email: tenant.bookingsEmail,
+    subject: `Appointment Cancelled - ${appointmentTime} - ${tenant.businessName}`
+  });
+
+  console.log(`✅ Cancellation email sent to ${details.customerEmail}`);
+  return { success: true, emailSent: details.customerEmail, timestamp: new Date().toISOString() };
+}
+
+async function sendCancellationSMS(details) {
+  try {
+    if (!details.phone) {
+      return { success: false, reason: 'No phone number provided' };
+    }
+
+    const twilio = require('twilio');
+    const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    const tenant = getActiveTenant();
+
+    const appointmentTime = new Date(details.appointmentTime).toLocaleString('en-AU', {
+      timeZone: 'Australia/Brisbane',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+    });
+
+    await client.messages.create({
+      body: `${tenant.businessName} - APPOINTMENT CANCELLED\n\n` +
+            `Your appointment on ${appointmentTime}${details.referenceNumber ? ` (Ref: ${details.referenceNumber})` : ''} has been cancelled.\n\n` +
+            `Need us again? Call ${tenant.officePhone}`,
+      from: tenant.phoneNumber,
+      to: details.phone,
+    });
+
+    console.log('✅ Cancellation SMS sent to:', details.phone);
+    return { success: true, phone: details.phone, timestamp: new Date().toISOString() };
+  } catch (error) {
+    console.error('❌ Cancellation SMS failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 // Enhanced booking confirmation that handles both email and calendar
 async function sendCompleteBookingConfirmation(bookingDetails) {
   try {
@@ -290,5 +398,7 @@ async function sendCompleteBookingConfirmation(bookingDetails) {
 module.exports = { 
   sendBookingConfirmationEmail, 
   sendSMSConfirmation, 
-  sendCompleteBookingConfirmation 
+  sendCompleteBookingConfirmation,
+  sendCancellationEmail,
+  sendCancellationSMS
 };
@@ -0,0 +1,229 @@
+/**
+ * Robyn Web Chat Widget
+ * Add to any page with:
+ *   <script src="https://your-app.herokuapp.com/chat-widget.js" async></script>
+ * Optional attributes: data-title="Chat with Robyn", data-open="true" (start with the panel open),
+ * data-tenant="harbour" (the brand to chat as, one of the server's tenant ids - the default brand when left out).
+ * Talks to the /chat WebSocket on the server the script was loaded from (see modules/webChat.js).
+ */
+(function () {
+  'use strict';
+
+  var script = document.currentScript;
+  if (!script || window.__robynChatLoaded) return;
+  window.__robynChatLoaded = true;
+
+  var serverUrl = new URL(script.src);
+  var chatUrl = (serverUrl.protocol === 'https:' ? 'wss://' : 'ws://') + serverUrl.host + '/chat';
+  var tenant = script.getAttribute('data-tenant');
+  if (tenant) chatUrl += '?tenant=' + encodeURIComponent(tenant);
+  var title = script.getAttribute('data-title') || 'Chat with Robyn';
+  var MAX_RECONNECT_DELAY_MS = 30000;
+
+  var STYLES = [
+    '.rc-launcher{position:fixed;right:20px;bottom:20px;z-index:2147483000;border:0;border-radius:28px;padding:14px 20px;',
+    'background:#0b5cab;color:#fff;font:600 15px/1 system-ui,sans-serif;box-shadow:0 4px 14px rgba(0,0,0,.25);cursor:pointer}',
+    '.rc-panel{position:fixed;right:20px;bottom:84px;z-index:2147483000;width:340px;max-width:calc(100vw - 40px);height:480px;',
+    'max-height:calc(100vh - 120px);display:none;flex-direction:column;background:#fff;border-radius:12px;overflow:hidden;',
+    'box-shadow:0 8px 30px rgba(0,0,0,.3);font:14px/1.4 system-ui,sans-serif;color:#1d1d1f}',
+    '.rc-panel.rc-open{display:flex}',
+    '.rc-header{display:flex;justify-content:space-between;align-items:center;padding:12px 16px;background:#0b5cab;color:#fff;font-weight:600}',
+    '.rc-close{background:none;border:0;color:#fff;font-size:20px;cursor:pointer}',
+    '.rc-log{flex:1;overflow-y:auto;padding:12px;background:#f4f6f8}',
+    '.rc-msg{max-width:85%;margin:0 0 8px;padding:8px 12px;border-radius:12px;white-space:pre-wrap;word-wrap:break-word}',
+    '.rc-robyn{background:#fff;border:1px solid #dde3ea}',
+    '.rc-visitor{margin-left:auto;background:#0b5cab;color:#fff}',
+    '.rc-actions{display:flex;flex-wrap:wrap;gap:6px;margin:0 0 10px}',
+    '.rc-actions button{border:1px solid #0b5cab;background:#fff;color:#0b5cab;border-radius:16px;padding:6px 12px;cursor:pointer;font:inherit}',
+    '.rc-card{margin:0 0 10px;padding:10px 12px;border-radius:10px;background:#e8f4ea;border:1px solid #9fd0a8}',
+    '.rc-card strong{display:block;margin-bottom:4px}',
+    '.rc-note,.rc-typing{margin:0 0 8px;color:#6b7480;font-size:12px;text-align:center}',
+    '.rc-form{display:flex;border-top:1px solid #dde3ea}',
+    '.rc-input{flex:1;border:0;padding:12px;font:inherit;outline:none}',
+    '.rc-send{border:0;background:none;color:#0b5cab;font-weight:600;padding:0 16px;cursor:pointer}'
+  ].join('');
+
+  var socket = null;
+  var reconnectDelay = 1000;
+  var typingEl = null;
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text) node.textContent = text;
+    return node;
+  }
+
+  var style = el('style');
+  style.textContent = STYLES;
+  var launcher = el('button', 'rc-launcher', title);
+  launcher.type = 'button';
+  var panel = el('div', 'rc-panel');
+  var header = el('div', 'rc-header', title);
+  var close = el('button', 'rc-close', '×');
+  close.type = 'button';
+  close.setAttribute('aria-label', 'Close chat');
+  header.appendChild(close);
+  var log = el('div', 'rc-log');
+  log.setAttribute('aria-live', 'polite');
+  var form = el('form', 'rc-form');
+  var input = el('input', 'rc-input');
+  input.placeholder = 'Type a message...';
+  input.maxLength = 1000;
+  var sendButton = el('button', 'rc-send', 'Send');
+  sendButton.type = 'submit';
+  form.appendChild(input);
+  form.appendChild(sendButton);
+  panel.appendChild(header);
+  panel.appendChild(log);
+  panel.appendChild(form);
+
+  function setOpen(open) {
+    panel.classList.toggle('rc-open', open);
+    if (open) {
+      connect();
+      input.focus();
+    }
+  }
+
+  function scrollToEnd() {
+    log.scrollTop = log.scrollHeight;
+  }
+
+  function send(payload) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(payload));
+      return true;
+    }
+    return false;
+  }
+
+  // Buttons only make sense on Robyn's latest message
+  function clearActions() {
+    var stale = log.querySelectorAll('.rc-actions');
+    for (var i = 0; i < stale.length; i++) stale[i].remove();
+  }
+
+  function addActions(buttons) {
+    var actions = el('div', 'rc-actions');
+    buttons.forEach(function (button) {
+      var node = el('button', null, button.label);
+      node.type = 'button';
+      node.addEventListener('click', function () {
+        if (send(button.payload)) clearActions();
+      });
+      actions.appendChild(node);
+    });
+    log.appendChild(actions);
+  }
+
+  function addBookingCard(booking) {
+    var card = el('div', 'rc-card');
+    card.appendChild(el('strong', null, 'Booked: ' + (booking.label || 'appointment confirmed')));
+    if (booking.address) card.appendChild(el('div', null, booking.address));
+    if (booking.reference) card.appendChild(el('div', null, 'Reference: ' + booking.reference));
+    if (booking.email) card.appendChild(el('div', null, 'Confirmation sent to ' + booking.email));
+    log.appendChild(card);
+  }
+
+  function setTyping(typing) {
+    if (typing && !typingEl) {
+      typingEl = el('div', 'rc-typing', 'Robyn is typing...');
+      log.appendChild(typingEl);
+    } else if (!typing && typingEl) {
+      typingEl.remove();
+      typingEl = null;
+    }
+  }
+
+  function render(message, latest) {
+    setTyping(false);
+    clearActions();
+    log.appendChild(el('div', 'rc-msg ' + (message.from === 'visitor' ? 'rc-visitor' : 'rc-robyn'), message.text));
+
+    if (message.booking) addBookingCard(message.booking);
+    if (latest && message.slots && message.slots.length) {
+      addActions(message.slots.map(function (slot) {
+        return { label: slot.label, payload: { type: 'choose_slot', option: slot.option } };
+      }));
+    } else if (latest && message.quickReplies && message.quickReplies.length) {
+      addActions(message.quickReplies.map(function (reply) {
+        return { label: reply, payload: { type: 'message', text: reply } };
+      }));
+    }
+    if (message.ended) log.appendChild(el('div', 'rc-note', 'Chat ended - send a message any time to start a new one.'));
+    scrollToEnd();
+  }
+
+  function handleServerMessage(event) {
+    var data;
+    try {
+      data = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+
+    if (data.type === 'ready') {
+      log.textContent = '';
+      typingEl = null;
+      data.messages.forEach(function (message, i) {
+        render(message, i === data.messages.length - 1);
+      });
+    } else if (data.type === 'message') {
+      render(data, true);
+    } else if (data.type === 'typing') {
+      setTyping(true);
+      scrollToEnd();
+    } else if (data.type === 'error') {
+      setTyping(false);
+      log.appendChild(el('div', 'rc-note', data.text));
+      scrollToEnd();
+    }
+  }
+
+  function connect() {
+    if (socket && socket.readyState <= WebSocket.OPEN) return;
+
+    socket = new WebSocket(chatUrl);
+    socket.addEventListener('open', function () {
+      reconnectDelay = 1000;
+    });
+    socket.addEventListener('message', handleServerMessage);
+    socket.addEventListener('close', function () {
+      socket = null;
+      setTyping(false);
+      // Keep trying while the panel is open - the conversation is kept on the server
+      if (panel.classList.contains('rc-open')) {
+        setTimeout(connect, reconnectDelay);
+        reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+      }
+    });
+  }
+
+  launcher.addEventListener('click', function () {
+    setOpen(!panel.classList.contains('rc-open'));
+  });
+  close.addEventListener('click', function () {
+    setOpen(false);
+  });
+  form.addEventListener('submit', function (event) {
+    event.preventDefault();
+    var text = input.value.trim();
+    if (text && send({ type: 'message', text: text })) {
+      input.value = '';
+    }
+  });
+
+  function mount() {
+    document.head.appendChild(style);
+    document.body.appendChild(launcher);
+    document.body.appendChild(panel);
+    if (script.getAttribute('data-open') === 'true') setOpen(true);
+  }
+
+  if (document.body) {
+    mount();
+  } else {
+    document.addEventListener('DOMContentLoaded', mount);
+  }
+})();
@@ -0,0 +1,78 @@
+/**
+ * Simulated Website Visitor
+ * Talks to /chat the way public/chat-widget.js does, keeping the signed cookie between connections
+ * like a browser would so a reconnect picks the conversation back up
+ */
+const WebSocket = require('ws');
+
+function createChatVisitor({ baseUrl }) {
+  let ws = null;
+  let cookie = null;
+  let inbox = [];
+  let waiting = null;
+  const visitor = { history: [] };
+
+  function deliver(message) {
+    if (waiting && waiting.accepts(message)) {
+      const { resolve } = waiting;
+      waiting = null;
+      resolve(message);
+    } else {
+      inbox.push(message);
+    }
+  }
+
+  /**
+   * Resolve with the next server message that passes accepts(), or fail after timeoutMs
+   */
+  function nextMessage(accepts, timeoutMs = 30000) {
+    const queued = inbox.findIndex(accepts);
+    if (queued !== -1) {
+      return Promise.resolve(inbox.splice(queued, 1)[0]);
+    }
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        waiting = null;
+        reject(new Error(`No chat reply within ${timeoutMs}ms`));
+      }, timeoutMs);
+      waiting = { accepts, resolve: (message) => { clearTimeout(timer); resolve(message); } };
+    });
+  }
+
+  /**
+   * Open the socket and wait for the conversation so far
+   */
+  visitor.connect = async () => {
+    inbox = [];
+    ws = new WebSocket(`${baseUrl.replace(/^http/, 'ws')}/chat`, { headers: cookie ? { Cookie: cookie } : {} });
+    ws.on('upgrade', (response) => {
+      const setCookie = [].concat(response.headers['set-cookie'] || [])[0];
+      if (setCookie) cookie = setCookie.split(';')[0];
+    });
+    ws.on('message', data => deliver(JSON.parse(data)));
+
+    const ready = await nextMessage(message => message.type === 'ready');
+    visitor.history = ready.messages;
+    return ready;
+  };
+
+  /**
+   * Send a message (or a slot choice) and wait for Robyn's answer
+   */
+  visitor.send = async (payload) => {
+    ws.send(JSON.stringify(payload));
+    return nextMessage(message => message.type === 'error' || (message.type === 'message' && message.from === 'robyn'));
+  };
+
+  visitor.close = () => new Promise((resolve) => {
+    if (!ws || ws.readyState === WebSocket.CLOSED) return resolve();
+    ws.once('close', resolve);
+    ws.close();
+  });
+
+  return visitor;
+}
+
+module.exports = {
+  createChatVisitor
+};
@@ -0,0 +1,204 @@
+/**
+ * Simulated Twilio Call
+ * Places a call the way Twilio does - POST /voice, signed with X-Twilio-Signature, then open the <Stream> named in
+ * the TwiML with its custom parameters - and plays the caller's side of the media stream: connected/start/media/dtmf/stop
+ * out, bot media, marks and clears in. Marks are echoed straight back, as if the audio played instantly.
+ */
+const WebSocket = require('ws');
+const twilio = require('twilio');
+
+const FRAME_SIZE = 160; // 20ms of 8kHz mulaw
+const FRAME_MS = 20;
+// Twilio takes a moment between fetching the TwiML and opening the stream; calls get the same gap here
+const STREAM_CONNECT_DELAY_MS = 300;
+
+function decodeXml(value) {
+  return value.replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * Pull the stream URL and its <Parameter>s out of the /voice TwiML
+ */
+function parseStreamTwiml(twiml) {
+  const stream = twiml.match(/<Stream url="([^"]+)"/);
+  if (!stream) return null;
+
+  const parameters = {};
+  for (const [, name, value] of twiml.matchAll(/<Parameter name="([^"]+)" value="([^"]*)"\/>/g)) {
+    parameters[decodeXml(name)] = decodeXml(value);
+  }
+  return { url: decodeXml(stream[1]), parameters };
+}
+
+/**
+ * POST a form to a Twilio webhook the way Twilio does. signature 'invalid' or 'missing' sends a forged request.
+ * The app checks signatures against APP_URL, which the simulator points at baseUrl.
+ */
+function postTwilioWebhook(baseUrl, path, params, { signature = 'valid' } = {}) {
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (signature !== 'missing') {
+    headers['X-Twilio-Signature'] = signature === 'invalid'
+      ? 'bm90IGEgcmVhbCBzaWduYXR1cmU='
+      : twilio.getExpectedTwilioSignature(process.env.TWILIO_AUTH_TOKEN, `${baseUrl}${path}`, params);
+  }
+  return fetch(`${baseUrl}${path}`, { method: 'POST', headers, body: new URLSearchParams(params).toString() });
+}
+
+function createSimulatedCall({ baseUrl, callSid, from, to }) {
+  const streamSid = `MZ${callSid.slice(2)}`;
+  const stats = { mediaFrames: 0, marks: 0, clears: 0 };
+  let ws = null;
+  let lastOutboundAt = 0;
+  let closed = false;
+  let closeInfo = null;
+  let closeWaiters = [];
+
+  function send(message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ ...message, streamSid }));
+    }
+  }
+
+  function onMessage(data) {
+    const message = JSON.parse(data);
+    lastOutboundAt = Date.now();
+
+    if (message.event === 'media') {
+      stats.mediaFrames++;
+    } else if (message.event === 'mark') {
+      stats.marks++;
+      send({ event: 'mark', mark: message.mark });
+    } else if (message.event === 'clear') {
+      stats.clears++;
+    }
+  }
+
+  const call = {
+    callSid,
+    stats,
+    twiml: null,
+
+    get closed() {
+      return closed;
+    },
+    get closeInfo() {
+      return closeInfo;
+    },
+
+    /**
+     * Ring the app and connect the media stream. Resolves with the /voice TwiML;
+     * if it doesn't start a stream (voicemail, shutdown) there's nothing to connect.
+     * token replaces the stream token from the TwiML (null leaves it out) to try a forged stream.
+     */
+    async connect({ token } = {}) {
+      const response = await postTwilioWebhook(baseUrl, '/voice', { CallSid: callSid, From: from, To: to, CallStatus: 'ringing' });
+      call.twiml = await response.text();
+
+      const stream = parseStreamTwiml(call.twiml);
+      if (!stream) {
+        closed = true;
+        return call.twiml;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, STREAM_CONNECT_DELAY_MS));
+
+      const parameters = { ...stream.parameters };
+      if (token === null) {
+        delete parameters.token;
+      } else if (token !== undefined) {
+        parameters.token = token;
+      }
+
+      // The TwiML points at the public APP_URL - the simulator talks to the local server instead
+      const { pathname } = new URL(stream.url);
+      ws = new WebSocket(`${baseUrl.replace(/^http/, 'ws')}${pathname}`);
+      ws.on('message', onMessage);
+      ws.on('close', (code, reason) => {
+        closed = true;
+        closeInfo = { code, reason: String(reason) };
+        closeWaiters.forEach(resolve => resolve());
+        closeWaiters = [];
+      });
+      await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+      });
+
+      send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+      send({
+        event: 'start',
+        start: {
+          streamSid,
+          callSid,
+          tracks: ['inbound'],
+          mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+          customParameters: parameters,
+        },
+      });
+      return call.twiml;
+    },
+
+    /**
+     * Send ms of caller audio - the scripted STT transcribes its next line once it has heard enough
+     */
+    speak(ms = 1000) {
+      const frame = Buffer.alloc(FRAME_SIZE, 0xFF).toString('base64');
+      for (let i = 0; i < Math.ceil(ms / FRAME_MS); i++) {
+        send({ event: 'media', media: { track: 'inbound', chunk: String(i + 1), payload: frame } });
+      }
+    },
+
+    pressKeys(digits) {
+      for (const digit of digits) {
+        send({ event: 'dtmf', dtmf: { track: 'inbound_track', digit } });
+      }
+    },
+
+    /**
+     * Resolves once the app has sent nothing for quietMs (or the call has ended)
+     */
+    async waitForQuiet(quietMs = 800, timeoutMs = 30000) {
+      const startedAt = Date.now();
+      lastOutboundAt = Math.max(lastOutboundAt, startedAt);
+      while (!closed && Date.now() - lastOutboundAt < quietMs) {
+        if (Date.now() - startedAt > timeoutMs) {
+          throw new Error(`App still sending after ${timeoutMs}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+    },
+
+    /**
+     * Resolves once the app closes the socket, or with false after timeoutMs
+     */
+    waitForClose(timeoutMs = 5000) {
+      if (closed) return Promise.resolve(true);
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => resolve(false), timeoutMs);
+        closeWaiters.push(() => {
+          clearTimeout(timer);
+          resolve(true);
+        });
+      });
+    },
+
+    /**
+     * Caller hangs up: Twilio sends stop and closes the socket
+     */
+    async hangUp() {
+      if (closed) return;
+      send({ event: 'stop', stop: { callSid } });
+      const waitForClose = new Promise(resolve => closeWaiters.push(resolve));
+      ws.close();
+      await waitForClose;
+    },
+  };
+
+  return call;
+}
+
+module.exports = {
+  parseStreamTwiml,
+  postTwilioWebhook,
+  createSimulatedCall
+};
@@ -0,0 +1,624 @@
+/**
+ * Offline Call Simulator
+ * Boots the app against local stand-ins (simulator/standIns.js), plays each scenario in
+ * simulator/scenarios as a Twilio media stream call and checks the replies and the booking left behind.
+ *
+ *   node simulator/run.js                 every scenario
+ *   node simulator/run.js booking         scenarios whose file name contains "booking"
+ *   node simulator/run.js --verbose       include the app's own logs
+ *
+ * Scenario files are JSON:
+ *   {
+ *     "name": "...",
+ *     "from": "+61412345678",             caller ID (optional)
+ *     "to": "+61700000002",               the number called or texted, which picks the brand (optional)
+ *     "calendar": [ event, ... ],         Google Calendar events that exist before the call (optional) - a start or
+ *                                          end of { "daysFromNow": 2, "hour": 10 } is that Brisbane time, counted from today,
+ *                                          and { "minutesFromNow": 30 } is counted from the start of the scenario.
+ *                                          An event with a "calendarId" is only in that brand's calendar
+ *     "technicianUpdates": [               posted to /appointments/status before the call (optional)
+ *       { "reference": "PLB-...", "status": "on_the_way", "technician": "Dave", "etaMinutes": 20 }
+ *     ],                                  an update with "expectStatus": 409 must be refused with that status
+
+ *     "pastCalls": [                       earlier calls from the same number, e.g. for a returning caller (optional) -
+ *       { "daysAgo": 30, "customer": { "name": "...", "email": "...", "address": "..." } }   every scenario starts with none
+ *     ],
+ *     "greeting": "regex",                 matched against Robyn's opening line (optional)
+ *     "turns": [
+ *       { "say": "my toilet is blocked", "confidence": 0.9, "expect": "regex" },
+ *       { "keys": "4000#", "expect": "regex" },
+ *       { "silence": true, "expect": "regex" },      wait for Robyn without saying anything
+ *       { "say": "...", "bargeIn": true }              talk over Robyn's previous reply as soon as it starts playing
+ *     ],
+ *     "expect": {                          checked once the call is over (all optional)
+ *       "endReason": "customer_completed", "finalState": "ended", "appointmentBooked": true,
+ *       "customer": { "name": "Sarah Connor" },
+ *       "visitedStates": ["collect_details"], "unvisitedStates": ["booking_status"], "calendarEvents": 1, "sms": 1, "emails": 1, "callUpdates": 0,
+ *       "tenant": "harbour", "calendarId": "harbour-bookings"   the brand on the record and the calendar booked into
+ *       "cancelledEvents": 1, "cancellationReason": "..."       events marked cancelled, and the reason on the record
+ *       "movedEvent": { "start": time, "end": time }           where the rescheduled booking ended up (times as above)
+ *       "messages": 1,                                         messages left for the team on the call record
+ *       "clears": 1                                            times Robyn stopped talking for a barge-in
+ *     }
+ *   }
+ * A turn's "expect" is a case-insensitive regex matched against everything Robyn said in reply.
+ *
+ * SMS scenarios set "channel": "sms" and text instead of calling - each turn is { "text": "...", "expect": "regex" }
+ * and is posted to /sms, with Robyn's reply read from the SMS stand-in.
+ *
+ * Web chat scenarios set "channel": "chat" and use the /chat WebSocket. Turns are { "text": "..." },
+ * { "chooseSlot": 2 } or { "reconnect": true } (a page reload), and can also list the reply "extras"
+ * that must be present, e.g. ["slots"] or ["booking"].
+ *
+ * Gather transport scenarios set "channel": "gather" and call a number on the Gather transport (+61700000003, whose
+ * brand is open around the clock). Turns are { "say": "...", "expect": "regex" }, each posted to /speech as Twilio's
+ * own speech recognition result, and the call ends with Twilio's status callback. With "reminder": true the call is
+ * the outbound reminder the sweep places for the scenario's calendar, answered by the customer ("from").
+ *
+ * Every webhook the simulator sends is signed like Twilio's, and every stream carries the token from /voice.
+ * Forged-request scenarios set "channel": "forged" and list requests that must be turned away:
+ *   { "webhook": "/voice", "signature": "invalid" | "missing" }    expects a 403
+ *   { "stream": "invalid" | "missing" | "other-call" }            a call whose stream token is garbage, left out,
+ *                                                                 or issued for another call - the socket must close
+ *                                                                 without Robyn saying anything
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const filters = args.filter(arg => !arg.startsWith('--'));
+
+const PORT = parseInt(process.env.SIMULATOR_PORT, 10) || 5055;
+const BASE_URL = `http://localhost:${PORT}`;
+const SCENARIO_DIR = path.join(__dirname, 'scenarios');
+const REPLY_TIMEOUT_MS = 30000;
+// How much of a reply plays before a barge-in turn talks over it
+const BARGE_IN_AFTER_FRAMES = 20;
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-simulator-'));
+
+// Everything that could reach a real service points somewhere local before the app loads
+Object.assign(process.env, {
+  PORT: String(PORT),
+  APP_URL: BASE_URL,
+  OPENAI_API_KEY: 'offline',
+  STT_PROVIDER: 'scripted',
+  STT_SCRIPT: path.join(workDir, 'stt-script.json'),
+  TTS_PROVIDERS: 'stub',
+  TWILIO_ACCOUNT_SID: 'ACsimulator',
+  TWILIO_AUTH_TOKEN: 'simulator',
+  TWILIO_PHONE_NUMBER: '+61700000001',
+  EMAILJS_CANCELLATION_TEMPLATE_ID: 'template_cancellation',
+  STREAM_TOKEN_SECRET: 'simulator',
+  CALL_RECORDS_DIR: path.join(workDir, 'calls'),
+  PHRASE_CACHE_DIR: path.join(workDir, 'phrase-cache'),
+  AFTER_HOURS_MODE: 'off', // scenarios shouldn't depend on the time of day they run
+  REMINDER_CALLS_ENABLED: 'false',
+  TRANSFER_NUMBER: '+61700000009',
+  VOICE_TRANSPORT: 'stream',
+  VOICE_TRANSPORT_OVERRIDES: JSON.stringify({ '+61700000003': 'gather' }),
+  TECHNICIAN_API_KEY: 'simulator',
+  NO_INPUT_TIMEOUT_SECONDS: process.env.NO_INPUT_TIMEOUT_SECONDS || '3',
+  // A second brand on its own number, for the multi-tenant scenarios
+  TENANTS: JSON.stringify([{
+    id: 'harbour',
+    numbers: ['+61700000002'],
+    businessName: 'Harbour Drains',
+    agentName: 'Mia',
+    officePhone: '(07) 3000 0002',
+    calendarId: 'harbour-bookings',
+  }, {
+    id: 'nightowl',
+    numbers: ['+61700000003'],
+    businessName: 'Night Owl Plumbing',
+    agentName: 'Sam',
+    officePhone: '(07) 3000 0003',
+    calendarId: 'night-owl-bookings',
+    // Always open, so its reminder sweep runs whatever time the simulator does
+    hours: { open: 0, close: 24, days: [0, 1, 2, 3, 4, 5, 6] },
+  }]),
+});
+delete process.env.TENANTS_FILE;
+delete process.env.TWILIO_SKIP_SIGNATURE_VALIDATION;
+delete process.env.GOOGLE_MAPS_API_KEY;
+delete process.env.DEEPGRAM_API_KEY;
+delete process.env.ELEVENLABS_API_KEY;
+
+const { world, resetWorld, install } = require('./standIns');
+install();
+
+// The app is chatty - keep its logs out of the report unless asked
+const print = (line = '') => process.stdout.write(`${line}\n`);
+if (!verbose) {
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    console[method] = () => {};
+  }
+}
+
+require('../index');
+const { getCallRecord, listCallRecords } = require('../modules/callRecords');
+const { runReminderSweep } = require('../modules/reminderCalls');
+const { parseStreamTwiml, postTwilioWebhook, createSimulatedCall } = require('./mediaStream');
+const { createChatVisitor } = require('./chatClient');
+
+function loadScenarios() {
+  return fs.readdirSync(SCENARIO_DIR)
+    .filter(file => file.endsWith('.json'))
+    .filter(file => !filters.length || filters.some(filter => file.includes(filter)))
+    .sort()
+    .map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(SCENARIO_DIR, file), 'utf8')) }));
+}
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      const response = await fetch(`${BASE_URL}/`);
+      if (response.ok) return;
+    } catch (error) {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Server did not start on ${BASE_URL}`);
+}
+
+async function botRepliesSince(callSid, index) {
+  const record = await getCallRecord(callSid);
+  return (record?.transcript || []).slice(index).filter(entry => entry.role === 'bot');
+}
+
+async function transcriptLength(callSid) {
+  const record = await getCallRecord(callSid);
+  return record?.transcript.length || 0;
+}
+
+/**
+ * Wait for Robyn to answer a turn and finish speaking, then return what she said
+ */
+async function waitForReply(call, index, { untilPlaying = false } = {}) {
+  const deadline = Date.now() + REPLY_TIMEOUT_MS;
+  while (!call.closed && !(await botRepliesSince(call.callSid, index)).length) {
+    if (Date.now() > deadline) {
+      throw new Error(`No reply within ${REPLY_TIMEOUT_MS}ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  if (untilPlaying) {
+    // The next turn barges in - return as soon as the reply is audibly under way
+    const framesBefore = call.stats.mediaFrames;
+    while (!call.closed && call.stats.mediaFrames < framesBefore + BARGE_IN_AFTER_FRAMES) {
+      if (Date.now() > deadline) {
+        throw new Error(`Reply didn't start playing within ${REPLY_TIMEOUT_MS}ms`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  } else {
+    await call.waitForQuiet();
+  }
+  return (await botRepliesSince(call.callSid, index)).map(entry => entry.text).join(' ');
+}
+
+/**
+ * Seed events can be dated relative to the run - { daysFromNow, hour } becomes that day and hour in Brisbane (UTC+10),
+ * { minutesFromNow } that many minutes from now
+ */
+function resolveEventTime(time) {
+  if (time?.minutesFromNow !== undefined) {
+    return { dateTime: new Date(Date.now() + time.minutesFromNow * 60 * 1000).toISOString(), timeZone: 'Australia/Brisbane' };
+  }
+  if (!time || time.daysFromNow === undefined) return time;
+  const brisbaneToday = new Date(Date.now() + 10 * 60 * 60 * 1000);
+  const start = Date.UTC(brisbaneToday.getUTCFullYear(), brisbaneToday.getUTCMonth(), brisbaneToday.getUTCDate() + time.daysFromNow, time.hour - 10);
+  return { dateTime: new Date(start).toISOString(), timeZone: 'Australia/Brisbane' };
+}
+
+/**
+ * Start each scenario with only the call records it asks for, so one scenario's caller isn't recognised in the next
+ */
+function seedPastCalls(scenario) {
+  const dir = process.env.CALL_RECORDS_DIR;
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+
+  for (const [i, pastCall] of (scenario.pastCalls || []).entries()) {
+    const startedAt = new Date(Date.now() - pastCall.daysAgo * 24 * 60 * 60 * 1000).toISOString();
+    const callSid = `CApast${i}`;
+    fs.writeFileSync(path.join(dir, `${callSid}.json`), JSON.stringify({
+      callSid,
+      channel: 'voice',
+      tenantId: pastCall.tenant || 'default',
+      callerNumber: scenario.from || '+61412345678',
+      startedAt,
+      endedAt: startedAt,
+      endReason: 'customer_completed',
+      transcript: [],
+      outcome: { customer: pastCall.customer || {} },
+    }));
+  }
+}
+
+function checkOutcome(expect, record) {
+  const failures = [];
+  const outcome = record?.outcome || {};
+  const visited = new Set((record?.stateTransitions || []).flatMap(({ from, to }) => [from, to]));
+  const counts = {
+    calendarEvents: world.calendarEvents.length,
+    cancelledEvents: world.calendarEvents.filter(event => event.status === 'cancelled').length,
+    sms: world.sms.length,
+    emails: world.emails.length,
+    callUpdates: world.callUpdates.length,
+    messages: (record?.messages || []).length,
+  };
+
+  if (expect.tenant !== undefined && record?.tenantId !== expect.tenant) {
+    failures.push(`tenant ${record?.tenantId}, expected ${expect.tenant}`);
+  }
+  for (const event of expect.calendarId !== undefined ? world.calendarEvents : []) {
+    if (event.calendarId !== expect.calendarId) {
+      failures.push(`event "${event.summary}" booked into ${event.calendarId}, expected ${expect.calendarId}`);
+    }
+  }
+  if (expect.cancellationReason !== undefined && outcome.cancellation?.reason !== expect.cancellationReason) {
+    failures.push(`cancellation reason "${outcome.cancellation?.reason || ''}", expected "${expect.cancellationReason}"`);
+  }
+  if (expect.movedEvent !== undefined) {
+    const event = world.calendarEvents.find(candidate => candidate.id === outcome.reschedule?.eventId);
+    for (const edge of ['start', 'end']) {
+      const expected = resolveEventTime(expect.movedEvent[edge]).dateTime;
+      if (!event || new Date(event[edge].dateTime).getTime() !== new Date(expected).getTime()) {
+        failures.push(`moved booking ${edge} ${event ? event[edge].dateTime : 'missing'}, expected ${expected}`);
+      }
+    }
+  }
+  if (expect.endReason !== undefined && record?.endReason !== expect.endReason) {
+    failures.push(`end reason ${record?.endReason}, expected ${expect.endReason}`);
+  }
+  if (expect.finalState !== undefined && outcome.finalState !== expect.finalState) {
+    failures.push(`final state ${outcome.finalState}, expected ${expect.finalState}`);
+  }
+  if (expect.appointmentBooked !== undefined && !!outcome.appointmentBooked !== expect.appointmentBooked) {
+    failures.push(`appointmentBooked ${!!outcome.appointmentBooked}, expected ${expect.appointmentBooked}`);
+  }
+  for (const [field, value] of Object.entries(expect.customer || {})) {
+    if (String(outcome.customer?.[field] || '').toLowerCase() !== String(value).toLowerCase()) {
+      failures.push(`customer ${field} "${outcome.customer?.[field] || ''}", expected "${value}"`);
+    }
+  }
+  for (const state of expect.visitedStates || []) {
+    if (!visited.has(state)) failures.push(`never reached state ${state}`);
+  }
+  for (const state of expect.unvisitedStates || []) {
+    if (visited.has(state)) failures.push(`reached state ${state}`);
+  }
+  for (const [name, count] of Object.entries(counts)) {
+    if (expect[name] !== undefined && count !== expect[name]) {
+      failures.push(`${count} ${name}, expected ${expect[name]}`);
+    }
+  }
+  return failures;
+}
+
+/**
+ * Text one message to /sms and wait for Robyn's reply
+ */
+async function textRobyn(from, to, body, messageSid) {
+  const sent = world.sms.length;
+  await postTwilioWebhook(BASE_URL, '/sms', { From: from, To: to, Body: body, MessageSid: messageSid });
+
+  const deadline = Date.now() + REPLY_TIMEOUT_MS;
+  while (world.sms.length === sent) {
+    if (Date.now() > deadline) {
+      throw new Error(`No SMS reply within ${REPLY_TIMEOUT_MS}ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return world.sms.slice(sent).map(message => message.body).join(' ');
+}
+
+/**
+ * Play an SMS scenario - the conversation's record is keyed by its first MessageSid
+ */
+async function runSmsConversation(scenario, number, failures) {
+  const from = scenario.from || '+61412345678';
+  const to = scenario.to || process.env.TWILIO_PHONE_NUMBER;
+  const firstSid = `SMsim${Date.now()}${number}`;
+
+  for (const [index, turn] of scenario.turns.entries()) {
+    print(`   📱 ${turn.text}`);
+    const reply = await textRobyn(from, to, turn.text, index ? `${firstSid}x${index}` : firstSid);
+    print(`   💬 ${reply.replace(/\n/g, '\n      ')}`);
+    if (turn.expect && !new RegExp(turn.expect, 'i').test(reply)) {
+      failures.push(`reply to "${turn.text}" didn't match /${turn.expect}/`);
+    }
+  }
+  return firstSid;
+}
+
+/**
+ * Play a web chat scenario - returns the conversation's record id
+ */
+async function runChatConversation(scenario, failures) {
+  const visitor = createChatVisitor({ baseUrl: BASE_URL });
+  await visitor.connect();
+  print(`   🤖 ${visitor.history.map(message => message.text).join(' ')}`);
+
+  for (const turn of scenario.turns) {
+    if (turn.reconnect) {
+      await visitor.close();
+      const { messages } = await visitor.connect();
+      print(`   🔄 reconnected - ${messages.length} messages restored`);
+      if (messages.length < 2) failures.push('conversation was not restored after reconnecting');
+      continue;
+    }
+
+    print(turn.chooseSlot ? `   👆 slot ${turn.chooseSlot}` : `   ⌨️ ${turn.text}`);
+    const reply = await visitor.send(turn.chooseSlot ? { type: 'choose_slot', option: turn.chooseSlot } : { type: 'message', text: turn.text });
+    const extras = ['slots', 'quickReplies', 'booking', 'ended'].filter(key => reply[key]);
+    print(`   🤖 ${reply.text}${extras.length ? ` [${extras.join(', ')}]` : ''}`);
+
+    const said = turn.text || `slot ${turn.chooseSlot}`;
+    if (turn.expect && !new RegExp(turn.expect, 'i').test(reply.text)) {
+      failures.push(`reply to "${said}" didn't match /${turn.expect}/`);
+    }
+    for (const extra of turn.extras || []) {
+      if (!reply[extra]) failures.push(`reply to "${said}" had no ${extra}`);
+    }
+  }
+
+  await visitor.close();
+  const [latest] = await listCallRecords({ limit: 1 });
+  return latest?.callSid;
+}
+
+/**
+ * What Robyn said since index on a Gather call - the record of a call she just hung up is still being written
+ */
+async function gatherReplySince(callSid, index) {
+  const deadline = Date.now() + REPLY_TIMEOUT_MS;
+  let replies = await botRepliesSince(callSid, index);
+  while (!replies.length && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    replies = await botRepliesSince(callSid, index);
+  }
+  return replies.map(entry => entry.text).join(' ');
+}
+
+/**
+ * Play a call on the Gather transport - Twilio recognises the speech and posts each turn to /speech.
+ * Returns the call's CallSid.
+ */
+async function runGatherCall(scenario, callSid, failures) {
+  const customer = scenario.from || '+61412345678';
+  const ourNumber = scenario.to || '+61700000003';
+  let call = { CallSid: callSid, From: customer, To: ourNumber, Caller: customer };
+  let answer = '/voice';
+  let statusCallback = '/voice/status';
+
+  if (scenario.reminder) {
+    await runReminderSweep(BASE_URL);
+    const placed = world.outboundCalls.find(outbound => outbound.to === customer);
+    if (!placed) {
+      failures.push(`no reminder call placed to ${customer}`);
+      return null;
+    }
+    // Outbound: we're the caller and the customer is the called party
+    call = { CallSid: `CAsim${world.outboundCalls.indexOf(placed) + 1}`, From: placed.from, To: customer, Caller: placed.from };
+    answer = '/reminder/voice';
+    statusCallback = '/reminder/status';
+  }
+
+  let twiml = await (await postTwilioWebhook(BASE_URL, answer, { ...call, CallStatus: 'in-progress', AnsweredBy: 'human' })).text();
+  const greeting = await gatherReplySince(call.CallSid, 0);
+  print(`   🤖 ${greeting}`);
+  if (scenario.greeting && !new RegExp(scenario.greeting, 'i').test(greeting)) {
+    failures.push(`greeting didn't match /${scenario.greeting}/`);
+  }
+
+  for (const turn of scenario.turns) {
+    if (twiml.includes('<Hangup/>')) {
+      failures.push(`call ended before turn: ${turn.say}`);
+      break;
+    }
+    const index = await transcriptLength(call.CallSid);
+    print(`   🗣️ ${turn.say}`);
+    twiml = await (await postTwilioWebhook(BASE_URL, '/speech',
+      { ...call, SpeechResult: turn.say, Confidence: String(turn.confidence ?? 0.9) })).text();
+
+    const reply = await gatherReplySince(call.CallSid, index);
+    print(`   🤖 ${reply}`);
+    if (turn.expect && !new RegExp(turn.expect, 'i').test(reply)) {
+      failures.push(`reply to "${turn.say}" didn't match /${turn.expect}/`);
+    }
+  }
+
+  // Whoever hung up, Twilio reports the finished call
+  await postTwilioWebhook(BASE_URL, statusCallback, { ...call, CallStatus: 'completed' });
+  return call.CallSid;
+}
+
+/**
+ * Send each forged request and check the app turns it away
+ */
+async function runForgedRequests(scenario, number, failures) {
+  for (const [i, request] of scenario.requests.entries()) {
+    const callSid = `CAforged${Date.now()}${number}${i}`;
+
+    if (request.webhook) {
+      print(`   🕵️ ${request.webhook} with ${request.signature} signature`);
+      const response = await postTwilioWebhook(BASE_URL, request.webhook,
+        { CallSid: callSid, MessageSid: `SM${callSid}`, From: '+61412345678', To: '+61700000000', Body: 'hi', CallStatus: 'ringing' },
+        { signature: request.signature });
+      if (response.status !== 403) {
+        failures.push(`${request.webhook} with ${request.signature} signature answered ${response.status}, expected 403`);
+      }
+      continue;
+    }
+
+    print(`   🕵️ media stream with ${request.stream} token`);
+    let token = request.stream === 'missing' ? null : 'garbage.token';
+    if (request.stream === 'other-call') {
+      const other = await postTwilioWebhook(BASE_URL, '/voice', { CallSid: `${callSid}other`, From: '+61412345678', To: '+61700000000', CallStatus: 'ringing' });
+      token = parseStreamTwiml(await other.text()).parameters.token;
+    }
+
+    const call = createSimulatedCall({ baseUrl: BASE_URL, callSid, from: '+61412345678', to: '+61700000000' });
+    await call.connect({ token });
+    if (!(await call.waitForClose())) {
+      failures.push(`stream with ${request.stream} token was left open`);
+      await call.hangUp().catch(() => {});
+    } else if (call.closeInfo.code !== 1008) {
+      failures.push(`stream with ${request.stream} token closed with ${call.closeInfo.code}, expected 1008`);
+    }
+    if (call.stats.mediaFrames > 0) {
+      failures.push(`Robyn spoke on a stream with ${request.stream} token`);
+    }
+  }
+}
+
+async function runScenario(scenario, number) {
+  const callSid = `CAsim${Date.now()}${number}`;
+  const failures = [];
+  resetWorld();
+  seedPastCalls(scenario);
+  world.calendarEvents.push(...(scenario.calendar || []).map(event => ({
+    ...event,
+    start: resolveEventTime(event.start),
+    end: resolveEventTime(event.end),
+  })));
+
+  for (const { expectStatus = 200, ...update } of scenario.technicianUpdates || []) {
+    const response = await fetch(`${BASE_URL}/appointments/status`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${process.env.TECHNICIAN_API_KEY}` },
+      body: JSON.stringify(update),
+    });
+    if (response.status !== expectStatus) {
+      failures.push(`technician update for ${update.reference} answered ${response.status} (${(await response.json()).error}), expected ${expectStatus}`);
+    }
+  }
+
+  // The scripted STT reads this when the stream opens and transcribes one line per caller turn
+  const speech = (scenario.turns || []).filter(turn => turn.say).map(turn => ({ text: turn.say, confidence: turn.confidence }));
+  fs.writeFileSync(process.env.STT_SCRIPT, JSON.stringify(speech));
+
+  if (scenario.channel === 'forged') {
+    print(`\n🕵️ ${scenario.name} (${scenario.file})`);
+    try {
+      await runForgedRequests(scenario, number, failures);
+    } catch (error) {
+      failures.push(error.message);
+    }
+    return report(failures);
+  }
+
+  if (scenario.channel === 'gather') {
+    print(`\n☎️ ${scenario.name} (${scenario.file})`);
+    let gatherSid = null;
+    try {
+      gatherSid = await runGatherCall(scenario, callSid, failures);
+    } catch (error) {
+      failures.push(error.message);
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+    failures.push(...checkOutcome(scenario.expect || {}, gatherSid && await getCallRecord(gatherSid)));
+    return report(failures);
+  }
+
+  if (scenario.channel === 'sms' || scenario.channel === 'chat') {
+    print(`\n${scenario.channel === 'sms' ? '📱' : '💻'} ${scenario.name} (${scenario.file})`);
+    let conversationSid = null;
+    try {
+      conversationSid = scenario.channel === 'sms'
+        ? await runSmsConversation(scenario, number, failures)
+        : await runChatConversation(scenario, failures);
+    } catch (error) {
+      failures.push(error.message);
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+    failures.push(...checkOutcome(scenario.expect || {}, conversationSid && await getCallRecord(conversationSid)));
+    return report(failures);
+  }
+
+  const call = createSimulatedCall({ baseUrl: BASE_URL, callSid, from: scenario.from || '+61412345678', to: scenario.to || '+61700000000' });
+  print(`\n📞 ${scenario.name} (${scenario.file})`);
+
+  try {
+    await call.connect();
+    const greeting = await waitForReply(call, 0);
+    print(`   🤖 ${greeting}`);
+    if (scenario.greeting && !new RegExp(scenario.greeting, 'i').test(greeting)) {
+      failures.push(`greeting didn't match /${scenario.greeting}/`);
+    }
+
+    for (const [i, turn] of scenario.turns.entries()) {
+      if (call.closed) {
+        failures.push(`call ended before turn: ${turn.say || turn.keys || 'silence'}`);
+        break;
+      }
+      const index = await transcriptLength(callSid);
+      if (turn.say) {
+        print(`   ${turn.bargeIn ? '✋' : '🗣️'} ${turn.say}`);
+        call.speak(turn.afterMs || 1000);
+      } else if (turn.keys) {
+        print(`   🔢 ${turn.keys}`);
+        call.pressKeys(turn.keys);
+      } else {
+        print('   🤫 ...');
+      }
+
+      const reply = await waitForReply(call, index, { untilPlaying: !!scenario.turns[i + 1]?.bargeIn });
+      print(`   🤖 ${reply}`);
+      if (turn.expect && !new RegExp(turn.expect, 'i').test(reply)) {
+        failures.push(`reply to "${turn.say || turn.keys || 'silence'}" didn't match /${turn.expect}/`);
+      }
+    }
+
+    await call.hangUp();
+  } catch (error) {
+    failures.push(error.message);
+    await call.hangUp().catch(() => {});
+  }
+
+  // Let the close handler write the call record
+  await new Promise(resolve => setTimeout(resolve, 200));
+  failures.push(...checkOutcome(scenario.expect || {}, await getCallRecord(callSid)));
+  if (scenario.expect?.clears !== undefined && call.stats.clears !== scenario.expect.clears) {
+    failures.push(`clears ${call.stats.clears}, expected ${scenario.expect.clears}`);
+  }
+
+  print(`   ${call.stats.mediaFrames} media frames, ${call.stats.marks} marks, ${call.stats.clears} clears`);
+  return report(failures);
+}
+
+function report(failures) {
+  for (const failure of failures) {
+    print(`   ❌ ${failure}`);
+  }
+  print(failures.length ? '   ❌ FAILED' : '   ✅ PASSED');
+  return failures.length === 0;
+}
+
+async function main() {
+  const scenarios = loadScenarios();
+  if (!scenarios.length) {
+    print(`No scenarios matching ${filters.join(', ')}`);
+    process.exit(1);
+  }
+
+  await waitForServer();
+  let passed = 0;
+  for (const [number, scenario] of scenarios.entries()) {
+    if (await runScenario(scenario, number)) passed++;
+  }
+
+  print(`\n${passed}/${scenarios.length} scenarios passed`);
+  fs.rmSync(workDir, { recursive: true, force: true });
+  process.exit(passed === scenarios.length ? 0 : 1);
+}
+
+main().catch((error) => {
+  print(`Simulator error: ${error.stack}`);
+  process.exit(1);
+});
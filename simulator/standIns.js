@@ -0,0 +1,299 @@
+/**
+ * Local Stand-ins
+ * Replace every external service the call flow touches so the simulator runs with no network:
+ * OpenAI, Google Calendar, GoHighLevel, EmailJS, Slack and Twilio's REST API (TwiML and signatures stay real).
+ * Deepgram isn't here - the simulator uses the scripted STT provider and the stub TTS provider instead.
+ *
+ * install() must run before anything requires the app. Everything the stand-ins saw is kept in `world`.
+ */
+const Module = require('module');
+const https = require('https');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const world = {
+  calendarEvents: [],
+  sms: [],
+  callUpdates: [],
+  outboundCalls: [],
+  emails: [],
+  crmRequests: [],
+  slack: [],
+  llmPrompts: [],
+};
+
+let eventCounter = 0;
+
+/**
+ * Forget everything from the previous scenario
+ */
+function resetWorld() {
+  for (const list of Object.values(world)) {
+    list.length = 0;
+  }
+}
+
+// —— OpenAI ——
+
+const CLASSIFICATION_WORDS = ['toilet', 'drain', 'leak', 'emergency', 'booking'];
+
+/**
+ * What a sensible model would say for each kind of prompt the app sends.
+ * Prompts with no offline answer throw, which exercises the same fallbacks as an OpenAI outage.
+ */
+function answerPrompt(messages) {
+  const system = messages.find(message => message.role === 'system')?.content || '';
+  const user = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+
+  // Robyn's prompts (or another brand's agent's) are the line to say, phrased for the model to polish - say it as written
+  if (/^You are \w+, a friendly/.test(system)) {
+    return user.replace(/^Manual scheduling request:.*$/s, "No problem, I'll get one of the team to call you back to lock in a time.");
+  }
+  if (system.startsWith('Quick analysis')) {
+    const lower = user.toLowerCase();
+    return CLASSIFICATION_WORDS.find(word => lower.includes(word)) || 'general';
+  }
+  if (system.includes('travel time expert')) {
+    return '15-25 minutes';
+  }
+  if (system.includes('service durations')) {
+    return '60';
+  }
+  const original = user.match(/ORIGINAL TEXT \(may contain STT errors\): "([\s\S]*?)"\n/);
+  if (original) {
+    return original[1];
+  }
+  throw new Error('Offline OpenAI stand-in has no answer for this prompt');
+}
+
+async function* streamWords(text, signal) {
+  for (const word of text.split(/(?<=\s)/)) {
+    if (signal?.aborted) {
+      const error = new Error('Request was aborted.');
+      error.name = 'AbortError';
+      throw error;
+    }
+    await new Promise(resolve => setImmediate(resolve));
+    yield { choices: [{ delta: { content: word } }] };
+  }
+}
+
+class OpenAI {
+  constructor() {
+    this.chat = {
+      completions: {
+        create: async (params, options = {}) => {
+          world.llmPrompts.push(params.messages);
+          const content = answerPrompt(params.messages);
+          if (params.stream) {
+            return streamWords(content, options.signal);
+          }
+          return { choices: [{ message: { role: 'assistant', content } }] };
+        },
+      },
+    };
+  }
+}
+
+// —— Google Calendar ——
+
+function eventStart(event) {
+  return new Date(event.start?.dateTime || event.start?.date);
+}
+
+function eventEnd(event) {
+  return new Date(event.end?.dateTime || event.end?.date);
+}
+
+const calendarApi = {
+  events: {
+    async list({ calendarId, timeMin, timeMax, q }) {
+      const items = world.calendarEvents
+        .filter(event => !event.calendarId || event.calendarId === calendarId)
+        .filter(event => !timeMin || eventEnd(event) > new Date(timeMin))
+        .filter(event => !timeMax || eventStart(event) < new Date(timeMax))
+        .filter(event => !q || q.split(/\s+OR\s+/i).some(term => `${event.summary} ${event.description}`.toLowerCase().includes(term.toLowerCase())))
+        .sort((a, b) => eventStart(a) - eventStart(b));
+      return { data: { items } };
+    },
+    async insert({ calendarId, resource, requestBody }) {
+      const event = { id: `sim-event-${++eventCounter}`, status: 'confirmed', calendarId, ...(resource || requestBody) };
+      world.calendarEvents.push(event);
+      return { data: event };
+    },
+    async patch({ eventId, resource, requestBody }) {
+      const event = world.calendarEvents.find(candidate => candidate.id === eventId);
+      if (!event) throw new Error(`No event ${eventId}`);
+      Object.assign(event, resource || requestBody);
+      return { data: event };
+    },
+  },
+  freebusy: {
+    async query({ resource, requestBody }) {
+      const { timeMin, timeMax, items } = resource || requestBody;
+      const busy = world.calendarEvents
+        .filter(event => eventEnd(event) > new Date(timeMin) && eventStart(event) < new Date(timeMax))
+        .sort((a, b) => eventStart(a) - eventStart(b))
+        .map(event => ({ start: eventStart(event).toISOString(), end: eventEnd(event).toISOString() }));
+      return { data: { calendars: Object.fromEntries(items.map(({ id }) => [id, { busy }])) } };
+    },
+  },
+};
+
+class OAuth2Client {
+  setCredentials() {}
+  async getAccessToken() {
+    return { token: 'offline-access-token' };
+  }
+  async getToken() {
+    return { tokens: { refresh_token: 'offline-refresh-token' } };
+  }
+  generateAuthUrl() {
+    return 'http://localhost/offline-oauth';
+  }
+}
+
+const googleapis = {
+  google: {
+    calendar: () => calendarApi,
+    auth: { OAuth2: OAuth2Client },
+  },
+};
+
+// —— Twilio REST (everything else about the real module is kept) ——
+
+function createTwilioStandIn(realTwilio) {
+  const client = {
+    messages: {
+      async create(message) {
+        world.sms.push(message);
+        return { sid: `SMsim${world.sms.length}`, ...message };
+      },
+    },
+    calls: Object.assign((callSid) => ({
+      async update(changes) {
+        world.callUpdates.push({ callSid, ...changes });
+        return { sid: callSid };
+      },
+    }), {
+      async create(call) {
+        world.outboundCalls.push(call);
+        return { sid: `CAsim${world.outboundCalls.length}`, ...call };
+      },
+    }),
+  };
+
+  const standIn = () => client;
+  for (const name of Object.getOwnPropertyNames(realTwilio)) {
+    if (!(name in standIn)) {
+      Object.defineProperty(standIn, name, Object.getOwnPropertyDescriptor(realTwilio, name));
+    }
+  }
+  return standIn;
+}
+
+// —— GoHighLevel (axios), Slack, ping ——
+
+function axiosCall(method) {
+  return async (url, body) => {
+    world.crmRequests.push({ method, url, body });
+    return { status: 200, data: { access_token: 'offline', contact: { id: 'sim-contact' }, appointments: [], id: 'sim-record' } };
+  };
+}
+
+const axios = { get: axiosCall('get'), post: axiosCall('post'), put: axiosCall('put'), patch: axiosCall('patch'), delete: axiosCall('delete') };
+axios.create = () => axios;
+axios.default = axios;
+
+class Webhook {
+  async send(payload) {
+    world.slack.push(payload);
+  }
+}
+
+const ping = { promise: { probe: async host => ({ host, alive: true, time: 1 }) } };
+
+// —— Raw HTTPS: EmailJS is answered, anything else leaving the machine fails like it would offline ——
+
+/**
+ * Just enough of http.ClientRequest for the app's https.request calls; onEnd gets the request body
+ */
+function fakeRequest(onEnd) {
+  const request = new EventEmitter();
+  let body = '';
+  request.write = (chunk) => { body += chunk; };
+  request.setTimeout = () => request;
+  request.destroy = () => {};
+  request.end = (chunk) => {
+    if (chunk) body += chunk;
+    setImmediate(() => onEnd(body));
+  };
+  return request;
+}
+
+function installHttpsGuard() {
+  const realRequest = https.request;
+  https.request = (options, callback) => {
+    const host = typeof options === 'string' ? new URL(options).hostname : options.hostname || options.host;
+    if (host === 'localhost' || host === '127.0.0.1') {
+      return realRequest(options, callback);
+    }
+
+    if (host === 'api.emailjs.com') {
+      return fakeRequest((body) => {
+        world.emails.push(JSON.parse(body));
+        const response = new EventEmitter();
+        response.statusCode = 200;
+        callback(response);
+        response.emit('data', 'OK');
+        response.emit('end');
+      });
+    }
+
+    const request = fakeRequest(() => {
+      request.emit('error', new Error(`getaddrinfo ENOTFOUND ${host} (offline simulator)`));
+    });
+    return request;
+  };
+
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, options) => {
+    const { hostname } = new URL(url);
+    if (hostname === 'localhost' || hostname === '127.0.0.1') {
+      return realFetch(url, options);
+    }
+    throw new TypeError(`fetch failed: ${hostname} is offline in the simulator`);
+  };
+}
+
+/**
+ * Swap the stand-ins in for the real packages
+ */
+function install() {
+  const realLoad = Module._load;
+  const standIns = {
+    openai: { OpenAI, default: OpenAI },
+    googleapis,
+    'google-auth-library': { OAuth2Client },
+    twilio: createTwilioStandIn(realLoad('twilio', module, false)),
+    axios,
+    'slack-webhook': { Webhook },
+    ping,
+  };
+
+  // Only the app's own requires are swapped - packages keep their real dependencies
+  Module._load = function load(request, parent, isMain) {
+    const fromApp = !parent?.filename?.includes(`${path.sep}node_modules${path.sep}`);
+    if (fromApp && Object.prototype.hasOwnProperty.call(standIns, request)) {
+      return standIns[request];
+    }
+    return realLoad.call(this, request, parent, isMain);
+  };
+  installHttpsGuard();
+}
+
+module.exports = {
+  world,
+  resetWorld,
+  install
+};
@@ -1,8 +1,12 @@
 // twilio.js
 const twilio = require('twilio');
 const { VoiceResponse } = twilio.twiml;
-const { handleInput, stateMachine } = require('./flow');
-const { synthesizeBuffer } = require('./tts');
+const { handleInput, getGreeting, getSession, getOrCreateSession, setCallerPhoneNumber, terminateCall, endSession } = require('./flow');
+const { synthesizeBuffer } = require('./modules/textToSpeech');
+const { recordCallerUtterance, recordBotReply, finalizeCallRecord } = require('./modules/callRecords');
+const { appendOnCallDial, buildCallerSummary } = require('./modules/transfer');
+const { appendSpeechGather } = require('./modules/voiceTransport');
+const { getTenant } = require('./modules/tenants');
 const fs = require('fs');
 const path = require('path');
 
@@ -17,22 +21,23 @@ function logStateTransition(from, to, reason) {
 }
 
 async function handleVoice(req, res) {
-  // Reset state for new call
-  Object.assign(stateMachine, {
-    currentState: 'start',
-    conversationHistory: [],
-    clientData: {},
-    issueType: null,
-    questionIndex: 0,
-    nextSlot: null,
-  });
+  // Create a fresh session for this call
+  const session = getOrCreateSession(req.body.CallSid);
+  const { voice } = getTenant(session);
+  // /voice and /reminder/voice have already set the customer's number - on a reminder call From is our own
+  if (!session.clientData.phone && req.body.From) {
+    setCallerPhoneNumber(session, req.body.From);
+  }
 
   const B = baseUrl(req);
   const twiml = new VoiceResponse();
+  const greeting = getGreeting(session);
+  session.conversationHistory.push({ role: 'assistant', content: greeting });
+  recordBotReply(session, greeting);
   
   // Generate intro with Deepgram
   try {
-    const introBuffer = await synthesizeBuffer("Hello, this is Robyn from Usher Fix Plumbing. How can I help you today?");
+    const introBuffer = await synthesizeBuffer(greeting, { voice });
     const introFile = `intro_${Date.now()}.mp3`;
     const introPath = path.join(__dirname, 'public', introFile);
     await fs.promises.writeFile(introPath, introBuffer);
@@ -41,7 +46,7 @@ async function handleVoice(req, res) {
     twiml.say({
       voice: 'alice',
       language: 'en-AU'
-    }, "Hello, this is Robyn from Usher Fix Plumbing. How can I help you today?");
+    }, greeting);
   }
   
   // Gather speech
@@ -56,7 +61,7 @@ async function handleVoice(req, res) {
 
   // Generate goodbye with Deepgram
   try {
-    const goodbyeBuffer = await synthesizeBuffer("Thank you for calling. Goodbye.");
+    const goodbyeBuffer = await synthesizeBuffer("Thank you for calling. Goodbye.", { voice });
     const goodbyeFile = `goodbye_${Date.now()}.mp3`;
     const goodbyePath = path.join(__dirname, 'public', goodbyeFile);
     await fs.promises.writeFile(goodbyePath, goodbyeBuffer);
@@ -86,6 +91,8 @@ async function handleSpeech(req, res) {
   }
   
   const B = baseUrl(req);
+  const session = getOrCreateSession(req.body.CallSid);
+  const { voice } = getTenant(session);
   const userText = req.body.SpeechResult || '';
   const speechConfidence = parseFloat(req.body.Confidence) || 0;
   
@@ -93,12 +100,12 @@ async function handleSpeech(req, res) {
   console.log('Environment check - OPENAI_API_KEY:', !!process.env.OPENAI_API_KEY);
   
   // Set phone from caller if not set
-  if (!stateMachine.clientData.phone && req.body.Caller) {
-    stateMachine.clientData.phone = req.body.Caller;
+  if (!session.clientData.phone && req.body.Caller) {
+    setCallerPhoneNumber(session, req.body.Caller);
   }
 
   // Check if this is a first interaction
-  const isFirstInteraction = stateMachine.currentState === 'start';
+  const isFirstInteraction = session.currentState === 'start';
   
   if (isFirstInteraction) {
     // Check fast-path cache for common first responses
@@ -108,7 +115,7 @@ async function handleSpeech(req, res) {
       const cachedResponse = firstResponseCache.get(cacheKey);
       const twiml = new VoiceResponse();
       try {
-        const buffer = await synthesizeBuffer(cachedResponse);
+        const buffer = await synthesizeBuffer(cachedResponse, { voice });
         const file = `fastpath_${Date.now()}.mp3`;
         const outPath = path.join(__dirname, 'public', file);
         await fs.promises.writeFile(outPath, buffer);
@@ -140,7 +147,7 @@ async function handleSpeech(req, res) {
       responseSent = true;
       const twiml = new VoiceResponse();
       try {
-        const buffer = await synthesizeBuffer("I'm sorry, I'm taking too long to respond. Please try again.");
+        const buffer = await synthesizeBuffer("I'm sorry, I'm taking too long to respond. Please try again.", { voice });
         const file = `timeout_${Date.now()}.mp3`;
         const outPath = path.join(__dirname, 'public', file);
         await fs.promises.writeFile(outPath, buffer);
@@ -168,7 +175,7 @@ async function handleSpeech(req, res) {
     console.log('CallSid:', req.body.CallSid);
     console.log('SpeechResult:', req.body.SpeechResult);
     console.log('Confidence:', req.body.Confidence);
-    console.log('Current State:', stateMachine.currentState);
+    console.log('Current State:', session.currentState);
     console.log('=====================');
     
     console.log('User said:', userText, 'Confidence:', speechConfidence);
@@ -179,7 +186,7 @@ async function handleSpeech(req, res) {
       responseSent = true;
       const twiml = new VoiceResponse();
       try {
-        const buffer = await synthesizeBuffer("I didn't catch that clearly. Could you please repeat?");
+        const buffer = await synthesizeBuffer("I didn't catch that clearly. Could you please repeat?", { voice });
         const file = `repeat_${Date.now()}.mp3`;
         const outPath = path.join(__dirname, 'public', file);
         await fs.promises.writeFile(outPath, buffer);
@@ -207,7 +214,9 @@ async function handleSpeech(req, res) {
     let reply;
     try {
       console.log('🔄 Calling handleInput...');
-      reply = await handleInput(userText);
+      recordCallerUtterance(session, userText, speechConfidence);
+      reply = await handleInput(session, userText, speechConfidence);
+      recordBotReply(session, reply);
       console.log('✅ handleInput completed, reply:', reply);
     } catch (e) {
       console.error('❌ NLP error:', e);
@@ -222,7 +231,7 @@ async function handleSpeech(req, res) {
     try {
       console.log('🔄 Starting TTS generation...');
       // Match the timeout with tts.js (4 seconds)
-      const ttsPromise = synthesizeBuffer(reply);
+      const ttsPromise = synthesizeBuffer(reply, { voice });
       const timeoutPromise = new Promise((_, reject) => 
         setTimeout(() => reject(new Error('TTS timeout')), 4000)  // Increased to 4000ms
       );
@@ -262,15 +271,28 @@ async function handleSpeech(req, res) {
       }, reply);
     }
 
-    // Add gather with better timeout handling
-    twiml.gather({
-      input: 'speech',
-      speechTimeout: 'auto',
-      language: 'en-AU',
-      action: `${B}/speech`,
-      method: 'POST',
-      timeout: 10,
-    });
+    if (session.pendingTransfer) {
+      // Gather calls can go straight to the <Dial> once the handover line has played
+      const { reason } = session.pendingTransfer;
+      session.pendingTransfer = null;
+      session.transferInProgress = true;
+      appendOnCallDial(twiml, session.callSid, B, {
+        reason,
+        summary: buildCallerSummary(session),
+        phone: session.callerPhoneNumber,
+        tenant: getTenant(session),
+      });
+    } else if (session.pendingTermination && session.pendingTermination.shouldClose) {
+      twiml.hangup();
+      finalizeCallRecord(session, session.pendingTermination.reason);
+      if (session.currentState !== 'ended') {
+        await terminateCall(session);
+      }
+      endSession(session);
+    } else {
+      // Add gather with better timeout handling
+      appendSpeechGather(twiml, B);
+    }
 
     const totalTime = Date.now() - startTime;
     console.log(`=== Total response time: ${totalTime}ms ===`);
@@ -292,7 +314,7 @@ async function handleSpeech(req, res) {
       responseSent = true;
       const twiml = new VoiceResponse();
       try {
-        const buffer = await synthesizeBuffer("I'm sorry, there was an error. Please try again.");
+        const buffer = await synthesizeBuffer("I'm sorry, there was an error. Please try again.", { voice });
         const file = `error_${Date.now()}.mp3`;
         const outPath = path.join(__dirname, 'public', file);
         await fs.promises.writeFile(outPath, buffer);
@@ -317,6 +339,31 @@ async function handleSpeech(req, res) {
   }
 }
 
+// Twilio call statuses that mean the call is over
+const FINISHED_CALL_STATUSES = ['completed', 'busy', 'failed', 'no-answer', 'canceled'];
+
+/**
+ * End a Gather call's session once Twilio reports the call is over. A Gather call has no socket to close when
+ * the caller hangs up, so this is where it ends - stream calls end when their media socket closes.
+ */
+async function endGatherCall({ CallSid, CallStatus }) {
+  const session = getSession(CallSid);
+  if (!session || session.transport !== 'gather' || !FINISHED_CALL_STATUSES.includes(CallStatus)) return;
+
+  const endReason = session.pendingTermination?.reason || (session.transferInProgress ? 'transferred' : 'caller_hung_up');
+  console.log(`📴 Gather call ${CallSid} ${CallStatus} (${endReason})`);
+  await finalizeCallRecord(session, endReason);
+  endSession(session);
+}
+
+/**
+ * Twilio's status callback for inbound calls (the number's "call status changes" webhook, POST /voice/status)
+ */
+async function handleCallStatus(req, res) {
+  await endGatherCall(req.body);
+  res.sendStatus(204);
+}
+
 async function cleanupAudioFiles() {
   try {
     const publicDir = path.join(__dirname, 'public');
@@ -343,4 +390,4 @@ async function cleanupAudioFiles() {
 // Run cleanup every hour
 setInterval(cleanupAudioFiles, 60 * 60 * 1000);
 
-module.exports = { handleVoice, handleSpeech };
\ No newline at end of file
+module.exports = { handleVoice, handleSpeech, handleCallStatus, endGatherCall };
\ No newline at end of file